@@ -0,0 +1,60 @@
+/**
+ * Home Assistant simulator
+ *
+ * Runs a local stand-in for Home Assistant so the backend can be developed and tested without one.
+ *
+ * Usage:
+ *   npm run ha:simulator                                - simulated home on port 8123
+ *   npm run ha:simulator -- --fixture <file.json>       - your own fixture
+ *   npm run ha:simulator -- --port <port> --latency <ms> --script
+ *
+ * --script plays the fixture's script (state changes, disconnects) in a loop.
+ * Point the backend at it with HOMEASSISTANT_URL=http://127.0.0.1:8123 and
+ * HOMEASSISTANT_TOKEN set to the fixture's token (simulator-token by default).
+ */
+
+import { join } from 'path';
+import { HASimulator, DEFAULT_SIMULATOR_TOKEN } from '../src/simulator/haSimulator';
+
+const getOption = (name: string): string | undefined => {
+  const index = process.argv.indexOf(name);
+  return index > -1 ? process.argv[index + 1] : undefined;
+};
+
+async function main(): Promise<void> {
+  const fixturePath = getOption('--fixture') || join(__dirname, '../src/simulator/fixtures/home.json');
+  const port = parseInt(getOption('--port') || '8123', 10);
+  const latency = parseInt(getOption('--latency') || '0', 10);
+
+  const simulator = HASimulator.fromFile(fixturePath);
+  simulator.setLatency(latency);
+  const url = await simulator.start(port);
+
+  console.log(`✓ Home Assistant simulator listening on ${url}`);
+  console.log(`  Fixture: ${fixturePath}`);
+  console.log(`  Token:   ${DEFAULT_SIMULATOR_TOKEN} (unless the fixture sets another)`);
+  if (latency > 0) {
+    console.log(`  Latency: ${latency} ms`);
+  }
+
+  if (process.argv.includes('--script')) {
+    console.log('  Playing the fixture script in a loop');
+    (async () => {
+      for (;;) {
+        await simulator.runScript();
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    })();
+  }
+
+  const shutdown = () => {
+    simulator.stop().then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((error) => {
+  console.error('✗ Home Assistant simulator failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+/**
+ * Re-key stored secrets
+ *
+ * Re-wraps every encrypted secret in the database with a new master key.
+ *
+ * Usage:
+ *   npm run secrets:rekey                       - generate a new key file
+ *   npm run secrets:rekey -- --new-key <value>  - use the given key material
+ *                                                 (required when the secrets_key add-on option is set)
+ *
+ * The previous key file is kept as secrets.key.old - backups taken before the
+ * re-key can only be restored with it.
+ *
+ * Safe to run while the add-on is up: the new key id is recorded in the database in the
+ * same transaction as the re-wrapped secrets, and the server encrypts new secrets with that
+ * key from then on (reading it from secrets.key.new until the file is moved into place).
+ */
+
+import Database from 'better-sqlite3';
+import { existsSync, renameSync, readFileSync, writeFileSync, copyFileSync, chmodSync } from 'fs';
+import { rekeyStoredSecrets } from '../src/services/secretStore';
+import {
+  loadMasterKey,
+  deriveMasterKey,
+  generateKeyMaterial,
+  getMasterKeyFilePath,
+  getMasterKeyId
+} from '../src/utils/secrets';
+
+const DATABASE_PATH = process.env.DATABASE_PATH || '/data/app01.db';
+
+function main(): void {
+  const newKeyIndex = process.argv.indexOf('--new-key');
+  const newKeyMaterial = newKeyIndex > -1 ? process.argv[newKeyIndex + 1] : undefined;
+  const usesOption = !!process.env.SECRETS_KEY;
+
+  if (newKeyIndex > -1 && !newKeyMaterial) {
+    console.error('Usage: npm run secrets:rekey -- --new-key <value>');
+    process.exit(1);
+  }
+  if (usesOption && !newKeyMaterial) {
+    console.error('The master key comes from the secrets_key add-on option.');
+    console.error('Pass the new value with --new-key and update the option afterwards.');
+    process.exit(1);
+  }
+
+  const oldKey = loadMasterKey();
+  const material = newKeyMaterial || generateKeyMaterial();
+  const newKey = deriveMasterKey(material);
+
+  // Write the new key next to the old one first - the database is only changed once it is safely on disk
+  const keyFile = getMasterKeyFilePath();
+  const pendingKeyFile = `${keyFile}.new`;
+  const previousKeyFile = `${keyFile}.old`;
+
+  // A secret the server encrypted just before the last re-key committed may still use the previous key
+  const oldKeys = [oldKey];
+  if (!usesOption && existsSync(previousKeyFile)) {
+    oldKeys.push(deriveMasterKey(readFileSync(previousKeyFile, 'utf8')));
+  }
+  if (!usesOption) {
+    writeFileSync(pendingKeyFile, material, { mode: 0o600 });
+  }
+
+  const db = new Database(DATABASE_PATH);
+  db.pragma('busy_timeout = 5000');
+
+  try {
+    const count = rekeyStoredSecrets(db, oldKeys, newKey);
+    console.log(`✓ Re-keyed ${count} secrets (${getMasterKeyId(oldKey)} → ${getMasterKeyId(newKey)})`);
+  } catch (error: any) {
+    console.error(`✗ Re-key failed, nothing was changed: ${error.message}`);
+    if (!usesOption) {
+      renameSync(pendingKeyFile, `${pendingKeyFile}.failed`);
+    }
+    process.exit(1);
+  } finally {
+    db.close();
+  }
+
+  if (usesOption) {
+    // The running add-on only knows the old key - it refuses to read or write secrets until restarted
+    console.log('→ Set the secrets_key add-on option to the new value and restart the add-on now.');
+    return;
+  }
+
+  if (existsSync(keyFile)) {
+    copyFileSync(keyFile, previousKeyFile);
+    chmodSync(previousKeyFile, 0o600);
+  }
+  renameSync(pendingKeyFile, keyFile);
+  console.log(`✓ New master key written to ${keyFile} (previous key kept as ${previousKeyFile})`);
+}
+
+main();
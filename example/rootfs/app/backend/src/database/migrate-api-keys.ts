@@ -0,0 +1,47 @@
+/**
+ * Database Migration for API Keys
+ * Creates the api_keys table used by automations and scripts
+ */
+
+import type { Database } from 'better-sqlite3';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('ApiKeysMigration');
+
+/**
+ * Run API keys migration
+ */
+export function migrateApiKeysTable(db: Database): void {
+  try {
+    logger.info('Starting API keys migration...');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        key_prefix TEXT NOT NULL UNIQUE,
+        key_hash TEXT NOT NULL,
+        scopes TEXT NOT NULL DEFAULT '[]',
+        ip_allowlist TEXT NOT NULL DEFAULT '[]',
+        expires_at INTEGER,
+        created_by TEXT,
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+        last_used_at INTEGER,
+        last_used_ip TEXT,
+        revoked_at INTEGER
+      );
+    `);
+    logger.info('✓ Created/verified api_keys table');
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_api_keys_prefix ON api_keys(key_prefix);
+      CREATE INDEX IF NOT EXISTS idx_api_keys_revoked ON api_keys(revoked_at);
+    `);
+    logger.info('✓ Created database indexes');
+
+    logger.info('✓ API keys migration completed successfully');
+  } catch (error: any) {
+    logger.error('✗ API keys migration failed:', error.message);
+    throw error;
+  }
+}
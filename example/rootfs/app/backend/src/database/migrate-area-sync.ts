@@ -0,0 +1,42 @@
+/**
+ * Database Migration for Home Assistant Area Sync
+ * Adds the columns linking areas to HA areas - see migrations/015_add_area_ha_link.sql
+ */
+
+import type { Database } from 'better-sqlite3';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('AreaSyncMigration');
+
+/**
+ * Run area sync migration
+ */
+export function migrateAreaSyncColumns(db: Database): void {
+  try {
+    logger.info('Starting area sync migration...');
+
+    for (const column of ['ha_area_id TEXT', 'synced_entity_ids TEXT', 'synced_at INTEGER']) {
+      const name = column.split(' ')[0];
+      try {
+        db.exec(`ALTER TABLE areas ADD COLUMN ${column};`);
+        logger.info(`✓ Added ${name} column to areas`);
+      } catch (error: any) {
+        if (error.message && error.message.includes('duplicate column')) {
+          logger.info(`→ ${name} column already exists`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    db.exec(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_areas_ha_area_id ON areas(ha_area_id);
+    `);
+    logger.info('✓ Created database indexes');
+
+    logger.info('✓ Area sync migration completed successfully');
+  } catch (error: any) {
+    logger.error('✗ Area sync migration failed:', error.message);
+    throw error;
+  }
+}
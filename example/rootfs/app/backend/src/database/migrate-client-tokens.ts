@@ -0,0 +1,97 @@
+/**
+ * Database Migration for Client Tokens
+ * Creates client_tokens (migration 005) and adds refresh token rotation and name columns
+ */
+
+import type { Database } from 'better-sqlite3';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('ClientTokensMigration');
+
+/**
+ * Run client tokens migration
+ */
+export function migrateClientTokensTable(db: Database): void {
+  try {
+    logger.info('Starting client tokens migration...');
+
+    // Same definition as migrations/005_add_client_tokens.sql
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS client_tokens (
+        id TEXT PRIMARY KEY,
+        client_id TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        assigned_areas TEXT NOT NULL DEFAULT '[]',
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+        expires_at INTEGER NOT NULL,
+        last_used INTEGER,
+        is_revoked INTEGER NOT NULL DEFAULT 0,
+        revoked_at INTEGER,
+        revoked_reason TEXT,
+        FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE
+      );
+    `);
+    logger.info('✓ Created/verified client_tokens table');
+
+    // family_id groups a refresh token with all tokens rotated from it
+    try {
+      db.exec(`ALTER TABLE client_tokens ADD COLUMN family_id TEXT;`);
+      logger.info('✓ Added family_id column to client_tokens');
+    } catch (error: any) {
+      if (error.message && error.message.includes('duplicate column')) {
+        logger.info('→ family_id column already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    // Set once a refresh token was exchanged - presenting it again means it leaked
+    try {
+      db.exec(`ALTER TABLE client_tokens ADD COLUMN used_at INTEGER;`);
+      logger.info('✓ Added used_at column to client_tokens');
+    } catch (error: any) {
+      if (error.message && error.message.includes('duplicate column')) {
+        logger.info('→ used_at column already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    try {
+      db.exec(`ALTER TABLE client_tokens ADD COLUMN replaced_by TEXT;`);
+      logger.info('✓ Added replaced_by column to client_tokens');
+    } catch (error: any) {
+      if (error.message && error.message.includes('duplicate column')) {
+        logger.info('→ replaced_by column already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    // Label for named tokens (one per app install) - see migrations/008_add_client_token_names.sql
+    try {
+      db.exec(`ALTER TABLE client_tokens ADD COLUMN name TEXT;`);
+      logger.info('✓ Added name column to client_tokens');
+    } catch (error: any) {
+      if (error.message && error.message.includes('duplicate column')) {
+        logger.info('→ name column already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_client_tokens_client ON client_tokens(client_id);
+      CREATE INDEX IF NOT EXISTS idx_client_tokens_hash ON client_tokens(token_hash);
+      CREATE INDEX IF NOT EXISTS idx_client_tokens_revoked ON client_tokens(is_revoked);
+      CREATE INDEX IF NOT EXISTS idx_client_tokens_expires ON client_tokens(expires_at);
+      CREATE INDEX IF NOT EXISTS idx_client_tokens_family ON client_tokens(family_id);
+    `);
+    logger.info('✓ Created database indexes');
+
+    logger.info('✓ Client tokens migration completed successfully');
+  } catch (error: any) {
+    logger.error('✗ Client tokens migration failed:', error.message);
+    throw error;
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Database Migration for Dashboards
+ * Adds default/Lovelace columns to dashboards and the assigned dashboard to clients -
+ * see migrations/016_add_dashboard_assignment.sql
+ */
+
+import type { Database } from 'better-sqlite3';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('DashboardsMigration');
+
+function addColumn(db: Database, table: string, column: string): void {
+  const name = column.split(' ')[0];
+  try {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column};`);
+    logger.info(`✓ Added ${name} column to ${table}`);
+  } catch (error: any) {
+    if (error.message && error.message.includes('duplicate column')) {
+      logger.info(`→ ${name} column already exists`);
+    } else {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Run dashboards migration
+ */
+export function migrateDashboardsTable(db: Database): void {
+  try {
+    logger.info('Starting dashboards migration...');
+
+    for (const column of ['is_default INTEGER NOT NULL DEFAULT 0', 'ha_url_path TEXT', 'synced_at INTEGER']) {
+      addColumn(db, 'dashboards', column);
+    }
+    addColumn(db, 'clients', 'dashboard_id TEXT');
+
+    db.exec(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_dashboards_ha_url_path ON dashboards(ha_url_path);
+    `);
+    logger.info('✓ Created database indexes');
+
+    logger.info('✓ Dashboards migration completed successfully');
+  } catch (error: any) {
+    logger.error('✗ Dashboards migration failed:', error.message);
+    throw error;
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Database Migration for Enrollment Profiles
+ * Creates the enrollment_profiles table used to provision fleets of devices
+ */
+
+import type { Database } from 'better-sqlite3';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('EnrollmentMigration');
+
+/**
+ * Run enrollment profiles migration
+ */
+export function migrateEnrollmentProfilesTable(db: Database): void {
+  try {
+    logger.info('Starting enrollment profiles migration...');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS enrollment_profiles (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        code_hash TEXT NOT NULL UNIQUE,
+        code_hint TEXT NOT NULL,
+        name_template TEXT NOT NULL,
+        device_type TEXT,
+        assigned_areas TEXT NOT NULL DEFAULT '[]',
+        dashboard_id TEXT,
+        max_uses INTEGER,
+        use_count INTEGER NOT NULL DEFAULT 0,
+        expires_at INTEGER,
+        created_by TEXT,
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+        last_used_at INTEGER,
+        revoked_at INTEGER
+      );
+    `);
+    logger.info('✓ Created/verified enrollment_profiles table');
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_enrollment_profiles_code ON enrollment_profiles(code_hash);
+    `);
+    logger.info('✓ Created database indexes');
+
+    logger.info('✓ Enrollment profiles migration completed successfully');
+  } catch (error: any) {
+    logger.error('✗ Enrollment profiles migration failed:', error.message);
+    throw error;
+  }
+}
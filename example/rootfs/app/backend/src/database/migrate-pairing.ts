@@ -104,6 +104,73 @@ export function migratePairingTables(db: Database): void {
       }
     }
 
+    // Per-client HA tokens - see migrations/006_add_client_ha_token.sql and 014_add_client_ha_token_id.sql
+    for (const column of ['ha_token TEXT', 'ha_token_set_at INTEGER', 'ha_token_id TEXT']) {
+      const name = column.split(' ')[0];
+      try {
+        db.exec(`ALTER TABLE clients ADD COLUMN ${column};`);
+        logger.info(`✓ Added ${name} column to clients`);
+      } catch (error: any) {
+        if (error.message && error.message.includes('duplicate column')) {
+          logger.info(`→ ${name} column already exists`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    // Admin approval mode - see migrations/010_add_pairing_approval.sql
+    for (const column of ['claim_token_hash TEXT', 'verified_at INTEGER', 'verified_ip TEXT', 'approved_by TEXT']) {
+      const name = column.split(' ')[0];
+      try {
+        db.exec(`ALTER TABLE pairing_sessions ADD COLUMN ${column};`);
+        logger.info(`✓ Added ${name} column to pairing_sessions`);
+      } catch (error: any) {
+        if (error.message && error.message.includes('duplicate column')) {
+          logger.info(`→ ${name} column already exists`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    // PIN attempt limits - see migrations/011_add_pairing_attempt_limits.sql
+    for (const column of ['failed_attempts INTEGER NOT NULL DEFAULT 0', 'last_failed_at INTEGER', 'last_failed_ip TEXT']) {
+      const name = column.split(' ')[0];
+      try {
+        db.exec(`ALTER TABLE pairing_sessions ADD COLUMN ${column};`);
+        logger.info(`✓ Added ${name} column to pairing_sessions`);
+      } catch (error: any) {
+        if (error.message && error.message.includes('duplicate column')) {
+          logger.info(`→ ${name} column already exists`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    // Re-pair PINs bound to an existing client - see migrations/013_add_pairing_replace_client.sql
+    try {
+      db.exec(`ALTER TABLE pairing_sessions ADD COLUMN replaces_client_id TEXT;`);
+      logger.info('✓ Added replaces_client_id column to pairing_sessions');
+    } catch (error: any) {
+      if (error.message && error.message.includes('duplicate column')) {
+        logger.info('→ replaces_client_id column already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS pairing_ip_attempts (
+        ip_address TEXT PRIMARY KEY,
+        failures INTEGER NOT NULL DEFAULT 0,
+        first_failed_at INTEGER NOT NULL,
+        last_failed_at INTEGER NOT NULL
+      );
+    `);
+    logger.info('✓ Created/verified pairing_ip_attempts table');
+
     // Create indexes for better query performance
     db.exec(`
       CREATE INDEX IF NOT EXISTS idx_pairing_pin ON pairing_sessions(pin);
@@ -123,7 +190,8 @@ export function migratePairingTables(db: Database): void {
 
 /**
  * Cleanup expired pairing sessions
- * Deletes sessions where status='pending' AND expires_at < current time
+ * Deletes pending, verified (awaiting approval) and locked sessions whose expires_at has passed,
+ * plus per-IP failure counters older than an hour
  */
 export function cleanupExpiredPairingSessions(db: Database): number {
   try {
@@ -132,13 +200,15 @@ export function cleanupExpiredPairingSessions(db: Database): number {
     // Prepared statement for security
     const stmt = db.prepare(`
       DELETE FROM pairing_sessions
-      WHERE status = 'pending'
+      WHERE status IN ('pending', 'verified', 'expired')
       AND expires_at < ?
     `);
 
     const result = stmt.run(now);
     const deletedCount = result.changes;
 
+    db.prepare('DELETE FROM pairing_ip_attempts WHERE last_failed_at < ?').run(now - 60 * 60);
+
     if (deletedCount > 0) {
       logger.info(`✓ Cleaned up ${deletedCount} expired pairing session(s)`);
     }
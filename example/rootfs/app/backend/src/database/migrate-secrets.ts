@@ -0,0 +1,32 @@
+/**
+ * Database Migration for Secrets at Rest
+ * Encrypts HA tokens and TOTP secrets that were stored in plaintext
+ */
+
+import type { Database } from 'better-sqlite3';
+import { encryptStoredSecrets } from '../services/secretStore';
+import { getMasterKeyFilePath } from '../utils/secrets';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('SecretsMigration');
+
+/**
+ * Run secrets encryption migration (idempotent - encrypted values are left alone)
+ */
+export function migrateStoredSecrets(db: Database): void {
+  try {
+    logger.info('Starting secrets encryption migration...');
+
+    const encrypted = encryptStoredSecrets(db);
+    if (encrypted > 0) {
+      logger.info(`✓ Encrypted ${encrypted} plaintext secrets`);
+    } else {
+      logger.info('→ No plaintext secrets found');
+    }
+
+    logger.info(`✓ Secrets encryption migration completed (key: ${process.env.SECRETS_KEY ? 'add-on option' : getMasterKeyFilePath()})`);
+  } catch (error: any) {
+    logger.error('✗ Secrets encryption migration failed:', error.message);
+    throw error;
+  }
+}
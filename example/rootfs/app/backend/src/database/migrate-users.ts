@@ -0,0 +1,184 @@
+/**
+ * Database Migration for Admin Accounts
+ * Enhances the users table and seeds the owner account from the addon configuration
+ */
+
+import type { Database } from 'better-sqlite3';
+import { randomBytes } from 'crypto';
+import { createLogger } from '../utils/logger';
+import { hashPassword, verifyPassword } from '../utils/password';
+
+const logger = createLogger('UsersMigration');
+
+/**
+ * Run users table migration
+ */
+export function migrateUsersTable(db: Database): void {
+  try {
+    logger.info('Starting users table migration...');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        email TEXT,
+        role TEXT DEFAULT 'user',
+        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+        updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+      );
+    `);
+    logger.info('✓ Created/verified users table');
+
+    try {
+      db.exec(`ALTER TABLE users ADD COLUMN is_active INTEGER DEFAULT 1;`);
+      logger.info('✓ Added is_active column to users');
+    } catch (error: any) {
+      if (error.message && error.message.includes('duplicate column')) {
+        logger.info('→ is_active column already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    try {
+      db.exec(`ALTER TABLE users ADD COLUMN last_login_at INTEGER;`);
+      logger.info('✓ Added last_login_at column to users');
+    } catch (error: any) {
+      if (error.message && error.message.includes('duplicate column')) {
+        logger.info('→ last_login_at column already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    try {
+      db.exec(`ALTER TABLE users ADD COLUMN created_by TEXT;`);
+      logger.info('✓ Added created_by column to users');
+    } catch (error: any) {
+      if (error.message && error.message.includes('duplicate column')) {
+        logger.info('→ created_by column already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    try {
+      db.exec(`ALTER TABLE users ADD COLUMN totp_secret TEXT;`);
+      logger.info('✓ Added totp_secret column to users');
+    } catch (error: any) {
+      if (error.message && error.message.includes('duplicate column')) {
+        logger.info('→ totp_secret column already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    try {
+      db.exec(`ALTER TABLE users ADD COLUMN totp_enabled INTEGER DEFAULT 0;`);
+      logger.info('✓ Added totp_enabled column to users');
+    } catch (error: any) {
+      if (error.message && error.message.includes('duplicate column')) {
+        logger.info('→ totp_enabled column already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    try {
+      db.exec(`ALTER TABLE users ADD COLUMN totp_last_counter INTEGER;`);
+      logger.info('✓ Added totp_last_counter column to users');
+    } catch (error: any) {
+      if (error.message && error.message.includes('duplicate column')) {
+        logger.info('→ totp_last_counter column already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    // Home Assistant user (X-Remote-User-Id) allowed to sign in as this account through ingress
+    try {
+      db.exec(`ALTER TABLE users ADD COLUMN ha_user_id TEXT;`);
+      logger.info('✓ Added ha_user_id column to users');
+    } catch (error: any) {
+      if (error.message && error.message.includes('duplicate column')) {
+        logger.info('→ ha_user_id column already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    // Single-use recovery codes for two-factor authentication (stored hashed)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS user_recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        code_hash TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        used_at INTEGER,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+    `);
+    logger.info('✓ Created/verified user_recovery_codes table');
+
+    // Legacy rows used the generic 'user' role - they become read-only viewers
+    db.prepare(`UPDATE users SET role = 'viewer' WHERE role IS NULL OR role = 'user'`).run();
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_users_ha_user_id ON users(ha_user_id);
+      CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON user_recovery_codes(user_id);
+    `);
+    logger.info('✓ Created database indexes');
+
+    logger.info('✓ Users table migration completed successfully');
+  } catch (error: any) {
+    logger.error('✗ Users migration failed:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Ensure the account configured via ADMIN_USERNAME/ADMIN_PASSWORD exists as an owner.
+ * The addon configuration stays authoritative for this account, so changing the
+ * password in the addon settings also changes it here.
+ * @param db Database instance
+ * @param username Configured admin username
+ * @param password Configured admin password
+ */
+export async function seedOwnerAccount(db: Database, username: string, password: string): Promise<void> {
+  try {
+    const now = Math.floor(Date.now() / 1000);
+    const existing = db.prepare('SELECT id, password_hash, role FROM users WHERE username = ?')
+      .get(username) as { id: string; password_hash: string; role: string } | undefined;
+
+    if (!existing) {
+      const id = `user_${Date.now()}_${randomBytes(4).toString('hex')}`;
+      const passwordHash = await hashPassword(password);
+
+      db.prepare(`
+        INSERT INTO users (id, username, password_hash, role, is_active, created_at, updated_at, created_by)
+        VALUES (?, ?, ?, 'owner', 1, ?, ?, 'addon-config')
+      `).run(id, username, passwordHash, now, now);
+
+      logger.info(`✓ Owner account created for configured admin: ${username}`);
+      return;
+    }
+
+    const passwordMatches = await verifyPassword(password, existing.password_hash);
+    if (!passwordMatches || existing.role !== 'owner') {
+      const passwordHash = passwordMatches ? existing.password_hash : await hashPassword(password);
+
+      db.prepare(`
+        UPDATE users
+        SET password_hash = ?, role = 'owner', is_active = 1, updated_at = ?
+        WHERE id = ?
+      `).run(passwordHash, now, existing.id);
+
+      logger.info(`✓ Owner account synced with addon configuration: ${username}`);
+    }
+  } catch (error: any) {
+    logger.error('✗ Seeding owner account failed:', error.message);
+    throw error;
+  }
+}
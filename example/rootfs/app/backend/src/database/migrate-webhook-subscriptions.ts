@@ -0,0 +1,78 @@
+/**
+ * Database Migration for Webhook Subscriptions
+ * Creates the tables for outbound webhooks: subscriptions, deliveries and dead letters
+ */
+
+import type { Database } from 'better-sqlite3';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('WebhookSubscriptionsMigration');
+
+/**
+ * Run webhook subscriptions migration
+ */
+export function migrateWebhookSubscriptionsTables(db: Database): void {
+  try {
+    logger.info('Starting webhook subscriptions migration...');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL DEFAULT '[]',
+        is_enabled INTEGER NOT NULL DEFAULT 1,
+        created_by TEXT,
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      );
+    `);
+    logger.info('✓ Created/verified webhook_subscriptions table');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        subscription_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'delivered', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER,
+        last_status_code INTEGER,
+        last_error TEXT,
+        created_at INTEGER NOT NULL,
+        completed_at INTEGER
+      );
+    `);
+    logger.info('✓ Created/verified webhook_deliveries table');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+        id TEXT PRIMARY KEY,
+        delivery_id TEXT NOT NULL,
+        subscription_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        attempts INTEGER NOT NULL,
+        last_status_code INTEGER,
+        last_error TEXT,
+        failed_at INTEGER NOT NULL,
+        redelivered_at INTEGER
+      );
+    `);
+    logger.info('✓ Created/verified webhook_dead_letters table');
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_failed ON webhook_dead_letters(failed_at);
+    `);
+    logger.info('✓ Created database indexes');
+
+    logger.info('✓ Webhook subscriptions migration completed successfully');
+  } catch (error: any) {
+    logger.error('✗ Webhook subscriptions migration failed:', error.message);
+    throw error;
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Database Migration for Webhooks
+ * Creates the webhooks table and the queue of notifications for offline clients
+ */
+
+import type { Database } from 'better-sqlite3';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('WebhooksMigration');
+
+/**
+ * Run webhooks migration
+ */
+export function migrateWebhooksTables(db: Database): void {
+  try {
+    logger.info('Starting webhooks migration...');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        secret_hash TEXT NOT NULL,
+        secret_hint TEXT NOT NULL,
+        target_type TEXT NOT NULL CHECK(target_type IN ('client', 'clients', 'area')),
+        target_ids TEXT NOT NULL DEFAULT '[]',
+        created_by TEXT,
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+        last_used_at INTEGER
+      );
+    `);
+    logger.info('✓ Created/verified webhooks table');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS client_notifications (
+        id TEXT NOT NULL,
+        client_id TEXT NOT NULL,
+        webhook_id TEXT,
+        title TEXT NOT NULL,
+        message TEXT NOT NULL,
+        severity TEXT NOT NULL DEFAULT 'info',
+        entity_id TEXT,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        PRIMARY KEY (id, client_id)
+      );
+    `);
+    logger.info('✓ Created/verified client_notifications table');
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_client_notifications_client ON client_notifications(client_id, created_at);
+    `);
+    logger.info('✓ Created database indexes');
+
+    logger.info('✓ Webhooks migration completed successfully');
+  } catch (error: any) {
+    logger.error('✗ Webhooks migration failed:', error.message);
+    throw error;
+  }
+}
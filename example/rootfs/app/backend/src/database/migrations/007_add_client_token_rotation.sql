@@ -0,0 +1,36 @@
+-- ============================================================================
+-- Migration: Add refresh token rotation columns to client_tokens
+-- Version: 007
+-- Date: 2026-10-19
+-- Author: System
+-- ============================================================================
+
+-- Description:
+-- Paired clients now receive a short-lived access token plus a rotating
+-- refresh token. Every refresh token belongs to a token family; presenting
+-- a refresh token that was already exchanged revokes the whole family.
+
+-- Changes:
+-- 1. Add family_id TEXT column (groups rotated refresh tokens)
+-- 2. Add used_at INTEGER column (set when a refresh token is exchanged)
+-- 3. Add replaced_by TEXT column (id of the token issued in exchange)
+
+-- ============================================================================
+-- UP Migration
+-- ============================================================================
+
+ALTER TABLE client_tokens ADD COLUMN family_id TEXT;
+ALTER TABLE client_tokens ADD COLUMN used_at INTEGER;
+ALTER TABLE client_tokens ADD COLUMN replaced_by TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_client_tokens_family ON client_tokens(family_id);
+
+-- ============================================================================
+-- DOWN Migration (for rollback)
+-- ============================================================================
+
+-- To rollback:
+-- DROP INDEX IF EXISTS idx_client_tokens_family;
+-- ALTER TABLE client_tokens DROP COLUMN family_id;
+-- ALTER TABLE client_tokens DROP COLUMN used_at;
+-- ALTER TABLE client_tokens DROP COLUMN replaced_by;
@@ -0,0 +1,27 @@
+-- ============================================================================
+-- Migration: Add name column to client_tokens
+-- Version: 008
+-- Date: 2026-10-19
+-- Author: System
+-- ============================================================================
+
+-- Description:
+-- A client can hold several tokens issued via /api/client-tokens, e.g. one
+-- per app install on the same device. The name tells them apart so a single
+-- token can be revoked without re-pairing the device.
+
+-- Changes:
+-- 1. Add name TEXT column
+
+-- ============================================================================
+-- UP Migration
+-- ============================================================================
+
+ALTER TABLE client_tokens ADD COLUMN name TEXT;
+
+-- ============================================================================
+-- DOWN Migration (for rollback)
+-- ============================================================================
+
+-- To rollback:
+-- ALTER TABLE client_tokens DROP COLUMN name;
@@ -0,0 +1,46 @@
+-- ============================================================================
+-- Migration: Add api_keys table
+-- Version: 009
+-- Date: 2026-10-19
+-- Author: System
+-- ============================================================================
+
+-- Description:
+-- Scoped API keys for automations and scripts (CI, Node-RED). Keys are sent
+-- as "Authorization: ApiKey <key>" and only reach the routes their scopes
+-- allow. Only the SHA-256 hash of a key is stored.
+
+-- Changes:
+-- 1. Create api_keys table
+-- 2. Add indexes for prefix lookup and revocation
+
+-- ============================================================================
+-- UP Migration
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    key_prefix TEXT NOT NULL UNIQUE,
+    key_hash TEXT NOT NULL,
+    scopes TEXT NOT NULL DEFAULT '[]',          -- JSON array of scopes, e.g. ["areas:read"]
+    ip_allowlist TEXT NOT NULL DEFAULT '[]',    -- JSON array of IPs / IPv4 CIDR ranges, empty = any
+    expires_at INTEGER,                         -- NULL = never expires
+    created_by TEXT,
+    created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+    last_used_at INTEGER,
+    last_used_ip TEXT,
+    revoked_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_prefix ON api_keys(key_prefix);
+CREATE INDEX IF NOT EXISTS idx_api_keys_revoked ON api_keys(revoked_at);
+
+-- ============================================================================
+-- DOWN Migration (for rollback)
+-- ============================================================================
+
+-- To rollback:
+-- DROP INDEX IF EXISTS idx_api_keys_revoked;
+-- DROP INDEX IF EXISTS idx_api_keys_prefix;
+-- DROP TABLE IF EXISTS api_keys;
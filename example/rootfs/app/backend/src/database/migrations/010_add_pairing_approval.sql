@@ -0,0 +1,32 @@
+-- ============================================================================
+-- Migration: Add admin approval columns to pairing_sessions
+-- Version: 010
+-- Date: 2026-10-19
+-- Author: System
+-- ============================================================================
+
+-- Description:
+-- In "approval" pairing mode a correct PIN only moves the session to
+-- 'verified'. The device receives a one-time claim token and waits until an
+-- admin names it and assigns areas; the claim token is then exchanged for the
+-- client's access/refresh tokens. Only the SHA-256 hash of the claim token
+-- is stored.
+
+-- Changes:
+-- 1. Add claim_token_hash, verified_at, verified_ip and approved_by columns
+
+-- ============================================================================
+-- UP Migration
+-- ============================================================================
+
+ALTER TABLE pairing_sessions ADD COLUMN claim_token_hash TEXT;
+ALTER TABLE pairing_sessions ADD COLUMN verified_at INTEGER;
+ALTER TABLE pairing_sessions ADD COLUMN verified_ip TEXT;
+ALTER TABLE pairing_sessions ADD COLUMN approved_by TEXT;
+
+-- ============================================================================
+-- DOWN Migration (for rollback)
+-- ============================================================================
+
+-- SQLite before 3.35 cannot drop columns - rebuild pairing_sessions without
+-- claim_token_hash, verified_ip and approved_by to roll back.
@@ -0,0 +1,39 @@
+-- ============================================================================
+-- Migration: Add PIN attempt limits for pairing
+-- Version: 011
+-- Date: 2026-10-19
+-- Author: System
+-- ============================================================================
+
+-- Description:
+-- Wrong PINs are counted per pairing session and per source IP. A session is
+-- invalidated (status 'expired') after 5 wrong PINs; an IP has to wait with
+-- exponential backoff after repeated failures across all sessions.
+
+-- Changes:
+-- 1. Add failed_attempts, last_failed_at and last_failed_ip to pairing_sessions
+-- 2. Create pairing_ip_attempts table
+
+-- ============================================================================
+-- UP Migration
+-- ============================================================================
+
+ALTER TABLE pairing_sessions ADD COLUMN failed_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE pairing_sessions ADD COLUMN last_failed_at INTEGER;
+ALTER TABLE pairing_sessions ADD COLUMN last_failed_ip TEXT;
+
+CREATE TABLE IF NOT EXISTS pairing_ip_attempts (
+    ip_address TEXT PRIMARY KEY,
+    failures INTEGER NOT NULL DEFAULT 0,        -- failures within the last hour
+    first_failed_at INTEGER NOT NULL,
+    last_failed_at INTEGER NOT NULL             -- backoff is counted from here
+);
+
+-- ============================================================================
+-- DOWN Migration (for rollback)
+-- ============================================================================
+
+-- To rollback:
+-- DROP TABLE IF EXISTS pairing_ip_attempts;
+-- (pairing_sessions columns: rebuild the table without failed_attempts,
+--  last_failed_at and last_failed_ip on SQLite before 3.35)
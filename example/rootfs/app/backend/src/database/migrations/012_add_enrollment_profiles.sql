@@ -0,0 +1,49 @@
+-- ============================================================================
+-- Migration: Add enrollment_profiles table
+-- Version: 012
+-- Date: 2026-10-19
+-- Author: System
+-- ============================================================================
+
+-- Description:
+-- Enrollment profiles are reusable pairing codes for provisioning fleets of
+-- devices. A code can be used up to max_uses times until expires_at; every
+-- device that enrolls with it is paired immediately and gets the profile's
+-- preset (name template, device type, assigned areas, dashboard). Only the
+-- SHA-256 hash of a code is stored.
+
+-- Changes:
+-- 1. Create enrollment_profiles table
+-- 2. Add index for code lookup
+
+-- ============================================================================
+-- UP Migration
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS enrollment_profiles (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    code_hash TEXT NOT NULL UNIQUE,
+    code_hint TEXT NOT NULL,                    -- last group of the code, for the admin UI
+    name_template TEXT NOT NULL,                -- e.g. "Kitchen Tablet {n}"
+    device_type TEXT,                           -- NULL = use the type the device reports
+    assigned_areas TEXT NOT NULL DEFAULT '[]',  -- JSON array of area ids
+    dashboard_id TEXT,
+    max_uses INTEGER,                           -- NULL = unlimited
+    use_count INTEGER NOT NULL DEFAULT 0,       -- also the {n} of the last enrolled device
+    expires_at INTEGER,                         -- NULL = never expires
+    created_by TEXT,
+    created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+    last_used_at INTEGER,
+    revoked_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_enrollment_profiles_code ON enrollment_profiles(code_hash);
+
+-- ============================================================================
+-- DOWN Migration (for rollback)
+-- ============================================================================
+
+-- To rollback:
+-- DROP INDEX IF EXISTS idx_enrollment_profiles_code;
+-- DROP TABLE IF EXISTS enrollment_profiles;
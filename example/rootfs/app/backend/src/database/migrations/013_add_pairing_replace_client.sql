@@ -0,0 +1,29 @@
+-- ============================================================================
+-- Migration: Add re-pair PINs for replacing a client's device
+-- Version: 013
+-- Date: 2026-10-19
+-- Author: System
+-- ============================================================================
+
+-- Description:
+-- An admin can generate a pairing PIN bound to an existing client (e.g. after
+-- a tablet was factory-reset). Verifying that PIN moves the client to the new
+-- device in place: name, assigned areas, HA token and history are kept, the
+-- old device's tokens are revoked and new ones are issued.
+
+-- Changes:
+-- 1. Add replaces_client_id to pairing_sessions
+
+-- ============================================================================
+-- UP Migration
+-- ============================================================================
+
+ALTER TABLE pairing_sessions ADD COLUMN replaces_client_id TEXT;    -- NULL = pair a new client
+
+-- ============================================================================
+-- DOWN Migration (for rollback)
+-- ============================================================================
+
+-- To rollback:
+-- (rebuild pairing_sessions without replaces_client_id on SQLite before 3.35)
+-- ALTER TABLE pairing_sessions DROP COLUMN replaces_client_id;
@@ -0,0 +1,28 @@
+-- ============================================================================
+-- Migration: Track Home Assistant tokens provisioned per client
+-- Version: 014
+-- Date: 2026-10-19
+-- Author: System
+-- ============================================================================
+
+-- Description:
+-- The backend can mint a long-lived HA access token for each client through
+-- HA's auth/long_lived_access_token WebSocket command. The HA refresh token id
+-- is stored so the token can be deleted in HA when the client is revoked or
+-- deleted. Manually pasted tokens have no id.
+
+-- Changes:
+-- 1. Add ha_token_id to clients
+
+-- ============================================================================
+-- UP Migration
+-- ============================================================================
+
+ALTER TABLE clients ADD COLUMN ha_token_id TEXT;    -- NULL = no token or pasted manually
+
+-- ============================================================================
+-- DOWN Migration (for rollback)
+-- ============================================================================
+
+-- To rollback:
+-- ALTER TABLE clients DROP COLUMN ha_token_id;
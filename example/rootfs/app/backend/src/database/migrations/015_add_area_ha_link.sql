@@ -0,0 +1,37 @@
+-- ============================================================================
+-- Migration: Link areas to Home Assistant areas
+-- Version: 015
+-- Date: 2026-10-19
+-- Author: System
+-- ============================================================================
+
+-- Description:
+-- Areas can be imported from Home Assistant's area, device and entity
+-- registries. An imported area keeps the id of its HA area and the entity
+-- membership HA reported at the last import, so drift (entities added,
+-- removed or moved in HA since then) can be reported. entity_ids stays the
+-- list clients see and may be edited by admins after an import.
+
+-- Changes:
+-- 1. Add ha_area_id, synced_entity_ids and synced_at to areas
+-- 2. Add unique index on ha_area_id
+
+-- ============================================================================
+-- UP Migration
+-- ============================================================================
+
+ALTER TABLE areas ADD COLUMN ha_area_id TEXT;          -- NULL = created by hand
+ALTER TABLE areas ADD COLUMN synced_entity_ids TEXT;   -- JSON array, HA membership at the last import
+ALTER TABLE areas ADD COLUMN synced_at INTEGER;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_areas_ha_area_id ON areas(ha_area_id);
+
+-- ============================================================================
+-- DOWN Migration (for rollback)
+-- ============================================================================
+
+-- To rollback:
+-- DROP INDEX IF EXISTS idx_areas_ha_area_id;
+-- ALTER TABLE areas DROP COLUMN synced_at;
+-- ALTER TABLE areas DROP COLUMN synced_entity_ids;
+-- ALTER TABLE areas DROP COLUMN ha_area_id;
@@ -0,0 +1,41 @@
+-- ============================================================================
+-- Migration: Dashboard defaults, Lovelace links and client assignment
+-- Version: 016
+-- Date: 2026-10-19
+-- Author: System
+-- ============================================================================
+
+-- Description:
+-- Dashboards store their views and cards in dashboards.config. One dashboard
+-- can be the default for clients without an assigned dashboard. Dashboards
+-- imported from Home Assistant keep the Lovelace url_path they came from
+-- ('lovelace' for HA's default dashboard) so a re-import updates them.
+-- Clients get the id of their assigned dashboard.
+
+-- Changes:
+-- 1. Add is_default, ha_url_path and synced_at to dashboards
+-- 2. Add unique index on dashboards.ha_url_path
+-- 3. Add dashboard_id to clients
+
+-- ============================================================================
+-- UP Migration
+-- ============================================================================
+
+ALTER TABLE dashboards ADD COLUMN is_default INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE dashboards ADD COLUMN ha_url_path TEXT;    -- NULL = created in HAsync
+ALTER TABLE dashboards ADD COLUMN synced_at INTEGER;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dashboards_ha_url_path ON dashboards(ha_url_path);
+
+ALTER TABLE clients ADD COLUMN dashboard_id TEXT;      -- NULL = default dashboard
+
+-- ============================================================================
+-- DOWN Migration (for rollback)
+-- ============================================================================
+
+-- To rollback:
+-- ALTER TABLE clients DROP COLUMN dashboard_id;
+-- DROP INDEX IF EXISTS idx_dashboards_ha_url_path;
+-- ALTER TABLE dashboards DROP COLUMN synced_at;
+-- ALTER TABLE dashboards DROP COLUMN ha_url_path;
+-- ALTER TABLE dashboards DROP COLUMN is_default;
@@ -0,0 +1,58 @@
+-- ============================================================================
+-- Migration: Add inbound webhooks and the client notification queue
+-- Version: 017
+-- Date: 2026-10-19
+-- Author: System
+-- ============================================================================
+
+-- Description:
+-- Webhooks let Home Assistant (e.g. a rest_command) or other systems show a
+-- notification on devices. Each webhook has its own secret, of which only the
+-- SHA-256 hash is stored, and a target: one client, a list of clients or all
+-- clients with an area. Notifications for clients that are not connected are
+-- queued in client_notifications until the client connects or they expire.
+
+-- Changes:
+-- 1. Create webhooks table
+-- 2. Create client_notifications table
+-- 3. Add index for queued notifications per client
+
+-- ============================================================================
+-- UP Migration
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS webhooks (
+    id TEXT PRIMARY KEY,                        -- part of the URL, /api/webhooks/<id>
+    name TEXT NOT NULL,
+    secret_hash TEXT NOT NULL,
+    secret_hint TEXT NOT NULL,                  -- last characters of the secret, for the admin UI
+    target_type TEXT NOT NULL CHECK(target_type IN ('client', 'clients', 'area')),
+    target_ids TEXT NOT NULL DEFAULT '[]',      -- JSON array of client ids, or the area id
+    created_by TEXT,
+    created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+    last_used_at INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS client_notifications (
+    id TEXT NOT NULL,                           -- shared by all recipients of a notification
+    client_id TEXT NOT NULL,
+    webhook_id TEXT,
+    title TEXT NOT NULL,
+    message TEXT NOT NULL,
+    severity TEXT NOT NULL DEFAULT 'info',
+    entity_id TEXT,                             -- entity the device should focus, if any
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    PRIMARY KEY (id, client_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_notifications_client ON client_notifications(client_id, created_at);
+
+-- ============================================================================
+-- DOWN Migration (for rollback)
+-- ============================================================================
+
+-- To rollback:
+-- DROP INDEX IF EXISTS idx_client_notifications_client;
+-- DROP TABLE IF EXISTS client_notifications;
+-- DROP TABLE IF EXISTS webhooks;
@@ -0,0 +1,80 @@
+-- ============================================================================
+-- Migration: Add outbound webhook subscriptions, deliveries and dead letters
+-- Version: 018
+-- Date: 2026-10-19
+-- Author: System
+-- ============================================================================
+
+-- Description:
+-- Webhook subscriptions POST HAsync events (pairing_completed, client_deleted,
+-- token_revoked, area_updated, login_failed) to an external URL, signed with
+-- HMAC-SHA256 using the subscription's secret. The secret is needed to sign,
+-- so it is stored encrypted like the other secrets at rest. Every event sent
+-- to a subscription is one delivery; failed attempts are retried with
+-- backoff, and deliveries that run out of attempts are copied to
+-- webhook_dead_letters so they can be inspected and sent again.
+
+-- Changes:
+-- 1. Create webhook_subscriptions table
+-- 2. Create webhook_deliveries table
+-- 3. Create webhook_dead_letters table
+-- 4. Add indexes for due deliveries and delivery history
+
+-- ============================================================================
+-- UP Migration
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,                       -- encrypted, see utils/secrets.ts
+    events TEXT NOT NULL DEFAULT '[]',          -- JSON array of event types
+    is_enabled INTEGER NOT NULL DEFAULT 1,
+    created_by TEXT,
+    created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+    updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    subscription_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    payload TEXT NOT NULL,                      -- request body, sent unchanged on every attempt
+    status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER,                    -- NULL once delivered or failed
+    last_status_code INTEGER,
+    last_error TEXT,
+    created_at INTEGER NOT NULL,
+    completed_at INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+    id TEXT PRIMARY KEY,
+    delivery_id TEXT NOT NULL,
+    subscription_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    attempts INTEGER NOT NULL,
+    last_status_code INTEGER,
+    last_error TEXT,
+    failed_at INTEGER NOT NULL,
+    redelivered_at INTEGER                      -- set when an admin sent it again
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_failed ON webhook_dead_letters(failed_at);
+
+-- ============================================================================
+-- DOWN Migration (for rollback)
+-- ============================================================================
+
+-- To rollback:
+-- DROP INDEX IF EXISTS idx_webhook_dead_letters_failed;
+-- DROP INDEX IF EXISTS idx_webhook_deliveries_subscription;
+-- DROP INDEX IF EXISTS idx_webhook_deliveries_due;
+-- DROP TABLE IF EXISTS webhook_dead_letters;
+-- DROP TABLE IF EXISTS webhook_deliveries;
+-- DROP TABLE IF EXISTS webhook_subscriptions;
@@ -15,7 +15,8 @@ export class AppError extends Error {
   ) {
     super(message);
     this.name = this.constructor.name;
-    Object.setPrototypeOf(this, AppError.prototype);
+    // Prototype of the subclass actually constructed, so instanceof works on every error class
+    Object.setPrototypeOf(this, new.target.prototype);
     Error.captureStackTrace(this, this.constructor);
   }
 }
@@ -85,3 +86,40 @@ export class ServiceUnavailableError extends AppError {
     super(503, message);
   }
 }
+
+/**
+ * Home Assistant API error
+ * Base class for errors of the HA WebSocket connection
+ */
+export class HomeAssistantError extends AppError {
+  constructor(statusCode: number, message: string, public code?: string) {
+    super(statusCode, message);
+  }
+}
+
+/**
+ * 503 - No authenticated connection to Home Assistant
+ */
+export class HANotConnectedError extends HomeAssistantError {
+  constructor(details: string = 'not connected') {
+    super(503, `Home Assistant is unavailable: ${details}`, 'not_connected');
+  }
+}
+
+/**
+ * 504 - Home Assistant did not answer a request in time
+ */
+export class HATimeoutError extends HomeAssistantError {
+  constructor(requestType: string, timeoutMs: number) {
+    super(504, `Home Assistant did not answer ${requestType} within ${timeoutMs}ms`, 'timeout');
+  }
+}
+
+/**
+ * 502 - Home Assistant answered a request with an error
+ */
+export class HARequestError extends HomeAssistantError {
+  constructor(requestType: string, error: { code?: string; message?: string } | null | undefined) {
+    super(502, `Home Assistant rejected ${requestType}: ${error?.message || error?.code || 'unknown error'}`, error?.code);
+  }
+}
@@ -13,7 +13,7 @@ import { Server as SocketIOServer } from 'socket.io';
 import Database from 'better-sqlite3';
 import { join } from 'path';
 import { readFileSync, existsSync } from 'fs';
-import { randomBytes } from 'crypto';
+import { randomBytes, createHash } from 'crypto';
 import csrf from 'csurf';
 import cookieParser from 'cookie-parser';
 import swaggerUi from 'swagger-ui-express';
@@ -26,12 +26,13 @@ import {
   validateTLSConfig
 } from './config/tls';
 import { httpsRedirect, securityHeaders } from './middleware/https-redirect';
-import { socketAuthMiddleware } from './middleware/socketAuth';
+import { createSocketAuthMiddleware } from './middleware/socketAuth';
 import {
   validateSubscribe,
   validateEntityUpdate,
   validatePairing,
   validateConfigUpdate,
+  validateCallService,
   validateRoomName,
 } from './utils/socketValidation';
 import {
@@ -49,37 +50,118 @@ import {
   setupUncaughtExceptionHandler
 } from './middleware/errorHandler';
 import {
+  AppError,
   NotFoundError,
   ValidationError,
+  ForbiddenError,
+  ConflictError,
   ServiceUnavailableError
 } from './errors/AppError';
+import { ZodError } from 'zod';
 import { createLogger } from './utils/logger';
 import { createAdminRouter } from './routes/admin';
 import { createAuthRouter } from './routes/auth';
+import { createUsersRouter } from './routes/users';
+import { createClientTokenRouter } from './routes/client-tokens';
+import { createApiKeysRouter } from './routes/api-keys';
+import { createEnrollmentProfilesRouter } from './routes/enrollment-profiles';
+import { createDashboardsRouter } from './routes/dashboards';
+import { createWebhookReceiver, createWebhooksRouter } from './routes/webhooks';
+import { createWebhookSubscriptionsRouter } from './routes/webhook-subscriptions';
+import { verifyApiKey } from './services/apiKeys';
+import { getRequiredScope } from './utils/apiKeys';
+import {
+  buildPairingUri,
+  verifyPairingSignature,
+  normalizeServerUrl,
+  getCertificateFingerprint
+} from './utils/pairingLink';
 import { createRequestLoggerMiddleware } from './middleware/requestLogger';
 import {
   registerClientSocket,
   unregisterClientSocket,
   notifyClient,
+  notifyAdmins,
   notifyClientsWithArea,
   notifyAllClients,
   disconnectClient,
+  disconnectAdmin,
   notifyAreaAdded,
   notifyAreaRemoved,
   notifyPairingCompleted,
   getConnectedClientCount,
+  isClientConnected,
+  initializeSocketEvents,
+  ADMINS_ROOM,
   EVENT_TYPES
 } from './services/websocket-events';
 import {
-  generateClientToken,
   hashToken,
   verifyClientToken,
   createUnifiedAuthMiddleware,
   revokeClientToken,
-  cleanupExpiredTokens
+  cleanupExpiredTokens,
+  issueClientTokenPair,
+  rotateRefreshToken,
+  resolveClientToken,
+  revokeAllClientTokens,
+  getPrimaryTokenFamily
 } from './utils/tokenUtils';
 import { migratePairingTables, startPairingCleanupJob } from './database/migrate-pairing';
+import {
+  checkPairingBackoff,
+  findPairingSession,
+  recordPairingFailure,
+  clearPairingFailures,
+  PairingFailureResult,
+  MAX_SESSION_FAILURES
+} from './services/pairingAttempts';
+import {
+  getPairingPolicy,
+  setPairingPolicy,
+  notifyPairingSessionUpdate,
+  waitForPairingSessionUpdate,
+  APPROVAL_WINDOW_SECONDS
+} from './services/pairingPolicy';
+import { redeemEnrollmentCode } from './services/enrollmentProfiles';
+import { isEnrollmentCode } from './utils/enrollmentCodes';
+import { migrateClientTokensTable } from './database/migrate-client-tokens';
+import { migrateApiKeysTable } from './database/migrate-api-keys';
+import { migrateEnrollmentProfilesTable } from './database/migrate-enrollment-profiles';
+import { migrateAreaSyncColumns } from './database/migrate-area-sync';
+import { migrateDashboardsTable } from './database/migrate-dashboards';
+import { migrateWebhooksTables } from './database/migrate-webhooks';
+import { migrateWebhookSubscriptionsTables } from './database/migrate-webhook-subscriptions';
+import { migrateUsersTable, seedOwnerAccount } from './database/migrate-users';
+import { migrateStoredSecrets } from './database/migrate-secrets';
+import { loadHAConfig, saveHAConfig, trackStoredSecretsKey, HAConfig } from './services/secretStore';
+import {
+  withProvisioningConnection,
+  provisionClientHAToken,
+  releaseClientHAToken,
+  deleteHAToken
+} from './services/haTokenProvisioning';
+import { encryptSecret, decryptSecret, maskSecret } from './utils/secrets';
+import {
+  verifyAdminCredentials,
+  issueMfaPendingToken,
+  completeMfaLogin,
+  getMfaPendingUsername,
+  AdminAccount
+} from './services/mfa';
+import { ingressFrameHeaders, isIngressRequest, serveFrontend, createIngressLoginHandler, linkIngressLogin } from './middleware/ingress';
+import { validateBody } from './validation/middleware';
+import { mfaLoginSchema, pairingPolicySchema, serviceCallSchema, importAreasSchema, assignDashboardSchema } from './validation/schemas';
+import { canAccessRoute, isAdminRole } from './utils/roles';
 import { HomeAssistantService } from './services/homeassistant';
+import { EntityStateCache } from './services/entityCache';
+import { StateFanout } from './services/stateFanout';
+import { HAEventPublisher } from './services/haEvents';
+import { callServiceForClient } from './services/serviceCalls';
+import { AreaDriftMonitor, fetchRegistries, importAreas } from './services/areaSync';
+import { assignDashboard, getClientDashboard, getDashboard } from './services/dashboards';
+import { clearQueuedNotifications, deliverQueuedNotifications } from './services/clientNotifications';
+import { WebhookDispatcher, describeClientForWebhook } from './services/webhookDispatcher';
 
 // Initialize logger
 const logger = createLogger('Server');
@@ -135,11 +217,14 @@ const app = express();
 // Create HTTP server (for redirect) and HTTPS server based on TLS configuration
 let mainServer: any;
 let httpRedirectServer: any;
+// Included in pairing QR codes so devices can pin the (usually self-signed) certificate
+let serverCertFingerprint: string | null = null;
 
 if (tlsOptions.enabled) {
   const tlsConfig = loadTLSCertificates(tlsOptions);
   const httpsOptions = createHTTPSOptions(tlsConfig!);
   mainServer = createHttpsServer(httpsOptions, app);
+  serverCertFingerprint = getCertificateFingerprint(tlsConfig!.cert);
 
   // Create HTTP redirect server if enabled
   if (tlsOptions.redirectHttp) {
@@ -188,6 +273,9 @@ const io = new SocketIOServer(mainServer, {
   }
 });
 
+// Per-client notifications go to client:<id> rooms - io.emit() refuses client-specific events
+initializeSocketEvents(io);
+
 // Rate limiting configurations
 // Auth endpoints: 100 requests per 15 minutes per IP for development (prevents brute force in production)
 const authLimiter = rateLimit({
@@ -249,6 +337,21 @@ const readLimiter = rateLimit({
   }
 });
 
+// Inbound webhooks: 60 requests per minute per IP (a doorbell automation may fire in bursts)
+const webhookLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: 'Too many webhook requests',
+      message: 'Please try again later. Maximum 60 webhook requests per minute.',
+      retryAfter: '1 minute'
+    });
+  }
+});
+
 // Authentication Middleware - Extract and verify JWT token (supports both admin and client tokens)
 const authenticate = (req, res, next) => {
   logger.debug('Authenticate middleware', {
@@ -258,6 +361,39 @@ const authenticate = (req, res, next) => {
     authHeaderPreview: req.headers.authorization ? req.headers.authorization.substring(0, 20) + '...' : 'none'
   });
 
+  // Scoped API keys (automations, scripts) - never valid outside their scopes
+  if (req.headers.authorization?.startsWith('ApiKey ')) {
+    const result = verifyApiKey(db, req.headers.authorization.slice('ApiKey '.length).trim(), req.ip);
+    if (!result.valid) {
+      logger.warn(`API key rejected (${result.reason}) for ${req.method} ${req.path}`);
+      return res.status(401).json({
+        error: 'Invalid API key',
+        code: result.reason
+      });
+    }
+
+    const requestPath = `${req.baseUrl || ''}${req.path}`;
+    const requiredScope = getRequiredScope(req.method, requestPath);
+    if (!requiredScope || !result.key.scopes.includes(requiredScope)) {
+      logger.warn(`API key ${result.key.name} lacks scope ${requiredScope || '(none)'} for ${req.method} ${requestPath}`);
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: requiredScope
+          ? `This API key is missing the ${requiredScope} scope`
+          : 'This route is not available to API keys'
+      });
+    }
+
+    req.user = {
+      id: `apikey:${result.key.id}`,
+      username: `apikey:${result.key.name}`,
+      role: 'admin',
+      apiKeyId: result.key.id,
+      scopes: result.key.scopes
+    };
+    return next();
+  }
+
   const token = req.headers.authorization?.replace('Bearer ', '');
   if (!token) {
     logger.warn('Authentication failed: No token provided', {
@@ -278,17 +414,36 @@ const authenticate = (req, res, next) => {
 
     // Check token type
     if (decoded.role === 'admin') {
-      // Admin token
+      // Admin token - the users table is the source of truth for role and status
+      const account: any = db.prepare('SELECT id, role, is_active FROM users WHERE username = ?').get(decoded.username);
+
+      if (!account || account.is_active !== 1 || !isAdminRole(account.role)) {
+        return res.status(401).json({
+          error: 'Account disabled or removed',
+          message: 'This account no longer has access. Please log in again.'
+        });
+      }
+
+      const requestPath = `${req.baseUrl || ''}${req.path}`;
+      if (!canAccessRoute(account.role, req.method, requestPath)) {
+        logger.warn(`Role ${account.role} denied for ${req.method} ${requestPath} (${decoded.username})`);
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `Your role (${account.role}) does not allow this action`
+        });
+      }
+
       req.user = {
         id: decoded.username,
+        userId: account.id,
         username: decoded.username,
-        role: 'admin'
+        role: 'admin',
+        adminRole: account.role
       };
       next();
     } else if (decoded.role === 'client') {
-      // Client token - verify hash in database
-      const tokenHash = hashToken(token);
-      const client: any = db.prepare('SELECT * FROM clients WHERE token_hash = ? AND is_active = 1').get(tokenHash);
+      // Client token - resolve through client_tokens (revocation, expiry, per-token areas)
+      const client = resolveClientToken(db, token, decoded);
 
       if (!client) {
         return res.status(401).json({
@@ -298,14 +453,16 @@ const authenticate = (req, res, next) => {
       }
 
       req.user = {
-        id: client.id,
-        clientId: client.id,
+        id: client.clientId,
+        clientId: client.clientId,
+        tokenId: client.tokenId,
+        familyId: decoded.fid || null,
         role: 'client',
-        assignedAreas: client.assigned_areas ? JSON.parse(client.assigned_areas) : []
+        assignedAreas: client.assignedAreas
       };
 
       // Update last_seen
-      db.prepare('UPDATE clients SET last_seen = ? WHERE id = ?').run(Math.floor(Date.now() / 1000), client.id);
+      db.prepare('UPDATE clients SET last_seen = ? WHERE id = ?').run(Math.floor(Date.now() / 1000), client.clientId);
 
       next();
     } else {
@@ -390,8 +547,11 @@ app.use((_req, res, next) => {
   next();
 });
 
+// Home Assistant shows the UI in a sidebar frame when opened through ingress
+app.use(ingressFrameHeaders());
+
 // Middleware - Permissive CORS for Home Assistant addon (internal network only)
-app.use(cors({
+const corsMiddleware = cors({
   origin: (origin, callback) => {
     // SECURITY: Only allow requests without Origin header from localhost or trusted tools
     // This prevents bypassing CORS by omitting the Origin header
@@ -442,7 +602,10 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization', 'CSRF-Token', 'X-CSRF-Token'],
   exposedHeaders: ['CSRF-Token'],
   maxAge: 86400 // 24 hours preflight cache
-}));
+});
+// Ingress requests are same-origin for the browser - the page is proxied through Home Assistant,
+// whose origin (any hostname HA is reached under) is not in the allowed list
+app.use((req, res, next) => (isIngressRequest(req) ? next() : corsMiddleware(req, res, next)));
 app.use(express.json());
 app.use(cookieParser());
 
@@ -483,8 +646,8 @@ const csrfProtection = (req: any, res: any, next: any) => {
     allHeaders: Object.keys(req.headers)
   });
 
-  // Skip CSRF if using Bearer token (JWT authentication)
-  if (authHeader && authHeader.startsWith('Bearer ')) {
+  // Skip CSRF if using Bearer token (JWT authentication) or an API key
+  if (authHeader && (authHeader.startsWith('Bearer ') || authHeader.startsWith('ApiKey '))) {
     logger.info('✓ Skipping CSRF for JWT-authenticated request', {
       method: req.method,
       path: req.path
@@ -556,6 +719,22 @@ try {
     }
   }
 
+  // Link areas to Home Assistant areas
+  try {
+    migrateAreaSyncColumns(db);
+    logger.info('✓ Area sync columns ready');
+  } catch (error: any) {
+    logger.warn(`Area sync migration warning: ${error.message}`);
+  }
+
+  // Dashboard assignment, default dashboard and Lovelace import
+  try {
+    migrateDashboardsTable(db);
+    logger.info('✓ Dashboard columns ready');
+  } catch (error: any) {
+    logger.warn(`Dashboard migration warning: ${error.message}`);
+  }
+
   // Run pairing migration
   const pairingMigrationPath = join(__dirname, 'database', 'schema-migration-pairing.sql');
   if (existsSync(pairingMigrationPath)) {
@@ -593,6 +772,67 @@ try {
     logger.warn(`Pairing migration warning: ${error.message}`);
   }
 
+  // Run client tokens migration (refresh token families)
+  try {
+    migrateClientTokensTable(db);
+    logger.info('✓ Client tokens table ready');
+  } catch (error: any) {
+    logger.warn(`Client tokens migration warning: ${error.message}`);
+  }
+
+  // Run API keys migration
+  try {
+    migrateApiKeysTable(db);
+    logger.info('✓ API keys table ready');
+  } catch (error: any) {
+    logger.warn(`API keys migration warning: ${error.message}`);
+  }
+
+  // Run enrollment profiles migration
+  try {
+    migrateEnrollmentProfilesTable(db);
+    logger.info('✓ Enrollment profiles table ready');
+  } catch (error: any) {
+    logger.warn(`Enrollment profiles migration warning: ${error.message}`);
+  }
+
+  // Run webhooks migration (inbound webhooks and queued client notifications)
+  try {
+    migrateWebhooksTables(db);
+    logger.info('✓ Webhooks tables ready');
+  } catch (error: any) {
+    logger.warn(`Webhooks migration warning: ${error.message}`);
+  }
+
+  // Run webhook subscriptions migration (outbound webhooks, deliveries and dead letters)
+  try {
+    migrateWebhookSubscriptionsTables(db);
+    logger.info('✓ Webhook subscriptions tables ready');
+  } catch (error: any) {
+    logger.warn(`Webhook subscriptions migration warning: ${error.message}`);
+  }
+
+  // Run admin accounts migration and make sure the configured admin can log in
+  try {
+    migrateUsersTable(db);
+    logger.info('✓ Users table ready');
+
+    seedOwnerAccount(db, ADMIN_USERNAME, ADMIN_PASSWORD).catch((error: any) => {
+      logger.error(`Failed to seed owner account: ${error.message}`);
+    });
+  } catch (error: any) {
+    logger.warn(`Users migration warning: ${error.message}`);
+  }
+
+  // Encrypt secrets still stored in plaintext (HA tokens, TOTP secrets)
+  try {
+    trackStoredSecretsKey(db);
+    migrateStoredSecrets(db);
+    logger.info('✓ Stored secrets encrypted');
+  } catch (error: any) {
+    logger.warn(`Secrets migration warning: ${error.message}`);
+  }
+
   // Create initial backup on startup
   const backupDir = process.env.BACKUP_DIR || join(__dirname, '../../backups');
   try {
@@ -605,6 +845,10 @@ try {
   console.error('✗ Database error:', error);
 }
 
+// POSTs pairing, revocation, area and failed login events to webhook subscriptions, with retries
+const webhookDispatcher = new WebhookDispatcher(db);
+webhookDispatcher.start();
+
 // Swagger API documentation - CUSTOM SETUP to avoid HTTPS/HTTP issues
 try {
   const swaggerPath = join(__dirname, 'swagger.yaml');
@@ -729,13 +973,18 @@ app.get('/api/health', (_req, res) => {
     services: {
       api: 'running',
       database: db ? 'connected' : 'disconnected',
-      websocket: 'initializing'
+      websocket: 'initializing',
+      homeAssistant: haService ? haService.getConnectionStatus().state : 'not_configured'
     },
     version: VERSION
   };
   res.json(health);
 });
 
+// Enrollment profiles - multi-use codes for provisioning fleets of devices
+// Mounted before the inline /api/pairing/:sessionId routes so the path is not taken for a session id
+app.use('/api/pairing/enrollment-profiles', writeLimiter, csrfProtection, createEnrollmentProfilesRouter(db, authenticate));
+
 // Pairing endpoint - Admin must be logged in to generate PIN
 // SECURITY: Only authenticated admin can generate pairing PINs
 // Flow: Admin login → Generate PIN → Enter PIN on other device → Other device pairs
@@ -749,6 +998,21 @@ app.post('/api/pairing/create', authLimiter, authenticate, (req, res) => {
     });
   }
 
+  // Re-pair PIN: the device that verifies it replaces an existing client in place
+  const replaceClientId = req.body?.replaceClientId;
+  let replacedClient: any = null;
+  if (replaceClientId !== undefined && replaceClientId !== null) {
+    replacedClient = typeof replaceClientId === 'string'
+      ? db.prepare('SELECT id, name FROM clients WHERE id = ? AND is_active = ?').get(replaceClientId, 1)
+      : null;
+    if (!replacedClient) {
+      return res.status(404).json({
+        error: 'Client not found',
+        message: `Client with id '${replaceClientId}' does not exist`
+      });
+    }
+  }
+
   try {
     // SECURITY FIX: Use cryptographically secure random number generation
     const pinNumber = randomBytes(3).readUIntBE(0, 3) % 900000 + 100000;
@@ -759,17 +1023,35 @@ app.post('/api/pairing/create', authLimiter, authenticate, (req, res) => {
 
     // Store pairing session in database
     db.prepare(`
-      INSERT INTO pairing_sessions (id, pin, expires_at, created_at, status)
-      VALUES (?, ?, ?, ?, ?)
-    `).run(sessionId, pin, expiresAtTimestamp, createdAtTimestamp, 'pending');
+      INSERT INTO pairing_sessions (id, pin, expires_at, created_at, status, replaces_client_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(sessionId, pin, expiresAtTimestamp, createdAtTimestamp, 'pending', replacedClient?.id ?? null);
+
+    logger.info(`[Pairing] Admin ${req.user.username} generated PIN: ${pin} (session: ${sessionId})`
+      + (replacedClient ? ` to replace the device of client ${replacedClient.id}` : ''));
 
-    logger.info(`[Pairing] Admin ${req.user.username} generated PIN: ${pin} (session: ${sessionId})`);
+    // Web UI base URL the device should open - sent by the wizard, falls back to the request origin
+    const serverUrl = normalizeServerUrl(req.body?.serverUrl)
+      || normalizeServerUrl(req.get('origin'))
+      || `${req.protocol}://${req.get('host')}`;
+
+    const pairingUri = buildPairingUri({
+      server: serverUrl,
+      sessionId,
+      pin,
+      expiresAt: expiresAtTimestamp,
+      fingerprint: serverCertFingerprint
+    }, JWT_SECRET);
 
     res.json({
       id: sessionId,
       pin,
       expiresAt: new Date(expiresAtTimestamp * 1000).toISOString(),
-      status: 'pending'
+      status: 'pending',
+      pairingUri,
+      certificateFingerprint: serverCertFingerprint,
+      replaceClientId: replacedClient?.id ?? null,
+      replaceClientName: replacedClient?.name ?? null
     });
   } catch (error: any) {
     logger.error(`[Pairing] Failed to create pairing session: ${error.message}`);
@@ -780,12 +1062,326 @@ app.post('/api/pairing/create', authLimiter, authenticate, (req, res) => {
   }
 });
 
+// Pairing QR codes open <web UI>/pair?... - the production static server proxies unknown
+// paths here, so hand the link back to the single-page app as a hash route
+app.get('/pair', readLimiter, (req, res) => {
+  const queryIndex = req.originalUrl.indexOf('?');
+  const query = queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : '';
+  res.redirect(302, `/#/pair${query}`);
+});
+
+/**
+ * Count a failed PIN verification and tell admins when it looks like brute forcing
+ * @returns The failure result (retryAfter is the backoff the IP now has to wait)
+ */
+function handlePairingFailure(sessionId: string | null, ip: string, reason: string): PairingFailureResult {
+  const result = recordPairingFailure(db, sessionId, ip);
+
+  if (result.attackSuspected) {
+    const details = {
+      sessionId,
+      reason: result.sessionInvalidated ? 'session_invalidated' : 'ip_threshold',
+      lastFailure: reason,
+      sessionFailures: result.sessionFailures,
+      ipFailures: result.ipFailures
+    };
+
+    logger.warn(`[Pairing] Possible PIN brute force from ${ip}: ${JSON.stringify(details)}`);
+
+    db.prepare(`
+      INSERT INTO activity_log (client_id, action, details, ip_address)
+      VALUES (?, ?, ?, ?)
+    `).run(null, 'pairing_attack_suspected', JSON.stringify(details), ip);
+
+    notifyAdmins('pairing_attack_suspected', {
+      ...details,
+      ipAddress: ip,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Reply 429 if an IP is still in its backoff after repeated failed pairing attempts
+ * @returns true if the request was rejected
+ */
+function rejectIfPairingBackoff(res: any, ip: string): boolean {
+  const backoff = checkPairingBackoff(db, ip);
+  if (backoff.allowed) {
+    return false;
+  }
+
+  logger.warn(`[Pairing] Verify from ${ip} blocked by backoff (${backoff.retryAfter}s left)`);
+  res.set('Retry-After', String(backoff.retryAfter));
+  res.status(429).json({
+    error: 'Too many failed pairing attempts',
+    message: `Please wait ${backoff.retryAfter} seconds before trying again.`,
+    retryAfter: backoff.retryAfter
+  });
+  return true;
+}
+
+/**
+ * Pair a device with a multi-use enrollment code
+ * The code was issued by an admin together with the preset, so the device is paired
+ * immediately (also in approval mode) and gets the profile's name, type and areas.
+ */
+function enrollDevice(req: any, res: any, code: string) {
+  const { deviceName, deviceType } = req.body;
+
+  if (deviceName !== undefined && (typeof deviceName !== 'string' || deviceName.length < 1 || deviceName.length > 100)) {
+    throw new ValidationError('Device name must be 1-100 characters');
+  }
+
+  if (deviceType !== undefined && !['mobile', 'tablet', 'desktop', 'other'].includes(deviceType)) {
+    throw new ValidationError('Invalid device type');
+  }
+
+  const clientIp = req.ip || req.connection?.remoteAddress || 'unknown';
+  if (rejectIfPairingBackoff(res, clientIp)) {
+    return;
+  }
+
+  const clientId = `client_${Date.now()}`;
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  // Redeem the code and create the client together - a failed insert must not use up the code
+  const enrollment = db.transaction(() => {
+    const redemption = redeemEnrollmentCode(db, code, timestamp);
+    if (!redemption.valid) {
+      return redemption;
+    }
+
+    const profile = redemption.profile!;
+    // public_key/certificate are legacy NOT NULL UNIQUE columns
+    const pairingHash = hashToken(`${profile.id}:${redemption.sequence}`);
+
+    db.prepare(`
+      INSERT INTO clients (
+        id, name, device_type, public_key, certificate, paired_at, last_seen,
+        is_active, assigned_areas, dashboard_id, metadata, token_hash
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      clientId,
+      redemption.deviceName,
+      profile.deviceType || deviceType || 'other',
+      pairingHash,
+      pairingHash,
+      timestamp,
+      timestamp,
+      1,
+      JSON.stringify(profile.assignedAreas),
+      profile.dashboardId,
+      JSON.stringify({
+        deviceName: deviceName ? InputSanitizer.sanitizeString(deviceName, 100) : null,
+        pairingMethod: 'enrollment',
+        enrollmentProfileId: profile.id,
+        enrollmentSequence: redemption.sequence,
+        dashboardId: profile.dashboardId,
+        pairedAt: new Date().toISOString()
+      }),
+      null
+    );
+
+    return redemption;
+  })();
+
+  if (!enrollment.valid) {
+    logger.warn(`[Pairing] Enrollment code rejected (${enrollment.reason}) from ${clientIp}`);
+
+    if (enrollment.reason === 'invalid') {
+      handlePairingFailure(null, clientIp, 'invalid_enrollment_code');
+      throw new NotFoundError('Enrollment code');
+    }
+    throw new ValidationError(
+      enrollment.reason === 'exhausted'
+        ? 'This enrollment code has been used the maximum number of times.'
+        : `This enrollment code has ${enrollment.reason === 'expired' ? 'expired' : 'been revoked'}.`
+    );
+  }
+
+  clearPairingFailures(db, clientIp);
+
+  const profile = enrollment.profile!;
+  const clientName = enrollment.deviceName!;
+  const tokens = issueClientTokenPair(db, clientId, profile.assignedAreas);
+
+  logger.info(`[Pairing] Device enrolled with profile ${profile.name}: ${clientId} (${clientName})`);
+
+  db.prepare(`
+    INSERT INTO activity_log (client_id, action, details, ip_address)
+    VALUES (?, ?, ?, ?)
+  `).run(
+    clientId,
+    'enrollment_completed',
+    JSON.stringify({ enrollmentProfileId: profile.id, clientName, sequence: enrollment.sequence }),
+    clientIp
+  );
+
+  notifyAdmins('enrollment_completed', {
+    enrollmentProfileId: profile.id,
+    clientId,
+    clientName,
+    useCount: profile.useCount,
+    maxUses: profile.maxUses,
+    timestamp: new Date().toISOString()
+  });
+
+  publishPairingCompleted(clientId, { method: 'enrollment' });
+  autoProvisionHAToken({ id: clientId, name: clientName });
+
+  res.json({
+    success: true,
+    message: 'Device enrolled successfully.',
+    status: 'completed',
+    clientId,
+    clientName,
+    assignedAreas: profile.assignedAreas,
+    dashboardId: profile.dashboardId,
+    clientToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn,
+    refreshExpiresIn: tokens.refreshExpiresIn
+  });
+}
+
+/**
+ * Move an existing client to a new device (re-pair PIN)
+ * Name, assigned areas, HA token and history stay with the client; the old device's
+ * tokens are revoked, its socket is disconnected and the new device gets fresh tokens.
+ */
+function replaceClientDevice(req: any, res: any, session: any, deviceName: string, deviceType: string, pairingMethod: string) {
+  const clientId: string = session.replaces_client_id;
+  const sanitizedName = InputSanitizer.sanitizeString(deviceName, 100);
+  const ipAddress = req.ip || req.connection?.remoteAddress;
+  const now = Math.floor(Date.now() / 1000);
+  // public_key/certificate are legacy NOT NULL UNIQUE columns - the session hash keeps them unique
+  const pairingHash = hashToken(session.id);
+
+  const client: any = db.transaction(() => {
+    const existing: any = db.prepare('SELECT * FROM clients WHERE id = ? AND is_active = ?').get(clientId, 1);
+    if (!existing) {
+      db.prepare(`UPDATE pairing_sessions SET status = 'expired' WHERE id = ?`).run(session.id);
+      return null;
+    }
+
+    const updated = db.prepare(`
+      UPDATE pairing_sessions
+      SET status = 'completed',
+          device_name = ?,
+          device_type = ?,
+          client_id = ?
+      WHERE id = ? AND status = 'pending'
+    `).run(sanitizedName, deviceType, clientId, session.id);
+
+    if (updated.changes === 0) {
+      throw new ValidationError('Pairing session is no longer pending');
+    }
+
+    let metadata: Record<string, any> = {};
+    try {
+      metadata = JSON.parse(existing.metadata || '{}');
+    } catch (error) {
+      // Unreadable legacy metadata - start over
+    }
+
+    db.prepare(`
+      UPDATE clients
+      SET device_type = ?,
+          public_key = ?,
+          certificate = ?,
+          paired_at = ?,
+          last_seen = ?,
+          metadata = ?,
+          token_hash = NULL
+      WHERE id = ?
+    `).run(
+      deviceType,
+      pairingHash,
+      pairingHash,
+      now,
+      now,
+      JSON.stringify({
+        ...metadata,
+        deviceName: sanitizedName,
+        sessionId: session.id,
+        pairingMethod,
+        pairedAt: new Date().toISOString(),
+        replacedAt: new Date().toISOString(),
+        previousDeviceName: metadata.deviceName ?? null
+      }),
+      clientId
+    );
+
+    revokeAllClientTokens(db, clientId, 'Device replaced');
+    return existing;
+  })();
+
+  if (!client) {
+    logger.warn(`[Pairing] Client ${clientId} to replace no longer exists (session: ${session.id})`);
+    throw new ValidationError('The client this PIN was generated for no longer exists. Please generate a new PIN.');
+  }
+
+  const assignedAreas: string[] = JSON.parse(client.assigned_areas || '[]');
+  const tokens = issueClientTokenPair(db, clientId, assignedAreas);
+  db.prepare('UPDATE pairing_sessions SET client_token_hash = ? WHERE id = ?').run(hashToken(tokens.refreshToken), session.id);
+
+  // The old device may still be connected with a token that no longer works
+  disconnectClient(clientId, 'Device replaced');
+
+  logger.info(`[Pairing] Client ${clientId} (${client.name}) moved to new device ${sanitizedName} (session: ${session.id})`);
+
+  db.prepare(`
+    INSERT INTO activity_log (client_id, action, details, ip_address)
+    VALUES (?, ?, ?, ?)
+  `).run(
+    clientId,
+    'device_replaced',
+    JSON.stringify({ sessionId: session.id, clientName: client.name, deviceName: sanitizedName, deviceType, pairingMethod }),
+    ipAddress
+  );
+
+  notifyAdmins('pairing_completed', {
+    sessionId: session.id,
+    clientId,
+    clientName: client.name,
+    deviceName: sanitizedName,
+    deviceType,
+    assignedAreas,
+    replaced: true,
+    timestamp: new Date().toISOString()
+  });
+  publishPairingCompleted(clientId, { method: pairingMethod, replaced: true });
+
+  res.json({
+    success: true,
+    message: 'PIN verified. This device has replaced the previous one.',
+    sessionId: session.id,
+    status: 'completed',
+    replaced: true,
+    clientId,
+    clientName: client.name,
+    assignedAreas,
+    clientToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn,
+    refreshExpiresIn: tokens.refreshExpiresIn
+  });
+}
+
 // Verify pairing PIN - PUBLIC endpoint (no authentication required)
-// Client enters PIN to verify pairing session
+// Client enters PIN to verify pairing session, or an enrollment code in place of the session id
 app.post('/api/pairing/:sessionId/verify', authLimiter, asyncHandler(async (req: any, res: any) => {
   const { sessionId } = req.params;
   const { pin, deviceName, deviceType } = req.body;
 
+  if (isEnrollmentCode(sessionId)) {
+    logger.info('[Pairing] Enrollment attempt');
+    return enrollDevice(req, res, sessionId);
+  }
+
   logger.info(`[Pairing] Verify attempt for session: ${sessionId}`);
 
   // Validate input
@@ -806,18 +1402,38 @@ app.post('/api/pairing/:sessionId/verify', authLimiter, asyncHandler(async (req:
     throw new ValidationError('Invalid device type');
   }
 
-  // Get pairing session from database
-  // If sessionId looks like a PIN (6 digits), search by PIN instead
-  let session: any;
-  if (/^\d{6}$/.test(sessionId)) {
-    logger.info(`[Pairing] Looking up session by PIN: ${sessionId}`);
-    session = db.prepare('SELECT * FROM pairing_sessions WHERE pin = ? AND status = ?').get(sessionId, 'pending');
-  } else {
-    session = db.prepare('SELECT * FROM pairing_sessions WHERE id = ?').get(sessionId);
+  // Devices pairing from a QR code echo the signed link back - reject links that were altered
+  const { pairingLink } = req.body;
+  if (pairingLink) {
+    const expiresAt = Number(pairingLink.exp);
+    const linkValid = typeof pairingLink.sig === 'string'
+      && typeof pairingLink.server === 'string'
+      && Number.isInteger(expiresAt)
+      && verifyPairingSignature({
+        server: pairingLink.server,
+        sessionId,
+        pin,
+        expiresAt,
+        fingerprint: typeof pairingLink.fp === 'string' ? pairingLink.fp : null
+      }, pairingLink.sig, JWT_SECRET);
+
+    if (!linkValid) {
+      logger.warn(`[Pairing] Invalid pairing link signature for session: ${sessionId}`);
+      throw new ValidationError('Invalid pairing link');
+    }
+  }
+
+  // Exponential backoff per source IP after repeated wrong PINs
+  const clientIp = req.ip || req.connection?.remoteAddress || 'unknown';
+  if (rejectIfPairingBackoff(res, clientIp)) {
+    return;
   }
 
+  const session = findPairingSession(db, sessionId);
   if (!session) {
+    // Unknown session ids count against the IP, so guessing ids is slowed down like guessing PINs
     logger.warn(`[Pairing] Session not found: ${sessionId}`);
+    handlePairingFailure(null, clientIp, 'session_not_found');
     throw new NotFoundError('Pairing session');
   }
 
@@ -828,6 +1444,11 @@ app.post('/api/pairing/:sessionId/verify', authLimiter, asyncHandler(async (req:
     throw new ValidationError('Pairing session has expired. Please generate a new PIN.');
   }
 
+  if (session.status === 'expired' && session.failed_attempts >= MAX_SESSION_FAILURES) {
+    logger.warn(`[Pairing] Verify attempt on locked session: ${sessionId}`);
+    throw new ValidationError('Pairing session was locked after too many wrong PINs. Please generate a new PIN.');
+  }
+
   // Check if session is already used
   if (session.status !== 'pending') {
     logger.warn(`[Pairing] Session already ${session.status}: ${sessionId}`);
@@ -837,7 +1458,76 @@ app.post('/api/pairing/:sessionId/verify', authLimiter, asyncHandler(async (req:
   // Validate PIN
   if (session.pin !== pin) {
     logger.warn(`[Pairing] Invalid PIN for session: ${sessionId}`);
-    throw new ValidationError('Invalid PIN');
+    const failure = handlePairingFailure(session.id, clientIp, 'invalid_pin');
+
+    if (failure.sessionInvalidated) {
+      throw new ValidationError('Too many wrong PINs - this pairing session has been invalidated. Please generate a new PIN.');
+    }
+    throw new ValidationError(
+      `Invalid PIN. ${MAX_SESSION_FAILURES - failure.sessionFailures} attempt(s) left before this session is locked.`
+    );
+  }
+
+  clearPairingFailures(db, clientIp);
+
+  // Re-pair PIN - the admin picked the client when generating it, so no further approval is needed
+  if (session.replaces_client_id) {
+    return replaceClientDevice(req, res, session, deviceName, deviceType, pairingLink ? 'qr' : 'pin');
+  }
+
+  // Approval mode: park the session until an admin names the device and assigns areas.
+  // The device gets a one-time claim token to collect its client tokens afterwards.
+  if (getPairingPolicy(db).mode === 'approval') {
+    const claimToken = randomBytes(32).toString('base64url');
+    const approvalExpiresAt = now + APPROVAL_WINDOW_SECONDS;
+    const sanitizedName = InputSanitizer.sanitizeString(deviceName, 100);
+    const ipAddress = req.ip || req.connection?.remoteAddress;
+
+    const result = db.prepare(`
+      UPDATE pairing_sessions
+      SET status = 'verified',
+          device_name = ?,
+          device_type = ?,
+          verified_at = ?,
+          verified_ip = ?,
+          expires_at = ?,
+          claim_token_hash = ?
+      WHERE id = ? AND status = 'pending'
+    `).run(sanitizedName, deviceType, now, ipAddress, approvalExpiresAt, hashToken(claimToken), session.id);
+
+    if (result.changes === 0) {
+      throw new ValidationError('Pairing session is no longer pending');
+    }
+
+    logger.info(`[Pairing] Session verified, awaiting admin approval: ${session.id} (${sanitizedName})`);
+
+    db.prepare(`
+      INSERT INTO activity_log (client_id, action, details, ip_address)
+      VALUES (?, ?, ?, ?)
+    `).run(
+      null,
+      'pairing_verified',
+      JSON.stringify({ sessionId: session.id, deviceName: sanitizedName, deviceType, pairingMethod: pairingLink ? 'qr' : 'pin' }),
+      ipAddress
+    );
+
+    notifyAdmins('pairing_verified', {
+      sessionId: session.id,
+      deviceName: sanitizedName,
+      deviceType,
+      ipAddress,
+      approvalExpiresAt: new Date(approvalExpiresAt * 1000).toISOString(),
+      timestamp: new Date().toISOString()
+    });
+
+    return res.status(202).json({
+      success: true,
+      message: 'PIN verified. Waiting for administrator approval.',
+      sessionId: session.id,
+      status: 'verified',
+      claimToken,
+      approvalExpiresAt: new Date(approvalExpiresAt * 1000).toISOString()
+    });
   }
 
   // Generate CLIENT JWT token immediately (no admin approval needed)
@@ -862,54 +1552,66 @@ app.post('/api/pairing/:sessionId/verify', authLimiter, asyncHandler(async (req:
     // Continue with empty areas - this is now expected behavior
   }
 
-  const clientToken = generateClientToken(clientId, assignedAreas);
-  const tokenHash = hashToken(clientToken);
+  // public_key/certificate are legacy NOT NULL UNIQUE columns - the session hash keeps them unique
+  const pairingHash = hashToken(session.id);
+  const sanitizedName = InputSanitizer.sanitizeString(deviceName, 100);
 
-  // Create client in database
+  // Claim the session before creating the client - a concurrent verify with the same PIN
+  // passed the status check above while areas were fetched, and must not pair a second device
   const timestamp = Math.floor(Date.now() / 1000);
-  db.prepare(`
-    INSERT INTO clients (
-      id,
-      name,
-      device_type,
-      public_key,
-      certificate,
-      paired_at,
-      last_seen,
-      is_active,
-      assigned_areas,
-      metadata,
-      token_hash
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `).run(
-    clientId,
-    InputSanitizer.sanitizeString(deviceName, 100),
-    deviceType,
-    tokenHash, // Using public_key field to store token hash
-    tokenHash, // Using certificate field as duplicate for backward compatibility
-    timestamp,
-    timestamp,
-    1, // is_active
-    JSON.stringify(assignedAreas), // Assigned areas from Home Assistant
-    JSON.stringify({
-      deviceName: deviceName,
-      sessionId: session.id,
-      pairingMethod: 'pin',
-      pairedAt: new Date().toISOString()
-    }),
-    tokenHash // token_hash for authentication lookup
-  );
+  const tokens = db.transaction(() => {
+    const claimed = db.prepare(`
+      UPDATE pairing_sessions
+      SET status = 'completed',
+          device_name = ?,
+          device_type = ?,
+          client_id = ?
+      WHERE id = ? AND status = 'pending'
+    `).run(sanitizedName, deviceType, clientId, session.id);
+
+    if (claimed.changes === 0) {
+      throw new ConflictError('Pairing session is no longer pending');
+    }
 
-  // Update session with device info and mark as completed
-  db.prepare(`
-    UPDATE pairing_sessions
-    SET status = 'completed',
-        device_name = ?,
-        device_type = ?,
-        client_id = ?,
-        client_token_hash = ?
-    WHERE id = ?
-  `).run(InputSanitizer.sanitizeString(deviceName, 100), deviceType, clientId, tokenHash, session.id);
+    db.prepare(`
+      INSERT INTO clients (
+        id,
+        name,
+        device_type,
+        public_key,
+        certificate,
+        paired_at,
+        last_seen,
+        is_active,
+        assigned_areas,
+        metadata,
+        token_hash
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      clientId,
+      sanitizedName,
+      deviceType,
+      pairingHash, // Using public_key field to store pairing hash
+      pairingHash, // Using certificate field as duplicate for backward compatibility
+      timestamp,
+      timestamp,
+      1, // is_active
+      JSON.stringify(assignedAreas), // Assigned areas from Home Assistant
+      JSON.stringify({
+        deviceName: deviceName,
+        sessionId: session.id,
+        pairingMethod: pairingLink ? 'qr' : 'pin',
+        pairedAt: new Date().toISOString()
+      }),
+      null // token_hash is only used by legacy long-lived tokens
+    );
+
+    // Short-lived access token + rotating refresh token (stored in client_tokens)
+    const issued = issueClientTokenPair(db, clientId, assignedAreas);
+    db.prepare('UPDATE pairing_sessions SET client_token_hash = ? WHERE id = ?')
+      .run(hashToken(issued.refreshToken), session.id);
+    return issued;
+  })();
 
   logger.info(`[Pairing] Session completed immediately: ${session.id} → Client: ${clientId} (${deviceName})`);
 
@@ -925,7 +1627,7 @@ app.post('/api/pairing/:sessionId/verify', authLimiter, asyncHandler(async (req:
   );
 
   // Emit WebSocket event with completed status
-  io.emit('pairing_completed', {
+  notifyAdmins('pairing_completed', {
     sessionId: session.id,
     clientId,
     deviceName,
@@ -933,13 +1635,19 @@ app.post('/api/pairing/:sessionId/verify', authLimiter, asyncHandler(async (req:
     timestamp: new Date().toISOString()
   });
 
+  publishPairingCompleted(clientId, { method: pairingLink ? 'qr' : 'pin' });
+  autoProvisionHAToken({ id: clientId, name: deviceName });
+
   res.json({
     success: true,
     message: 'PIN verified and paired successfully.',
     sessionId: session.id,
     status: 'completed',
     clientId: clientId,
-    clientToken: clientToken // Return token immediately
+    clientToken: tokens.accessToken, // Return token immediately
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn,
+    refreshExpiresIn: tokens.refreshExpiresIn
   });
 }));
 
@@ -969,94 +1677,239 @@ app.post('/api/pairing/:sessionId/complete', authLimiter, authenticate, asyncHan
   // Get pairing session
   const session: any = db.prepare('SELECT * FROM pairing_sessions WHERE id = ?').get(sessionId);
 
-  if (!session) {
-    logger.warn(`[Pairing] Session not found: ${sessionId}`);
-    throw new NotFoundError('Pairing session');
+  if (!session) {
+    logger.warn(`[Pairing] Session not found: ${sessionId}`);
+    throw new NotFoundError('Pairing session');
+  }
+
+  // Check if session status is 'verified'
+  if (session.status !== 'verified') {
+    logger.warn(`[Pairing] Session not verified: ${sessionId} (status: ${session.status})`);
+    throw new ValidationError('Pairing session must be verified before completion');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (now > session.expires_at) {
+    logger.warn(`[Pairing] Approval window expired: ${sessionId}`);
+    throw new ValidationError('Pairing request has expired. Ask the device to pair again.');
+  }
+
+  const clientId = `client_${Date.now()}`;
+  const sanitizedName = InputSanitizer.sanitizeString(clientName, 100);
+  // public_key/certificate are legacy NOT NULL UNIQUE columns - the session hash keeps them unique
+  const pairingHash = hashToken(sessionId);
+
+  // Create the client and mark the session completed in one step - the device then
+  // exchanges its claim token for client tokens via /api/pairing/:sessionId/claim
+  db.transaction(() => {
+    const updated = db.prepare(`
+      UPDATE pairing_sessions
+      SET status = 'completed',
+          client_id = ?,
+          approved_by = ?
+      WHERE id = ? AND status = 'verified'
+    `).run(clientId, req.user.username, sessionId);
+
+    if (updated.changes === 0) {
+      throw new ValidationError('Pairing session must be verified before completion');
+    }
+
+    db.prepare(`
+      INSERT INTO clients (
+        id,
+        name,
+        device_type,
+        public_key,
+        certificate,
+        paired_at,
+        last_seen,
+        is_active,
+        assigned_areas,
+        metadata,
+        token_hash
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      clientId,
+      sanitizedName,
+      session.device_type,
+      pairingHash, // Using public_key field to store pairing hash
+      pairingHash, // Using certificate field as duplicate for backward compatibility
+      now,
+      now,
+      1, // is_active
+      JSON.stringify(assignedAreas),
+      JSON.stringify({
+        deviceName: session.device_name,
+        sessionId: sessionId,
+        approvedBy: req.user.username,
+        approvedAt: new Date().toISOString()
+      }),
+      null // token_hash is only used by legacy long-lived tokens
+    );
+  })();
+
+  logger.info(`[Pairing] Pairing approved: ${sessionId} → Client: ${clientId} (${sanitizedName}) by ${req.user.username}`);
+
+  // Log activity
+  db.prepare(`
+    INSERT INTO activity_log (client_id, action, details, ip_address)
+    VALUES (?, ?, ?, ?)
+  `).run(
+    clientId,
+    'pairing_completed',
+    JSON.stringify({ sessionId, clientName: sanitizedName, deviceName: session.device_name, approvedBy: req.user.username }),
+    req.ip || req.connection?.remoteAddress
+  );
+
+  // Wake up the device waiting on /claim - tokens are only ever handed to the claim token holder
+  notifyPairingSessionUpdate(sessionId);
+
+  notifyAdmins('pairing_completed', {
+    sessionId,
+    clientId,
+    clientName: sanitizedName,
+    assignedAreas,
+    timestamp: new Date().toISOString()
+  });
+
+  publishPairingCompleted(clientId, { method: 'approval' });
+  autoProvisionHAToken({ id: clientId, name: sanitizedName });
+
+  res.json({
+    success: true,
+    id: clientId,
+    clientId,
+    name: sanitizedName,
+    deviceType: session.device_type,
+    assignedAreas,
+    message: 'Pairing approved - the device will receive its token'
+  });
+}));
+
+// Collect client tokens after admin approval - PUBLIC endpoint (claim token required)
+// Long-poll: while the session still awaits approval the request is held open for up to
+// 25 seconds, then answers { status: 'verified' } so the device asks again
+app.post('/api/pairing/:sessionId/claim', readLimiter, asyncHandler(async (req: any, res: any) => {
+  const { sessionId } = req.params;
+  const { claimToken } = req.body || {};
+
+  if (typeof claimToken !== 'string' || !claimToken) {
+    throw new ValidationError('Claim token is required');
+  }
+
+  const claimHash = hashToken(claimToken);
+  const loadSession = (): any =>
+    db.prepare('SELECT * FROM pairing_sessions WHERE id = ? AND claim_token_hash = ?').get(sessionId, claimHash);
+
+  let session = loadSession();
+  if (session && session.status === 'verified') {
+    await waitForPairingSessionUpdate(sessionId);
+    session = loadSession();
+  }
+
+  // Unknown token, already claimed, or rejected (deleted) by an admin
+  if (!session) {
+    return res.status(410).json({
+      error: 'Pairing request closed',
+      code: 'PAIRING_REJECTED',
+      message: 'The pairing request was rejected or has already been used.'
+    });
+  }
+
+  if (session.status === 'verified') {
+    if (Math.floor(Date.now() / 1000) > session.expires_at) {
+      return res.status(410).json({
+        error: 'Pairing request expired',
+        code: 'PAIRING_EXPIRED',
+        message: 'The pairing request was not approved in time. Please pair again.'
+      });
+    }
+    return res.json({ sessionId, status: 'verified' });
+  }
+
+  if (session.status !== 'completed') {
+    throw new ValidationError(`Pairing session is ${session.status}`);
+  }
+
+  const client: any = db.prepare('SELECT id, name, assigned_areas FROM clients WHERE id = ? AND is_active = 1')
+    .get(session.client_id);
+  if (!client) {
+    throw new NotFoundError('Client');
   }
 
-  // Check if session status is 'verified'
-  if (session.status !== 'verified') {
-    logger.warn(`[Pairing] Session not verified: ${sessionId} (status: ${session.status})`);
-    throw new ValidationError('Pairing session must be verified before completion');
+  // Claim tokens are single-use
+  const claimed = db.prepare(`
+    UPDATE pairing_sessions SET claim_token_hash = NULL WHERE id = ? AND claim_token_hash = ?
+  `).run(sessionId, claimHash);
+  if (claimed.changes === 0) {
+    return res.status(410).json({
+      error: 'Pairing request closed',
+      code: 'PAIRING_REJECTED',
+      message: 'The pairing request was rejected or has already been used.'
+    });
   }
 
-  // Generate CLIENT JWT token with 10 year expiry using tokenUtils
-  const clientId = `client_${Date.now()}`;
-  const clientToken = generateClientToken(clientId, assignedAreas);
-  const tokenHash = hashToken(clientToken);
+  const assignedAreas = client.assigned_areas ? JSON.parse(client.assigned_areas) : [];
+  const tokens = issueClientTokenPair(db, client.id, assignedAreas);
+  db.prepare('UPDATE pairing_sessions SET client_token_hash = ? WHERE id = ?')
+    .run(hashToken(tokens.refreshToken), sessionId);
 
-  // Create client in database
-  const now = Math.floor(Date.now() / 1000);
-  db.prepare(`
-    INSERT INTO clients (
-      id,
-      name,
-      device_type,
-      public_key,
-      certificate,
-      paired_at,
-      last_seen,
-      is_active,
-      assigned_areas,
-      metadata,
-      token_hash
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `).run(
-    clientId,
-    InputSanitizer.sanitizeString(clientName, 100),
-    session.device_type,
-    tokenHash, // Using public_key field to store token hash
-    tokenHash, // Using certificate field as duplicate for backward compatibility
-    now,
-    now,
-    1, // is_active
-    JSON.stringify(assignedAreas),
-    JSON.stringify({
-      deviceName: session.device_name,
-      sessionId: sessionId,
-      approvedBy: req.user.username,
-      approvedAt: new Date().toISOString()
-    }),
-    tokenHash // token_hash for authentication lookup
-  );
+  logger.info(`[Pairing] Tokens claimed for session: ${sessionId} → Client: ${client.id}`);
 
-  // Update pairing session status and link to client
-  db.prepare(`
-    UPDATE pairing_sessions
-    SET status = 'completed',
-        client_id = ?,
-        client_token_hash = ?
-    WHERE id = ?
-  `).run(clientId, tokenHash, sessionId);
+  res.json({
+    success: true,
+    sessionId,
+    status: 'completed',
+    clientId: client.id,
+    clientName: client.name,
+    clientToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn,
+    refreshExpiresIn: tokens.refreshExpiresIn,
+    assignedAreas
+  });
+}));
 
-  logger.info(`[Pairing] Pairing completed: ${sessionId} → Client: ${clientId} (${clientName})`);
+// Exchange a refresh token for a new access/refresh token pair - PUBLIC endpoint
+// Each refresh token is single-use; replaying one revokes the whole token family
+app.post('/api/clients/token/refresh', authLimiter, asyncHandler(async (req: any, res: any) => {
+  const { refreshToken } = req.body || {};
 
-  // Log activity
-  db.prepare(`
-    INSERT INTO activity_log (client_id, action, details, ip_address)
-    VALUES (?, ?, ?, ?)
-  `).run(
-    clientId,
-    'pairing_completed',
-    JSON.stringify({ sessionId, clientName, deviceName: session.device_name }),
-    req.ip || req.connection?.remoteAddress
-  );
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    throw new ValidationError('Refresh token is required');
+  }
 
-  // Emit WebSocket event to client with token
-  io.emit('pairing_completed', {
-    sessionId,
-    clientId,
-    clientToken, // Send the actual token to the client
-    assignedAreas,
-    timestamp: new Date().toISOString()
+  const result = rotateRefreshToken(db, refreshToken, (clientId) => {
+    const client: any = db.prepare('SELECT assigned_areas FROM clients WHERE id = ? AND is_active = 1').get(clientId);
+    return client ? (client.assigned_areas ? JSON.parse(client.assigned_areas) : []) : null;
   });
 
+  if (!result.ok) {
+    if (result.reason === 'reuse_detected') {
+      db.prepare(`
+        INSERT INTO activity_log (client_id, action, details, ip_address)
+        VALUES (?, ?, ?, ?)
+      `).run(
+        result.clientId,
+        'refresh_token_reuse',
+        JSON.stringify({ reason: 'Refresh token presented twice - token family revoked' }),
+        req.ip || req.connection?.remoteAddress
+      );
+    }
+
+    return res.status(401).json({
+      error: 'Invalid refresh token',
+      code: result.reason,
+      message: 'Please pair this device again.'
+    });
+  }
+
   res.json({
-    success: true,
-    clientId,
-    clientToken,
-    assignedAreas,
-    message: 'Pairing completed successfully'
+    clientId: result.clientId,
+    clientToken: result.tokens.accessToken,
+    refreshToken: result.tokens.refreshToken,
+    expiresIn: result.tokens.expiresIn,
+    refreshExpiresIn: result.tokens.refreshExpiresIn
   });
 }));
 
@@ -1103,6 +1956,8 @@ app.delete('/api/pairing/:sessionId', writeLimiter, authenticate, asyncHandler(a
   }
 
   db.prepare('DELETE FROM pairing_sessions WHERE id = ?').run(sessionId);
+  // A device waiting for approval learns it was rejected
+  notifyPairingSessionUpdate(sessionId);
 
   logger.info(`[Pairing] Session deleted: ${sessionId}`);
 
@@ -1113,15 +1968,14 @@ app.delete('/api/pairing/:sessionId', writeLimiter, authenticate, asyncHandler(a
 }));
 
 // Get HA config from database
-const getHAConfig = (): { url?: string; token?: string } => {
+const getHAConfig = (): HAConfig => {
   try {
     if (db) {
-      const config: any = db.prepare('SELECT value FROM configuration WHERE key = ?').get('ha_config');
+      const config = loadHAConfig(db);
 
-      if (config && config.value) {
-        const parsed = JSON.parse(config.value);
-        console.log('✓ HA config loaded from database:', { url: parsed.url, hasToken: !!parsed.token });
-        return parsed;
+      if (config) {
+        console.log('✓ HA config loaded from database:', { url: config.url, hasToken: !!config.token });
+        return config;
       }
     }
   } catch (error: any) {
@@ -1145,15 +1999,51 @@ const getHAConfig = (): { url?: string; token?: string } => {
 
 // Initialize Home Assistant Service
 let haService: HomeAssistantService | null = null;
+let entityCache: EntityStateCache | null = null;
+// Pushes state changes of their areas to client sockets - refresh() after area or assignment changes
+let stateFanout: StateFanout | null = null;
+// Reports entities added, removed or moved in HA since areas were last imported
+let areaDriftMonitor: AreaDriftMonitor | null = null;
+// Fires hasync_* events and client presence entities into HA - a no-op until HA is configured
+let haEvents: HAEventPublisher | null = null;
+
+// A device paired, enrolled or replaced the device of a client - tells HA and webhook subscribers
+const publishPairingCompleted = (clientId: string, details: { method: string; replaced?: boolean }) => {
+  haEvents?.pairingCompleted(clientId, details);
+  webhookDispatcher.publish(EVENT_TYPES.PAIRING_COMPLETED, {
+    ...describeClientForWebhook(db, clientId),
+    method: details.method,
+    replaced: details.replaced === true
+  });
+};
 const initializeHAService = async () => {
+  // Entity states cached by the last run are served until Home Assistant is reachable
+  entityCache = new EntityStateCache(db);
+  stateFanout = new StateFanout(db);
+  haEvents = new HAEventPublisher(db);
+
   const haConfig = getHAConfig();
   if (haConfig.url && haConfig.token) {
     haService = new HomeAssistantService({
       url: haConfig.url,
       token: haConfig.token,
       supervisorToken: process.env.SUPERVISOR_TOKEN,
-      mode: process.env.SUPERVISOR_TOKEN ? 'addon' : 'standalone'
+      mode: process.env.SUPERVISOR_TOKEN ? 'addon' : 'standalone',
+      requestTimeout: parseInt(process.env.HA_REQUEST_TIMEOUT || '10', 10) * 1000
+    });
+
+    // Admins see reconnects live in the status bar
+    haService.onConnectionStateChange((status) => {
+      logger.info(`Home Assistant connection: ${status.state}${status.error ? ` (${status.error})` : ''}`);
+      notifyAdmins(EVENT_TYPES.HA_CONNECTION_STATE, status);
+    });
+    entityCache.attach(haService);
+    stateFanout.attach(haService);
+    haEvents.attach(haService);
+    areaDriftMonitor = new AreaDriftMonitor(db, haService, (report) => {
+      notifyAdmins(EVENT_TYPES.AREA_DRIFT, report);
     });
+    areaDriftMonitor.start();
 
     // Connect WebSocket to Home Assistant (optional - for backward compatibility only)
     try {
@@ -1169,40 +2059,92 @@ const initializeHAService = async () => {
   }
 };
 
-// Get entities - fetch from Home Assistant (NO MOCK DATA)
-// SECURITY: Requires authentication - only logged-in users can access entities
-app.get('/api/entities', readLimiter, authenticate, asyncHandler(async (_req: any, res: any) => {
-  const haConfig = getHAConfig();
-  const haUrl = haConfig.url;
-  const haToken = haConfig.token;
+// Mint an HA token for a client and hand it to the client's sockets
+const provisionHATokenForClient = async (client: { id: string; name: string }) => {
+  const provisioned = await withProvisioningConnection(getHAConfig(), haService, (ha) => provisionClientHAToken(db, ha, client));
+  notifyClient(client.id, EVENT_TYPES.HA_TOKEN_RECEIVED, { clientId: client.id, token: provisioned.token });
+  return provisioned;
+};
 
-  if (!haUrl || !haToken) {
-    throw new ServiceUnavailableError(
-      'Home Assistant',
-      'Please configure Home Assistant URL and token in Settings'
-    );
+// Newly paired clients get an HA token without admin interaction if enabled in Settings
+const autoProvisionHAToken = (client: { id: string; name: string }) => {
+  if (!getHAConfig().autoProvisionClientTokens) {
+    return;
   }
 
-  // Fetch real entities from Home Assistant
-  logger.info(`Fetching entities from ${haUrl}/api/states`);
-  const response = await fetch(`${haUrl}/api/states`, {
-    headers: {
-      'Authorization': `Bearer ${haToken}`,
-      'Content-Type': 'application/json'
-    }
+  provisionHATokenForClient(client).catch((error: any) => {
+    logger.warn(`Automatic HA token provisioning failed for client ${client.id}: ${error.message}`);
   });
+};
 
-  if (!response.ok) {
-    throw new ServiceUnavailableError(
-      'Home Assistant API',
-      `${response.status} ${response.statusText}`
-    );
+// Drop a client's HA token; a provisioned one is also deleted in HA (in the background - never blocks revocation)
+const revokeClientHAToken = (clientId: string) => {
+  const tokenId = releaseClientHAToken(db, clientId);
+  if (!tokenId) {
+    return;
+  }
+
+  withProvisioningConnection(getHAConfig(), haService, (ha) => deleteHAToken(ha, tokenId)).catch((error: any) => {
+    logger.warn(`HA token ${tokenId} of client ${clientId} must be deleted in Home Assistant manually: ${error.message}`);
+  });
+};
+
+// Entities are served from the state cache instead of fetching /api/states from HA per request
+const requireEntityCache = (): EntityStateCache => {
+  if (entityCache?.isReady()) {
+    return entityCache;
   }
+  throw new ServiceUnavailableError(
+    'Home Assistant',
+    haService ? 'entity states are not loaded yet' : 'Please configure Home Assistant URL and token in Settings'
+  );
+};
+
+// ?since=<revision> asks for a delta instead of the full list
+const parseSinceRevision = (value: unknown): number | null => {
+  if (value === undefined) return null;
+  const since = Number(value);
+  if (!Number.isSafeInteger(since) || since < 0) {
+    throw new ValidationError('since must be a revision returned by a previous request');
+  }
+  return since;
+};
+
+// Get entities - served from the entity state cache (NO MOCK DATA)
+// Full lists carry an ETag (304 on If-None-Match), ?since=<revision> returns { revision, full, entities, removed }
+// SECURITY: Requires authentication - only logged-in users can access entities
+app.get('/api/entities', readLimiter, authenticate, asyncHandler(async (req: any, res: any) => {
+  const cache = requireEntityCache();
+  const since = parseSinceRevision(req.query.since);
+
+  res.setHeader('Cache-Control', 'private, no-cache');
+  res.setHeader('X-Entity-Revision', String(cache.getRevision()));
 
-  const entities = await response.json() as any[];
-  logger.info(`✓ Fetched ${entities.length} entities from Home Assistant`);
+  if (since !== null) {
+    return res.json(cache.getChangesSince(since));
+  }
+
+  res.setHeader('ETag', `"entities-${cache.getRevision()}"`);
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.json(cache.getEntities());
+}));
 
-  res.json(entities);
+// Call a Home Assistant service on entities in the calling client's assigned, enabled areas
+// SECURITY: Clients only - the service must be allow-listed for the entity domain, every call is logged
+app.post('/api/services/call', writeLimiter, csrfProtection, authenticate, validateBody(serviceCallSchema), asyncHandler(async (req: any, res: any) => {
+  if (req.user.role !== 'client') {
+    throw new ForbiddenError('Only paired clients can call services');
+  }
+
+  const result = await callServiceForClient(db, haService, {
+    clientId: req.user.clientId,
+    tokenId: req.user.tokenId,
+    ipAddress: req.ip || req.connection?.remoteAddress
+  }, req.body);
+
+  res.json({ success: true, context: result?.context ?? null });
 }));
 
 // Get areas - from database with optional enabled filter (SECURE - uses prepared statement)
@@ -1224,7 +2166,9 @@ app.get('/api/areas', readLimiter, authenticate, (req, res) => {
       id: area.id,
       name: area.name,
       entityIds: area.entity_ids ? JSON.parse(area.entity_ids) : [],
-      isEnabled: area.is_enabled === 1
+      isEnabled: area.is_enabled === 1,
+      haAreaId: area.ha_area_id || null,
+      syncedAt: area.synced_at ? new Date(area.synced_at * 1000).toISOString() : null
     }));
     res.json(result);
   } catch (error) {
@@ -1233,6 +2177,64 @@ app.get('/api/areas', readLimiter, authenticate, (req, res) => {
   }
 });
 
+const requireHAService = (): HomeAssistantService => {
+  if (haService) {
+    return haService;
+  }
+  throw new ServiceUnavailableError('Home Assistant', 'Please configure Home Assistant URL and token in Settings');
+};
+
+// Import areas from Home Assistant's area, device and entity registries
+// Creates or updates (by link, then by name) one area per HA area and links it
+// SECURITY: Requires admin authentication
+app.post('/api/areas/import', writeLimiter, csrfProtection, authenticate, validateBody(importAreasSchema), asyncHandler(async (req: any, res: any) => {
+  if (req.user.role !== 'admin') {
+    throw new ForbiddenError('Only admin users can import areas');
+  }
+  const ha = requireHAService();
+
+  const imported = importAreas(db, await fetchRegistries(ha), req.body.haAreaIds);
+  stateFanout?.refresh();
+
+  for (const area of imported.filter(area => area.status === 'updated')) {
+    notifyClientsWithArea(db, area.id, EVENT_TYPES.AREA_UPDATED, {
+      areaId: area.id,
+      name: area.name,
+      entityIds: area.entityIds,
+      message: 'Area has been synced from Home Assistant'
+    });
+    webhookDispatcher.publish(EVENT_TYPES.AREA_UPDATED, {
+      areaId: area.id,
+      name: area.name,
+      entityIds: area.entityIds,
+      source: 'home_assistant',
+      updatedBy: req.user.username
+    });
+  }
+
+  res.json({
+    areas: imported,
+    drift: areaDriftMonitor ? await areaDriftMonitor.check() : null
+  });
+}));
+
+// Area drift since the last import - checked every 15 minutes, ?refresh=true checks now
+// SECURITY: Requires admin authentication
+app.get('/api/areas/drift', readLimiter, authenticate, asyncHandler(async (req: any, res: any) => {
+  if (req.user.role !== 'admin') {
+    throw new ForbiddenError('Only admin users can view area drift');
+  }
+  requireHAService();
+  if (!areaDriftMonitor) {
+    throw new ServiceUnavailableError('Home Assistant', 'area sync is not running');
+  }
+
+  const report = req.query.refresh === 'true' || !areaDriftMonitor.getLastReport()
+    ? await areaDriftMonitor.check()
+    : areaDriftMonitor.getLastReport();
+  res.json(report);
+}));
+
 // Create area (WITH INPUT VALIDATION)
 // SECURITY: Requires admin authentication - only admin can create areas
 app.post('/api/areas', writeLimiter, csrfProtection, authenticate, (req, res) => {
@@ -1326,6 +2328,7 @@ app.put('/api/areas/:id', writeLimiter, csrfProtection, authenticate, asyncHandl
   // ✅ SECURE: Using prepared statement
   db.prepare('UPDATE areas SET name = ?, entity_ids = ?, is_enabled = ? WHERE id = ?')
     .run(sanitizedName, entity_ids_json, is_enabled, id);
+  stateFanout?.refresh();
 
   // Emit area_updated event to all clients with this area
   notifyClientsWithArea(db, id, EVENT_TYPES.AREA_UPDATED, {
@@ -1335,6 +2338,14 @@ app.put('/api/areas/:id', writeLimiter, csrfProtection, authenticate, asyncHandl
     isEnabled: is_enabled === 1,
     message: 'Area has been updated by admin'
   });
+  webhookDispatcher.publish(EVENT_TYPES.AREA_UPDATED, {
+    areaId: id,
+    name: sanitizedName,
+    entityIds: entityIds || [],
+    isEnabled: is_enabled === 1,
+    source: 'admin',
+    updatedBy: req.user.username
+  });
 
   res.json({
     id,
@@ -1421,6 +2432,7 @@ app.patch('/api/areas/:id', writeLimiter, csrfProtection, authenticate, (req, re
     // ✅ SECURE: Using prepared statement with parameterized values
     const query = `UPDATE areas SET ${updateFields.join(', ')} WHERE id = ?`;
     db.prepare(query).run(...updateValues);
+    stateFanout?.refresh();
 
     // Fetch and return updated area
     const updated: any = db.prepare('SELECT * FROM areas WHERE id = ?').get(id);
@@ -1435,6 +2447,15 @@ app.patch('/api/areas/:id', writeLimiter, csrfProtection, authenticate, (req, re
       updatedFields: Object.keys(updates),
       message: 'Area has been updated by admin'
     });
+    webhookDispatcher.publish(EVENT_TYPES.AREA_UPDATED, {
+      areaId: id,
+      name: updated.name,
+      entityIds: updated.entity_ids ? JSON.parse(updated.entity_ids) : [],
+      isEnabled: updated.is_enabled === 1,
+      updatedFields: Object.keys(updates),
+      source: 'admin',
+      updatedBy: req.user.username
+    });
 
     res.json({
       id: updated.id,
@@ -1475,6 +2496,7 @@ app.patch('/api/areas/:id/toggle', writeLimiter, csrfProtection, authenticate, (
 
     const is_enabled = enabled ? 1 : 0;
     db.prepare('UPDATE areas SET is_enabled = ? WHERE id = ?').run(is_enabled, id);
+    stateFanout?.refresh();
 
     const updated: any = db.prepare('SELECT * FROM areas WHERE id = ?').get(id);
 
@@ -1574,7 +2596,9 @@ app.patch('/api/areas/:id/reorder', writeLimiter, csrfProtection, authenticate,
   }
 });
 
-// Get entities in an area with details from Home Assistant
+// Get entities in an area with their state from the entity state cache
+// Same ETag and ?since=<revision> handling as /api/entities - deltas include the area's entityIds so
+// clients notice entities added to the area (those need a full fetch)
 // SECURITY: Requires authentication - only logged-in users can view area entities
 app.get('/api/areas/:id/entities', readLimiter, authenticate, async (req, res) => {
   try {
@@ -1589,7 +2613,7 @@ app.get('/api/areas/:id/entities', readLimiter, authenticate, async (req, res) =
       });
     }
 
-    const entityIds = area.entity_ids ? JSON.parse(area.entity_ids) : [];
+    const entityIds: string[] = area.entity_ids ? JSON.parse(area.entity_ids) : [];
 
     // If no entities, return empty array
     if (entityIds.length === 0) {
@@ -1597,42 +2621,28 @@ app.get('/api/areas/:id/entities', readLimiter, authenticate, async (req, res) =
       return res.json([]);
     }
 
-    // Get HA config
-    const haConfig = getHAConfig();
-    const haUrl = haConfig.url;
-    const haToken = haConfig.token;
-
-    if (!haUrl || !haToken) {
-      return res.status(503).json({
-        error: 'Home Assistant not configured',
-        message: 'Please configure Home Assistant URL and token in Settings'
-      });
-    }
+    const cache = requireEntityCache();
+    const since = parseSinceRevision(req.query.since);
 
-    // Fetch all entities from Home Assistant
-    const response = await fetch(`${haUrl}/api/states`, {
-      headers: {
-        'Authorization': `Bearer ${haToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.setHeader('X-Entity-Revision', String(cache.getRevision()));
 
-    if (!response.ok) {
-      throw new Error(`HA API error: ${response.status} ${response.statusText}`);
+    if (since !== null) {
+      return res.json({ ...cache.getChangesSince(since, entityIds), entityIds });
     }
 
-    const allEntities = await response.json() as any[];
-
-    // Filter entities to only those in this area and maintain order
-    const orderedEntities = entityIds
-      .map((entityId: string) => allEntities.find((entity: any) => entity.entity_id === entityId))
-      .filter((entity: any) => entity !== undefined);
+    // Changes with the area's entities and with its entity list (order included)
+    const listHash = createHash('sha1').update(area.entity_ids).digest('hex').slice(0, 12);
+    res.setHeader('ETag', `"area-${cache.getRevisionOf(entityIds)}-${listHash}"`);
+    if (req.fresh) {
+      return res.status(304).end();
+    }
 
-    res.setHeader('Content-Type', 'application/json');
-    res.json(orderedEntities);
+    // Entities keep the order of the area
+    res.json(cache.getEntities(entityIds));
   } catch (error: any) {
     console.error('Error fetching area entities:', error);
-    res.status(503).json({
+    res.status(error.statusCode || 503).json({
       error: 'Failed to fetch entities',
       message: error?.message || 'Unknown error'
     });
@@ -1669,6 +2679,7 @@ app.delete('/api/areas/:id', writeLimiter, csrfProtection, authenticate, (req, r
     });
 
     db.prepare('DELETE FROM areas WHERE id = ?').run(id);
+    stateFanout?.refresh();
     res.json({ success: true });
   } catch (error) {
     console.error('Error deleting area:', error);
@@ -1676,54 +2687,98 @@ app.delete('/api/areas/:id', writeLimiter, csrfProtection, authenticate, (req, r
   }
 });
 
-// Get dashboards
-// SECURITY: Requires authentication - only logged-in users can view dashboards
-app.get('/api/dashboards', readLimiter, authenticate, (_req, res) => {
-  res.json([
-    { dashboard_id: 'default', name: 'Default Dashboard' },
-    { dashboard_id: 'mobile', name: 'Mobile Dashboard' }
-  ]);
-});
+// Push the dashboard a client now shows to its sockets
+const notifyDashboardChanged = (clientIds: string[]) => {
+  for (const clientId of clientIds) {
+    notifyClient(clientId, EVENT_TYPES.DASHBOARD_UPDATED, { clientId, dashboard: getClientDashboard(db, clientId) });
+  }
+};
+
+// Dashboards - admins manage them, clients read the dashboard they show
+// SECURITY: Requires authentication, writes are admin only
+app.use('/api/dashboards', writeLimiter, csrfProtection, createDashboardsRouter(db, authenticate, requireHAService, notifyDashboardChanged));
 
 // ===== ADMIN LOGIN ENDPOINT - Config-based username/password =====
 // RESTORED: User requested old config-based login (ADMIN_USERNAME/ADMIN_PASSWORD from env vars)
 // Uses different path (/api/admin/login) to avoid conflict with new auth router at /api/auth
 // This endpoint returns JWT token for authentication
-app.post('/api/admin/login', authLimiter, (req, res) => {
+/**
+ * Issue an admin session JWT for an authenticated account.
+ * role 'admin' marks an admin-UI session; the account role is resolved from the database on every request.
+ */
+const issueAdminSession = (account: AdminAccount, res: any) => {
+  const payload = {
+    username: account.username,
+    role: 'admin',
+    iat: Math.floor(Date.now() / 1000)
+  };
+
+  // @ts-ignore - jsonwebtoken types issue with expiresIn
+  const token = jwt.sign(payload, JWT_SECRET, {
+    expiresIn: JWT_EXPIRATION,
+    issuer: 'hasync-backend',
+    audience: 'hasync-client'
+  });
+
+  db.prepare('UPDATE users SET last_login_at = ? WHERE id = ?').run(Math.floor(Date.now() / 1000), account.id);
+
+  logger.info(`User logged in: ${account.username} (${account.role})`);
+  res.json({
+    token,
+    user: {
+      id: account.id,
+      username: account.username,
+      role: account.role
+    },
+    expiresIn: JWT_EXPIRATION
+  });
+};
+
+app.post('/api/admin/login', authLimiter, asyncHandler(async (req: any, res: any) => {
   const { username, password } = req.body;
-  const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
-  const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'test123';
-
-  // Only accept configured admin credentials
-  if (username === ADMIN_USERNAME && password === ADMIN_PASSWORD) {
-    // Generate secure JWT token with user information and role
-      const payload = {
-        username,
-        role: 'admin',
-        iat: Math.floor(Date.now() / 1000)
-      };
 
-      // @ts-ignore - jsonwebtoken types issue with expiresIn
-      const token = jwt.sign(payload, JWT_SECRET, {
-        expiresIn: JWT_EXPIRATION,
-        issuer: 'hasync-backend',
-        audience: 'hasync-client'
-      });
+  if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
 
-      logger.info(`User logged in: ${username}`);
-    res.json({
-        token,
-        user: {
-          username,
-          role: 'admin'
-        },
-        expiresIn: JWT_EXPIRATION
-      });
-  } else {
+  // ✅ SECURE: Accounts live in the users table (owner is seeded from ADMIN_USERNAME/ADMIN_PASSWORD)
+  const account = await verifyAdminCredentials(db, username, password);
+
+  if (!account) {
     logger.warn(`Failed login attempt for user: ${username}`);
-      res.status(401).json({ error: 'Invalid credentials. Only admin user is allowed.' });
+    webhookDispatcher.publish(EVENT_TYPES.LOGIN_FAILED, { username, reason: 'invalid_credentials', ip: req.ip });
+    return res.status(401).json({ error: 'Invalid credentials' });
+  }
+
+  // Second factor required - hand out a short-lived pending token instead of a session
+  if (account.totpEnabled) {
+    const { mfaToken, expiresIn } = issueMfaPendingToken(account);
+    logger.info(`Password accepted for ${account.username}, awaiting second factor`);
+    return res.json({ mfaRequired: true, mfaToken, expiresIn });
+  }
+
+  linkIngressLogin(db, req, account);
+  issueAdminSession(account, res);
+}));
+
+// Exchange an "mfa_pending" token plus TOTP or recovery code for the real session JWT
+app.post('/api/admin/login/mfa', authLimiter, validateBody(mfaLoginSchema), (req: any, res: any) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+
+  const account = completeMfaLogin(db, mfaToken, { code, recoveryCode });
+  if (!account) {
+    webhookDispatcher.publish(EVENT_TYPES.LOGIN_FAILED, { username: getMfaPendingUsername(mfaToken), reason: 'invalid_mfa_code', ip: req.ip });
+    return res.status(401).json({ error: 'Invalid or expired verification code' });
   }
+
+  linkIngressLogin(db, req, account);
+  issueAdminSession(account, res);
 });
+
+// Sign in as the Home Assistant user that opened the UI from the sidebar (ingress)
+// The Supervisor authenticated the user - only honoured for requests from its ingress proxy, and only
+// for accounts linked to the HA user id by a password sign-in through ingress
+app.post('/api/admin/login/ingress', authLimiter, createIngressLoginHandler(db, issueAdminSession));
 // ===== END ADMIN LOGIN ENDPOINT =====
 
 // Save HA config endpoint
@@ -1737,11 +2792,16 @@ app.post('/api/config/ha', writeLimiter, csrfProtection, authenticate, (req, res
     });
   }
   try {
-    const { url, token } = req.body;
-    const config = JSON.stringify({ url, token });
-
-    db.prepare('INSERT OR REPLACE INTO configuration (key, value) VALUES (?, ?)')
-      .run('ha_config', config);
+    const { url, token, provisioningToken, autoProvisionClientTokens } = req.body;
+    const saved = loadHAConfig(db) || {};
+
+    // GET only returns masked tokens - an empty token keeps the saved one, null removes the provisioning token
+    saveHAConfig(db, {
+      url,
+      token: token || saved.token,
+      provisioningToken: provisioningToken === null ? undefined : provisioningToken || saved.provisioningToken,
+      autoProvisionClientTokens: autoProvisionClientTokens ?? saved.autoProvisionClientTokens ?? false
+    });
 
     console.log(`✓ HA config saved: ${url}`);
     res.json({ success: true, message: 'HA configuration saved' });
@@ -1763,13 +2823,41 @@ app.get('/api/config/ha', readLimiter, authenticate, (_req, res) => {
   }
   try {
     const haConfig = getHAConfig();
-    res.json(haConfig);
+    res.json({
+      url: haConfig.url,
+      token: maskSecret(haConfig.token),
+      hasToken: !!haConfig.token,
+      provisioningToken: maskSecret(haConfig.provisioningToken),
+      autoProvisionClientTokens: !!haConfig.autoProvisionClientTokens
+    });
   } catch (error) {
     console.error('Error reading HA config:', error);
     res.status(500).json({ error: 'Failed to read configuration' });
   }
 });
 
+// Pairing policy - "auto" pairs devices on a correct PIN, "approval" waits for an admin
+app.get('/api/config/pairing', readLimiter, authenticate, (req: any, res) => {
+  if (req.user.role !== 'admin') {
+    throw new ForbiddenError('Only admin users can view the pairing policy');
+  }
+  res.json(getPairingPolicy(db));
+});
+
+app.put('/api/config/pairing', writeLimiter, csrfProtection, authenticate, validateBody(pairingPolicySchema), (req: any, res) => {
+  if (req.user.role !== 'admin') {
+    throw new ForbiddenError('Only admin users can change the pairing policy');
+  }
+  const policy = setPairingPolicy(db, { mode: req.body.mode }, req.user.username);
+
+  db.prepare(`
+    INSERT INTO activity_log (client_id, action, details, ip_address)
+    VALUES (?, ?, ?, ?)
+  `).run(null, 'pairing_policy_changed', JSON.stringify({ mode: policy.mode, changedBy: req.user.username }), req.ip);
+
+  res.json(policy);
+});
+
 // Verify token - auth limiter to prevent token enumeration
 app.get('/api/auth/verify', authLimiter, (req, res) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
@@ -1844,7 +2932,9 @@ app.get('/api/clients', readLimiter, authenticate, (_req: any, res: any) => {
           c.last_seen,
           c.assigned_areas,
           c.ha_token,
-          c.ha_token_set_at
+          c.ha_token_set_at,
+          c.ha_token_id,
+          c.dashboard_id
         FROM clients c
         WHERE c.is_active = ?
       `).all(1);
@@ -1872,10 +2962,12 @@ app.get('/api/clients', readLimiter, authenticate, (_req: any, res: any) => {
           name: client.name,
           deviceType: client.device_type,
           assignedAreas,
+          assignedDashboard: client.dashboard_id,
           createdAt: client.created_at,
           lastSeenAt: client.last_seen,
           hasHaToken: !!client.ha_token,
-          haTokenSetAt: client.ha_token_set_at
+          haTokenSetAt: client.ha_token_set_at,
+          haTokenProvisioned: !!client.ha_token_id
         };
       });
 
@@ -1911,7 +3003,9 @@ app.get('/api/clients/me', readLimiter, authenticate, (req: any, res: any) => {
         device_type,
         assigned_areas,
         created_at,
-        last_seen
+        last_seen,
+        ha_token_set_at,
+        dashboard_id
       FROM clients
       WHERE id = ? AND is_active = ?
     `).get(clientId, 1);
@@ -1945,8 +3039,10 @@ app.get('/api/clients/me', readLimiter, authenticate, (req: any, res: any) => {
       name: client.name,
       deviceType: client.device_type,
       assignedAreas,
+      assignedDashboard: client.dashboard_id,
       createdAt: client.created_at,
-      lastSeenAt: client.last_seen
+      lastSeenAt: client.last_seen,
+      haTokenSetAt: client.ha_token_set_at
     });
   } catch (error: any) {
     logger.error('Error fetching client info:', error);
@@ -1957,6 +3053,32 @@ app.get('/api/clients/me', readLimiter, authenticate, (req: any, res: any) => {
   }
 });
 
+// Re-fetch own HA token (CLIENT token required)
+// The token is pushed via ha_token_received - this covers a socket that was offline at the time.
+// Only the client's primary refresh family may read it, not named tokens handed to other tools.
+app.get('/api/clients/me/ha-token', readLimiter, authenticate, asyncHandler(async (req: any, res: any) => {
+  if (req.user.role !== 'client') {
+    throw new ForbiddenError('Only clients can fetch their Home Assistant token');
+  }
+
+  const { clientId, familyId } = req.user;
+  if (!familyId || familyId !== getPrimaryTokenFamily(db, clientId)) {
+    logger.warn(`Client ${clientId} tried to fetch its HA token outside its primary token family`);
+    throw new ForbiddenError('Only the paired device can fetch its Home Assistant token');
+  }
+
+  const client: any = db.prepare('SELECT ha_token, ha_token_set_at FROM clients WHERE id = ? AND is_active = 1')
+    .get(clientId);
+  if (!client) {
+    throw new NotFoundError('Client');
+  }
+
+  res.json({
+    haToken: client.ha_token ? decryptSecret(client.ha_token) : null,
+    haTokenSetAt: client.ha_token_set_at
+  });
+}));
+
 // Get specific client by ID (ADMIN only)
 // SECURITY: Requires ADMIN authentication
 app.get('/api/clients/:id', readLimiter, authenticate, (req: any, res: any) => {
@@ -1981,7 +3103,8 @@ app.get('/api/clients/:id', readLimiter, authenticate, (req: any, res: any) => {
         created_at,
         last_seen,
         ha_token,
-        ha_token_set_at
+        ha_token_set_at,
+        dashboard_id
       FROM clients
       WHERE id = ? AND is_active = ?
     `).get(id, 1);
@@ -2013,6 +3136,7 @@ app.get('/api/clients/:id', readLimiter, authenticate, (req: any, res: any) => {
       name: client.name,
       deviceType: client.device_type,
       assignedAreas,
+      assignedDashboard: client.dashboard_id,
       createdAt: client.created_at,
       lastSeenAt: client.last_seen,
       hasHaToken: !!client.ha_token,
@@ -2080,20 +3204,20 @@ app.put('/api/clients/:id', writeLimiter, csrfProtection, authenticate, (req: an
 
     db.prepare('UPDATE clients SET name = ?, assigned_areas = ? WHERE id = ?')
       .run(sanitizedName, assigned_areas_json, id);
+    stateFanout?.refresh();
+    haEvents?.areasAssigned(id, addedAreas);
+    if (sanitizedName !== existing.name || addedAreas.length > 0 || removedAreas.length > 0) {
+      // Presence entity id follows the name, its attributes list the areas
+      haEvents?.syncPresence();
+    }
 
-    // Emit WebSocket events for area changes
+    // Emit WebSocket events for area changes to the client itself and to admin sessions
     if (addedAreas.length > 0 || removedAreas.length > 0) {
       addedAreas.forEach((areaId: string) => {
         const area: any = db.prepare('SELECT id, name FROM areas WHERE id = ?').get(areaId);
         if (area) {
-          io.emit('area_added', {
-            clientId: id,
-            area: {
-              id: area.id,
-              name: area.name
-            },
-            timestamp: new Date().toISOString()
-          });
+          notifyAreaAdded(id, area);
+          notifyAdmins('area_added', { clientId: id, areaId: area.id, area: { id: area.id, name: area.name } });
           logger.info(`Area ${area.name} added to client ${id}`);
         }
       });
@@ -2101,14 +3225,8 @@ app.put('/api/clients/:id', writeLimiter, csrfProtection, authenticate, (req: an
       removedAreas.forEach((areaId: string) => {
         const area: any = db.prepare('SELECT id, name FROM areas WHERE id = ?').get(areaId);
         if (area) {
-          io.emit('area_removed', {
-            clientId: id,
-            area: {
-              id: area.id,
-              name: area.name
-            },
-            timestamp: new Date().toISOString()
-          });
+          notifyAreaRemoved(id, area.id, area.name);
+          notifyAdmins('area_removed', { clientId: id, areaId: area.id, area: { id: area.id, name: area.name } });
           logger.info(`Area ${area.name} removed from client ${id}`);
         }
       });
@@ -2116,7 +3234,7 @@ app.put('/api/clients/:id', writeLimiter, csrfProtection, authenticate, (req: an
 
     // Get updated client with area details
     const updated: any = db.prepare(`
-      SELECT id, name, device_type, assigned_areas, created_at, last_seen, ha_token, ha_token_set_at
+      SELECT id, name, device_type, assigned_areas, dashboard_id, created_at, last_seen, ha_token, ha_token_set_at
       FROM clients
       WHERE id = ?
     `).get(id);
@@ -2142,6 +3260,7 @@ app.put('/api/clients/:id', writeLimiter, csrfProtection, authenticate, (req: an
       name: updated.name,
       deviceType: updated.device_type,
       assignedAreas: assignedAreasDetails,
+      assignedDashboard: updated.dashboard_id,
       createdAt: updated.created_at,
       lastSeenAt: updated.last_seen,
       hasHaToken: !!updated.ha_token,
@@ -2198,19 +3317,19 @@ app.put('/api/clients/:id/ha-token', writeLimiter, csrfProtection, authenticate,
       });
     }
 
-    // Update client with HA token
+    // Update client with HA token (a previously provisioned token is deleted in HA)
+    revokeClientHAToken(id);
     const now = Date.now();
     db.prepare('UPDATE clients SET ha_token = ?, ha_token_set_at = ? WHERE id = ?')
-      .run(haToken, now, id);
+      .run(encryptSecret(haToken), now, id);
 
     logger.info(`HA token set for client ${id} by admin ${req.user.username}`);
 
     // Emit WebSocket event to notify the connected client
     // Client should be listening for this event and store the token
-    io.emit('ha_token_received', {
+    notifyClient(id, EVENT_TYPES.HA_TOKEN_RECEIVED, {
       clientId: id,
-      token: haToken,
-      timestamp: new Date().toISOString()
+      token: haToken
     });
 
     logger.info(`Emitted ha_token_received event for client ${id}`);
@@ -2230,6 +3349,67 @@ app.put('/api/clients/:id/ha-token', writeLimiter, csrfProtection, authenticate,
   }
 });
 
+// Create a Home Assistant token for a client in HA (ADMIN only)
+// Uses HA's auth/long_lived_access_token command - under the dedicated provisioning user if configured
+app.post('/api/clients/:id/ha-token/provision', writeLimiter, csrfProtection, authenticate, asyncHandler(async (req: any, res: any) => {
+  if (req.user.role !== 'admin') {
+    throw new ForbiddenError('Only admin users can provision client HA tokens');
+  }
+
+  const client: any = db.prepare('SELECT id, name FROM clients WHERE id = ? AND is_active = ?').get(req.params.id, 1);
+  if (!client) {
+    throw new NotFoundError('Client');
+  }
+
+  const provisioned = await provisionHATokenForClient(client);
+
+  db.prepare(`
+    INSERT INTO activity_log (client_id, action, details, ip_address)
+    VALUES (?, ?, ?, ?)
+  `).run(client.id, 'ha_token_provisioned', JSON.stringify({ haTokenId: provisioned.tokenId, by: req.user.username }), req.ip);
+
+  logger.info(`HA token provisioned for client ${client.id} by admin ${req.user.username}`);
+
+  res.json({
+    success: true,
+    message: 'HA token created in Home Assistant',
+    clientId: client.id,
+    tokenSetAt: provisioned.setAt,
+    provisioned: true
+  });
+}));
+
+// Assign a dashboard to a client (ADMIN only) - null falls back to the default dashboard
+// The client's sockets get the dashboard right away via dashboard_updated
+app.post('/api/clients/:id/dashboard', writeLimiter, csrfProtection, authenticate, validateBody(assignDashboardSchema), (req: any, res: any) => {
+  if (req.user.role !== 'admin') {
+    throw new ForbiddenError('Only admin users can assign dashboards');
+  }
+
+  const client: any = db.prepare('SELECT id FROM clients WHERE id = ? AND is_active = ?').get(req.params.id, 1);
+  if (!client) {
+    throw new NotFoundError('Client');
+  }
+
+  const { dashboardId } = req.body;
+  if (dashboardId && !getDashboard(db, dashboardId)) {
+    throw new NotFoundError('Dashboard');
+  }
+
+  assignDashboard(db, client.id, dashboardId);
+  const dashboard = getClientDashboard(db, client.id);
+  notifyClient(client.id, EVENT_TYPES.DASHBOARD_UPDATED, { clientId: client.id, dashboard });
+
+  db.prepare(`
+    INSERT INTO activity_log (client_id, action, details, ip_address)
+    VALUES (?, ?, ?, ?)
+  `).run(client.id, 'dashboard_assigned', JSON.stringify({ dashboardId, by: req.user.username }), req.ip);
+
+  logger.info(`Dashboard ${dashboardId ?? '(default)'} assigned to client ${client.id} by admin ${req.user.username}`);
+
+  res.json({ clientId: client.id, assignedDashboard: dashboardId, dashboard });
+});
+
 // Delete client (ADMIN only)
 // SECURITY: Requires ADMIN authentication
 app.delete('/api/clients/:id', writeLimiter, csrfProtection, authenticate, (req: any, res: any) => {
@@ -2255,25 +3435,15 @@ app.delete('/api/clients/:id', writeLimiter, csrfProtection, authenticate, (req:
 
     // Soft delete (mark as inactive)
     db.prepare('UPDATE clients SET is_active = ? WHERE id = ?').run(0, id);
+    revokeAllClientTokens(db, id, 'Client deleted by administrator');
+    revokeClientHAToken(id);
 
-    // Emit WebSocket event to notify client of deletion
-    io.emit('client_deleted', {
-      clientId: id,
-      timestamp: new Date().toISOString()
-    });
-
-    // Find and disconnect client's WebSocket connection
-    const sockets = io.sockets.sockets;
-    sockets.forEach((socket: any) => {
-      if (socket.user && socket.user.username === id) {
-        socket.emit('token_revoked', {
-          reason: 'Client deleted by administrator',
-          timestamp: new Date().toISOString()
-        });
-        socket.disconnect(true);
-        logger.info(`Disconnected client ${id} due to deletion`);
-      }
-    });
+    // Notify the client of its deletion, then disconnect its WebSocket connections
+    notifyClient(id, EVENT_TYPES.CLIENT_DELETED, { clientId: id });
+    disconnectClient(id, 'Client deleted by administrator');
+    clearQueuedNotifications(db, id);
+    haEvents?.syncPresence();
+    webhookDispatcher.publish(EVENT_TYPES.CLIENT_DELETED, { ...describeClientForWebhook(db, id), deletedBy: req.user.username });
 
     logger.info(`Client ${id} deleted by admin ${req.user.username}`);
 
@@ -2313,27 +3483,18 @@ app.post('/api/clients/:id/revoke', writeLimiter, csrfProtection, authenticate,
       });
     }
 
-    // Delete token hash from database (revoke token)
+    // Delete token hash from database (revoke token) and end all refresh token families
     db.prepare('UPDATE clients SET token_hash = NULL WHERE id = ?').run(id);
-
-    // Emit WebSocket event to notify client immediately
-    io.emit('token_revoked', {
-      clientId: id,
-      reason: 'Token revoked by administrator',
-      timestamp: new Date().toISOString()
-    });
-
-    // Find and disconnect client's WebSocket connection
-    const sockets = io.sockets.sockets;
-    sockets.forEach((socket: any) => {
-      if (socket.user && socket.user.username === id) {
-        socket.emit('token_revoked', {
-          reason: 'Token revoked by administrator',
-          timestamp: new Date().toISOString()
-        });
-        socket.disconnect(true);
-        logger.info(`Disconnected client ${id} due to token revocation`);
-      }
+    revokeAllClientTokens(db, id, 'Token revoked by administrator');
+    revokeClientHAToken(id);
+
+    // Notify the client immediately and disconnect its WebSocket connections
+    disconnectClient(id, 'Token revoked by administrator');
+    haEvents?.tokenRevoked(id);
+    webhookDispatcher.publish(EVENT_TYPES.TOKEN_REVOKED, {
+      ...describeClientForWebhook(db, id),
+      tokenId: null,
+      revokedBy: req.user.username
     });
 
     logger.info(`Client ${id} token revoked by admin ${req.user.username}`);
@@ -2351,11 +3512,44 @@ app.post('/api/clients/:id/revoke', writeLimiter, csrfProtection, authenticate,
   }
 });
 
+// Admin account management - owner/admin roles only
+app.use('/api/users', writeLimiter, csrfProtection, createUsersRouter(db, authenticate, (username, reason) => {
+  disconnectAdmin(username, reason);
+}));
+
+// Scoped API keys for automations and scripts - owner/admin roles only
+app.use('/api/api-keys', writeLimiter, csrfProtection, createApiKeysRouter(db, authenticate));
+
+// Inbound webhooks - authenticated with the webhook's own secret, so no session, CSRF token or write limit
+app.post('/api/webhooks/:webhookId', webhookLimiter, ...createWebhookReceiver(db));
+
+// Webhook management - admin only
+app.use('/api/webhooks', writeLimiter, csrfProtection, createWebhooksRouter(db, authenticate));
+
+// Named client tokens - several tokens per client, revocable one by one
+app.use('/api/client-tokens', writeLimiter, csrfProtection, createClientTokenRouter(db, authenticate, (clientId, tokenId) => {
+  disconnectClient(clientId, 'Token revoked by administrator', tokenId);
+  haEvents?.tokenRevoked(clientId, tokenId);
+  webhookDispatcher.publish(EVENT_TYPES.TOKEN_REVOKED, { ...describeClientForWebhook(db, clientId), tokenId });
+}, () => stateFanout?.refresh()));
+
+// Outbound webhook subscriptions and their delivery history - admin only
+app.use('/api/webhook-subscriptions', writeLimiter, csrfProtection, createWebhookSubscriptionsRouter(db, authenticate, webhookDispatcher));
+
 // Admin routes - backup, restore, security management
 app.use('/api/admin', createAdminRouter(db));
 
 // Auth routes - login, refresh, status
-app.use('/api/auth', createAuthRouter(null as any)); // PairingService not used
+app.use('/api/auth', createAuthRouter(null as any, db, (details) => {
+  webhookDispatcher.publish(EVENT_TYPES.LOGIN_FAILED, details);
+})); // PairingService not used
+
+// Built admin UI - also what the Home Assistant sidebar opens through ingress
+const frontend = serveFrontend(process.env.FRONTEND_DIST_PATH || join(__dirname, '../../frontend/dist'));
+if (frontend) {
+  app.use(frontend);
+  logger.info('✓ Serving the admin UI');
+}
 
 // 404 handler (must be before error handler)
 app.use(notFoundHandler);
@@ -2364,7 +3558,7 @@ app.use(notFoundHandler);
 app.use(errorHandler);
 
 // Socket.IO authentication middleware
-io.use(socketAuthMiddleware);
+io.use(createSocketAuthMiddleware(db));
 
 // Socket.IO connection handling with authentication and validation
 io.on('connection', (socket) => {
@@ -2600,14 +3794,23 @@ app.get('/api/privacy-policy', readLimiter, (req, res) => {
     connectedAt: new Date().toISOString(),
   };
 
-  // Register client socket for client-specific notifications
+  // Register client socket for client-specific notifications (joins its client:<id> room)
   // Extract clientId from socket auth data (if client token was used)
-  const clientId = (socket as any).clientId;
+  const clientId = user?.role === 'client' ? user.clientId : (socket as any).clientId;
   if (clientId) {
     registerClientSocket(clientId, socket);
+    stateFanout?.addSocket(socket, clientId, user?.tokenId);
+    haEvents?.clientConnected(clientId);
+    deliverQueuedNotifications(db, clientId);
     logger.info(`[WebSocket] Client ${clientId} registered for real-time notifications`);
   }
 
+  // Admin sessions receive pairing requests that need approval
+  // (only active accounts get this far - the socket middleware checks the users table)
+  if (user?.role === 'admin' && user.adminRole) {
+    socket.join(ADMINS_ROOM);
+  }
+
   // Subscribe to real-time updates
   socket.on('subscribe', (data) => {
     try {
@@ -2684,8 +3887,8 @@ app.get('/api/privacy-policy', readLimiter, (req, res) => {
     try {
       const validated = validatePairing(data);
 
-      // Only admin can approve pairing
-      if (user?.role !== 'admin') {
+      // Same permission as the pairing routes - checked against the account's role, not the token
+      if (user?.role !== 'admin' || !user.adminRole || !canAccessRoute(user.adminRole, 'POST', '/api/pairing')) {
         socket.emit('error', {
           type: 'UNAUTHORIZED',
           message: 'Only admin users can approve pairing requests',
@@ -2693,8 +3896,8 @@ app.get('/api/privacy-policy', readLimiter, (req, res) => {
         return;
       }
 
-      // Broadcast pairing request
-      io.emit('pairing_request', {
+      // Forward pairing request to the other admin sessions
+      notifyAdmins('pairing_request', {
         ...validated,
         requestedBy: user?.username,
         timestamp: new Date().toISOString(),
@@ -2716,8 +3919,8 @@ app.get('/api/privacy-policy', readLimiter, (req, res) => {
     try {
       const validated = validateConfigUpdate(data);
 
-      // Only admin can update config
-      if (user?.role !== 'admin') {
+      // Same permission as the config routes - checked against the account's role, not the token
+      if (user?.role !== 'admin' || !user.adminRole || !canAccessRoute(user.adminRole, 'PUT', '/api/config')) {
         socket.emit('error', {
           type: 'UNAUTHORIZED',
           message: 'Only admin users can update configuration',
@@ -2725,8 +3928,8 @@ app.get('/api/privacy-policy', readLimiter, (req, res) => {
         return;
       }
 
-      // Broadcast to all clients
-      io.emit('config_update', {
+      // Config values may be secrets - only admin sessions receive them
+      notifyAdmins('config_update', {
         ...validated,
         updatedBy: user?.username,
         timestamp: new Date().toISOString(),
@@ -2743,6 +3946,32 @@ app.get('/api/privacy-policy', readLimiter, (req, res) => {
     }
   });
 
+  // Service call from a client - same checks as POST /api/services/call
+  // Answers through the acknowledgement callback, or a call_service_result event without one
+  socket.on('call_service', async (data, ack?: (result: any) => void) => {
+    const reply = (result: any) => typeof ack === 'function' ? ack(result) : socket.emit('call_service_result', result);
+
+    if (!clientId) {
+      reply({ success: false, status: 403, message: 'Only paired clients can call services' });
+      return;
+    }
+
+    try {
+      const validated = validateCallService(data);
+      const result = await callServiceForClient(db, haService, {
+        clientId,
+        tokenId: user?.tokenId,
+        ipAddress: socket.handshake.address
+      }, validated);
+
+      reply({ success: true, context: result?.context ?? null });
+    } catch (error: any) {
+      // status mirrors the HTTP route's response code
+      const status = error instanceof AppError ? error.statusCode : error instanceof ZodError ? 400 : 500;
+      reply({ success: false, status, message: error.message });
+    }
+  });
+
   // Heartbeat/ping
   socket.on('ping', () => {
     socket.emit('pong', { timestamp: new Date().toISOString() });
@@ -2753,9 +3982,12 @@ app.get('/api/privacy-policy', readLimiter, (req, res) => {
     console.log(`[WebSocket] User disconnected: ${user?.username} (${socket.id}), reason: ${reason}`);
 
     // Unregister client socket if it was a client connection
-    const clientId = (socket as any).clientId;
     if (clientId) {
-      unregisterClientSocket(clientId);
+      unregisterClientSocket(clientId, socket);
+      stateFanout?.removeSocket(socket);
+      if (!isClientConnected(clientId)) {
+        haEvents?.clientDisconnected(clientId, reason);
+      }
       logger.info(`[WebSocket] Client ${clientId} unregistered on disconnect`);
     }
 
@@ -2830,6 +4062,10 @@ if (httpRedirectServer && tlsOptions.redirectHttp) {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, closing servers...');
+  entityCache?.stop();
+  areaDriftMonitor?.stop();
+  haEvents?.stop();
+  webhookDispatcher.stop();
   mainServer.close(() => {
     if (httpRedirectServer) {
       httpRedirectServer.close(() => {
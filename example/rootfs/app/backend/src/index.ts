@@ -19,7 +19,8 @@ const serverConfig: ServerConfig = {
     url: process.env.HA_URL || 'http://supervisor/core',
     token: process.env.HA_TOKEN,
     supervisorToken: process.env.SUPERVISOR_TOKEN,
-    mode: process.env.HA_MODE === 'standalone' ? 'standalone' : 'addon'
+    mode: process.env.HA_MODE === 'standalone' ? 'standalone' : 'addon',
+    requestTimeout: parseInt(process.env.HA_REQUEST_TIMEOUT || '10', 10) * 1000
   },
 
   security: {
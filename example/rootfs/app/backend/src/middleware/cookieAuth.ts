@@ -68,6 +68,10 @@ export function generateRefreshToken(clientId: string): string {
 export function verifyToken(token: string): AuthToken {
   try {
     const decoded = jwt.verify(token, JWT_SECRET) as AuthToken;
+    // Other tokens signed with the same secret (e.g. mfa_pending) carry no clientId
+    if (!decoded.clientId) {
+      throw new AuthenticationError('Invalid token type');
+    }
     return decoded;
   } catch (error) {
     throw new AuthenticationError('Invalid or expired token');
@@ -0,0 +1,275 @@
+/**
+ * Home Assistant Ingress Middleware Test Suite
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import Database from 'better-sqlite3';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  INGRESS_PROXY_IP,
+  isIngressRequest,
+  getIngressPath,
+  getIngressUser,
+  ingressFrameHeaders,
+  serveFrontend,
+  createIngressLoginHandler,
+  linkIngressLogin
+} from './ingress';
+
+const INGRESS_PATH = '/api/hassio_ingress/abc123-XYZ';
+
+const fakeRequest = (remoteAddress: string, headers: Record<string, string> = {}) =>
+  ({ socket: { remoteAddress }, headers }) as any;
+
+process.env.JWT_SECRET = 'ingress-test-secret';
+
+describe('Ingress Middleware', () => {
+  const supervisorToken = process.env.SUPERVISOR_TOKEN;
+
+  beforeEach(() => {
+    process.env.SUPERVISOR_TOKEN = 'supervisor-token';
+  });
+
+  afterEach(() => {
+    if (supervisorToken === undefined) {
+      delete process.env.SUPERVISOR_TOKEN;
+    } else {
+      process.env.SUPERVISOR_TOKEN = supervisorToken;
+    }
+  });
+
+  describe('isIngressRequest', () => {
+    it('should accept requests from the Supervisor proxy with an ingress path', () => {
+      expect(isIngressRequest(fakeRequest(INGRESS_PROXY_IP, { 'x-ingress-path': INGRESS_PATH }))).toBe(true);
+      expect(isIngressRequest(fakeRequest(`::ffff:${INGRESS_PROXY_IP}`, { 'x-ingress-path': INGRESS_PATH }))).toBe(true);
+    });
+
+    it('should ignore ingress headers from other peers', () => {
+      expect(isIngressRequest(fakeRequest('192.168.1.20', { 'x-ingress-path': INGRESS_PATH }))).toBe(false);
+    });
+
+    it('should ignore ingress headers outside add-on mode', () => {
+      delete process.env.SUPERVISOR_TOKEN;
+      expect(isIngressRequest(fakeRequest(INGRESS_PROXY_IP, { 'x-ingress-path': INGRESS_PATH }))).toBe(false);
+    });
+
+    it('should reject malformed ingress paths', () => {
+      expect(isIngressRequest(fakeRequest(INGRESS_PROXY_IP))).toBe(false);
+      expect(isIngressRequest(fakeRequest(INGRESS_PROXY_IP, { 'x-ingress-path': '/evil" onload="x' }))).toBe(false);
+      expect(isIngressRequest(fakeRequest(INGRESS_PROXY_IP, { 'x-ingress-path': `${INGRESS_PATH}/../x` }))).toBe(false);
+    });
+  });
+
+  describe('getIngressPath', () => {
+    it('should return the ingress path, or an empty prefix outside ingress', () => {
+      expect(getIngressPath(fakeRequest(INGRESS_PROXY_IP, { 'x-ingress-path': INGRESS_PATH }))).toBe(INGRESS_PATH);
+      expect(getIngressPath(fakeRequest('10.0.0.5', { 'x-ingress-path': INGRESS_PATH }))).toBe('');
+    });
+  });
+
+  describe('getIngressUser', () => {
+    it('should read the Home Assistant user from the remote user headers', () => {
+      const user = getIngressUser(fakeRequest(INGRESS_PROXY_IP, {
+        'x-ingress-path': INGRESS_PATH,
+        'x-remote-user-id': 'f1e2d3',
+        'x-remote-user-name': 'jane',
+        'x-remote-user-display-name': 'Jane'
+      }));
+
+      expect(user).toEqual({ id: 'f1e2d3', name: 'jane', displayName: 'Jane' });
+    });
+
+    it('should return null without a user or outside ingress', () => {
+      expect(getIngressUser(fakeRequest(INGRESS_PROXY_IP, { 'x-ingress-path': INGRESS_PATH }))).toBeNull();
+      expect(getIngressUser(fakeRequest('10.0.0.5', {
+        'x-ingress-path': INGRESS_PATH,
+        'x-remote-user-id': 'f1e2d3',
+        'x-remote-user-name': 'jane'
+      }))).toBeNull();
+    });
+  });
+
+  describe('createIngressLoginHandler', () => {
+    let db: Database.Database;
+    let dbDir: string;
+    let sessions: string[];
+
+    const ingressHeaders = (haUsername: string) => ({
+      'x-ingress-path': INGRESS_PATH,
+      'x-remote-user-id': `ha_${haUsername}`,
+      'x-remote-user-name': haUsername
+    });
+
+    const login = (haUsername: string, remoteAddress = INGRESS_PROXY_IP) => {
+      const res: any = { statusCode: 200 };
+      res.status = (code: number) => { res.statusCode = code; return res; };
+      res.json = (body: any) => { res.body = body; return res; };
+
+      const handler = createIngressLoginHandler(db, (account, response: any) => {
+        sessions.push(account.username);
+        response.json({ token: 'session' });
+      });
+      handler(fakeRequest(remoteAddress, ingressHeaders(haUsername)), res);
+      return res;
+    };
+
+    beforeEach(() => {
+      sessions = [];
+      dbDir = mkdtempSync(join(tmpdir(), 'hasync-ingress-'));
+      db = new Database(join(dbDir, 'app01.db'));
+      db.exec(`
+        CREATE TABLE users (
+          id TEXT PRIMARY KEY,
+          username TEXT NOT NULL UNIQUE,
+          role TEXT NOT NULL,
+          is_active INTEGER DEFAULT 1,
+          totp_enabled INTEGER DEFAULT 0,
+          ha_user_id TEXT UNIQUE,
+          created_at INTEGER DEFAULT (strftime('%s', 'now'))
+        );
+        INSERT INTO users (id, username, role) VALUES ('user_owner', 'owner', 'owner');
+        INSERT INTO users (id, username, role, ha_user_id) VALUES ('user_jane', 'jane', 'viewer', 'ha_jane');
+        INSERT INTO users (id, username, role, totp_enabled, ha_user_id) VALUES ('user_max', 'max', 'admin', 1, 'ha_max');
+        INSERT INTO users (id, username, role, is_active, ha_user_id) VALUES ('user_old', 'old', 'admin', 0, 'ha_old');
+      `);
+    });
+
+    afterEach(() => {
+      db.close();
+      rmSync(dbDir, { recursive: true, force: true });
+    });
+
+    it('should sign in as the account linked to the Home Assistant user', () => {
+      expect(login('jane').body).toEqual({ token: 'session' });
+      expect(sessions).toEqual(['jane']);
+    });
+
+    it('should refuse Home Assistant users without a linked account instead of using the owner', () => {
+      expect(login('guest').statusCode).toBe(401);
+      expect(login('old').statusCode).toBe(401);
+      expect(sessions).toEqual([]);
+    });
+
+    it('should not trust a Home Assistant user named like an unlinked account', () => {
+      const res = login('owner');
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body.error).toContain('sign in once with your HAsync password');
+      expect(sessions).toEqual([]);
+    });
+
+    it('should link the Home Assistant user on a password sign-in through ingress', () => {
+      const owner = { id: 'user_owner', username: 'owner', role: 'owner' as const, totpEnabled: false };
+      linkIngressLogin(db, fakeRequest(INGRESS_PROXY_IP, ingressHeaders('owner')), owner);
+
+      expect(login('owner').body).toEqual({ token: 'session' });
+      expect(sessions).toEqual(['owner']);
+    });
+
+    it('should keep existing links and link Home Assistant users only once', () => {
+      const owner = { id: 'user_owner', username: 'owner', role: 'owner' as const, totpEnabled: false };
+      const jane = { id: 'user_jane', username: 'jane', role: 'viewer' as const, totpEnabled: false };
+
+      linkIngressLogin(db, fakeRequest('10.0.0.5', ingressHeaders('guest')), owner);
+      linkIngressLogin(db, fakeRequest(INGRESS_PROXY_IP, ingressHeaders('jane')), owner);
+      linkIngressLogin(db, fakeRequest(INGRESS_PROXY_IP, ingressHeaders('guest')), jane);
+
+      const links = db.prepare('SELECT username, ha_user_id FROM users ORDER BY username').all();
+      expect(links).toEqual([
+        { username: 'jane', ha_user_id: 'ha_jane' },
+        { username: 'max', ha_user_id: 'ha_max' },
+        { username: 'old', ha_user_id: 'ha_old' },
+        { username: 'owner', ha_user_id: null }
+      ]);
+    });
+
+    it('should ask accounts with two-factor authentication for their code', () => {
+      expect(login('max').body).toMatchObject({ mfaRequired: true, mfaToken: expect.any(String) });
+      expect(sessions).toEqual([]);
+    });
+
+    it('should refuse requests that did not come through ingress', () => {
+      expect(login('jane', '10.0.0.5').statusCode).toBe(401);
+      expect(sessions).toEqual([]);
+    });
+  });
+
+  describe('ingressFrameHeaders', () => {
+    const run = (req: any) => {
+      const headers: Record<string, string> = {
+        'X-Frame-Options': 'DENY',
+        'Content-Security-Policy': "default-src 'self'; frame-ancestors 'none'"
+      };
+      const res = {
+        getHeader: (name: string) => headers[name],
+        setHeader: (name: string, value: string) => { headers[name] = value; }
+      } as any;
+      ingressFrameHeaders()(req, res, () => undefined);
+      return headers;
+    };
+
+    it('should allow same-origin framing for ingress requests', () => {
+      expect(run(fakeRequest(INGRESS_PROXY_IP, { 'x-ingress-path': INGRESS_PATH }))).toEqual({
+        'X-Frame-Options': 'SAMEORIGIN',
+        'Content-Security-Policy': "default-src 'self'; frame-ancestors 'self'"
+      });
+    });
+
+    it('should keep denying framing for other requests', () => {
+      expect(run(fakeRequest('10.0.0.5'))['X-Frame-Options']).toBe('DENY');
+    });
+  });
+
+  describe('serveFrontend', () => {
+    let distPath: string;
+    let app: express.Express;
+
+    beforeAll(() => {
+      distPath = mkdtempSync(join(tmpdir(), 'hasync-dist-'));
+      mkdirSync(join(distPath, 'assets'));
+      writeFileSync(join(distPath, 'index.html'), '<html><head><title>HAsync</title></head><body></body></html>');
+      writeFileSync(join(distPath, 'assets', 'app.js'), 'console.log("app");');
+
+      app = express();
+      app.use(serveFrontend(distPath)!);
+      app.get('/api/health', (req, res) => res.json({ status: 'ok' }));
+    });
+
+    afterAll(() => {
+      rmSync(distPath, { recursive: true, force: true });
+    });
+
+    it('should return null without a build', () => {
+      expect(serveFrontend(join(distPath, 'missing'))).toBeNull();
+    });
+
+    it('should serve index.html with the base path', async () => {
+      const response = await request(app).get('/').expect(200);
+
+      expect(response.headers['cache-control']).toBe('no-cache');
+      expect(response.text).toContain('<base href="/" />');
+      expect(response.text).toContain('<meta name="hasync-base-path" content="" />');
+    });
+
+    it('should not trust ingress headers from other peers', async () => {
+      const response = await request(app).get('/').set('X-Ingress-Path', INGRESS_PATH).expect(200);
+
+      expect(response.text).not.toContain(INGRESS_PATH);
+    });
+
+    it('should serve assets and fall back to index.html outside the API', async () => {
+      await request(app).get('/assets/app.js').expect(200, 'console.log("app");');
+
+      const fallback = await request(app).get('/pair').expect(200);
+      expect(fallback.text).toContain('hasync-base-path');
+
+      await request(app).get('/api/health').expect(200, { status: 'ok' });
+      await request(app).get('/api/unknown').expect(404);
+      await request(app).get('/socket.io/').expect(404);
+    });
+  });
+});
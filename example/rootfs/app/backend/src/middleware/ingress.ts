@@ -0,0 +1,170 @@
+/**
+ * Home Assistant Ingress Middleware
+ * Serves the admin UI inside the Home Assistant sidebar. The Supervisor proxies
+ * /api/hassio_ingress/<token>/... to the add-on with the prefix stripped, sends the prefix as
+ * X-Ingress-Path and identifies the signed-in Home Assistant user in X-Remote-User-* headers.
+ */
+
+import express, { Request, Response, NextFunction } from 'express';
+import type { Database } from 'better-sqlite3';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { getIngressAdminAccount, linkIngressUser, issueMfaPendingToken, AdminAccount } from '../services/mfa';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('Ingress');
+
+// The Supervisor's ingress proxy - the only peer whose ingress headers are trusted
+export const INGRESS_PROXY_IP = '172.30.32.2';
+
+const INGRESS_PATH_REGEX = /^\/api\/hassio_ingress\/[\w-]+$/;
+
+export interface IngressUser {
+  id: string;
+  name: string;
+  displayName: string | null;
+}
+
+const header = (req: Request, name: string): string | undefined => {
+  const value = req.headers[name];
+  return typeof value === 'string' && value.length > 0 ? value : undefined;
+};
+
+/**
+ * Check whether a request came through Home Assistant ingress
+ * Only when running as an add-on (SUPERVISOR_TOKEN is set) and sent by the Supervisor's proxy -
+ * anyone else could set the headers themselves.
+ */
+export function isIngressRequest(req: Request): boolean {
+  if (!process.env.SUPERVISOR_TOKEN) {
+    return false;
+  }
+  const remoteAddress = req.socket.remoteAddress?.replace(/^::ffff:/, '');
+  return remoteAddress === INGRESS_PROXY_IP && INGRESS_PATH_REGEX.test(header(req, 'x-ingress-path') ?? '');
+}
+
+/**
+ * Path prefix the UI is served under - the ingress path, '' outside ingress
+ */
+export function getIngressPath(req: Request): string {
+  return isIngressRequest(req) ? header(req, 'x-ingress-path')! : '';
+}
+
+/**
+ * Home Assistant user signed in to the sidebar, null outside ingress or if the Supervisor sent none
+ */
+export function getIngressUser(req: Request): IngressUser | null {
+  if (!isIngressRequest(req)) {
+    return null;
+  }
+
+  const id = header(req, 'x-remote-user-id');
+  const name = header(req, 'x-remote-user-name');
+  if (!id || !name) {
+    return null;
+  }
+  return { id, name, displayName: header(req, 'x-remote-user-display-name') ?? null };
+}
+
+/**
+ * Sign the Home Assistant user of an ingress request in as the HAsync account linked to it
+ * Accounts are linked the first time their owner signs in with the HAsync password through ingress
+ * (see linkIngressLogin) - matching usernames are not trusted. Accounts with two-factor
+ * authentication get an mfaToken for /api/admin/login/mfa instead of a session. HA users without a
+ * linked account get 401 and sign in with a HAsync password instead.
+ * @param issueSession - Starts the admin session of the account
+ */
+export function createIngressLoginHandler(
+  db: Database,
+  issueSession: (account: AdminAccount, res: Response) => void
+) {
+  return (req: Request, res: Response): void => {
+    const haUser = getIngressUser(req);
+    if (!haUser) {
+      res.status(401).json({ error: 'Not opened through Home Assistant ingress' });
+      return;
+    }
+
+    const account = getIngressAdminAccount(db, haUser.id);
+    if (!account) {
+      logger.warn(`Home Assistant user ${haUser.name} (${haUser.id}) is not linked to a HAsync account`);
+      res.status(401).json({
+        error: `Home Assistant user ${haUser.name} is not linked to a HAsync account yet - sign in once with your HAsync password to link it`
+      });
+      return;
+    }
+
+    if (account.totpEnabled) {
+      const { mfaToken, expiresIn } = issueMfaPendingToken(account);
+      logger.info(`Home Assistant user ${haUser.name} signed in through ingress, awaiting second factor`);
+      res.json({ mfaRequired: true, mfaToken, expiresIn });
+      return;
+    }
+
+    logger.info(`Home Assistant user ${haUser.name} (${haUser.id}) signed in through ingress as ${account.username}`);
+    issueSession(account, res);
+  };
+}
+
+/**
+ * Link the Home Assistant user of an ingress request to the account that just completed a password
+ * sign-in, so later ingress requests from that HA user are signed in without the password
+ * Does nothing outside ingress or if the account or HA user is already linked elsewhere.
+ */
+export function linkIngressLogin(db: Database, req: Request, account: AdminAccount): void {
+  const haUser = getIngressUser(req);
+  if (haUser && !linkIngressUser(db, account.id, haUser.id)) {
+    logger.warn(`Home Assistant user ${haUser.name} (${haUser.id}) was not linked to ${account.username} - already linked`);
+  }
+}
+
+/**
+ * Allow the UI to be framed by Home Assistant for ingress requests
+ * Runs after helmet, which denies framing everywhere else. The sidebar frame is same-origin,
+ * since the UI is proxied through Home Assistant.
+ */
+export function ingressFrameHeaders() {
+  return (req: Request, res: Response, next: NextFunction): void => {
+    if (isIngressRequest(req)) {
+      res.setHeader('X-Frame-Options', 'SAMEORIGIN');
+      const csp = res.getHeader('Content-Security-Policy');
+      if (typeof csp === 'string') {
+        res.setHeader('Content-Security-Policy', csp.replace("frame-ancestors 'none'", "frame-ancestors 'self'"));
+      }
+    }
+    next();
+  };
+}
+
+/**
+ * Serve the built frontend with a fallback to index.html for everything outside /api and /socket.io
+ * index.html gets a <base> and the prefix it is served under, so assets, API calls and the Socket.IO
+ * connection stay relative to the ingress path.
+ * @param distPath - Directory of the frontend build
+ * @returns Router, or null if there is no build (development - Vite serves the UI)
+ */
+export function serveFrontend(distPath: string) {
+  const indexPath = join(distPath, 'index.html');
+  if (!existsSync(indexPath)) {
+    return null;
+  }
+
+  const indexHtml = readFileSync(indexPath, 'utf8');
+  const router = express.Router();
+
+  const sendIndex = (req: Request, res: Response) => {
+    const basePath = getIngressPath(req);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.type('html').send(indexHtml.replace(
+      '<head>',
+      `<head>\n    <base href="${basePath}/" />\n    <meta name="hasync-base-path" content="${basePath}" />`
+    ));
+  };
+
+  router.get('/', sendIndex);
+  router.get('/index.html', sendIndex);
+  router.use(express.static(distPath, { index: false }));
+  router.get(/^\/(?!api(\/|$)|socket\.io(\/|$)).*/, sendIndex);
+
+  return router;
+}
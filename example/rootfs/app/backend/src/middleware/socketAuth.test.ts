@@ -0,0 +1,72 @@
+/**
+ * Socket.IO Authentication Middleware Test Suite
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import Database from 'better-sqlite3';
+import jwt from 'jsonwebtoken';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { createSocketAuthMiddleware } from './socketAuth';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+
+const adminToken = (username: string) =>
+  jwt.sign({ username, role: 'admin' }, JWT_SECRET, { issuer: 'hasync-backend', audience: 'hasync-client', expiresIn: '15m' });
+
+describe('Socket Auth Middleware', () => {
+  let db: Database.Database;
+  let dbPath: string;
+  let address = 0;
+
+  // Every connection comes from its own address, so the per-IP connection limit never applies
+  const connect = (token: string) => {
+    const socket: any = { id: 'socket_1', handshake: { address: `10.0.0.${++address}`, headers: {}, auth: { token }, query: {} } };
+    let error: any;
+    createSocketAuthMiddleware(db)(socket, (err?: any) => { error = err; });
+    return { socket, error };
+  };
+
+  beforeEach(() => {
+    dbPath = join(tmpdir(), `test-socket-auth-${Date.now()}.db`);
+    db = new Database(dbPath);
+    db.exec(`
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        role TEXT NOT NULL,
+        is_active INTEGER NOT NULL DEFAULT 1
+      );
+      INSERT INTO users (id, username, role, is_active) VALUES
+        ('user_1', 'owner', 'owner', 1),
+        ('user_2', 'jane', 'viewer', 1),
+        ('user_3', 'old', 'admin', 0);
+    `);
+  });
+
+  afterEach(() => {
+    db.close();
+    try {
+      unlinkSync(dbPath);
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should attach the role of the admin account', () => {
+    const { socket, error } = connect(adminToken('jane'));
+
+    expect(error).toBeUndefined();
+    expect(socket.user).toMatchObject({ username: 'jane', role: 'admin', userId: 'user_2', adminRole: 'viewer' });
+  });
+
+  it('should reject admin tokens of inactive or removed accounts', () => {
+    expect(connect(adminToken('old')).error.data).toEqual({ code: 'ACCOUNT_DISABLED' });
+    expect(connect(adminToken('ghost')).error.data).toEqual({ code: 'ACCOUNT_DISABLED' });
+  });
+
+  it('should reject invalid tokens', () => {
+    expect(connect('not-a-token').error.data).toEqual({ code: 'INVALID_TOKEN' });
+  });
+});
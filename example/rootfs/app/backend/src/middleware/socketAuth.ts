@@ -5,15 +5,13 @@
 
 import { Socket } from 'socket.io';
 import { ExtendedError } from 'socket.io/dist/namespace';
+import jwt from 'jsonwebtoken';
 import { verifyAccessToken } from './auth';
-import { hashToken } from '../utils/tokenUtils';
+import { resolveClientToken } from '../utils/tokenUtils';
+import { isAdminRole, AdminRole } from '../utils/roles';
 import rateLimit from 'express-rate-limit';
 import Database from 'better-sqlite3';
 
-// Database connection for token verification
-const DATABASE_PATH = process.env.DATABASE_PATH || '/data/app01.db';
-const db = new Database(DATABASE_PATH);
-
 // Rate limiter for WebSocket connections
 const connectionAttempts = new Map<string, { count: number; firstAttempt: number }>();
 
@@ -60,13 +58,18 @@ setInterval(() => {
       connectionAttempts.delete(ip);
     }
   }
-}, 5 * 60 * 1000);
+}, 5 * 60 * 1000).unref();
 
 /**
- * Socket.IO authentication middleware
+ * Create the Socket.IO authentication middleware
  * Validates JWT token and attaches user info to socket
+ * @param db - Database instance (admin accounts and client tokens)
  */
-export function socketAuthMiddleware(socket: Socket, next: (err?: ExtendedError) => void): void {
+export function createSocketAuthMiddleware(db: Database.Database) {
+  return (socket: Socket, next: (err?: ExtendedError) => void): void => authenticateSocket(db, socket, next);
+}
+
+function authenticateSocket(db: Database.Database, socket: Socket, next: (err?: ExtendedError) => void): void {
   try {
     console.log('[WebSocket] New connection attempt from:', socket.handshake.address);
 
@@ -125,25 +128,40 @@ export function socketAuthMiddleware(socket: Socket, next: (err?: ExtendedError)
     const decoded = verifyAccessToken(token);
 
     if (!decoded) {
-      console.warn('[WebSocket] ❌ REJECTED - Invalid or expired token');
-      const error = new Error('Invalid or expired token') as ExtendedError;
-      error.data = { code: 'INVALID_TOKEN' };
+      // Tell clients with short-lived access tokens to refresh instead of re-pairing
+      const unverified = jwt.decode(token) as { exp?: number } | null;
+      const expired = !!unverified?.exp && unverified.exp * 1000 < Date.now();
+
+      console.warn(`[WebSocket] ❌ REJECTED - ${expired ? 'Expired' : 'Invalid'} token`);
+      const error = new Error(expired ? 'Token expired' : 'Invalid or expired token') as ExtendedError;
+      error.data = { code: expired ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN' };
       return next(error);
     }
 
     // Check token type
     if (decoded.role === 'admin') {
-      // Admin token
+      // Admin token - the users table is the source of truth for role and status
+      const account = db.prepare('SELECT id, role, is_active FROM users WHERE username = ?')
+        .get(decoded.username) as { id: string; role: string; is_active: number } | undefined;
+
+      if (!account || account.is_active !== 1 || !isAdminRole(account.role)) {
+        console.warn(`[WebSocket] ❌ REJECTED - Account disabled or removed: ${decoded.username}`);
+        const error = new Error('Account disabled or removed') as ExtendedError;
+        error.data = { code: 'ACCOUNT_DISABLED' };
+        return next(error);
+      }
+
       (socket as any).user = {
         username: decoded.username,
         role: decoded.role,
+        userId: account.id,
+        adminRole: account.role
       };
-      console.log(`[WebSocket] ✅ SUCCESS - User authenticated: ${decoded.username} (${socket.id})`);
+      console.log(`[WebSocket] ✅ SUCCESS - User authenticated: ${decoded.username} as ${account.role} (${socket.id})`);
       return next();
     } else if (decoded.role === 'client') {
-      // Client token - verify hash in database
-      const tokenHash = hashToken(token);
-      const client: any = db.prepare('SELECT * FROM clients WHERE token_hash = ? AND is_active = 1').get(tokenHash);
+      // Client token - resolve through client_tokens (revocation, expiry, per-token areas)
+      const client = resolveClientToken(db, token, decoded as { clientId?: string; fid?: string });
 
       if (!client) {
         const error = new Error('Token revoked or invalid') as ExtendedError;
@@ -152,12 +170,13 @@ export function socketAuthMiddleware(socket: Socket, next: (err?: ExtendedError)
       }
 
       (socket as any).user = {
-        clientId: client.id,
+        clientId: client.clientId,
+        tokenId: client.tokenId,
         role: 'client',
-        assignedAreas: client.assigned_areas ? JSON.parse(client.assigned_areas) : []
+        assignedAreas: client.assignedAreas
       };
 
-      console.log(`[WebSocket] ✅ Client authenticated: ${client.id} (${socket.id})`);
+      console.log(`[WebSocket] ✅ Client authenticated: ${client.clientId} (${socket.id})`);
       return next();
     }
 
@@ -193,6 +212,11 @@ declare module 'socket.io' {
     user?: {
       username: string;
       role: string;
+      userId?: string;
+      adminRole?: AdminRole;
+      clientId?: string;
+      tokenId?: string;
+      assignedAreas?: string[];
     };
     clientId?: string;
   }
@@ -0,0 +1,87 @@
+/**
+ * API Key Management Routes
+ * Scoped keys for automations and scripts (sent as "Authorization: ApiKey <key>")
+ */
+
+import { Router, Response } from 'express';
+import Database from 'better-sqlite3';
+import { validateBody } from '../validation/middleware';
+import { createApiKeySchema } from '../validation/schemas';
+import { createApiKey, getApiKey, listApiKeys, revokeApiKey } from '../services/apiKeys';
+import { API_KEY_SCOPES } from '../utils/apiKeys';
+import { ForbiddenError, NotFoundError, ValidationError } from '../errors/AppError';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('ApiKeyRoutes');
+
+/**
+ * Create router for API key management
+ * @param db - Database instance
+ * @param authenticate - Authentication middleware
+ * @returns Express router
+ */
+export function createApiKeysRouter(db: Database.Database, authenticate: any): Router {
+  const router = Router();
+
+  // API keys must never manage API keys - only logged-in admins can
+  const requireAdminSession = (req: any) => {
+    if (req.user?.role !== 'admin' || !req.user.userId) {
+      throw new ForbiddenError('Only admin users can manage API keys');
+    }
+  };
+
+  const logActivity = (req: any, action: string, details: Record<string, any>) => {
+    db.prepare(`
+      INSERT INTO activity_log (client_id, action, details, ip_address)
+      VALUES (?, ?, ?, ?)
+    `).run(null, action, JSON.stringify({ ...details, by: req.user.username }), req.ip);
+  };
+
+  /**
+   * List API keys
+   * GET /api/api-keys
+   */
+  router.get('/', authenticate, (req: any, res: Response) => {
+    requireAdminSession(req);
+    res.json({ keys: listApiKeys(db), availableScopes: API_KEY_SCOPES });
+  });
+
+  /**
+   * Create an API key
+   * POST /api/api-keys
+   * Body: { name, scopes, ipAllowlist?, expiresAt? }
+   * The plaintext key is only returned in this response
+   */
+  router.post('/', authenticate, validateBody(createApiKeySchema), (req: any, res: Response) => {
+    requireAdminSession(req);
+
+    const { apiKey, key } = createApiKey(db, req.body, req.user.username);
+    logActivity(req, 'api_key_created', { apiKeyId: apiKey.id, name: apiKey.name, scopes: apiKey.scopes });
+
+    res.status(201).json({ ...apiKey, key });
+  });
+
+  /**
+   * Revoke an API key
+   * DELETE /api/api-keys/:id
+   */
+  router.delete('/:id', authenticate, (req: any, res: Response) => {
+    requireAdminSession(req);
+
+    const apiKey = getApiKey(db, req.params.id);
+    if (!apiKey) {
+      throw new NotFoundError('API key');
+    }
+
+    if (!revokeApiKey(db, apiKey.id)) {
+      throw new ValidationError('API key is already revoked');
+    }
+
+    logger.info(`API key ${apiKey.prefix} revoked by ${req.user.username}`);
+    logActivity(req, 'api_key_revoked', { apiKeyId: apiKey.id, name: apiKey.name });
+
+    res.json({ success: true, message: 'API key revoked' });
+  });
+
+  return router;
+}
@@ -4,7 +4,16 @@
  */
 
 import { Router, Response } from 'express';
+import type { Database } from 'better-sqlite3';
 import { PairingService } from '../services/pairing';
+import {
+  verifyAdminCredentials,
+  issueMfaPendingToken,
+  completeMfaLogin,
+  getMfaPendingUsername
+} from '../services/mfa';
+import { validateBody } from '../validation/middleware';
+import { mfaLoginSchema } from '../validation/schemas';
 import {
   AuthenticatedRequest,
   setAuthCookies,
@@ -14,16 +23,81 @@ import {
 } from '../middleware/cookieAuth';
 import { ApiResponse } from '../types';
 
-export function createAuthRouter(pairingService: PairingService): Router {
+export interface LoginFailure {
+  username: string | null;
+  reason: 'invalid_credentials' | 'invalid_mfa_code';
+  ip?: string;
+}
+
+/**
+ * @param onLoginFailed - Called for every rejected password or verification code
+ */
+export function createAuthRouter(
+  pairingService: PairingService,
+  db?: Database,
+  onLoginFailed?: (failure: LoginFailure) => void
+): Router {
   const router = Router();
 
   /**
    * POST /api/auth/login
    * Login with credentials and set httpOnly cookies
+   * Body: { username, password } for admin accounts, or { ingressUrl, token } for ingress sessions.
+   * Accounts with two-factor authentication get an mfaToken for /api/auth/login/mfa instead of cookies.
    */
   router.post('/login', async (req, res: Response) => {
     try {
-      const { ingressUrl, token } = req.body;
+      const { ingressUrl, token, username, password } = req.body;
+
+      if (username !== undefined || password !== undefined) {
+        if (!db || typeof username !== 'string' || typeof password !== 'string') {
+          res.status(400).json({
+            success: false,
+            error: 'Missing required fields',
+            code: 'VALIDATION_ERROR',
+          });
+          return;
+        }
+
+        const account = await verifyAdminCredentials(db, username, password);
+        if (!account) {
+          onLoginFailed?.({ username, reason: 'invalid_credentials', ip: req.ip });
+          res.status(401).json({
+            success: false,
+            error: 'Invalid credentials',
+            code: 'INVALID_CREDENTIALS',
+          });
+          return;
+        }
+
+        if (account.totpEnabled) {
+          const response: ApiResponse = {
+            success: true,
+            data: {
+              authenticated: false,
+              mfaRequired: true,
+              ...issueMfaPendingToken(account),
+            },
+            timestamp: Date.now(),
+          };
+          res.json(response);
+          return;
+        }
+
+        setAuthCookies(res, account.id);
+
+        const response: ApiResponse = {
+          success: true,
+          data: {
+            authenticated: true,
+            clientId: account.id,
+            message: 'Authentication successful',
+          },
+          timestamp: Date.now(),
+        };
+        res.json(response);
+        return;
+      }
 
       if (!ingressUrl || !token) {
         res.status(400).json({
@@ -61,6 +135,48 @@ export function createAuthRouter(pairingService: PairingService): Router {
     }
   });
 
+  /**
+   * POST /api/auth/login/mfa
+   * Exchange an mfa_pending token plus TOTP or recovery code for session cookies
+   */
+  router.post('/login/mfa', validateBody(mfaLoginSchema), (req, res: Response) => {
+    if (!db) {
+      res.status(503).json({
+        success: false,
+        error: 'Two-factor authentication is not available',
+        code: 'MFA_UNAVAILABLE',
+      });
+      return;
+    }
+
+    const { mfaToken, code, recoveryCode } = req.body;
+    const account = completeMfaLogin(db, mfaToken, { code, recoveryCode });
+
+    if (!account) {
+      onLoginFailed?.({ username: getMfaPendingUsername(mfaToken), reason: 'invalid_mfa_code', ip: req.ip });
+      res.status(401).json({
+        success: false,
+        error: 'Invalid or expired verification code',
+        code: 'MFA_FAILED',
+      });
+      return;
+    }
+
+    setAuthCookies(res, account.id);
+
+    const response: ApiResponse = {
+      success: true,
+      data: {
+        authenticated: true,
+        clientId: account.id,
+        message: 'Authentication successful',
+      },
+      timestamp: Date.now(),
+    };
+
+    res.json(response);
+  });
+
   /**
    * POST /api/auth/logout
    * Clear authentication cookies
@@ -5,6 +5,7 @@
 
 import { Router, Request, Response } from 'express';
 import Database from 'better-sqlite3';
+import { randomBytes } from 'crypto';
 import {
   generateClientToken,
   hashToken,
@@ -15,19 +16,71 @@ import { createLogger } from '../utils/logger';
 
 const logger = createLogger('ClientTokenRoutes');
 
+const TOKEN_COLUMNS = `
+  id,
+  client_id,
+  name,
+  assigned_areas,
+  created_at,
+  expires_at,
+  last_used,
+  is_revoked,
+  revoked_at,
+  revoked_reason
+`;
+
+/**
+ * Format a client_tokens row for API responses
+ */
+function formatToken(token: any) {
+  return {
+    ...token,
+    assignedAreas: JSON.parse(token.assigned_areas),
+    isRevoked: token.is_revoked === 1,
+    createdAt: new Date(token.created_at * 1000).toISOString(),
+    expiresAt: new Date(token.expires_at * 1000).toISOString(),
+    lastUsed: token.last_used ? new Date(token.last_used * 1000).toISOString() : null,
+    revokedAt: token.revoked_at ? new Date(token.revoked_at * 1000).toISOString() : null
+  };
+}
+
+/**
+ * Check assigned areas against the areas table
+ * @returns Error message, or null if every entry is the id of an existing area
+ */
+function validateAssignedAreas(db: Database.Database, assignedAreas: unknown[]): string | null {
+  if (!assignedAreas.every(areaId => typeof areaId === 'string')) {
+    return 'assignedAreas must be an array of area ids';
+  }
+
+  const exists = db.prepare('SELECT 1 FROM areas WHERE id = ?');
+  const unknown = assignedAreas.filter(areaId => !exists.get(areaId));
+  return unknown.length > 0 ? `Unknown area(s): ${unknown.join(', ')}` : null;
+}
+
 /**
  * Create router for client token management
+ * Named tokens let one device hold a separate token per app install.
+ * Refresh token families issued during pairing live in the same table but are not listed here.
  * @param db - Database instance
  * @param authenticate - Authentication middleware
+ * @param onTokenRevoked - Called after a token was revoked (e.g. to drop its socket connections)
+ * @param onTokenAreasChanged - Called after a token's assigned areas were updated
  * @returns Express router
  */
-export function createClientTokenRouter(db: Database.Database, authenticate: any): Router {
+export function createClientTokenRouter(
+  db: Database.Database,
+  authenticate: any,
+  onTokenRevoked?: (clientId: string, tokenId: string) => void,
+  onTokenAreasChanged?: (clientId: string, tokenId: string) => void
+): Router {
   const router = Router();
 
   /**
    * Generate a new client token
    * POST /api/client-tokens
-   * Body: { clientId: string, assignedAreas: string[] }
+   * Body: { clientId: string, name?: string, assignedAreas?: string[] }
+   * assignedAreas defaults to the client's areas
    * Admin only
    */
   router.post('/', authenticate, async (req: any, res: Response) => {
@@ -40,7 +93,7 @@ export function createClientTokenRouter(db: Database.Database, authenticate: any
         });
       }
 
-      const { clientId, assignedAreas } = req.body;
+      const { clientId, name = 'Default' } = req.body;
 
       // Validate input
       if (!clientId || typeof clientId !== 'string') {
@@ -50,7 +103,14 @@ export function createClientTokenRouter(db: Database.Database, authenticate: any
         });
       }
 
-      if (!Array.isArray(assignedAreas)) {
+      if (typeof name !== 'string' || name.trim().length < 1 || name.length > 100) {
+        return res.status(400).json({
+          error: 'Invalid input',
+          message: 'name must be 1-100 characters'
+        });
+      }
+
+      if (req.body.assignedAreas !== undefined && !Array.isArray(req.body.assignedAreas)) {
         return res.status(400).json({
           error: 'Invalid input',
           message: 'assignedAreas must be an array'
@@ -58,7 +118,7 @@ export function createClientTokenRouter(db: Database.Database, authenticate: any
       }
 
       // Check if client exists
-      const client = db.prepare('SELECT id FROM clients WHERE id = ?').get(clientId);
+      const client = db.prepare('SELECT id, assigned_areas FROM clients WHERE id = ? AND is_active = 1').get(clientId) as any;
       if (!client) {
         return res.status(404).json({
           error: 'Client not found',
@@ -66,25 +126,37 @@ export function createClientTokenRouter(db: Database.Database, authenticate: any
         });
       }
 
+      const assignedAreas: string[] = req.body.assignedAreas
+        ?? (client.assigned_areas ? JSON.parse(client.assigned_areas) : []);
+
+      const areasError = req.body.assignedAreas !== undefined ? validateAssignedAreas(db, assignedAreas) : null;
+      if (areasError) {
+        return res.status(400).json({
+          error: 'Invalid input',
+          message: areasError
+        });
+      }
+
       // Generate token
       const token = generateClientToken(clientId, assignedAreas);
       const tokenHash = hashToken(token);
 
       // Store in database
-      const tokenId = `token_${Date.now()}`;
+      const tokenId = `token_${Date.now()}_${randomBytes(4).toString('hex')}`;
       const expiresAt = Math.floor(Date.now() / 1000) + (10 * 365 * 24 * 60 * 60); // 10 years
 
       db.prepare(`
-        INSERT INTO client_tokens (id, client_id, token_hash, assigned_areas, expires_at)
-        VALUES (?, ?, ?, ?, ?)
-      `).run(tokenId, clientId, tokenHash, JSON.stringify(assignedAreas), expiresAt);
+        INSERT INTO client_tokens (id, client_id, name, token_hash, assigned_areas, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(tokenId, clientId, name.trim(), tokenHash, JSON.stringify(assignedAreas), expiresAt);
 
-      logger.info(`Generated client token for: ${clientId} by admin: ${req.user.username}`);
+      logger.info(`Generated client token "${name.trim()}" for: ${clientId} by admin: ${req.user.username}`);
 
       res.status(201).json({
         tokenId,
         token, // Only returned once on creation
         clientId,
+        name: name.trim(),
         assignedAreas,
         expiresAt: new Date(expiresAt * 1000).toISOString()
       });
@@ -118,47 +190,21 @@ export function createClientTokenRouter(db: Database.Database, authenticate: any
       let tokens;
       if (clientId) {
         tokens = db.prepare(`
-          SELECT
-            id,
-            client_id,
-            assigned_areas,
-            created_at,
-            expires_at,
-            last_used,
-            is_revoked,
-            revoked_at,
-            revoked_reason
+          SELECT ${TOKEN_COLUMNS}
           FROM client_tokens
-          WHERE client_id = ?
+          WHERE client_id = ? AND family_id IS NULL
           ORDER BY created_at DESC
         `).all(clientId);
       } else {
         tokens = db.prepare(`
-          SELECT
-            id,
-            client_id,
-            assigned_areas,
-            created_at,
-            expires_at,
-            last_used,
-            is_revoked,
-            revoked_at,
-            revoked_reason
+          SELECT ${TOKEN_COLUMNS}
           FROM client_tokens
+          WHERE family_id IS NULL
           ORDER BY created_at DESC
         `).all();
       }
 
-      // Parse assigned_areas JSON
-      const formattedTokens = tokens.map((token: any) => ({
-        ...token,
-        assignedAreas: JSON.parse(token.assigned_areas),
-        isRevoked: token.is_revoked === 1,
-        createdAt: new Date(token.created_at * 1000).toISOString(),
-        expiresAt: new Date(token.expires_at * 1000).toISOString(),
-        lastUsed: token.last_used ? new Date(token.last_used * 1000).toISOString() : null,
-        revokedAt: token.revoked_at ? new Date(token.revoked_at * 1000).toISOString() : null
-      }));
+      const formattedTokens = tokens.map(formatToken);
 
       res.json({
         tokens: formattedTokens,
@@ -173,6 +219,45 @@ export function createClientTokenRouter(db: Database.Database, authenticate: any
     }
   });
 
+  /**
+   * Get token statistics
+   * GET /api/client-tokens/stats
+   * Admin only
+   */
+  router.get('/stats', authenticate, async (req: any, res: Response) => {
+    try {
+      // Only admin can view stats
+      if (req.user?.role !== 'admin') {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Only admin users can view token statistics'
+        });
+      }
+
+      const stats = {
+        total: db.prepare('SELECT COUNT(*) as count FROM client_tokens').get() as any,
+        active: db.prepare('SELECT COUNT(*) as count FROM client_tokens WHERE is_revoked = 0').get() as any,
+        revoked: db.prepare('SELECT COUNT(*) as count FROM client_tokens WHERE is_revoked = 1').get() as any,
+        expired: db.prepare('SELECT COUNT(*) as count FROM client_tokens WHERE expires_at < strftime("%s", "now")').get() as any,
+        recentlyUsed: db.prepare('SELECT COUNT(*) as count FROM client_tokens WHERE last_used > strftime("%s", "now") - 86400').get() as any, // Last 24h
+      };
+
+      res.json({
+        totalTokens: stats.total.count,
+        activeTokens: stats.active.count,
+        revokedTokens: stats.revoked.count,
+        expiredTokens: stats.expired.count,
+        recentlyUsedTokens: stats.recentlyUsed.count
+      });
+    } catch (error: any) {
+      logger.error(`Error getting token stats: ${error.message}`);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to get token statistics'
+      });
+    }
+  });
+
   /**
    * Get specific token details
    * GET /api/client-tokens/:tokenId
@@ -191,18 +276,9 @@ export function createClientTokenRouter(db: Database.Database, authenticate: any
       const { tokenId } = req.params;
 
       const token = db.prepare(`
-        SELECT
-          id,
-          client_id,
-          assigned_areas,
-          created_at,
-          expires_at,
-          last_used,
-          is_revoked,
-          revoked_at,
-          revoked_reason
+        SELECT ${TOKEN_COLUMNS}
         FROM client_tokens
-        WHERE id = ?
+        WHERE id = ? AND family_id IS NULL
       `).get(tokenId) as any;
 
       if (!token) {
@@ -212,15 +288,7 @@ export function createClientTokenRouter(db: Database.Database, authenticate: any
         });
       }
 
-      res.json({
-        ...token,
-        assignedAreas: JSON.parse(token.assigned_areas),
-        isRevoked: token.is_revoked === 1,
-        createdAt: new Date(token.created_at * 1000).toISOString(),
-        expiresAt: new Date(token.expires_at * 1000).toISOString(),
-        lastUsed: token.last_used ? new Date(token.last_used * 1000).toISOString() : null,
-        revokedAt: token.revoked_at ? new Date(token.revoked_at * 1000).toISOString() : null
-      });
+      res.json(formatToken(token));
     } catch (error: any) {
       logger.error(`Error getting token details: ${error.message}`);
       res.status(500).json({
@@ -249,8 +317,12 @@ export function createClientTokenRouter(db: Database.Database, authenticate: any
       const { tokenId } = req.params;
       const { reason } = req.body;
 
-      // Get token hash from database
-      const tokenRecord = db.prepare('SELECT token_hash, client_id, is_revoked FROM client_tokens WHERE id = ?').get(tokenId) as any;
+      // Get token hash from database - refresh token families are revoked through their client
+      const tokenRecord = db.prepare(`
+        SELECT token_hash, client_id, is_revoked
+        FROM client_tokens
+        WHERE id = ? AND family_id IS NULL
+      `).get(tokenId) as any;
 
       if (!tokenRecord) {
         return res.status(404).json({
@@ -272,6 +344,7 @@ export function createClientTokenRouter(db: Database.Database, authenticate: any
 
       if (revoked) {
         logger.info(`Token ${tokenId} revoked by admin: ${req.user.username} - Reason: ${revocationReason}`);
+        onTokenRevoked?.(tokenRecord.client_id, tokenId);
 
         res.json({
           success: true,
@@ -322,8 +395,20 @@ export function createClientTokenRouter(db: Database.Database, authenticate: any
         });
       }
 
-      // Check if token exists and is not revoked
-      const tokenRecord = db.prepare('SELECT id, client_id, is_revoked FROM client_tokens WHERE id = ?').get(tokenId) as any;
+      const areasError = validateAssignedAreas(db, assignedAreas);
+      if (areasError) {
+        return res.status(400).json({
+          error: 'Invalid input',
+          message: areasError
+        });
+      }
+
+      // Check if token exists and is not revoked - refresh token families take the client's areas
+      const tokenRecord = db.prepare(`
+        SELECT id, client_id, is_revoked
+        FROM client_tokens
+        WHERE id = ? AND family_id IS NULL
+      `).get(tokenId) as any;
 
       if (!tokenRecord) {
         return res.status(404).json({
@@ -347,6 +432,7 @@ export function createClientTokenRouter(db: Database.Database, authenticate: any
       `).run(JSON.stringify(assignedAreas), tokenId);
 
       logger.info(`Token ${tokenId} areas updated by admin: ${req.user.username}`);
+      onTokenAreasChanged?.(tokenRecord.client_id, tokenId);
 
       res.json({
         success: true,
@@ -396,44 +482,5 @@ export function createClientTokenRouter(db: Database.Database, authenticate: any
     }
   });
 
-  /**
-   * Get token statistics
-   * GET /api/client-tokens/stats
-   * Admin only
-   */
-  router.get('/stats', authenticate, async (req: any, res: Response) => {
-    try {
-      // Only admin can view stats
-      if (req.user?.role !== 'admin') {
-        return res.status(403).json({
-          error: 'Forbidden',
-          message: 'Only admin users can view token statistics'
-        });
-      }
-
-      const stats = {
-        total: db.prepare('SELECT COUNT(*) as count FROM client_tokens').get() as any,
-        active: db.prepare('SELECT COUNT(*) as count FROM client_tokens WHERE is_revoked = 0').get() as any,
-        revoked: db.prepare('SELECT COUNT(*) as count FROM client_tokens WHERE is_revoked = 1').get() as any,
-        expired: db.prepare('SELECT COUNT(*) as count FROM client_tokens WHERE expires_at < strftime("%s", "now")').get() as any,
-        recentlyUsed: db.prepare('SELECT COUNT(*) as count FROM client_tokens WHERE last_used > strftime("%s", "now") - 86400').get() as any, // Last 24h
-      };
-
-      res.json({
-        totalTokens: stats.total.count,
-        activeTokens: stats.active.count,
-        revokedTokens: stats.revoked.count,
-        expiredTokens: stats.expired.count,
-        recentlyUsedTokens: stats.recentlyUsed.count
-      });
-    } catch (error: any) {
-      logger.error(`Error getting token stats: ${error.message}`);
-      res.status(500).json({
-        error: 'Internal server error',
-        message: 'Failed to get token statistics'
-      });
-    }
-  });
-
   return router;
 }
@@ -0,0 +1,180 @@
+/**
+ * Dashboard Routes
+ * Dashboards (views and cards) shown on paired clients, plus the import of Lovelace dashboards
+ * (clients get the dashboard assigned via POST /api/clients/:id/dashboard, otherwise the default)
+ */
+
+import { Router, Response } from 'express';
+import Database from 'better-sqlite3';
+import { validateBody } from '../validation/middleware';
+import { createDashboardSchema, updateDashboardSchema } from '../validation/schemas';
+import {
+  listDashboards,
+  getDashboard,
+  createDashboard,
+  updateDashboard,
+  deleteDashboard,
+  getClientDashboard,
+  getClientDashboardIds,
+  importLovelaceDashboards
+} from '../services/dashboards';
+import type { HomeAssistantService } from '../services/homeassistant';
+import { asyncHandler } from '../middleware/errorHandler';
+import { ForbiddenError, NotFoundError } from '../errors/AppError';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('DashboardRoutes');
+
+/**
+ * Create router for dashboard management
+ * @param db - Database instance
+ * @param authenticate - Authentication middleware
+ * @param getHA - Returns the connected HA service, throws if Home Assistant is not configured
+ * @param onClientsChanged - Called with the clients whose dashboard changed
+ * @returns Express router
+ */
+export function createDashboardsRouter(
+  db: Database.Database,
+  authenticate: any,
+  getHA: () => HomeAssistantService,
+  onClientsChanged: (clientIds: string[]) => void
+): Router {
+  const router = Router();
+
+  const requireAdmin = (req: any) => {
+    if (req.user?.role !== 'admin') {
+      throw new ForbiddenError('Only admin users can manage dashboards');
+    }
+  };
+
+  const logActivity = (req: any, action: string, details: Record<string, any>) => {
+    db.prepare(`
+      INSERT INTO activity_log (client_id, action, details, ip_address)
+      VALUES (?, ?, ?, ?)
+    `).run(null, action, JSON.stringify({ ...details, by: req.user.username }), req.ip);
+  };
+
+  // Notify clients that show another dashboard after a change, or one of the changed dashboards
+  const notifyClients = (before: Map<string, string | null>, changedIds: string[]) => {
+    const after = getClientDashboardIds(db);
+    const clientIds = [...after.keys()].filter(clientId => {
+      const dashboardId = after.get(clientId) ?? null;
+      return dashboardId !== before.get(clientId) || (dashboardId !== null && changedIds.includes(dashboardId));
+    });
+    if (clientIds.length > 0) {
+      onClientsChanged(clientIds);
+    }
+  };
+
+  /**
+   * List dashboards - admins get all, clients the one they show
+   * GET /api/dashboards
+   */
+  router.get('/', authenticate, (req: any, res: Response) => {
+    if (req.user.role === 'client') {
+      const dashboard = getClientDashboard(db, req.user.clientId);
+      return res.json(dashboard ? [dashboard] : []);
+    }
+    requireAdmin(req);
+    res.json(listDashboards(db));
+  });
+
+  /**
+   * Import (or re-sync) Lovelace dashboards from Home Assistant
+   * POST /api/dashboards/sync
+   */
+  router.post('/sync', authenticate, asyncHandler(async (req: any, res: Response) => {
+    requireAdmin(req);
+    const ha = getHA();
+
+    const before = getClientDashboardIds(db);
+    const result = await importLovelaceDashboards(db, ha, req.user.userId);
+    notifyClients(before, result.imported.map(dashboard => dashboard.id));
+
+    logActivity(req, 'dashboards_imported', {
+      imported: result.imported.map(dashboard => dashboard.haUrlPath),
+      skipped: result.skipped.map(dashboard => dashboard.haUrlPath)
+    });
+
+    res.json(result);
+  }));
+
+  /**
+   * Get a dashboard - clients only the one they show
+   * GET /api/dashboards/:id
+   */
+  router.get('/:id', authenticate, (req: any, res: Response) => {
+    if (req.user.role !== 'client') {
+      requireAdmin(req);
+    }
+
+    const dashboard = req.user.role === 'client'
+      ? getClientDashboard(db, req.user.clientId)
+      : getDashboard(db, req.params.id);
+    if (!dashboard || dashboard.id !== req.params.id) {
+      throw new NotFoundError('Dashboard');
+    }
+    res.json(dashboard);
+  });
+
+  /**
+   * Create a dashboard
+   * POST /api/dashboards
+   * Body: { name, config?: { views: [{ title, path?, icon?, cards: [{ type, ... }] }] }, isDefault? }
+   */
+  router.post('/', authenticate, validateBody(createDashboardSchema), (req: any, res: Response) => {
+    requireAdmin(req);
+
+    const before = getClientDashboardIds(db);
+    const dashboard = createDashboard(db, req.body, req.user.userId);
+    notifyClients(before, []);
+
+    logActivity(req, 'dashboard_created', { dashboardId: dashboard.id, name: dashboard.name, isDefault: dashboard.isDefault });
+    res.status(201).json(dashboard);
+  });
+
+  /**
+   * Update a dashboard's name, views and cards or default flag
+   * PUT /api/dashboards/:id
+   * Body: { name?, config?, isDefault? }
+   */
+  router.put('/:id', authenticate, validateBody(updateDashboardSchema), (req: any, res: Response) => {
+    requireAdmin(req);
+
+    const existing = getDashboard(db, req.params.id);
+    if (!existing) {
+      throw new NotFoundError('Dashboard');
+    }
+
+    const before = getClientDashboardIds(db);
+    const dashboard = updateDashboard(db, existing.id, req.body);
+    notifyClients(before, [existing.id]);
+
+    logActivity(req, 'dashboard_updated', { dashboardId: existing.id, changes: Object.keys(req.body) });
+    res.json(dashboard);
+  });
+
+  /**
+   * Delete a dashboard - clients it was assigned to fall back to the default dashboard
+   * DELETE /api/dashboards/:id
+   */
+  router.delete('/:id', authenticate, (req: any, res: Response) => {
+    requireAdmin(req);
+
+    const dashboard = getDashboard(db, req.params.id);
+    if (!dashboard) {
+      throw new NotFoundError('Dashboard');
+    }
+
+    const before = getClientDashboardIds(db);
+    deleteDashboard(db, dashboard.id);
+    notifyClients(before, []);
+
+    logger.info(`Dashboard ${dashboard.name} deleted by ${req.user.username}`);
+    logActivity(req, 'dashboard_deleted', { dashboardId: dashboard.id, name: dashboard.name });
+
+    res.json({ success: true, message: 'Dashboard deleted' });
+  });
+
+  return router;
+}
@@ -0,0 +1,117 @@
+/**
+ * Enrollment Profile Routes
+ * Multi-use enrollment codes for provisioning fleets of devices
+ * (devices redeem a code via POST /api/pairing/<code>/verify)
+ */
+
+import { Router, Response } from 'express';
+import Database from 'better-sqlite3';
+import { validateBody } from '../validation/middleware';
+import { createEnrollmentProfileSchema, updateEnrollmentProfileSchema } from '../validation/schemas';
+import {
+  createEnrollmentProfile,
+  getEnrollmentProfile,
+  listEnrollmentProfiles,
+  updateEnrollmentProfile,
+  revokeEnrollmentProfile
+} from '../services/enrollmentProfiles';
+import { NAME_TEMPLATE_PLACEHOLDER } from '../utils/enrollmentCodes';
+import { ForbiddenError, NotFoundError, ValidationError } from '../errors/AppError';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('EnrollmentProfileRoutes');
+
+/**
+ * Create router for enrollment profile management
+ * @param db - Database instance
+ * @param authenticate - Authentication middleware
+ * @returns Express router
+ */
+export function createEnrollmentProfilesRouter(db: Database.Database, authenticate: any): Router {
+  const router = Router();
+
+  // An enrollment code pairs devices without further approval - only admins may issue one
+  const requireAdmin = (req: any) => {
+    if (req.user?.role !== 'admin') {
+      throw new ForbiddenError('Only admin users can manage enrollment profiles');
+    }
+  };
+
+  const logActivity = (req: any, action: string, details: Record<string, any>) => {
+    db.prepare(`
+      INSERT INTO activity_log (client_id, action, details, ip_address)
+      VALUES (?, ?, ?, ?)
+    `).run(null, action, JSON.stringify({ ...details, by: req.user.username }), req.ip);
+  };
+
+  /**
+   * List enrollment profiles
+   * GET /api/pairing/enrollment-profiles
+   */
+  router.get('/', authenticate, (req: any, res: Response) => {
+    requireAdmin(req);
+    res.json({ profiles: listEnrollmentProfiles(db), nameTemplatePlaceholder: NAME_TEMPLATE_PLACEHOLDER });
+  });
+
+  /**
+   * Create an enrollment profile
+   * POST /api/pairing/enrollment-profiles
+   * Body: { name, nameTemplate, deviceType?, assignedAreas?, dashboardId?, maxUses?, expiresAt? }
+   * The plaintext code is only returned in this response
+   */
+  router.post('/', authenticate, validateBody(createEnrollmentProfileSchema), (req: any, res: Response) => {
+    requireAdmin(req);
+
+    const { profile, code } = createEnrollmentProfile(db, req.body, req.user.username);
+    logActivity(req, 'enrollment_profile_created', {
+      enrollmentProfileId: profile.id,
+      name: profile.name,
+      maxUses: profile.maxUses,
+      assignedAreas: profile.assignedAreas
+    });
+
+    res.status(201).json({ ...profile, code });
+  });
+
+  /**
+   * Update an enrollment profile's preset or limits
+   * PATCH /api/pairing/enrollment-profiles/:id
+   */
+  router.patch('/:id', authenticate, validateBody(updateEnrollmentProfileSchema), (req: any, res: Response) => {
+    requireAdmin(req);
+
+    const existing = getEnrollmentProfile(db, req.params.id);
+    if (!existing) {
+      throw new NotFoundError('Enrollment profile');
+    }
+
+    const profile = updateEnrollmentProfile(db, existing.id, req.body);
+    logActivity(req, 'enrollment_profile_updated', { enrollmentProfileId: existing.id, changes: Object.keys(req.body) });
+
+    res.json(profile);
+  });
+
+  /**
+   * Revoke an enrollment profile (enrolled devices stay paired)
+   * DELETE /api/pairing/enrollment-profiles/:id
+   */
+  router.delete('/:id', authenticate, (req: any, res: Response) => {
+    requireAdmin(req);
+
+    const profile = getEnrollmentProfile(db, req.params.id);
+    if (!profile) {
+      throw new NotFoundError('Enrollment profile');
+    }
+
+    if (!revokeEnrollmentProfile(db, profile.id)) {
+      throw new ValidationError('Enrollment profile is already revoked');
+    }
+
+    logger.info(`Enrollment profile ${profile.name} revoked by ${req.user.username}`);
+    logActivity(req, 'enrollment_profile_revoked', { enrollmentProfileId: profile.id, name: profile.name, useCount: profile.useCount });
+
+    res.json({ success: true, message: 'Enrollment profile revoked' });
+  });
+
+  return router;
+}
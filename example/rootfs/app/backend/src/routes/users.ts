@@ -0,0 +1,420 @@
+/**
+ * Admin Account Management Routes
+ * CRUD for the accounts that can log into the HAsync admin UI
+ */
+
+import { Router, Response } from 'express';
+import Database from 'better-sqlite3';
+import { randomBytes } from 'crypto';
+import { hashPassword } from '../utils/password';
+import { canManageRole, AdminRole } from '../utils/roles';
+import { asyncHandler } from '../middleware/errorHandler';
+import { validateBody } from '../validation/middleware';
+import {
+  createUserSchema,
+  updateUserSchema,
+  mfaEnrollSchema,
+  mfaCodeSchema,
+  mfaDisableSchema
+} from '../validation/schemas';
+import {
+  verifyAdminCredentials,
+  getAdminAccount,
+  startTotpEnrollment,
+  confirmTotpEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTotp,
+  getMfaStatus
+} from '../services/mfa';
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError
+} from '../errors/AppError';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('UserRoutes');
+
+interface UserRow {
+  id: string;
+  username: string;
+  email: string | null;
+  role: AdminRole;
+  is_active: number;
+  totp_enabled: number;
+  created_at: number;
+  updated_at: number;
+  last_login_at: number | null;
+  created_by: string | null;
+}
+
+const USER_COLUMNS = 'id, username, email, role, is_active, totp_enabled, created_at, updated_at, last_login_at, created_by';
+
+/**
+ * Convert a users row into the API representation (never exposes password_hash)
+ */
+function toUserResponse(row: UserRow) {
+  return {
+    id: row.id,
+    username: row.username,
+    email: row.email,
+    role: row.role,
+    isActive: row.is_active === 1,
+    mfaEnabled: row.totp_enabled === 1,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    lastLoginAt: row.last_login_at,
+    createdBy: row.created_by
+  };
+}
+
+/**
+ * Create router for admin account management
+ * @param db - Database instance
+ * @param authenticate - Authentication middleware
+ * @param onAccessChanged - Called after an account was deactivated, deleted or changed role (e.g. to drop its socket connections)
+ * @returns Express router
+ */
+export function createUsersRouter(
+  db: Database.Database,
+  authenticate: any,
+  onAccessChanged?: (username: string, reason: string) => void
+): Router {
+  const router = Router();
+
+  const getUser = (id: string): UserRow | undefined =>
+    db.prepare(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`).get(id) as UserRow | undefined;
+
+  const countActiveOwners = (): number =>
+    (db.prepare(`SELECT COUNT(*) as count FROM users WHERE role = 'owner' AND is_active = 1`).get() as any).count;
+
+  const logActivity = (req: any, action: string, details: Record<string, any>) => {
+    db.prepare(`
+      INSERT INTO activity_log (client_id, action, details, ip_address)
+      VALUES (?, ?, ?, ?)
+    `).run(null, action, JSON.stringify({ ...details, by: req.user.username }), req.ip);
+  };
+
+  /**
+   * List admin accounts
+   * GET /api/users
+   */
+  router.get('/', authenticate, (req: any, res: Response) => {
+    if (req.user?.role !== 'admin') {
+      throw new ForbiddenError('Only admin users can list accounts');
+    }
+
+    const users = db.prepare(`SELECT ${USER_COLUMNS} FROM users ORDER BY created_at ASC`).all() as UserRow[];
+    res.json(users.map(toUserResponse));
+  });
+
+  /**
+   * Get the account of the current admin
+   * GET /api/users/me
+   */
+  router.get('/me', authenticate, (req: any, res: Response) => {
+    if (req.user?.role !== 'admin' || !req.user.userId) {
+      throw new ForbiddenError('Only admin users have an account');
+    }
+
+    const user = getUser(req.user.userId);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    res.json(toUserResponse(user));
+  });
+
+  /**
+   * Get two-factor status of the current admin
+   * GET /api/users/me/mfa
+   */
+  router.get('/me/mfa', authenticate, (req: any, res: Response) => {
+    if (req.user?.role !== 'admin' || !req.user.userId) {
+      throw new ForbiddenError('Only admin users have an account');
+    }
+
+    res.json(getMfaStatus(db, req.user.userId));
+  });
+
+  /**
+   * Start TOTP enrollment for the current admin
+   * POST /api/users/me/mfa/enroll
+   * Body: { password }
+   * Returns the secret and an otpauth:// URI to render as QR code
+   */
+  router.post('/me/mfa/enroll', authenticate, validateBody(mfaEnrollSchema), asyncHandler(async (req: any, res: Response) => {
+    if (req.user?.role !== 'admin' || !req.user.userId) {
+      throw new ForbiddenError('Only admin users have an account');
+    }
+
+    const account = await verifyAdminCredentials(db, req.user.username, req.body.password);
+    if (!account) {
+      throw new ValidationError('Current password is incorrect');
+    }
+
+    if (account.totpEnabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const enrollment = startTotpEnrollment(db, account);
+    res.json(enrollment);
+  }));
+
+  /**
+   * Confirm TOTP enrollment with the first code from the authenticator app
+   * POST /api/users/me/mfa/confirm
+   * Body: { code }
+   * Returns the recovery codes - they are only shown once
+   */
+  router.post('/me/mfa/confirm', authenticate, validateBody(mfaCodeSchema), (req: any, res: Response) => {
+    const account = req.user?.userId ? getAdminAccount(db, req.user.userId) : null;
+    if (req.user?.role !== 'admin' || !account) {
+      throw new ForbiddenError('Only admin users have an account');
+    }
+
+    if (account.totpEnabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const recoveryCodes = confirmTotpEnrollment(db, account, req.body.code);
+    if (!recoveryCodes) {
+      throw new ValidationError('Invalid verification code');
+    }
+
+    logActivity(req, 'mfa_enabled', { userId: account.id, username: account.username });
+    res.json({ success: true, recoveryCodes });
+  });
+
+  /**
+   * Replace the recovery codes of the current admin
+   * POST /api/users/me/mfa/recovery-codes
+   * Body: { code }
+   */
+  router.post('/me/mfa/recovery-codes', authenticate, validateBody(mfaCodeSchema), (req: any, res: Response) => {
+    const account = req.user?.userId ? getAdminAccount(db, req.user.userId) : null;
+    if (req.user?.role !== 'admin' || !account) {
+      throw new ForbiddenError('Only admin users have an account');
+    }
+
+    if (!account.totpEnabled) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    if (!verifySecondFactor(db, account.id, { code: req.body.code })) {
+      throw new ValidationError('Invalid verification code');
+    }
+
+    const recoveryCodes = regenerateRecoveryCodes(db, account.id);
+    logActivity(req, 'mfa_recovery_codes_regenerated', { userId: account.id, username: account.username });
+    res.json({ success: true, recoveryCodes });
+  });
+
+  /**
+   * Turn off two-factor authentication for the current admin
+   * POST /api/users/me/mfa/disable
+   * Body: { password, code?, recoveryCode? }
+   */
+  router.post('/me/mfa/disable', authenticate, validateBody(mfaDisableSchema), asyncHandler(async (req: any, res: Response) => {
+    if (req.user?.role !== 'admin' || !req.user.userId) {
+      throw new ForbiddenError('Only admin users have an account');
+    }
+
+    const account = await verifyAdminCredentials(db, req.user.username, req.body.password);
+    if (!account) {
+      throw new ValidationError('Current password is incorrect');
+    }
+
+    if (!account.totpEnabled) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    const { code, recoveryCode } = req.body;
+    if (!verifySecondFactor(db, account.id, { code, recoveryCode })) {
+      throw new ValidationError('Invalid verification code');
+    }
+
+    disableTotp(db, account.id);
+    logActivity(req, 'mfa_disabled', { userId: account.id, username: account.username });
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  }));
+
+  /**
+   * Create an admin account
+   * POST /api/users
+   * Body: { username, password, email?, role }
+   */
+  router.post('/', authenticate, validateBody(createUserSchema), asyncHandler(async (req: any, res: Response) => {
+    if (req.user?.role !== 'admin') {
+      throw new ForbiddenError('Only admin users can create accounts');
+    }
+
+    const { username, password, email, role } = req.body;
+
+    if (!canManageRole(req.user.adminRole, role)) {
+      throw new ForbiddenError(`Your role cannot create ${role} accounts`);
+    }
+
+    const existing = db.prepare('SELECT id FROM users WHERE username = ?').get(username);
+    if (existing) {
+      throw new ConflictError(`Username '${username}' is already taken`);
+    }
+
+    const id = `user_${Date.now()}_${randomBytes(4).toString('hex')}`;
+    const now = Math.floor(Date.now() / 1000);
+    const passwordHash = await hashPassword(password);
+
+    db.prepare(`
+      INSERT INTO users (id, username, password_hash, email, role, is_active, created_at, updated_at, created_by)
+      VALUES (?, ?, ?, ?, ?, 1, ?, ?, ?)
+    `).run(id, username, passwordHash, email || null, role, now, now, req.user.username);
+
+    logActivity(req, 'user_created', { userId: id, username, role });
+    logger.info(`Account created: ${username} (${role}) by ${req.user.username}`);
+
+    res.status(201).json(toUserResponse(getUser(id)!));
+  }));
+
+  /**
+   * Update an admin account
+   * PUT /api/users/:id
+   * Body: { password?, email?, role?, isActive? }
+   */
+  router.put('/:id', authenticate, validateBody(updateUserSchema), asyncHandler(async (req: any, res: Response) => {
+    if (req.user?.role !== 'admin') {
+      throw new ForbiddenError('Only admin users can modify accounts');
+    }
+
+    const user = getUser(req.params.id);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    const { password, email, role, isActive } = req.body;
+    const isSelf = user.id === req.user.userId;
+
+    if (!isSelf && !canManageRole(req.user.adminRole, user.role)) {
+      throw new ForbiddenError(`Your role cannot modify ${user.role} accounts`);
+    }
+
+    if (role !== undefined && role !== user.role) {
+      if (!canManageRole(req.user.adminRole, role) || (isSelf && req.user.adminRole !== 'owner')) {
+        throw new ForbiddenError(`Your role cannot assign the ${role} role`);
+      }
+    }
+
+    const losesOwner = user.role === 'owner' &&
+      ((role !== undefined && role !== 'owner') || isActive === false);
+    if (losesOwner && countActiveOwners() <= 1) {
+      throw new ValidationError('At least one active owner account is required');
+    }
+
+    if (isSelf && isActive === false) {
+      throw new ValidationError('You cannot deactivate your own account');
+    }
+
+    const passwordHash = password ? await hashPassword(password) : null;
+    const now = Math.floor(Date.now() / 1000);
+
+    db.prepare(`
+      UPDATE users
+      SET password_hash = COALESCE(?, password_hash),
+          email = ?,
+          role = ?,
+          is_active = ?,
+          updated_at = ?
+      WHERE id = ?
+    `).run(
+      passwordHash,
+      email !== undefined ? email : user.email,
+      role ?? user.role,
+      isActive !== undefined ? (isActive ? 1 : 0) : user.is_active,
+      now,
+      user.id
+    );
+
+    logActivity(req, 'user_updated', {
+      userId: user.id,
+      username: user.username,
+      changes: Object.keys(req.body).filter(key => key !== 'password').concat(password ? ['password'] : [])
+    });
+    logger.info(`Account updated: ${user.username} by ${req.user.username}`);
+
+    if (isActive === false && user.is_active === 1) {
+      onAccessChanged?.(user.username, 'Account deactivated');
+    } else if (role !== undefined && role !== user.role) {
+      onAccessChanged?.(user.username, `Role changed to ${role}`);
+    }
+
+    res.json(toUserResponse(getUser(user.id)!));
+  }));
+
+  /**
+   * Reset two-factor authentication of another account (e.g. lost authenticator)
+   * DELETE /api/users/:id/mfa
+   */
+  router.delete('/:id/mfa', authenticate, (req: any, res: Response) => {
+    if (req.user?.role !== 'admin') {
+      throw new ForbiddenError('Only admin users can reset two-factor authentication');
+    }
+
+    const user = getUser(req.params.id);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    if (user.id === req.user.userId) {
+      throw new ValidationError('Use the disable endpoint to turn off your own two-factor authentication');
+    }
+
+    if (!canManageRole(req.user.adminRole, user.role)) {
+      throw new ForbiddenError(`Your role cannot modify ${user.role} accounts`);
+    }
+
+    disableTotp(db, user.id);
+
+    logActivity(req, 'mfa_reset', { userId: user.id, username: user.username });
+    logger.info(`Two-factor authentication reset for ${user.username} by ${req.user.username}`);
+
+    res.json({ success: true, message: 'Two-factor authentication reset' });
+  });
+
+  /**
+   * Delete an admin account
+   * DELETE /api/users/:id
+   */
+  router.delete('/:id', authenticate, (req: any, res: Response) => {
+    if (req.user?.role !== 'admin') {
+      throw new ForbiddenError('Only admin users can delete accounts');
+    }
+
+    const user = getUser(req.params.id);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    if (user.id === req.user.userId) {
+      throw new ValidationError('You cannot delete your own account');
+    }
+
+    if (!canManageRole(req.user.adminRole, user.role)) {
+      throw new ForbiddenError(`Your role cannot delete ${user.role} accounts`);
+    }
+
+    if (user.role === 'owner' && countActiveOwners() <= 1) {
+      throw new ValidationError('At least one active owner account is required');
+    }
+
+    db.prepare('DELETE FROM users WHERE id = ?').run(user.id);
+
+    logActivity(req, 'user_deleted', { userId: user.id, username: user.username, role: user.role });
+    logger.info(`Account deleted: ${user.username} by ${req.user.username}`);
+    onAccessChanged?.(user.username, 'Account deleted');
+
+    res.json({ success: true, message: 'User deleted successfully' });
+  });
+
+  return router;
+}
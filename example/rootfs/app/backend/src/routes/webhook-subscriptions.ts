@@ -0,0 +1,173 @@
+/**
+ * Webhook Subscription Routes
+ * Outbound webhooks - URLs that receive signed HAsync events (e.g. a ticketing system that
+ * wants to know when a device is revoked), their delivery history and dead letters
+ */
+
+import { Router, Response } from 'express';
+import Database from 'better-sqlite3';
+import { validateBody } from '../validation/middleware';
+import { createWebhookSubscriptionSchema, updateWebhookSubscriptionSchema } from '../validation/schemas';
+import {
+  SUBSCRIBABLE_EVENTS,
+  createWebhookSubscription,
+  deleteWebhookSubscription,
+  getWebhookDeadLetter,
+  getWebhookSubscription,
+  listWebhookDeadLetters,
+  listWebhookDeliveries,
+  listWebhookSubscriptions,
+  updateWebhookSubscription
+} from '../services/webhookSubscriptions';
+import type { WebhookDispatcher } from '../services/webhookDispatcher';
+import { ForbiddenError, NotFoundError } from '../errors/AppError';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('WebhookSubscriptionRoutes');
+
+/**
+ * Create router for webhook subscription management
+ * @param db - Database instance
+ * @param authenticate - Authentication middleware
+ * @param dispatcher - Sends dead letters again
+ * @returns Express router
+ */
+export function createWebhookSubscriptionsRouter(db: Database.Database, authenticate: any, dispatcher: WebhookDispatcher): Router {
+  const router = Router();
+
+  // Subscriptions see client names, failed logins and areas - only admins may create one
+  const requireAdmin = (req: any) => {
+    if (req.user?.role !== 'admin') {
+      throw new ForbiddenError('Only admin users can manage webhook subscriptions');
+    }
+  };
+
+  const logActivity = (req: any, action: string, details: Record<string, any>) => {
+    db.prepare(`
+      INSERT INTO activity_log (client_id, action, details, ip_address)
+      VALUES (?, ?, ?, ?)
+    `).run(null, action, JSON.stringify({ ...details, by: req.user.username }), req.ip);
+  };
+
+  /**
+   * List subscriptions
+   * GET /api/webhook-subscriptions
+   */
+  router.get('/', authenticate, (req: any, res: Response) => {
+    requireAdmin(req);
+    res.json({ subscriptions: listWebhookSubscriptions(db), availableEvents: SUBSCRIBABLE_EVENTS });
+  });
+
+  /**
+   * Create a subscription
+   * POST /api/webhook-subscriptions
+   * Body: { name, url, events, isEnabled? }
+   * The plaintext signing secret is only returned in this response
+   */
+  router.post('/', authenticate, validateBody(createWebhookSubscriptionSchema), (req: any, res: Response) => {
+    requireAdmin(req);
+
+    const { subscription, secret } = createWebhookSubscription(db, req.body, req.user.username);
+    logActivity(req, 'webhook_subscription_created', {
+      subscriptionId: subscription.id,
+      name: subscription.name,
+      url: subscription.url,
+      events: subscription.events
+    });
+
+    res.status(201).json({ ...subscription, secret });
+  });
+
+  /**
+   * Dead letters of all subscriptions
+   * GET /api/webhook-subscriptions/dead-letters
+   */
+  router.get('/dead-letters', authenticate, (req: any, res: Response) => {
+    requireAdmin(req);
+    res.json({ deadLetters: listWebhookDeadLetters(db) });
+  });
+
+  /**
+   * Send a dead letter again
+   * POST /api/webhook-subscriptions/dead-letters/:id/redeliver
+   */
+  router.post('/dead-letters/:id/redeliver', authenticate, (req: any, res: Response) => {
+    requireAdmin(req);
+
+    const deadLetter = getWebhookDeadLetter(db, req.params.id);
+    const deliveryId = deadLetter && dispatcher.redeliver(deadLetter.id);
+    if (!deadLetter || !deliveryId) {
+      throw new NotFoundError('Dead letter');
+    }
+
+    logActivity(req, 'webhook_dead_letter_redelivered', {
+      deadLetterId: deadLetter.id,
+      subscriptionId: deadLetter.subscriptionId,
+      eventType: deadLetter.eventType,
+      deliveryId
+    });
+
+    res.status(202).json({ success: true, deliveryId });
+  });
+
+  /**
+   * Update a subscription's name, URL, events or enabled flag
+   * PATCH /api/webhook-subscriptions/:id
+   */
+  router.patch('/:id', authenticate, validateBody(updateWebhookSubscriptionSchema), (req: any, res: Response) => {
+    requireAdmin(req);
+
+    const existing = getWebhookSubscription(db, req.params.id);
+    if (!existing) {
+      throw new NotFoundError('Webhook subscription');
+    }
+
+    const subscription = updateWebhookSubscription(db, existing.id, req.body);
+    logActivity(req, 'webhook_subscription_updated', { subscriptionId: existing.id, changes: Object.keys(req.body) });
+
+    // Deliveries held back while the subscription was disabled are due now
+    if (subscription?.isEnabled && !existing.isEnabled) {
+      dispatcher.processDue();
+    }
+
+    res.json(subscription);
+  });
+
+  /**
+   * Delete a subscription with its delivery history
+   * DELETE /api/webhook-subscriptions/:id
+   */
+  router.delete('/:id', authenticate, (req: any, res: Response) => {
+    requireAdmin(req);
+
+    const subscription = getWebhookSubscription(db, req.params.id);
+    if (!subscription || !deleteWebhookSubscription(db, subscription.id)) {
+      throw new NotFoundError('Webhook subscription');
+    }
+
+    logger.info(`Webhook subscription ${subscription.name} deleted by ${req.user.username}`);
+    logActivity(req, 'webhook_subscription_deleted', { subscriptionId: subscription.id, name: subscription.name });
+
+    res.json({ success: true, message: 'Webhook subscription deleted' });
+  });
+
+  /**
+   * Delivery history and dead letters of a subscription, newest first
+   * GET /api/webhook-subscriptions/:id/deliveries
+   */
+  router.get('/:id/deliveries', authenticate, (req: any, res: Response) => {
+    requireAdmin(req);
+
+    const subscription = getWebhookSubscription(db, req.params.id);
+    if (!subscription) {
+      throw new NotFoundError('Webhook subscription');
+    }
+
+    res.json({
+      deliveries: listWebhookDeliveries(db, subscription.id),
+      deadLetters: listWebhookDeadLetters(db, subscription.id)
+    });
+  });
+
+  return router;
+}
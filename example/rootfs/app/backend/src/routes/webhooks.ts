@@ -0,0 +1,169 @@
+/**
+ * Webhook Routes
+ * Inbound webhooks that show a notification on devices, e.g. from a Home Assistant rest_command
+ * (POST /api/webhooks/<id> with the webhook's secret), and their management by admins
+ */
+
+import { Router, Request, Response, NextFunction, RequestHandler } from 'express';
+import Database from 'better-sqlite3';
+import { validateBody } from '../validation/middleware';
+import { createWebhookSchema, updateWebhookSchema, webhookNotificationSchema } from '../validation/schemas';
+import {
+  WebhookTarget,
+  createWebhook,
+  deleteWebhook,
+  getWebhook,
+  getWebhookRecipients,
+  listWebhooks,
+  updateWebhook,
+  verifyWebhookSecret
+} from '../services/webhooks';
+import { sendClientNotification } from '../services/clientNotifications';
+import { AuthenticationError, ForbiddenError, NotFoundError, ValidationError } from '../errors/AppError';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('WebhookRoutes');
+
+/**
+ * Handlers for POST /api/webhooks/:webhookId
+ * The caller authenticates with the webhook secret, as "Authorization: Bearer <secret>"
+ * or "X-Webhook-Secret: <secret>". Body: { title, message, severity?, ttl?, entityId? }
+ * @param db - Database instance
+ * @returns Handlers to mount after a rate limiter
+ */
+export function createWebhookReceiver(db: Database.Database): RequestHandler[] {
+  const authenticateWebhook = (req: Request, _res: Response, next: NextFunction) => {
+    const authHeader = req.get('authorization');
+    const secret = authHeader?.startsWith('Bearer ') ? authHeader.slice(7).trim() : req.get('x-webhook-secret');
+
+    // Same answer for unknown webhooks and wrong secrets - ids cannot be probed
+    const webhook = secret ? verifyWebhookSecret(db, req.params.webhookId, secret) : null;
+    if (!webhook) {
+      throw new AuthenticationError('Invalid webhook or secret');
+    }
+
+    (req as any).webhook = webhook;
+    next();
+  };
+
+  const deliver = (req: any, res: Response) => {
+    const webhook = req.webhook;
+    const recipients = getWebhookRecipients(db, webhook);
+    const result = sendClientNotification(db, recipients, req.body, webhook.id);
+
+    logger.info(`Webhook ${webhook.name} notified ${recipients.length} clients: ${req.body.title}`);
+    res.status(202).json({
+      notificationId: result.notificationId,
+      recipients: recipients.length,
+      delivered: result.delivered.length,
+      queued: result.queued.length
+    });
+  };
+
+  return [authenticateWebhook, validateBody(webhookNotificationSchema), deliver];
+}
+
+/**
+ * Create router for webhook management
+ * @param db - Database instance
+ * @param authenticate - Authentication middleware
+ * @returns Express router
+ */
+export function createWebhooksRouter(db: Database.Database, authenticate: any): Router {
+  const router = Router();
+
+  // Anyone with a webhook secret can put messages on devices - only admins may issue one
+  const requireAdmin = (req: any) => {
+    if (req.user?.role !== 'admin') {
+      throw new ForbiddenError('Only admin users can manage webhooks');
+    }
+  };
+
+  const logActivity = (req: any, action: string, details: Record<string, any>) => {
+    db.prepare(`
+      INSERT INTO activity_log (client_id, action, details, ip_address)
+      VALUES (?, ?, ?, ?)
+    `).run(null, action, JSON.stringify({ ...details, by: req.user.username }), req.ip);
+  };
+
+  const assertTargetExists = (target: WebhookTarget) => {
+    if (target.type === 'area') {
+      if (!db.prepare('SELECT 1 FROM areas WHERE id = ?').get(target.areaId)) {
+        throw new ValidationError(`Area ${target.areaId} does not exist`);
+      }
+      return;
+    }
+
+    const clientIds = target.type === 'client' ? [target.clientId] : target.clientIds;
+    const missing = clientIds.filter(clientId => !db.prepare('SELECT 1 FROM clients WHERE id = ? AND is_active = 1').get(clientId));
+    if (missing.length > 0) {
+      throw new ValidationError(`Unknown clients: ${missing.join(', ')}`);
+    }
+  };
+
+  /**
+   * List webhooks
+   * GET /api/webhooks
+   */
+  router.get('/', authenticate, (req: any, res: Response) => {
+    requireAdmin(req);
+    res.json({ webhooks: listWebhooks(db) });
+  });
+
+  /**
+   * Create a webhook
+   * POST /api/webhooks
+   * Body: { name, target: { type: 'client', clientId } | { type: 'clients', clientIds } | { type: 'area', areaId } }
+   * The plaintext secret is only returned in this response
+   */
+  router.post('/', authenticate, validateBody(createWebhookSchema), (req: any, res: Response) => {
+    requireAdmin(req);
+    assertTargetExists(req.body.target);
+
+    const { webhook, secret } = createWebhook(db, req.body, req.user.username);
+    logActivity(req, 'webhook_created', { webhookId: webhook.id, name: webhook.name, target: webhook.target });
+
+    res.status(201).json({ ...webhook, secret });
+  });
+
+  /**
+   * Rename a webhook or change its target
+   * PATCH /api/webhooks/:id
+   */
+  router.patch('/:id', authenticate, validateBody(updateWebhookSchema), (req: any, res: Response) => {
+    requireAdmin(req);
+
+    const existing = getWebhook(db, req.params.id);
+    if (!existing) {
+      throw new NotFoundError('Webhook');
+    }
+    if (req.body.target) {
+      assertTargetExists(req.body.target);
+    }
+
+    const webhook = updateWebhook(db, existing.id, req.body);
+    logActivity(req, 'webhook_updated', { webhookId: existing.id, changes: Object.keys(req.body) });
+
+    res.json(webhook);
+  });
+
+  /**
+   * Delete a webhook
+   * DELETE /api/webhooks/:id
+   */
+  router.delete('/:id', authenticate, (req: any, res: Response) => {
+    requireAdmin(req);
+
+    const webhook = getWebhook(db, req.params.id);
+    if (!webhook || !deleteWebhook(db, webhook.id)) {
+      throw new NotFoundError('Webhook');
+    }
+
+    logger.info(`Webhook ${webhook.name} deleted by ${req.user.username}`);
+    logActivity(req, 'webhook_deleted', { webhookId: webhook.id, name: webhook.name });
+
+    res.json({ success: true, message: 'Webhook deleted' });
+  });
+
+  return router;
+}
@@ -0,0 +1,202 @@
+/**
+ * API Key Service
+ * Creation, listing, revocation and verification of scoped API keys
+ */
+
+import type { Database } from 'better-sqlite3';
+import { randomBytes, timingSafeEqual } from 'crypto';
+import {
+  ApiKeyScope,
+  generateApiKey,
+  parseApiKeyPrefix,
+  hashApiKey,
+  isIpAllowed
+} from '../utils/apiKeys';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('ApiKeys');
+
+interface ApiKeyRow {
+  id: string;
+  name: string;
+  key_prefix: string;
+  key_hash: string;
+  scopes: string;
+  ip_allowlist: string;
+  expires_at: number | null;
+  created_by: string | null;
+  created_at: number;
+  last_used_at: number | null;
+  last_used_ip: string | null;
+  revoked_at: number | null;
+}
+
+export interface ApiKeyInfo {
+  id: string;
+  name: string;
+  prefix: string;
+  scopes: ApiKeyScope[];
+  ipAllowlist: string[];
+  expiresAt: number | null;
+  createdBy: string | null;
+  createdAt: number;
+  lastUsedAt: number | null;
+  lastUsedIp: string | null;
+  revokedAt: number | null;
+}
+
+export interface ApiKeyPrincipal {
+  id: string;
+  name: string;
+  scopes: ApiKeyScope[];
+}
+
+// Result of an API key check - key is set when valid, reason otherwise
+export interface ApiKeyVerification {
+  valid: boolean;
+  key?: ApiKeyPrincipal;
+  reason?: 'invalid' | 'revoked' | 'expired' | 'ip_not_allowed';
+}
+
+/**
+ * Convert an api_keys row into the API representation (never exposes key_hash)
+ */
+function toApiKeyInfo(row: ApiKeyRow): ApiKeyInfo {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: JSON.parse(row.scopes),
+    ipAllowlist: JSON.parse(row.ip_allowlist),
+    expiresAt: row.expires_at,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+    revokedAt: row.revoked_at
+  };
+}
+
+/**
+ * Create a new API key
+ * @returns The stored key info plus the plaintext key (only ever returned here)
+ */
+export function createApiKey(
+  db: Database,
+  input: { name: string; scopes: ApiKeyScope[]; ipAllowlist?: string[]; expiresAt?: number | null },
+  createdBy: string
+): { apiKey: ApiKeyInfo; key: string } {
+  const id = `apikey_${Date.now()}_${randomBytes(4).toString('hex')}`;
+  const now = Math.floor(Date.now() / 1000);
+
+  // The 32-bit prefix can collide - retry with a fresh key
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const { key, prefix } = generateApiKey();
+    try {
+      db.prepare(`
+        INSERT INTO api_keys (id, name, key_prefix, key_hash, scopes, ip_allowlist, expires_at, created_by, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        id,
+        input.name,
+        prefix,
+        hashApiKey(key),
+        JSON.stringify(input.scopes),
+        JSON.stringify(input.ipAllowlist || []),
+        input.expiresAt ?? null,
+        createdBy,
+        now
+      );
+
+      logger.info(`API key created: ${input.name} (${prefix}) by ${createdBy}`);
+      return { apiKey: getApiKey(db, id)!, key };
+    } catch (error: any) {
+      if (!error.message?.includes('UNIQUE constraint failed: api_keys.key_prefix')) {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error('Could not generate a unique API key prefix');
+}
+
+/**
+ * Get a single API key by id
+ */
+export function getApiKey(db: Database, id: string): ApiKeyInfo | null {
+  const row = db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id) as ApiKeyRow | undefined;
+  return row ? toApiKeyInfo(row) : null;
+}
+
+/**
+ * List all API keys, newest first
+ */
+export function listApiKeys(db: Database): ApiKeyInfo[] {
+  const rows = db.prepare('SELECT * FROM api_keys ORDER BY created_at DESC').all() as ApiKeyRow[];
+  return rows.map(toApiKeyInfo);
+}
+
+/**
+ * Revoke an API key
+ * @returns false if the key does not exist or was already revoked
+ */
+export function revokeApiKey(db: Database, id: string): boolean {
+  const result = db.prepare(`
+    UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL
+  `).run(Math.floor(Date.now() / 1000), id);
+
+  if (result.changes > 0) {
+    logger.info(`API key revoked: ${id}`);
+  }
+  return result.changes > 0;
+}
+
+/**
+ * Verify an API key presented in an "Authorization: ApiKey ..." header
+ * Updates last_used_at/last_used_ip on success.
+ * @param db - Database instance
+ * @param key - Plaintext API key
+ * @param ip - Request IP address (checked against the key's allow-list)
+ */
+export function verifyApiKey(db: Database, key: string, ip: string | undefined): ApiKeyVerification {
+  const prefix = parseApiKeyPrefix(key);
+  if (!prefix) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  const row = db.prepare('SELECT * FROM api_keys WHERE key_prefix = ?').get(prefix) as ApiKeyRow | undefined;
+  if (!row) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  const expected = Buffer.from(row.key_hash, 'hex');
+  const actual = Buffer.from(hashApiKey(key), 'hex');
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  if (row.revoked_at) {
+    return { valid: false, reason: 'revoked' };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (row.expires_at && row.expires_at < now) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  if (!isIpAllowed(ip, JSON.parse(row.ip_allowlist))) {
+    logger.warn(`API key ${row.key_prefix} used from address outside allow-list: ${ip}`);
+    return { valid: false, reason: 'ip_not_allowed' };
+  }
+
+  db.prepare('UPDATE api_keys SET last_used_at = ?, last_used_ip = ? WHERE id = ?').run(now, ip || null, row.id);
+
+  return {
+    valid: true,
+    key: {
+      id: row.id,
+      name: row.name,
+      scopes: JSON.parse(row.scopes)
+    }
+  };
+}
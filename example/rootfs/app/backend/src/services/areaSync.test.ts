@@ -0,0 +1,156 @@
+/**
+ * Home Assistant Area Sync Test Suite
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import Database from 'better-sqlite3';
+import { importAreas, computeAreaDrift, resolveAreaMembership, HARegistries } from './areaSync';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+
+const registries = (): HARegistries => ({
+  areas: [
+    { area_id: 'kitchen', name: 'Küche' },
+    { area_id: 'hall', name: 'Hall' }
+  ],
+  devices: [
+    { id: 'plug_1', area_id: 'kitchen', name: 'Plug' },
+    { id: 'sensor_1', area_id: 'hall', name: 'Motion' }
+  ],
+  entities: [
+    { entity_id: 'light.kitchen', area_id: 'kitchen', device_id: null },
+    { entity_id: 'switch.plug', area_id: null, device_id: 'plug_1' },
+    { entity_id: 'sensor.plug_rssi', area_id: null, device_id: 'plug_1', entity_category: 'diagnostic' },
+    { entity_id: 'binary_sensor.motion', area_id: null, device_id: 'sensor_1' },
+    { entity_id: 'light.hall', area_id: 'hall', device_id: null, disabled_by: 'user' }
+  ]
+});
+
+describe('Area Sync', () => {
+  describe('resolveAreaMembership', () => {
+    it('should use the entity area, else the device area', () => {
+      const { devices, entities } = registries();
+      const membership = resolveAreaMembership(devices, entities);
+
+      expect(membership.get('kitchen')).toEqual(['light.kitchen', 'switch.plug']);
+      expect(membership.get('hall')).toEqual(['binary_sensor.motion']);
+    });
+
+    it('should let an entity area override its device area', () => {
+      const { devices } = registries();
+      const membership = resolveAreaMembership(devices, [
+        { entity_id: 'switch.plug', area_id: 'hall', device_id: 'plug_1' }
+      ]);
+
+      expect(membership.get('hall')).toEqual(['switch.plug']);
+      expect(membership.has('kitchen')).toBe(false);
+    });
+  });
+
+  describe('import and drift', () => {
+    let db: Database.Database;
+    let dbPath: string;
+
+    beforeEach(() => {
+      dbPath = join(tmpdir(), `test-area-sync-${Date.now()}.db`);
+      db = new Database(dbPath);
+
+      db.exec(`
+        CREATE TABLE areas (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          entity_ids TEXT DEFAULT '[]',
+          is_enabled INTEGER NOT NULL DEFAULT 1,
+          ha_area_id TEXT,
+          synced_entity_ids TEXT,
+          synced_at INTEGER
+        );
+        CREATE UNIQUE INDEX idx_areas_ha_area_id ON areas(ha_area_id);
+      `);
+      // Hand-made area with the same name as the HA hall area
+      db.prepare('INSERT INTO areas (id, name, entity_ids) VALUES (?, ?, ?)')
+        .run('area_1', 'hall', '["light.extra","binary_sensor.motion"]');
+    });
+
+    afterEach(() => {
+      db.close();
+      try {
+        unlinkSync(dbPath);
+      } catch (error) {
+        // Ignore cleanup errors
+      }
+    });
+
+    it('should create new areas and link existing ones by name', () => {
+      const imported = importAreas(db, registries());
+
+      const kitchen = imported.find(area => area.haAreaId === 'kitchen')!;
+      expect(kitchen.status).toBe('created');
+      expect(kitchen.id).toMatch(/^area_\d+$/);
+      expect(kitchen.name).toBe('Kuche');
+      expect(kitchen.entityIds).toEqual(['light.kitchen', 'switch.plug']);
+
+      const hall = imported.find(area => area.haAreaId === 'hall')!;
+      expect(hall).toMatchObject({ id: 'area_1', status: 'updated', entityIds: ['binary_sensor.motion'] });
+
+      const row = db.prepare('SELECT * FROM areas WHERE id = ?').get('area_1') as any;
+      expect(row.ha_area_id).toBe('hall');
+      expect(JSON.parse(row.synced_entity_ids)).toEqual(['binary_sensor.motion']);
+    });
+
+    it('should keep the entity order of linked areas on re-import', () => {
+      importAreas(db, registries());
+      const kitchenId = (db.prepare('SELECT id FROM areas WHERE ha_area_id = ?').get('kitchen') as any).id;
+      db.prepare('UPDATE areas SET entity_ids = ? WHERE id = ?').run('["switch.plug","light.kitchen"]', kitchenId);
+
+      const imported = importAreas(db, registries(), ['kitchen']);
+
+      expect(imported).toEqual([
+        expect.objectContaining({ id: kitchenId, status: 'unchanged', entityIds: ['switch.plug', 'light.kitchen'] })
+      ]);
+    });
+
+    it('should report no drift right after an import', () => {
+      importAreas(db, registries());
+      const report = computeAreaDrift(db, registries());
+
+      expect(report.inSync).toBe(true);
+      expect(report.unlinkedAreas).toEqual([]);
+    });
+
+    it('should report entities added, removed and moved since the import', () => {
+      importAreas(db, registries());
+
+      const changed = registries();
+      changed.areas.push({ area_id: 'office', name: 'Office' });
+      changed.entities = [
+        { entity_id: 'light.kitchen', area_id: 'office', device_id: null },
+        { entity_id: 'binary_sensor.motion', area_id: null, device_id: 'sensor_1' },
+        { entity_id: 'light.hall', area_id: 'hall', device_id: null }
+      ];
+
+      const report = computeAreaDrift(db, changed);
+
+      expect(report.inSync).toBe(false);
+      expect(report.added).toEqual([{ entityId: 'light.hall', areaId: 'area_1', haAreaId: 'hall' }]);
+      expect(report.removed.map(entry => entry.entityId)).toEqual(['switch.plug']);
+      expect(report.moved).toEqual([expect.objectContaining({
+        entityId: 'light.kitchen',
+        fromHaAreaId: 'kitchen',
+        toHaAreaId: 'office',
+        toAreaId: null
+      })]);
+      expect(report.unlinkedAreas).toEqual([{ haAreaId: 'office', name: 'Office' }]);
+    });
+
+    it('should report linked areas deleted in Home Assistant', () => {
+      importAreas(db, registries());
+
+      const changed = registries();
+      changed.areas = changed.areas.filter(area => area.area_id !== 'hall');
+
+      expect(computeAreaDrift(db, changed).missingAreas).toEqual([{ areaId: 'area_1', haAreaId: 'hall' }]);
+    });
+  });
+});
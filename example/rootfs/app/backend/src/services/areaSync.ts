@@ -0,0 +1,299 @@
+/**
+ * Home Assistant Area Sync
+ * Imports areas from HA's area, device and entity registries into the areas table and
+ * reports drift - entities added, removed or moved in HA since the last import.
+ * An entity belongs to the area set on its registry entry, otherwise to its device's area.
+ * Disabled, hidden and config/diagnostic entities are left out, as on HA's own area dashboards.
+ */
+
+import type { Database } from 'better-sqlite3';
+import type { HomeAssistantService } from './homeassistant';
+import type { HAArea, HADeviceRegistryEntry, HAEntityRegistryEntry } from '../types';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('AreaSync');
+
+const DEFAULT_DRIFT_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+export interface HARegistries {
+  areas: HAArea[];
+  devices: HADeviceRegistryEntry[];
+  entities: HAEntityRegistryEntry[];
+}
+
+export interface ImportedArea {
+  id: string;
+  name: string;
+  haAreaId: string;
+  entityIds: string[];
+  status: 'created' | 'updated' | 'unchanged';
+}
+
+export interface AreaDriftReport {
+  checkedAt: string;
+  // False if any entity was added, removed or moved, or a linked HA area was deleted
+  inSync: boolean;
+  added: { entityId: string; areaId: string; haAreaId: string }[];
+  removed: { entityId: string; areaId: string; haAreaId: string }[];
+  moved: { entityId: string; fromAreaId: string; fromHaAreaId: string; toHaAreaId: string; toAreaId: string | null }[];
+  // Linked areas whose HA area no longer exists
+  missingAreas: { areaId: string; haAreaId: string }[];
+  // HA areas not imported yet
+  unlinkedAreas: { haAreaId: string; name: string }[];
+}
+
+interface AreaRow {
+  id: string;
+  name: string;
+  entity_ids: string | null;
+  ha_area_id: string | null;
+  synced_entity_ids: string | null;
+}
+
+function parseIds(value: string | null | undefined): string[] {
+  try {
+    const ids = value ? JSON.parse(value) : [];
+    return Array.isArray(ids) ? ids : [];
+  } catch {
+    return [];
+  }
+}
+
+export async function fetchRegistries(ha: HomeAssistantService): Promise<HARegistries> {
+  const [areas, devices, entities] = await Promise.all([
+    ha.getAreas(),
+    ha.getDeviceRegistry(),
+    ha.getEntityRegistry()
+  ]);
+  return { areas, devices, entities };
+}
+
+/**
+ * Entity ids per HA area
+ * @returns Map of HA area id → sorted entity ids
+ */
+export function resolveAreaMembership(
+  devices: HADeviceRegistryEntry[],
+  entities: HAEntityRegistryEntry[]
+): Map<string, string[]> {
+  const deviceAreas = new Map(devices.map(device => [device.id, device.area_id]));
+  const membership = new Map<string, string[]>();
+
+  for (const entity of entities) {
+    if (entity.disabled_by || entity.hidden_by || entity.entity_category) continue;
+
+    const areaId = entity.area_id || (entity.device_id ? deviceAreas.get(entity.device_id) : null);
+    if (!areaId) continue;
+
+    const ids = membership.get(areaId);
+    if (ids) {
+      ids.push(entity.entity_id);
+    } else {
+      membership.set(areaId, [entity.entity_id]);
+    }
+  }
+
+  for (const ids of membership.values()) {
+    ids.sort();
+  }
+  return membership;
+}
+
+// Area names are limited to the characters InputSanitizer.validateAreaName accepts
+function toAreaName(haArea: HAArea): string {
+  const name = haArea.name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-zA-Z0-9\s\-_'.()]/g, '')
+    .trim()
+    .slice(0, 100);
+  return name || haArea.area_id.slice(0, 100);
+}
+
+/**
+ * Create or update HAsync areas from HA areas and link them.
+ * Areas are matched by link first, then by name. Entity membership is replaced by HA's,
+ * keeping the HAsync order of entities that stay.
+ * @param haAreaIds - HA areas to import (default: all)
+ */
+export function importAreas(db: Database, registries: HARegistries, haAreaIds?: string[]): ImportedArea[] {
+  const membership = resolveAreaMembership(registries.devices, registries.entities);
+  const selected = haAreaIds
+    ? registries.areas.filter(area => haAreaIds.includes(area.area_id))
+    : registries.areas;
+
+  const findLinked = db.prepare('SELECT * FROM areas WHERE ha_area_id = ?');
+  const findByName = db.prepare('SELECT * FROM areas WHERE ha_area_id IS NULL AND lower(name) = lower(?) LIMIT 1');
+  const idExists = db.prepare('SELECT 1 FROM areas WHERE id = ?');
+  const insert = db.prepare(`
+    INSERT INTO areas (id, name, entity_ids, is_enabled, ha_area_id, synced_entity_ids, synced_at)
+    VALUES (?, ?, ?, 1, ?, ?, ?)
+  `);
+  const update = db.prepare(`
+    UPDATE areas SET entity_ids = ?, ha_area_id = ?, synced_entity_ids = ?, synced_at = ? WHERE id = ?
+  `);
+
+  const run = db.transaction(() => {
+    const imported: ImportedArea[] = [];
+    const now = Math.floor(Date.now() / 1000);
+    let nextId = Date.now();
+
+    for (const haArea of selected) {
+      const haEntityIds = membership.get(haArea.area_id) ?? [];
+      const synced = JSON.stringify(haEntityIds);
+      const existing = (findLinked.get(haArea.area_id) ?? findByName.get(toAreaName(haArea))) as AreaRow | undefined;
+
+      if (!existing) {
+        // Area ids must match area_<number>
+        while (idExists.get(`area_${nextId}`)) nextId++;
+        const id = `area_${nextId++}`;
+        const name = toAreaName(haArea);
+        insert.run(id, name, synced, haArea.area_id, synced, now);
+        imported.push({ id, name, haAreaId: haArea.area_id, entityIds: haEntityIds, status: 'created' });
+        continue;
+      }
+
+      const current = parseIds(existing.entity_ids);
+      const kept = current.filter(entityId => haEntityIds.includes(entityId));
+      const entityIds = [...kept, ...haEntityIds.filter(entityId => !kept.includes(entityId))];
+      const changed = existing.ha_area_id !== haArea.area_id || JSON.stringify(entityIds) !== JSON.stringify(current);
+
+      update.run(JSON.stringify(entityIds), haArea.area_id, synced, now, existing.id);
+      imported.push({
+        id: existing.id,
+        name: existing.name,
+        haAreaId: haArea.area_id,
+        entityIds,
+        status: changed ? 'updated' : 'unchanged'
+      });
+    }
+
+    return imported;
+  });
+
+  const imported = run();
+  logger.info(`Imported ${imported.length} Home Assistant areas (${imported.filter(area => area.status === 'created').length} new)`);
+  return imported;
+}
+
+/**
+ * Compare HA's current area membership with the membership recorded by the last import
+ */
+export function computeAreaDrift(db: Database, registries: HARegistries): AreaDriftReport {
+  const membership = resolveAreaMembership(registries.devices, registries.entities);
+  const haAreaIds = new Set(registries.areas.map(area => area.area_id));
+  const linked = db.prepare('SELECT * FROM areas WHERE ha_area_id IS NOT NULL').all() as AreaRow[];
+  const linkedByHaArea = new Map(linked.map(area => [area.ha_area_id as string, area]));
+
+  // Entity → HA area now, and → linked area at the last import
+  const currentArea = new Map<string, string>();
+  for (const [haAreaId, entityIds] of membership) {
+    entityIds.forEach(entityId => currentArea.set(entityId, haAreaId));
+  }
+  const syncedArea = new Map<string, AreaRow>();
+  for (const area of linked) {
+    parseIds(area.synced_entity_ids).forEach(entityId => syncedArea.set(entityId, area));
+  }
+
+  const report: AreaDriftReport = {
+    checkedAt: new Date().toISOString(),
+    inSync: true,
+    added: [],
+    removed: [],
+    moved: [],
+    missingAreas: [],
+    unlinkedAreas: registries.areas
+      .filter(area => !linkedByHaArea.has(area.area_id))
+      .map(area => ({ haAreaId: area.area_id, name: area.name }))
+  };
+
+  for (const area of linked) {
+    const haAreaId = area.ha_area_id as string;
+    if (!haAreaIds.has(haAreaId)) {
+      report.missingAreas.push({ areaId: area.id, haAreaId });
+    }
+    for (const entityId of membership.get(haAreaId) ?? []) {
+      if (!syncedArea.has(entityId)) {
+        report.added.push({ entityId, areaId: area.id, haAreaId });
+      }
+    }
+  }
+
+  for (const [entityId, area] of syncedArea) {
+    const fromHaAreaId = area.ha_area_id as string;
+    const toHaAreaId = currentArea.get(entityId);
+    if (!toHaAreaId) {
+      report.removed.push({ entityId, areaId: area.id, haAreaId: fromHaAreaId });
+    } else if (toHaAreaId !== fromHaAreaId) {
+      report.moved.push({
+        entityId,
+        fromAreaId: area.id,
+        fromHaAreaId,
+        toHaAreaId,
+        toAreaId: linkedByHaArea.get(toHaAreaId)?.id ?? null
+      });
+    }
+  }
+
+  report.inSync = report.added.length === 0 && report.removed.length === 0 &&
+    report.moved.length === 0 && report.missingAreas.length === 0;
+  return report;
+}
+
+/**
+ * Checks for area drift periodically and whenever Home Assistant (re)connects.
+ * onDrift is called when a check finds drift that differs from the previous check.
+ */
+export class AreaDriftMonitor {
+  private lastReport: AreaDriftReport | null = null;
+  private lastFingerprint = '';
+  private timer: NodeJS.Timeout | null = null;
+  private unsubscribe: (() => void) | null = null;
+
+  constructor(
+    private db: Database,
+    private ha: HomeAssistantService,
+    private onDrift: (report: AreaDriftReport) => void,
+    private interval: number = DEFAULT_DRIFT_INTERVAL
+  ) {}
+
+  start(): void {
+    this.unsubscribe = this.ha.onConnectionStateChange((status) => {
+      if (status.state === 'connected') this.checkInBackground();
+    });
+    this.timer = setInterval(() => this.checkInBackground(), this.interval);
+    this.timer.unref();
+  }
+
+  stop(): void {
+    if (this.timer) clearInterval(this.timer);
+    this.unsubscribe?.();
+    this.timer = null;
+    this.unsubscribe = null;
+  }
+
+  getLastReport(): AreaDriftReport | null {
+    return this.lastReport;
+  }
+
+  async check(): Promise<AreaDriftReport> {
+    const report = computeAreaDrift(this.db, await fetchRegistries(this.ha));
+    const fingerprint = JSON.stringify({ ...report, checkedAt: undefined });
+
+    if (!report.inSync && fingerprint !== this.lastFingerprint) {
+      logger.info(`Area drift: ${report.added.length} added, ${report.removed.length} removed, ${report.moved.length} moved`);
+      this.onDrift(report);
+    }
+    this.lastReport = report;
+    this.lastFingerprint = fingerprint;
+    return report;
+  }
+
+  private checkInBackground(): void {
+    if (this.ha.getConnectionStatus().state !== 'connected') return;
+
+    this.check().catch((error: any) => {
+      logger.warn(`Area drift check failed: ${error.message}`);
+    });
+  }
+}
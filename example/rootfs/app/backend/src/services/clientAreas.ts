@@ -0,0 +1,55 @@
+/**
+ * Client Area Scope
+ * Resolves which entities a client may see and control: the entities of the enabled areas
+ * assigned to the client - or to the named token it authenticated with
+ */
+
+import type { Database } from 'better-sqlite3';
+
+function parseIds(value: string | null | undefined): string[] {
+  try {
+    const ids = value ? JSON.parse(value) : [];
+    return Array.isArray(ids) ? ids : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Entity ids of every enabled area
+ * @returns Map of area id → entity ids
+ */
+export function getEnabledAreaEntities(db: Database): Map<string, string[]> {
+  const areas = db.prepare('SELECT id, entity_ids FROM areas WHERE is_enabled = 1').all() as { id: string; entity_ids: string | null }[];
+  return new Map(areas.map(area => [area.id, parseIds(area.entity_ids)]));
+}
+
+/**
+ * Area ids assigned to a client, or to its named token
+ * @returns Empty if the client is inactive or the token revoked
+ */
+export function getAssignedAreaIds(db: Database, clientId: string, tokenId?: string | null): string[] {
+  const row = (tokenId
+    ? db.prepare('SELECT assigned_areas FROM client_tokens WHERE id = ? AND client_id = ? AND is_revoked = 0').get(tokenId, clientId)
+    : db.prepare('SELECT assigned_areas FROM clients WHERE id = ? AND is_active = 1').get(clientId)
+  ) as { assigned_areas: string | null } | undefined;
+
+  return parseIds(row?.assigned_areas);
+}
+
+/**
+ * Entity ids a client may access
+ * @param areaEntities - Result of getEnabledAreaEntities, for callers that keep it cached
+ */
+export function getClientEntityIds(
+  db: Database,
+  clientId: string,
+  tokenId?: string | null,
+  areaEntities: Map<string, string[]> = getEnabledAreaEntities(db)
+): Set<string> {
+  const entityIds = new Set<string>();
+  for (const areaId of getAssignedAreaIds(db, clientId, tokenId)) {
+    areaEntities.get(areaId)?.forEach(entityId => entityIds.add(entityId));
+  }
+  return entityIds;
+}
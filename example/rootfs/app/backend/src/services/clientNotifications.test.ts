@@ -0,0 +1,100 @@
+/**
+ * Client Notification Service Test Suite
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import Database from 'better-sqlite3';
+import type { Server, Socket } from 'socket.io';
+import { sendClientNotification, deliverQueuedNotifications } from './clientNotifications';
+import { initializeSocketEvents, registerClientSocket, unregisterClientSocket, clientRoom } from './websocket-events';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+
+const DOORBELL = { title: 'Doorbell', message: 'Doorbell pressed', severity: 'info' as const, ttl: 60, entityId: 'camera.front_door' };
+
+describe('Client Notifications', () => {
+  let db: Database.Database;
+  let dbPath: string;
+  let emitted: Array<{ room: string; event: string; data: any }>;
+
+  const createSocket = (id: string) => ({ id, join: () => {}, leave: () => {}, emit: () => true } as unknown as Socket);
+  const sentTo = (clientId: string) => emitted.filter(entry => entry.room === clientRoom(clientId)).map(entry => entry.data);
+
+  beforeAll(() => {
+    // Only what notifyClient() needs - room emits are recorded
+    initializeSocketEvents({
+      sockets: { emit: () => true },
+      to: (room: string) => ({ emit: (event: string, data: any) => emitted.push({ room, event, data }) })
+    } as unknown as Server);
+  });
+
+  beforeEach(() => {
+    emitted = [];
+    dbPath = join(tmpdir(), `test-client-notifications-${Date.now()}.db`);
+    db = new Database(dbPath);
+
+    db.exec(`
+      CREATE TABLE client_notifications (
+        id TEXT NOT NULL,
+        client_id TEXT NOT NULL,
+        webhook_id TEXT,
+        title TEXT NOT NULL,
+        message TEXT NOT NULL,
+        severity TEXT NOT NULL DEFAULT 'info',
+        entity_id TEXT,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        PRIMARY KEY (id, client_id)
+      );
+    `);
+    registerClientSocket('client_online', createSocket('socket_1'));
+  });
+
+  afterEach(() => {
+    unregisterClientSocket('client_online');
+    db.close();
+    try {
+      unlinkSync(dbPath);
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should deliver to connected clients and queue for the others', () => {
+    const result = sendClientNotification(db, ['client_online', 'client_offline', 'client_online'], DOORBELL, 'webhook_1');
+
+    expect(result).toEqual({ notificationId: expect.any(String), delivered: ['client_online'], queued: ['client_offline'] });
+    expect(sentTo('client_online')).toEqual([expect.objectContaining({
+      notificationId: result.notificationId,
+      webhookId: 'webhook_1',
+      title: 'Doorbell',
+      message: 'Doorbell pressed',
+      entityId: 'camera.front_door',
+      queued: false
+    })]);
+    expect(db.prepare('SELECT client_id FROM client_notifications').all()).toEqual([{ client_id: 'client_offline' }]);
+  });
+
+  it('should deliver queued notifications in order once the client connects', () => {
+    sendClientNotification(db, ['client_offline'], DOORBELL);
+    sendClientNotification(db, ['client_offline'], { ...DOORBELL, message: 'Doorbell pressed again' });
+
+    expect(deliverQueuedNotifications(db, 'client_offline')).toBe(2);
+    expect(sentTo('client_offline').map(data => [data.message, data.queued])).toEqual([
+      ['Doorbell pressed', true],
+      ['Doorbell pressed again', true]
+    ]);
+
+    expect(deliverQueuedNotifications(db, 'client_offline')).toBe(0);
+  });
+
+  it('should drop queued notifications once they expire', () => {
+    sendClientNotification(db, ['client_offline'], DOORBELL);
+    db.prepare('UPDATE client_notifications SET expires_at = ?').run(Math.floor(Date.now() / 1000) - 1);
+
+    expect(deliverQueuedNotifications(db, 'client_offline')).toBe(0);
+    expect(sentTo('client_offline')).toEqual([]);
+    expect(db.prepare('SELECT COUNT(*) AS count FROM client_notifications').get()).toEqual({ count: 0 });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Client Notification Service
+ * Shows notifications on devices - connected clients get them right away over Socket.IO,
+ * the others when they connect again, unless the notification expired in the meantime
+ */
+
+import type { Database } from 'better-sqlite3';
+import { randomBytes } from 'crypto';
+import { EVENT_TYPES, isClientConnected, notifyClient } from './websocket-events';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('ClientNotifications');
+
+export type NotificationSeverity = 'info' | 'success' | 'warning' | 'error';
+
+export interface ClientNotificationInput {
+  title: string;
+  message: string;
+  severity: NotificationSeverity;
+  // Seconds the notification is relevant - it is dropped from the queue afterwards
+  ttl: number;
+  // Entity the device should focus, e.g. camera.front_door
+  entityId?: string | null;
+}
+
+interface ClientNotificationRow {
+  id: string;
+  client_id: string;
+  webhook_id: string | null;
+  title: string;
+  message: string;
+  severity: NotificationSeverity;
+  entity_id: string | null;
+  created_at: number;
+  expires_at: number;
+}
+
+export interface ClientNotificationResult {
+  notificationId: string;
+  delivered: string[];
+  queued: string[];
+}
+
+/**
+ * Socket payload of a notification
+ */
+function toNotificationEvent(row: Omit<ClientNotificationRow, 'client_id'>, queued: boolean): Record<string, any> {
+  return {
+    notificationId: row.id,
+    webhookId: row.webhook_id,
+    title: row.title,
+    message: row.message,
+    severity: row.severity,
+    entityId: row.entity_id,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    queued
+  };
+}
+
+/**
+ * Drop queued notifications that expired before their client connected
+ */
+export function pruneExpiredNotifications(db: Database, now: number = Math.floor(Date.now() / 1000)): number {
+  return db.prepare('DELETE FROM client_notifications WHERE expires_at <= ?').run(now).changes;
+}
+
+/**
+ * Send a notification to clients
+ * Clients without a connected socket get it queued until they connect or it expires.
+ * @param clientIds - Recipients
+ * @param webhookId - Webhook the notification came in through, if any
+ */
+export function sendClientNotification(
+  db: Database,
+  clientIds: string[],
+  input: ClientNotificationInput,
+  webhookId: string | null = null
+): ClientNotificationResult {
+  const now = Math.floor(Date.now() / 1000);
+  const notification = {
+    id: `notif_${Date.now()}_${randomBytes(4).toString('hex')}`,
+    webhook_id: webhookId,
+    title: input.title,
+    message: input.message,
+    severity: input.severity,
+    entity_id: input.entityId ?? null,
+    created_at: now,
+    expires_at: now + input.ttl
+  };
+
+  const delivered: string[] = [];
+  const queued: string[] = [];
+  const enqueue = db.prepare(`
+    INSERT INTO client_notifications (id, client_id, webhook_id, title, message, severity, entity_id, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  pruneExpiredNotifications(db, now);
+  for (const clientId of new Set(clientIds)) {
+    if (isClientConnected(clientId)) {
+      notifyClient(clientId, EVENT_TYPES.NOTIFICATION, toNotificationEvent(notification, false));
+      delivered.push(clientId);
+    } else {
+      enqueue.run(
+        notification.id, clientId, notification.webhook_id, notification.title, notification.message,
+        notification.severity, notification.entity_id, notification.created_at, notification.expires_at
+      );
+      queued.push(clientId);
+    }
+  }
+
+  logger.info(`Notification ${notification.id} delivered to ${delivered.length} clients, queued for ${queued.length}`);
+  return { notificationId: notification.id, delivered, queued };
+}
+
+/**
+ * Deliver the notifications queued for a client that just connected, oldest first
+ * @returns Number of notifications delivered
+ */
+export function deliverQueuedNotifications(db: Database, clientId: string): number {
+  const now = Math.floor(Date.now() / 1000);
+  pruneExpiredNotifications(db, now);
+
+  const rows = db.prepare(`
+    SELECT * FROM client_notifications WHERE client_id = ? ORDER BY created_at ASC, rowid ASC
+  `).all(clientId) as ClientNotificationRow[];
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  for (const row of rows) {
+    notifyClient(clientId, EVENT_TYPES.NOTIFICATION, toNotificationEvent(row, true));
+  }
+  db.prepare('DELETE FROM client_notifications WHERE client_id = ?').run(clientId);
+
+  logger.info(`Delivered ${rows.length} queued notifications to client ${clientId}`);
+  return rows.length;
+}
+
+/**
+ * Drop the queued notifications of a client (e.g. when it is deleted)
+ */
+export function clearQueuedNotifications(db: Database, clientId: string): void {
+  db.prepare('DELETE FROM client_notifications WHERE client_id = ?').run(clientId);
+}
@@ -0,0 +1,144 @@
+/**
+ * Dashboard Service Test Suite
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import Database from 'better-sqlite3';
+import type { HomeAssistantService } from './homeassistant';
+import {
+  createDashboard,
+  updateDashboard,
+  deleteDashboard,
+  assignDashboard,
+  getClientDashboard,
+  getClientDashboardIds,
+  importLovelaceDashboards
+} from './dashboards';
+import { HARequestError } from '../errors/AppError';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+
+const views = (title: string) => ({ views: [{ title, cards: [{ type: 'entities', entities: ['light.kitchen'] }] }] });
+
+describe('Dashboards', () => {
+  let db: Database.Database;
+  let dbPath: string;
+
+  beforeEach(() => {
+    dbPath = join(tmpdir(), `test-dashboards-${Date.now()}.db`);
+    db = new Database(dbPath);
+
+    db.exec(`
+      CREATE TABLE dashboards (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        config TEXT DEFAULT '{}',
+        created_by TEXT NOT NULL,
+        created_at INTEGER,
+        updated_at INTEGER,
+        is_default INTEGER NOT NULL DEFAULT 0,
+        ha_url_path TEXT,
+        synced_at INTEGER
+      );
+      CREATE UNIQUE INDEX idx_dashboards_ha_url_path ON dashboards(ha_url_path);
+      CREATE TABLE clients (id TEXT PRIMARY KEY, is_active INTEGER DEFAULT 1, dashboard_id TEXT);
+    `);
+    db.prepare('INSERT INTO clients (id) VALUES (?), (?)').run('client_1', 'client_2');
+  });
+
+  afterEach(() => {
+    db.close();
+    try {
+      unlinkSync(dbPath);
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should store views and cards in the config', () => {
+    const dashboard = createDashboard(db, { name: 'Kitchen', config: views('Main') }, 'user_1');
+
+    expect(dashboard.id).toMatch(/^dashboard_\d+_[0-9a-f]{8}$/);
+    expect(dashboard.config.views[0]).toEqual(views('Main').views[0]);
+    expect(updateDashboard(db, dashboard.id, { config: views('Other') })!.config.views[0].title).toBe('Other');
+  });
+
+  it('should keep a single default dashboard', () => {
+    const first = createDashboard(db, { name: 'First', isDefault: true }, 'user_1');
+    const second = createDashboard(db, { name: 'Second', isDefault: true }, 'user_1');
+
+    expect(updateDashboard(db, first.id, {})!.isDefault).toBe(false);
+    expect(updateDashboard(db, second.id, {})!.isDefault).toBe(true);
+  });
+
+  it('should show the assigned dashboard, otherwise the default', () => {
+    const fallback = createDashboard(db, { name: 'Default', isDefault: true }, 'user_1');
+    const tablet = createDashboard(db, { name: 'Tablet' }, 'user_1');
+    assignDashboard(db, 'client_1', tablet.id);
+
+    expect(getClientDashboard(db, 'client_1')!.id).toBe(tablet.id);
+    expect(getClientDashboard(db, 'client_2')!.id).toBe(fallback.id);
+    expect(getClientDashboardIds(db)).toEqual(new Map([['client_1', tablet.id], ['client_2', fallback.id]]));
+  });
+
+  it('should fall back to the default when the assigned dashboard is deleted', () => {
+    const fallback = createDashboard(db, { name: 'Default', isDefault: true }, 'user_1');
+    const tablet = createDashboard(db, { name: 'Tablet' }, 'user_1');
+    assignDashboard(db, 'client_1', tablet.id);
+
+    expect(deleteDashboard(db, tablet.id)).toBe(true);
+    expect(getClientDashboard(db, 'client_1')!.id).toBe(fallback.id);
+    expect((db.prepare('SELECT dashboard_id FROM clients WHERE id = ?').get('client_1') as any).dashboard_id).toBeNull();
+    expect(deleteDashboard(db, tablet.id)).toBe(false);
+  });
+
+  describe('importLovelaceDashboards', () => {
+    let configs: Record<string, any>;
+    let ha: HomeAssistantService;
+
+    beforeEach(() => {
+      configs = {
+        lovelace: { strategy: { type: 'original-states' } },
+        'dashboard-tablet': { title: 'Wall Tablet!', ...views('Kitchen') }
+      };
+      ha = {
+        getDashboards: async () => [
+          { id: 'tablet', url_path: 'dashboard-tablet', title: 'Tablet' },
+          { id: 'energy', url_path: 'dashboard-energy', title: 'Energy' }
+        ],
+        getLovelaceConfig: async (urlPath: string | null) => {
+          const config = configs[urlPath ?? 'lovelace'];
+          if (!config) {
+            throw new HARequestError('lovelace/config', { code: 'config_not_found', message: 'No config found.' });
+          }
+          return config;
+        }
+      } as unknown as HomeAssistantService;
+    });
+
+    it('should import dashboards with views and skip generated ones', async () => {
+      const result = await importLovelaceDashboards(db, ha, 'user_1');
+
+      expect(result.imported).toEqual([expect.objectContaining({
+        id: 'lovelace_dashboard-tablet',
+        name: 'Wall Tablet',
+        haUrlPath: 'dashboard-tablet',
+        status: 'created'
+      })]);
+      expect(result.imported[0].config.views[0].title).toBe('Kitchen');
+      expect(result.skipped.map(dashboard => dashboard.haUrlPath)).toEqual(['lovelace', 'dashboard-energy']);
+    });
+
+    it('should update imported dashboards by url_path and keep their name', async () => {
+      await importLovelaceDashboards(db, ha, 'user_1');
+      updateDashboard(db, 'lovelace_dashboard-tablet', { name: 'Hallway' });
+      configs['dashboard-tablet'] = views('Living room');
+
+      const result = await importLovelaceDashboards(db, ha, 'user_1');
+
+      expect(result.imported).toEqual([expect.objectContaining({ name: 'Hallway', status: 'updated' })]);
+      expect(result.imported[0].config.views[0].title).toBe('Living room');
+    });
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Dashboard Service
+ * Dashboards are stored with their views and cards (Lovelace format) in dashboards.config.
+ * Clients show the dashboard assigned to them, otherwise the default dashboard.
+ * Lovelace dashboards can be imported from Home Assistant and are re-synced by url_path.
+ */
+
+import type { Database } from 'better-sqlite3';
+import { randomBytes } from 'crypto';
+import type { HomeAssistantService } from './homeassistant';
+import type { HALovelaceConfig } from '../types';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('Dashboards');
+
+// ha_url_path of HA's default dashboard, which has no url_path of its own
+const DEFAULT_LOVELACE_PATH = 'lovelace';
+
+interface DashboardRow {
+  id: string;
+  name: string;
+  config: string | null;
+  created_by: string;
+  created_at: number;
+  updated_at: number;
+  is_default: number;
+  ha_url_path: string | null;
+  synced_at: number | null;
+}
+
+export interface DashboardConfig {
+  views: Array<Record<string, unknown>>;
+  [key: string]: unknown;
+}
+
+export interface DashboardInfo {
+  id: string;
+  name: string;
+  config: DashboardConfig;
+  isDefault: boolean;
+  // Lovelace dashboard this one was imported from
+  haUrlPath: string | null;
+  syncedAt: number | null;
+  createdBy: string;
+  createdAt: number;
+  updatedAt: number;
+}
+
+export interface DashboardInput {
+  name?: string;
+  config?: DashboardConfig;
+  isDefault?: boolean;
+}
+
+export interface LovelaceImportResult {
+  imported: Array<DashboardInfo & { status: 'created' | 'updated' }>;
+  skipped: Array<{ haUrlPath: string; title: string; reason: string }>;
+}
+
+function parseConfig(value: string | null): DashboardConfig {
+  try {
+    const config = value ? JSON.parse(value) : {};
+    return { ...config, views: Array.isArray(config.views) ? config.views : [] };
+  } catch {
+    return { views: [] };
+  }
+}
+
+function toDashboardInfo(row: DashboardRow): DashboardInfo {
+  return {
+    id: row.id,
+    name: row.name,
+    config: parseConfig(row.config),
+    isDefault: row.is_default === 1,
+    haUrlPath: row.ha_url_path,
+    syncedAt: row.synced_at,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Only one dashboard can be the default
+function clearDefault(db: Database, exceptId: string): void {
+  db.prepare('UPDATE dashboards SET is_default = 0 WHERE is_default = 1 AND id != ?').run(exceptId);
+}
+
+/**
+ * List all dashboards, default first, then by name
+ */
+export function listDashboards(db: Database): DashboardInfo[] {
+  const rows = db.prepare('SELECT * FROM dashboards ORDER BY is_default DESC, name COLLATE NOCASE').all() as DashboardRow[];
+  return rows.map(toDashboardInfo);
+}
+
+/**
+ * Get a single dashboard by id
+ */
+export function getDashboard(db: Database, id: string): DashboardInfo | null {
+  const row = db.prepare('SELECT * FROM dashboards WHERE id = ?').get(id) as DashboardRow | undefined;
+  return row ? toDashboardInfo(row) : null;
+}
+
+/**
+ * Create a dashboard
+ * @param createdBy - users.id of the admin creating it
+ */
+export function createDashboard(
+  db: Database,
+  input: DashboardInput & { name: string },
+  createdBy: string
+): DashboardInfo {
+  const id = `dashboard_${Date.now()}_${randomBytes(4).toString('hex')}`;
+  const now = Math.floor(Date.now() / 1000);
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO dashboards (id, name, config, created_by, created_at, updated_at, is_default)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(id, input.name, JSON.stringify(input.config ?? { views: [] }), createdBy, now, now, input.isDefault ? 1 : 0);
+
+    if (input.isDefault) clearDefault(db, id);
+  })();
+
+  logger.info(`Dashboard created: ${input.name} (${id})`);
+  return getDashboard(db, id)!;
+}
+
+/**
+ * Update a dashboard's name, views and cards or default flag
+ */
+export function updateDashboard(db: Database, id: string, input: DashboardInput): DashboardInfo | null {
+  const columns: Record<string, unknown> = {
+    name: input.name,
+    config: input.config && JSON.stringify(input.config),
+    is_default: input.isDefault === undefined ? undefined : (input.isDefault ? 1 : 0)
+  };
+
+  const updates = Object.entries(columns).filter(([, value]) => value !== undefined);
+  if (updates.length > 0) {
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE dashboards SET ${updates.map(([column]) => `${column} = ?`).join(', ')}, updated_at = ? WHERE id = ?
+      `).run(...updates.map(([, value]) => value), Math.floor(Date.now() / 1000), id);
+
+      if (input.isDefault) clearDefault(db, id);
+    })();
+  }
+
+  return getDashboard(db, id);
+}
+
+/**
+ * Delete a dashboard - clients it was assigned to fall back to the default dashboard
+ * @returns false if the dashboard does not exist
+ */
+export function deleteDashboard(db: Database, id: string): boolean {
+  const result = db.transaction(() => {
+    db.prepare('UPDATE clients SET dashboard_id = NULL WHERE dashboard_id = ?').run(id);
+    return db.prepare('DELETE FROM dashboards WHERE id = ?').run(id);
+  })();
+
+  if (result.changes > 0) {
+    logger.info(`Dashboard deleted: ${id}`);
+  }
+  return result.changes > 0;
+}
+
+/**
+ * Assign a dashboard to a client
+ * @param dashboardId - Dashboard to show, null to fall back to the default dashboard
+ * @returns false if the client does not exist
+ */
+export function assignDashboard(db: Database, clientId: string, dashboardId: string | null): boolean {
+  const result = db.prepare('UPDATE clients SET dashboard_id = ? WHERE id = ?').run(dashboardId, clientId);
+  return result.changes > 0;
+}
+
+/**
+ * The dashboard a client shows - its assigned dashboard, otherwise the default dashboard
+ */
+export function getClientDashboard(db: Database, clientId: string): DashboardInfo | null {
+  const row = db.prepare(`
+    SELECT d.* FROM dashboards d
+    WHERE d.id = (SELECT dashboard_id FROM clients WHERE id = ?) OR d.is_default = 1
+    ORDER BY d.is_default ASC
+    LIMIT 1
+  `).get(clientId) as DashboardRow | undefined;
+  return row ? toDashboardInfo(row) : null;
+}
+
+/**
+ * The dashboard each active client shows
+ * @returns Map of client id → dashboard id (null if there is neither an assigned nor a default dashboard)
+ */
+export function getClientDashboardIds(db: Database): Map<string, string | null> {
+  const clients = db.prepare('SELECT id FROM clients WHERE is_active = 1').all() as { id: string }[];
+  return new Map(clients.map(client => [client.id, getClientDashboard(db, client.id)?.id ?? null]));
+}
+
+// Dashboard names are limited to the characters the dashboard schemas accept
+function toDashboardName(title: string | undefined, urlPath: string): string {
+  const name = (title || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-zA-Z0-9\s_-]/g, '')
+    .trim()
+    .slice(0, 100);
+  return name || urlPath.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 100);
+}
+
+/**
+ * Import Lovelace dashboards from Home Assistant, including HA's default dashboard.
+ * Dashboards imported before are matched by url_path and get the current views and cards;
+ * their HAsync name and default flag are kept.
+ * Dashboards HA generates automatically (strategies) have no views to import and are skipped.
+ * @param createdBy - users.id of the admin running the import
+ */
+export async function importLovelaceDashboards(
+  db: Database,
+  ha: HomeAssistantService,
+  createdBy: string
+): Promise<LovelaceImportResult> {
+  const haDashboards = await ha.getDashboards();
+  const sources = [
+    { urlPath: null as string | null, title: 'Home' },
+    ...haDashboards.map(dashboard => ({ urlPath: dashboard.url_path, title: dashboard.title }))
+  ];
+
+  const result: LovelaceImportResult = { imported: [], skipped: [] };
+  const configs: Array<{ haUrlPath: string; title: string; config: HALovelaceConfig }> = [];
+
+  for (const source of sources) {
+    const haUrlPath = source.urlPath ?? DEFAULT_LOVELACE_PATH;
+    let config: HALovelaceConfig;
+    try {
+      config = await ha.getLovelaceConfig(source.urlPath);
+    } catch (error: any) {
+      // HA answers config_not_found for dashboards that were never edited
+      result.skipped.push({ haUrlPath, title: source.title, reason: error.message });
+      continue;
+    }
+
+    if (!Array.isArray(config.views)) {
+      result.skipped.push({ haUrlPath, title: source.title, reason: 'Dashboard is generated automatically by Home Assistant' });
+      continue;
+    }
+    configs.push({ haUrlPath, title: source.title, config });
+  }
+
+  const findLinked = db.prepare('SELECT id FROM dashboards WHERE ha_url_path = ?');
+  const insert = db.prepare(`
+    INSERT INTO dashboards (id, name, config, created_by, created_at, updated_at, ha_url_path, synced_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const update = db.prepare('UPDATE dashboards SET config = ?, updated_at = ?, synced_at = ? WHERE id = ?');
+
+  db.transaction(() => {
+    const now = Math.floor(Date.now() / 1000);
+
+    for (const { haUrlPath, title, config } of configs) {
+      const existing = findLinked.get(haUrlPath) as { id: string } | undefined;
+      const stored = JSON.stringify(config);
+
+      if (existing) {
+        update.run(stored, now, now, existing.id);
+        result.imported.push({ ...getDashboard(db, existing.id)!, status: 'updated' });
+        continue;
+      }
+
+      const id = `lovelace_${haUrlPath.replace(/[^a-zA-Z0-9_-]/g, '_')}`;
+      insert.run(id, toDashboardName(config.title || title, haUrlPath), stored, createdBy, now, now, haUrlPath, now);
+      result.imported.push({ ...getDashboard(db, id)!, status: 'created' });
+    }
+  })();
+
+  logger.info(`Imported ${result.imported.length} Lovelace dashboards (${result.skipped.length} skipped)`);
+  return result;
+}
@@ -0,0 +1,133 @@
+/**
+ * Enrollment Profile Service Test Suite
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import Database from 'better-sqlite3';
+import {
+  createEnrollmentProfile,
+  getEnrollmentProfile,
+  updateEnrollmentProfile,
+  revokeEnrollmentProfile,
+  redeemEnrollmentCode
+} from './enrollmentProfiles';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+
+const NOW = Math.floor(Date.now() / 1000);
+
+describe('Enrollment Profiles', () => {
+  let db: Database.Database;
+  let dbPath: string;
+
+  beforeEach(() => {
+    dbPath = join(tmpdir(), `test-enrollment-${Date.now()}.db`);
+    db = new Database(dbPath);
+
+    db.exec(`
+      CREATE TABLE enrollment_profiles (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        code_hash TEXT NOT NULL UNIQUE,
+        code_hint TEXT NOT NULL,
+        name_template TEXT NOT NULL,
+        device_type TEXT,
+        assigned_areas TEXT NOT NULL DEFAULT '[]',
+        dashboard_id TEXT,
+        max_uses INTEGER,
+        use_count INTEGER NOT NULL DEFAULT 0,
+        expires_at INTEGER,
+        created_by TEXT,
+        created_at INTEGER NOT NULL,
+        last_used_at INTEGER,
+        revoked_at INTEGER
+      );
+    `);
+  });
+
+  afterEach(() => {
+    db.close();
+    try {
+      unlinkSync(dbPath);
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  const createKitchenProfile = (overrides: Record<string, any> = {}) => createEnrollmentProfile(db, {
+    name: 'Kitchen',
+    nameTemplate: 'Kitchen Tablet {n}',
+    deviceType: 'tablet',
+    assignedAreas: ['area_kitchen'],
+    dashboardId: 'default',
+    maxUses: 2,
+    ...overrides
+  }, 'admin');
+
+  describe('createEnrollmentProfile', () => {
+    it('should store only the hash and a hint of the code', () => {
+      const { profile, code } = createKitchenProfile();
+
+      const row: any = db.prepare('SELECT code_hash, code_hint FROM enrollment_profiles WHERE id = ?').get(profile.id);
+      expect(row.code_hash).not.toContain(code);
+      expect(code.endsWith(row.code_hint)).toBe(true);
+      expect(profile.assignedAreas).toEqual(['area_kitchen']);
+      expect(profile.useCount).toBe(0);
+    });
+  });
+
+  describe('redeemEnrollmentCode', () => {
+    it('should number devices using the name template', () => {
+      const { code } = createKitchenProfile();
+
+      const first = redeemEnrollmentCode(db, code);
+      const second = redeemEnrollmentCode(db, code.toLowerCase().replace(/-/g, ''));
+
+      expect(first.valid).toBe(true);
+      expect(first.deviceName).toBe('Kitchen Tablet 1');
+      expect(first.profile?.deviceType).toBe('tablet');
+      expect(second.deviceName).toBe('Kitchen Tablet 2');
+    });
+
+    it('should stop accepting a code once max uses is reached', () => {
+      const { code } = createKitchenProfile({ maxUses: 1 });
+
+      expect(redeemEnrollmentCode(db, code).valid).toBe(true);
+      expect(redeemEnrollmentCode(db, code)).toEqual({ valid: false, reason: 'exhausted' });
+    });
+
+    it('should allow unlimited uses when max uses is not set', () => {
+      const { code } = createKitchenProfile({ maxUses: null });
+
+      for (let i = 0; i < 5; i++) {
+        expect(redeemEnrollmentCode(db, code).valid).toBe(true);
+      }
+    });
+
+    it('should reject expired, revoked and unknown codes', () => {
+      const expired = createKitchenProfile({ expiresAt: NOW + 60 });
+      expect(redeemEnrollmentCode(db, expired.code, NOW + 61).reason).toBe('expired');
+
+      const revoked = createKitchenProfile();
+      revokeEnrollmentProfile(db, revoked.profile.id);
+      expect(redeemEnrollmentCode(db, revoked.code).reason).toBe('revoked');
+
+      expect(redeemEnrollmentCode(db, 'AAAA-BBBB-CCCC').reason).toBe('invalid');
+      expect(redeemEnrollmentCode(db, '123456').reason).toBe('invalid');
+    });
+  });
+
+  describe('updateEnrollmentProfile', () => {
+    it('should update only the given fields', () => {
+      const { profile } = createKitchenProfile();
+
+      const updated = updateEnrollmentProfile(db, profile.id, { maxUses: 10, dashboardId: null });
+
+      expect(updated?.maxUses).toBe(10);
+      expect(updated?.dashboardId).toBeNull();
+      expect(updated?.nameTemplate).toBe('Kitchen Tablet {n}');
+      expect(getEnrollmentProfile(db, 'enroll_missing')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Enrollment Profile Service
+ * Reusable, multi-use pairing codes that provision devices with a preset
+ * (name template, device type, assigned areas, dashboard)
+ */
+
+import type { Database } from 'better-sqlite3';
+import { randomBytes } from 'crypto';
+import {
+  generateEnrollmentCode,
+  normalizeEnrollmentCode,
+  hashEnrollmentCode,
+  renderNameTemplate
+} from '../utils/enrollmentCodes';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('EnrollmentProfiles');
+
+interface EnrollmentProfileRow {
+  id: string;
+  name: string;
+  code_hash: string;
+  code_hint: string;
+  name_template: string;
+  device_type: string | null;
+  assigned_areas: string;
+  dashboard_id: string | null;
+  max_uses: number | null;
+  use_count: number;
+  expires_at: number | null;
+  created_by: string | null;
+  created_at: number;
+  last_used_at: number | null;
+  revoked_at: number | null;
+}
+
+export interface EnrollmentProfileInfo {
+  id: string;
+  name: string;
+  codeHint: string;
+  nameTemplate: string;
+  deviceType: string | null;
+  assignedAreas: string[];
+  dashboardId: string | null;
+  maxUses: number | null;
+  useCount: number;
+  expiresAt: number | null;
+  createdBy: string | null;
+  createdAt: number;
+  lastUsedAt: number | null;
+  revokedAt: number | null;
+}
+
+export interface EnrollmentProfileInput {
+  name?: string;
+  nameTemplate?: string;
+  deviceType?: string | null;
+  assignedAreas?: string[];
+  dashboardId?: string | null;
+  maxUses?: number | null;
+  expiresAt?: number | null;
+}
+
+// Result of redeeming a code - profile and the device's preset are set when valid, reason otherwise
+export interface EnrollmentRedemption {
+  valid: boolean;
+  profile?: EnrollmentProfileInfo;
+  sequence?: number;
+  deviceName?: string;
+  reason?: 'invalid' | 'revoked' | 'expired' | 'exhausted';
+}
+
+/**
+ * Convert an enrollment_profiles row into the API representation (never exposes code_hash)
+ */
+function toEnrollmentProfileInfo(row: EnrollmentProfileRow): EnrollmentProfileInfo {
+  return {
+    id: row.id,
+    name: row.name,
+    codeHint: row.code_hint,
+    nameTemplate: row.name_template,
+    deviceType: row.device_type,
+    assignedAreas: JSON.parse(row.assigned_areas),
+    dashboardId: row.dashboard_id,
+    maxUses: row.max_uses,
+    useCount: row.use_count,
+    expiresAt: row.expires_at,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+/**
+ * Create a new enrollment profile
+ * @returns The stored profile plus the plaintext code (only ever returned here)
+ */
+export function createEnrollmentProfile(
+  db: Database,
+  input: EnrollmentProfileInput & { name: string; nameTemplate: string },
+  createdBy: string
+): { profile: EnrollmentProfileInfo; code: string } {
+  const id = `enroll_${Date.now()}_${randomBytes(4).toString('hex')}`;
+  const code = generateEnrollmentCode();
+
+  db.prepare(`
+    INSERT INTO enrollment_profiles (
+      id, name, code_hash, code_hint, name_template, device_type, assigned_areas,
+      dashboard_id, max_uses, expires_at, created_by, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id,
+    input.name,
+    hashEnrollmentCode(code),
+    code.slice(-4),
+    input.nameTemplate,
+    input.deviceType ?? null,
+    JSON.stringify(input.assignedAreas || []),
+    input.dashboardId ?? null,
+    input.maxUses ?? null,
+    input.expiresAt ?? null,
+    createdBy,
+    Math.floor(Date.now() / 1000)
+  );
+
+  logger.info(`Enrollment profile created: ${input.name} (code ending ${code.slice(-4)}) by ${createdBy}`);
+  return { profile: getEnrollmentProfile(db, id)!, code };
+}
+
+/**
+ * Get a single enrollment profile by id
+ */
+export function getEnrollmentProfile(db: Database, id: string): EnrollmentProfileInfo | null {
+  const row = db.prepare('SELECT * FROM enrollment_profiles WHERE id = ?').get(id) as EnrollmentProfileRow | undefined;
+  return row ? toEnrollmentProfileInfo(row) : null;
+}
+
+/**
+ * List all enrollment profiles, newest first
+ */
+export function listEnrollmentProfiles(db: Database): EnrollmentProfileInfo[] {
+  const rows = db.prepare('SELECT * FROM enrollment_profiles ORDER BY created_at DESC').all() as EnrollmentProfileRow[];
+  return rows.map(toEnrollmentProfileInfo);
+}
+
+/**
+ * Update the name, preset or limits of an enrollment profile
+ * Devices that already enrolled keep the preset they were paired with.
+ */
+export function updateEnrollmentProfile(db: Database, id: string, input: EnrollmentProfileInput): EnrollmentProfileInfo | null {
+  const columns: Record<string, unknown> = {
+    name: input.name,
+    name_template: input.nameTemplate,
+    device_type: input.deviceType,
+    assigned_areas: input.assignedAreas && JSON.stringify(input.assignedAreas),
+    dashboard_id: input.dashboardId,
+    max_uses: input.maxUses,
+    expires_at: input.expiresAt
+  };
+
+  const updates = Object.entries(columns).filter(([, value]) => value !== undefined);
+  if (updates.length > 0) {
+    db.prepare(`
+      UPDATE enrollment_profiles SET ${updates.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?
+    `).run(...updates.map(([, value]) => value), id);
+  }
+
+  return getEnrollmentProfile(db, id);
+}
+
+/**
+ * Revoke an enrollment profile - its code stops working, enrolled devices stay paired
+ * @returns false if the profile does not exist or was already revoked
+ */
+export function revokeEnrollmentProfile(db: Database, id: string): boolean {
+  const result = db.prepare(`
+    UPDATE enrollment_profiles SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL
+  `).run(Math.floor(Date.now() / 1000), id);
+
+  if (result.changes > 0) {
+    logger.info(`Enrollment profile revoked: ${id}`);
+  }
+  return result.changes > 0;
+}
+
+/**
+ * Redeem an enrollment code for one device
+ * Checks revocation, expiry and max uses and claims the next sequence number atomically,
+ * so parallel enrollments never exceed max_uses or share a device name.
+ * @param db - Database instance
+ * @param input - Enrollment code as entered or scanned (case and dashes are ignored)
+ */
+export function redeemEnrollmentCode(
+  db: Database,
+  input: string,
+  now: number = Math.floor(Date.now() / 1000)
+): EnrollmentRedemption {
+  const code = normalizeEnrollmentCode(input);
+  if (!code) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  return db.transaction((): EnrollmentRedemption => {
+    const row = db.prepare('SELECT * FROM enrollment_profiles WHERE code_hash = ?')
+      .get(hashEnrollmentCode(code)) as EnrollmentProfileRow | undefined;
+
+    if (!row) {
+      return { valid: false, reason: 'invalid' };
+    }
+    if (row.revoked_at) {
+      return { valid: false, reason: 'revoked' };
+    }
+    if (row.expires_at && row.expires_at < now) {
+      return { valid: false, reason: 'expired' };
+    }
+    if (row.max_uses !== null && row.use_count >= row.max_uses) {
+      return { valid: false, reason: 'exhausted' };
+    }
+
+    const sequence = row.use_count + 1;
+    db.prepare('UPDATE enrollment_profiles SET use_count = ?, last_used_at = ? WHERE id = ?')
+      .run(sequence, now, row.id);
+
+    const profile = toEnrollmentProfileInfo({ ...row, use_count: sequence, last_used_at: now });
+    return {
+      valid: true,
+      profile,
+      sequence,
+      deviceName: renderNameTemplate(row.name_template, sequence)
+    };
+  })();
+}
@@ -0,0 +1,130 @@
+/**
+ * Entity State Cache Test Suite
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import Database from 'better-sqlite3';
+import { EntityStateCache } from './entityCache';
+import type { HomeAssistantService } from './homeassistant';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+
+const state = (entityId: string, value: string, lastUpdated: string) => ({
+  entity_id: entityId,
+  state: value,
+  attributes: { friendly_name: entityId },
+  last_changed: lastUpdated,
+  last_updated: lastUpdated
+});
+
+describe('Entity State Cache', () => {
+  let db: Database.Database;
+  let dbPath: string;
+  let cache: EntityStateCache;
+
+  beforeEach(() => {
+    dbPath = join(tmpdir(), `test-entity-cache-${Date.now()}.db`);
+    db = new Database(dbPath);
+
+    db.exec(`
+      CREATE TABLE entity_cache (
+        entity_id TEXT PRIMARY KEY,
+        state TEXT NOT NULL,
+        attributes TEXT NOT NULL,
+        last_changed TEXT NOT NULL,
+        last_updated TEXT NOT NULL,
+        cached_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      );
+    `);
+    cache = new EntityStateCache(db);
+  });
+
+  afterEach(() => {
+    cache.stop();
+    db.close();
+    try {
+      unlinkSync(dbPath);
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should return only changes after a revision', () => {
+    cache.setEntity(state('light.kitchen', 'on', '2026-10-19T10:00:00+00:00'));
+    cache.setEntity(state('light.hall', 'off', '2026-10-19T10:00:00+00:00'));
+    const revision = cache.getRevision();
+
+    cache.setEntity(state('light.kitchen', 'off', '2026-10-19T10:01:00+00:00'));
+    cache.removeEntity('light.hall');
+
+    const delta = cache.getChangesSince(revision);
+    expect(delta.full).toBe(false);
+    expect(delta.entities.map(entity => entity.state)).toEqual(['off']);
+    expect(delta.removed).toEqual(['light.hall']);
+    expect(cache.getChangesSince(delta.revision).entities).toHaveLength(0);
+  });
+
+  it('should ignore states older than the cached one', () => {
+    cache.setEntity(state('light.kitchen', 'on', '2026-10-19T10:01:00+00:00'));
+    expect(cache.setEntity(state('light.kitchen', 'off', '2026-10-19T10:00:00+00:00'))).toBe(false);
+    expect(cache.getEntities()[0].state).toBe('on');
+  });
+
+  it('should send everything for unknown revisions', () => {
+    cache.setEntity(state('light.kitchen', 'on', '2026-10-19T10:00:00+00:00'));
+
+    expect(cache.getChangesSince(1).full).toBe(true);
+    expect(cache.getChangesSince(cache.getRevision() + 10).full).toBe(true);
+  });
+
+  it('should forget old removals and answer deltas from before them in full', () => {
+    cache.setEntity(state('light.hall', 'on', '2026-10-19T10:00:00+00:00'));
+    cache.setEntity(state('light.porch', 'on', '2026-10-19T10:00:00+00:00'));
+    const beforeRemoval = cache.getRevision();
+    cache.removeEntity('light.hall');
+    const removedAt = cache.getRevision();
+
+    for (let i = 0; i < 10000; i++) {
+      cache.setEntity(state('sensor.power', String(i), new Date(Date.UTC(2026, 9, 19, 11) + i * 1000).toISOString()));
+    }
+    cache.removeEntity('light.porch');
+
+    expect(cache.getChangesSince(beforeRemoval).full).toBe(true);
+    expect(cache.getChangesSince(removedAt)).toMatchObject({ full: false, removed: ['light.porch'] });
+    expect(cache.getRevisionOf(['light.hall'])).toBe(removedAt);
+  });
+
+  it('should keep the requested entity order and scope deltas to it', () => {
+    cache.setEntity(state('light.a', 'on', '2026-10-19T10:00:00+00:00'));
+    cache.setEntity(state('light.b', 'on', '2026-10-19T10:00:00+00:00'));
+    const revision = cache.getRevision();
+    cache.setEntity(state('light.a', 'off', '2026-10-19T10:01:00+00:00'));
+
+    expect(cache.getEntities(['light.b', 'light.a', 'light.missing']).map(entity => entity.entity_id))
+      .toEqual(['light.b', 'light.a']);
+    expect(cache.getChangesSince(revision, ['light.b']).entities).toHaveLength(0);
+    expect(cache.getRevisionOf(['light.b'])).toBe(revision);
+  });
+
+  it('should resync from Home Assistant and remove vanished entities', async () => {
+    cache.setEntity(state('light.old', 'on', '2026-10-19T10:00:00+00:00'));
+    const ha = {
+      getStates: async () => [state('light.kitchen', 'on', '2026-10-19T10:00:00+00:00')]
+    } as unknown as HomeAssistantService;
+
+    await cache.resync(ha);
+
+    expect(cache.isReady()).toBe(true);
+    expect(cache.getEntities().map(entity => entity.entity_id)).toEqual(['light.kitchen']);
+  });
+
+  it('should serve persisted states after a restart', () => {
+    cache.setEntity(state('light.kitchen', 'on', '2026-10-19T10:00:00+00:00'));
+    cache.flush();
+
+    const restarted = new EntityStateCache(db);
+    expect(restarted.isReady()).toBe(true);
+    expect(restarted.getEntities()[0]).toMatchObject({ entity_id: 'light.kitchen', state: 'on' });
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * Entity State Cache
+ * Keeps the state of every Home Assistant entity in memory, fed by the state_changed subscription
+ * and a full resync on every (re)connect. Every change gets a revision so clients can fetch deltas.
+ * States are written to entity_cache in the background and served from there after a restart
+ * until Home Assistant is reachable again.
+ */
+
+import type { Database } from 'better-sqlite3';
+import type { HomeAssistantService } from './homeassistant';
+import type { HAEntity } from '../types';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('EntityCache');
+
+const FLUSH_INTERVAL = 5000;
+// Removals older than this many revisions are forgotten - deltas from before them are full responses
+const REMOVED_HISTORY_REVISIONS = 10000;
+
+// Entities loaded from entity_cache have no context
+export type CachedEntity = Omit<HAEntity, 'context'> & { context?: HAEntity['context'] };
+
+export interface EntityDelta {
+  revision: number;
+  // true if `since` was not a revision of this cache (too old, from before a restart) -
+  // entities then holds every entity and the client should drop what it has
+  full: boolean;
+  entities: CachedEntity[];
+  removed: string[];
+}
+
+export class EntityStateCache {
+  private entities = new Map<string, { entity: CachedEntity; revision: number }>();
+  // Removed entity id → revision of the removal, oldest first
+  private removed = new Map<string, number>();
+  // Entity ids not yet written to entity_cache
+  private dirty = new Set<string>();
+  private revision: number;
+  // Oldest revision a delta can be computed from - raised when old removals are forgotten
+  private floor: number;
+  private synced = false;
+  private flushTimer: NodeJS.Timeout | null = null;
+
+  constructor(private db: Database) {
+    // Revisions start at the process start time in ms, so revisions handed out before a restart are
+    // below the floor and get a full response (holds while HA averages < 1000 state changes per second)
+    this.floor = Date.now();
+    this.revision = this.floor;
+    this.load();
+  }
+
+  /**
+   * Feed the cache from a Home Assistant connection and start writing it to the database
+   */
+  attach(ha: HomeAssistantService): void {
+    ha.on('state_changed', (data: { entity_id: string; new_state: HAEntity | null }) => {
+      if (data.new_state) {
+        this.setEntity(data.new_state);
+      } else {
+        this.removeEntity(data.entity_id);
+      }
+    });
+
+    // Changes missed while disconnected are picked up by a full resync
+    ha.onConnectionStateChange((status) => {
+      if (status.state === 'connected') {
+        this.resync(ha);
+      }
+    });
+    if (ha.isConnected()) {
+      this.resync(ha);
+    }
+
+    if (!this.flushTimer) {
+      this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL);
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Replace the cache with the full state list from Home Assistant
+   * Only entities that changed get a new revision.
+   */
+  async resync(ha: HomeAssistantService): Promise<void> {
+    try {
+      const states = await ha.getStates();
+      const seen = new Set<string>();
+      let changed = 0;
+
+      for (const entity of states) {
+        seen.add(entity.entity_id);
+        if (this.setEntity(entity)) changed++;
+      }
+      for (const entityId of [...this.entities.keys()]) {
+        if (!seen.has(entityId)) {
+          this.removeEntity(entityId);
+          changed++;
+        }
+      }
+
+      this.synced = true;
+      logger.info(`Entity cache synced: ${states.length} entities, ${changed} changed (revision ${this.revision})`);
+    } catch (error: any) {
+      logger.warn(`Entity cache resync failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store an entity state
+   * States older than the cached one (a snapshot racing a state_changed event) are ignored.
+   * @returns true if the state changed
+   */
+  setEntity(entity: CachedEntity): boolean {
+    const current = this.entities.get(entity.entity_id);
+    if (current && current.entity.last_updated >= entity.last_updated) {
+      return false;
+    }
+
+    this.revision++;
+    this.entities.set(entity.entity_id, { entity, revision: this.revision });
+    this.removed.delete(entity.entity_id);
+    this.dirty.add(entity.entity_id);
+    return true;
+  }
+
+  removeEntity(entityId: string): void {
+    if (!this.entities.delete(entityId)) return;
+
+    this.revision++;
+    this.removed.delete(entityId);
+    this.removed.set(entityId, this.revision);
+    this.dirty.add(entityId);
+    this.pruneRemoved();
+  }
+
+  /**
+   * Whether the cache has states to serve - synced with HA or loaded from the database
+   */
+  isReady(): boolean {
+    return this.synced || this.entities.size > 0;
+  }
+
+  getRevision(): number {
+    return this.revision;
+  }
+
+  /**
+   * Latest revision among the given entities (including their removal)
+   */
+  getRevisionOf(entityIds: string[]): number {
+    let revision = this.floor;
+    for (const entityId of entityIds) {
+      revision = Math.max(revision, this.entities.get(entityId)?.revision ?? this.removed.get(entityId) ?? 0);
+    }
+    return revision;
+  }
+
+  /**
+   * Cached entities - all of them, or the given ones in the given order (unknown ids are skipped)
+   */
+  getEntities(entityIds?: string[]): CachedEntity[] {
+    if (!entityIds) {
+      return [...this.entities.values()].map(({ entity }) => entity);
+    }
+    return entityIds
+      .map(entityId => this.entities.get(entityId)?.entity)
+      .filter((entity): entity is CachedEntity => entity !== undefined);
+  }
+
+  /**
+   * Entities changed and removed after a revision, optionally limited to the given entities
+   */
+  getChangesSince(since: number, entityIds?: string[]): EntityDelta {
+    if (since < this.floor || since > this.revision) {
+      return { revision: this.revision, full: true, entities: this.getEntities(entityIds), removed: [] };
+    }
+
+    const scope = entityIds ? new Set(entityIds) : null;
+    const entities: CachedEntity[] = [];
+    const removed: string[] = [];
+
+    for (const [entityId, cached] of this.entities) {
+      if (cached.revision > since && (!scope || scope.has(entityId))) {
+        entities.push(cached.entity);
+      }
+    }
+    for (const [entityId, revision] of this.removed) {
+      if (revision > since && (!scope || scope.has(entityId))) {
+        removed.push(entityId);
+      }
+    }
+
+    return { revision: this.revision, full: false, entities, removed };
+  }
+
+  /**
+   * Write changed states to entity_cache in one transaction
+   */
+  flush(): void {
+    if (this.dirty.size === 0) return;
+
+    const entityIds = [...this.dirty];
+    this.dirty.clear();
+
+    try {
+      const upsert = this.db.prepare(`
+        INSERT OR REPLACE INTO entity_cache (entity_id, state, attributes, last_changed, last_updated)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      const remove = this.db.prepare('DELETE FROM entity_cache WHERE entity_id = ?');
+
+      this.db.transaction(() => {
+        for (const entityId of entityIds) {
+          const cached = this.entities.get(entityId);
+          if (cached) {
+            const { entity } = cached;
+            upsert.run(entityId, entity.state, JSON.stringify(entity.attributes), entity.last_changed, entity.last_updated);
+          } else {
+            remove.run(entityId);
+          }
+        }
+      })();
+    } catch (error: any) {
+      logger.warn(`Could not persist entity cache: ${error.message}`);
+      entityIds.forEach(entityId => this.dirty.add(entityId));
+    }
+  }
+
+  stop(): void {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+    this.flush();
+  }
+
+  private pruneRemoved(): void {
+    const cutoff = this.revision - REMOVED_HISTORY_REVISIONS;
+    for (const [entityId, revision] of this.removed) {
+      if (revision > cutoff) break;
+      this.removed.delete(entityId);
+      this.floor = Math.max(this.floor, revision);
+    }
+  }
+
+  private load(): void {
+    try {
+      const rows = this.db.prepare('SELECT * FROM entity_cache').all() as any[];
+      for (const row of rows) {
+        this.entities.set(row.entity_id, {
+          entity: {
+            entity_id: row.entity_id,
+            state: row.state,
+            attributes: JSON.parse(row.attributes),
+            last_changed: row.last_changed,
+            last_updated: row.last_updated
+          },
+          revision: this.floor
+        });
+      }
+      if (rows.length > 0) {
+        logger.info(`Loaded ${rows.length} cached entity states`);
+      }
+    } catch (error: any) {
+      logger.warn(`Could not load entity cache: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * Home Assistant Event Publisher Test Suite
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import Database from 'better-sqlite3';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { HAEventPublisher, HA_EVENT_TYPES, getPresenceEntityIds, slugify } from './haEvents';
+import { HomeAssistantService } from './homeassistant';
+import { HASimulator, DEFAULT_SIMULATOR_TOKEN } from '../simulator/haSimulator';
+import { waitFor } from '../simulator/waitFor';
+import fixture from '../simulator/fixtures/home.json';
+
+describe('HA Events', () => {
+  describe('getPresenceEntityIds', () => {
+    it('should name entities after the client', () => {
+      expect(slugify('Hallway Tablet')).toBe('hallway_tablet');
+      expect(slugify('  Küche #2 ')).toBe('kuche_2');
+
+      const entityIds = getPresenceEntityIds([{ id: 'client_1', name: 'Hallway Tablet' }]);
+      expect(entityIds.get('client_1')).toBe('binary_sensor.hasync_hallway_tablet');
+    });
+
+    it('should keep entity ids unique', () => {
+      const entityIds = getPresenceEntityIds([
+        { id: 'client_1', name: 'Tablet' },
+        { id: 'client_2', name: 'tablet' },
+        { id: 'client_3', name: '!!!' }
+      ]);
+
+      expect([...entityIds.values()]).toEqual([
+        'binary_sensor.hasync_tablet',
+        'binary_sensor.hasync_tablet_client_2',
+        'binary_sensor.hasync_client_3'
+      ]);
+    });
+  });
+
+  describe('HAEventPublisher', () => {
+    let db: Database.Database;
+    let dbPath: string;
+    let ha: HASimulator;
+    let service: HomeAssistantService;
+    let publisher: HAEventPublisher;
+
+    const firedEvents = (eventType: string) =>
+      ha.firedEvents.filter(event => event.event_type === eventType).map(event => event.data);
+
+    beforeEach(async () => {
+      dbPath = join(tmpdir(), `test-ha-events-${Date.now()}.db`);
+      db = new Database(dbPath);
+      db.exec(`
+        CREATE TABLE areas (id TEXT PRIMARY KEY, name TEXT);
+        CREATE TABLE clients (
+          id TEXT PRIMARY KEY, name TEXT, device_type TEXT, assigned_areas TEXT,
+          last_seen INTEGER, paired_at INTEGER, is_active INTEGER DEFAULT 1
+        );
+      `);
+      db.prepare('INSERT INTO areas (id, name) VALUES (?, ?), (?, ?)').run('area_hall', 'Hallway', 'area_kitchen', 'Kitchen');
+      db.prepare('INSERT INTO clients (id, name, device_type, assigned_areas, paired_at) VALUES (?, ?, ?, ?, ?)')
+        .run('client_1', 'Hallway Tablet', 'tablet', '["area_hall"]', 1);
+
+      ha = new HASimulator(fixture as any);
+      await ha.start();
+      service = new HomeAssistantService({ url: ha.url, token: DEFAULT_SIMULATOR_TOKEN, mode: 'standalone', requestTimeout: 500, reconnectMaxDelay: 50 });
+      await service.connect();
+
+      publisher = new HAEventPublisher(db, { offlineGrace: 50 });
+      publisher.attach(service);
+    });
+
+    afterEach(async () => {
+      publisher.stop();
+      service.disconnect();
+      await ha.stop();
+      db.close();
+      try {
+        unlinkSync(dbPath);
+      } catch (error) {
+        // Ignore cleanup errors
+      }
+    });
+
+    it('should publish an offline presence entity for every client', async () => {
+      await waitFor(() => !!ha.getState('binary_sensor.hasync_hallway_tablet'));
+
+      expect(ha.getState('binary_sensor.hasync_hallway_tablet')).toMatchObject({
+        state: 'off',
+        attributes: {
+          friendly_name: 'Hallway Tablet',
+          device_class: 'connectivity',
+          client_id: 'client_1',
+          areas: ['Hallway']
+        }
+      });
+    });
+
+    it('should fire online and offline events and update presence', async () => {
+      publisher.clientConnected('client_1');
+
+      await waitFor(() => firedEvents(HA_EVENT_TYPES.CLIENT_ONLINE).length === 1);
+      expect(firedEvents(HA_EVENT_TYPES.CLIENT_ONLINE)[0]).toEqual({
+        client_id: 'client_1',
+        name: 'Hallway Tablet',
+        device_type: 'tablet',
+        entity_id: 'binary_sensor.hasync_hallway_tablet'
+      });
+      await waitFor(() => ha.getState('binary_sensor.hasync_hallway_tablet')?.state === 'on');
+
+      publisher.clientDisconnected('client_1', 'transport close');
+
+      await waitFor(() => firedEvents(HA_EVENT_TYPES.CLIENT_OFFLINE).length === 1);
+      expect(firedEvents(HA_EVENT_TYPES.CLIENT_OFFLINE)[0]).toMatchObject({ client_id: 'client_1', reason: 'transport close' });
+      await waitFor(() => ha.getState('binary_sensor.hasync_hallway_tablet')?.state === 'off');
+    });
+
+    it('should not report clients that reconnect within the grace period', async () => {
+      publisher.clientConnected('client_1');
+      publisher.clientDisconnected('client_1', 'ping timeout');
+      publisher.clientConnected('client_1');
+
+      await new Promise(resolve => setTimeout(resolve, 150));
+      expect(firedEvents(HA_EVENT_TYPES.CLIENT_ONLINE)).toHaveLength(1);
+      expect(firedEvents(HA_EVENT_TYPES.CLIENT_OFFLINE)).toHaveLength(0);
+    });
+
+    it('should fire pairing, token and area events', async () => {
+      publisher.pairingCompleted('client_1', { method: 'qr' });
+      publisher.tokenRevoked('client_1', 'token_1');
+      publisher.areasAssigned('client_1', ['area_kitchen', 'area_missing']);
+      publisher.areasAssigned('client_1', []);
+
+      await waitFor(() => firedEvents(HA_EVENT_TYPES.AREA_ASSIGNED).length === 1);
+      expect(firedEvents(HA_EVENT_TYPES.PAIRING_COMPLETED)).toEqual([
+        expect.objectContaining({ client_id: 'client_1', method: 'qr', replaced: false })
+      ]);
+      expect(firedEvents(HA_EVENT_TYPES.TOKEN_REVOKED)).toEqual([
+        expect.objectContaining({ client_id: 'client_1', token_id: 'token_1' })
+      ]);
+      expect(firedEvents(HA_EVENT_TYPES.AREA_ASSIGNED)[0].areas).toEqual([{ id: 'area_kitchen', name: 'Kitchen' }]);
+    });
+
+    it('should remove the presence entity of renamed and deleted clients', async () => {
+      await waitFor(() => !!ha.getState('binary_sensor.hasync_hallway_tablet'));
+
+      db.prepare('UPDATE clients SET name = ? WHERE id = ?').run('Front Door Tablet', 'client_1');
+      publisher.syncPresence();
+      await waitFor(() => !!ha.getState('binary_sensor.hasync_front_door_tablet'));
+      expect(ha.getState('binary_sensor.hasync_hallway_tablet')).toBeUndefined();
+
+      db.prepare('UPDATE clients SET is_active = 0 WHERE id = ?').run('client_1');
+      publisher.syncPresence();
+      await waitFor(() => !ha.getState('binary_sensor.hasync_front_door_tablet'));
+    });
+
+    it('should set presence entities again after Home Assistant restarts', async () => {
+      await waitFor(() => !!ha.getState('binary_sensor.hasync_hallway_tablet'));
+      ha.removeState('binary_sensor.hasync_hallway_tablet');
+
+      ha.disconnect(50);
+
+      await waitFor(() => !!ha.getState('binary_sensor.hasync_hallway_tablet'), 5000);
+    });
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Home Assistant Event Publisher
+ * Fires hasync_* events on Home Assistant's event bus so automations can react to HAsync, and keeps
+ * a binary_sensor.hasync_<client name> connectivity entity per client up to date.
+ * Home Assistant being unavailable never fails the HAsync action - errors are only logged.
+ */
+
+import type { Database } from 'better-sqlite3';
+import type { HomeAssistantService } from './homeassistant';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('HAEvents');
+
+// A client counts as offline once it stayed disconnected this long - rides out reconnects
+const DEFAULT_OFFLINE_GRACE = 30000;
+
+export const HA_EVENT_TYPES = {
+  CLIENT_ONLINE: 'hasync_client_online',
+  CLIENT_OFFLINE: 'hasync_client_offline',
+  PAIRING_COMPLETED: 'hasync_pairing_completed',
+  TOKEN_REVOKED: 'hasync_token_revoked',
+  AREA_ASSIGNED: 'hasync_area_assigned'
+} as const;
+
+interface ClientRow {
+  id: string;
+  name: string;
+  device_type: string;
+  assigned_areas: string | null;
+  last_seen: number | null;
+}
+
+/**
+ * Object id part of an entity id - lower case letters, digits and single underscores
+ */
+export function slugify(value: string): string {
+  return value
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Presence entity ids of clients - binary_sensor.hasync_<name>
+ * Clients are taken in pairing order; a later client whose name is already taken gets its id appended.
+ */
+export function getPresenceEntityIds(clients: Array<{ id: string; name: string }>): Map<string, string> {
+  const entityIds = new Map<string, string>();
+  const taken = new Set<string>();
+
+  for (const client of clients) {
+    const base = `binary_sensor.hasync_${slugify(client.name) || slugify(client.id)}`;
+    const entityId = taken.has(base) ? `${base}_${slugify(client.id)}` : base;
+    taken.add(entityId);
+    entityIds.set(client.id, entityId);
+  }
+  return entityIds;
+}
+
+export class HAEventPublisher {
+  private ha: HomeAssistantService | null = null;
+  // Clients with a connected socket, as last reported to HA
+  private online = new Set<string>();
+  private offlineTimers = new Map<string, NodeJS.Timeout>();
+  // Client id → presence entity id last set in HA
+  private published = new Map<string, string>();
+  private readonly offlineGrace: number;
+
+  constructor(private db: Database, options: { offlineGrace?: number } = {}) {
+    this.offlineGrace = options.offlineGrace ?? DEFAULT_OFFLINE_GRACE;
+  }
+
+  /**
+   * Publish through this connection - presence entities are set again whenever it (re)connects,
+   * since HA forgets them on restart
+   */
+  attach(ha: HomeAssistantService): void {
+    this.ha = ha;
+    ha.onConnectionStateChange((status) => {
+      if (status.state === 'connected') {
+        this.syncPresence();
+      }
+    });
+    if (ha.isConnected()) {
+      this.syncPresence();
+    }
+  }
+
+  /**
+   * A socket of the client connected
+   */
+  clientConnected(clientId: string): void {
+    const timer = this.offlineTimers.get(clientId);
+    if (timer) {
+      // Back within the grace period - HA never saw it go offline
+      clearTimeout(timer);
+      this.offlineTimers.delete(clientId);
+      return;
+    }
+    if (this.online.has(clientId)) {
+      return;
+    }
+
+    this.online.add(clientId);
+    const client = this.getClient(clientId);
+    if (client) {
+      this.fire(HA_EVENT_TYPES.CLIENT_ONLINE, this.describe(client));
+      this.publishPresence(client);
+    }
+  }
+
+  /**
+   * The last socket of the client disconnected
+   */
+  clientDisconnected(clientId: string, reason: string): void {
+    if (!this.online.has(clientId) || this.offlineTimers.has(clientId)) {
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.offlineTimers.delete(clientId);
+      this.online.delete(clientId);
+      const client = this.getClient(clientId);
+      if (client) {
+        this.fire(HA_EVENT_TYPES.CLIENT_OFFLINE, { ...this.describe(client), reason });
+        this.publishPresence(client);
+      }
+    }, this.offlineGrace);
+    timer.unref?.();
+    this.offlineTimers.set(clientId, timer);
+  }
+
+  /**
+   * A device paired, enrolled or replaced the device of an existing client
+   */
+  pairingCompleted(clientId: string, details: { method: string; replaced?: boolean }): void {
+    const client = this.getClient(clientId);
+    if (!client) {
+      return;
+    }
+    this.fire(HA_EVENT_TYPES.PAIRING_COMPLETED, {
+      ...this.describe(client),
+      method: details.method,
+      replaced: details.replaced === true
+    });
+    // A new client shows up as offline until it connects
+    this.syncPresence();
+  }
+
+  /**
+   * Tokens of a client were revoked - one named token, or all of them without tokenId
+   */
+  tokenRevoked(clientId: string, tokenId?: string): void {
+    const client = this.getClient(clientId, true);
+    if (client) {
+      this.fire(HA_EVENT_TYPES.TOKEN_REVOKED, { ...this.describe(client), token_id: tokenId ?? null });
+    }
+  }
+
+  /**
+   * Areas were assigned to a client
+   * @param areaIds - The newly assigned areas
+   */
+  areasAssigned(clientId: string, areaIds: string[]): void {
+    const client = this.getClient(clientId);
+    if (!client || areaIds.length === 0) {
+      return;
+    }
+
+    const areas = areaIds
+      .map(areaId => this.db.prepare('SELECT id, name FROM areas WHERE id = ?').get(areaId) as { id: string; name: string } | undefined)
+      .filter(Boolean)
+      .map(area => ({ id: area!.id, name: area!.name }));
+    if (areas.length > 0) {
+      this.fire(HA_EVENT_TYPES.AREA_ASSIGNED, { ...this.describe(client), areas });
+    }
+  }
+
+  /**
+   * Set the presence entity of every active client and remove those of renamed or deleted clients
+   */
+  syncPresence(): void {
+    if (!this.ha) {
+      return;
+    }
+
+    const clients = this.getClients();
+    const entityIds = getPresenceEntityIds(clients);
+    const current = new Set(entityIds.values());
+
+    for (const [clientId, entityId] of this.published) {
+      if (entityIds.get(clientId) !== entityId) {
+        this.published.delete(clientId);
+        if (!current.has(entityId)) {
+          this.ha.removeState(entityId).catch((error: any) => {
+            logger.debug(`Could not remove ${entityId} from Home Assistant: ${error.message}`);
+          });
+        }
+      }
+    }
+
+    for (const client of clients) {
+      this.setPresence(client, entityIds.get(client.id)!);
+    }
+  }
+
+  stop(): void {
+    for (const timer of this.offlineTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.offlineTimers.clear();
+  }
+
+  private publishPresence(client: ClientRow): void {
+    const entityId = getPresenceEntityIds(this.getClients()).get(client.id);
+    if (entityId) {
+      this.setPresence(client, entityId);
+    }
+  }
+
+  private setPresence(client: ClientRow, entityId: string): void {
+    if (!this.ha) {
+      return;
+    }
+
+    const areaIds: string[] = JSON.parse(client.assigned_areas || '[]');
+    const areas = areaIds
+      .map(areaId => (this.db.prepare('SELECT name FROM areas WHERE id = ?').get(areaId) as { name: string } | undefined)?.name)
+      .filter(Boolean);
+
+    this.published.set(client.id, entityId);
+    this.ha.setState(entityId, this.online.has(client.id) ? 'on' : 'off', {
+      friendly_name: client.name,
+      device_class: 'connectivity',
+      client_id: client.id,
+      device_type: client.device_type,
+      areas,
+      last_seen: client.last_seen ? new Date(client.last_seen * 1000).toISOString() : null
+    }).catch((error: any) => {
+      logger.debug(`Could not set ${entityId} in Home Assistant: ${error.message}`);
+    });
+  }
+
+  private fire(eventType: string, data: Record<string, any>): void {
+    if (!this.ha) {
+      return;
+    }
+    this.ha.fireEvent(eventType, data).catch((error: any) => {
+      logger.warn(`Could not fire ${eventType} in Home Assistant: ${error.message}`);
+    });
+  }
+
+  private describe(client: ClientRow): Record<string, any> {
+    return {
+      client_id: client.id,
+      name: client.name,
+      device_type: client.device_type,
+      entity_id: getPresenceEntityIds(this.getClients()).get(client.id) ?? null
+    };
+  }
+
+  // includeInactive - revoked and deleted clients are only deactivated
+  private getClient(clientId: string, includeInactive = false): ClientRow | undefined {
+    return this.db.prepare(`
+      SELECT id, name, device_type, assigned_areas, last_seen FROM clients
+      WHERE id = ?${includeInactive ? '' : ' AND is_active = 1'}
+    `).get(clientId) as ClientRow | undefined;
+  }
+
+  private getClients(): ClientRow[] {
+    return this.db.prepare(`
+      SELECT id, name, device_type, assigned_areas, last_seen FROM clients
+      WHERE is_active = 1
+      ORDER BY paired_at ASC, id ASC
+    `).all() as ClientRow[];
+  }
+}
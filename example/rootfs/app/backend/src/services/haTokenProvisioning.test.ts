@@ -0,0 +1,131 @@
+/**
+ * HA Token Provisioning Service Test Suite
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import Database from 'better-sqlite3';
+import jwt from 'jsonwebtoken';
+import {
+  getHATokenId,
+  getHATokenName,
+  provisionClientHAToken,
+  releaseClientHAToken,
+  deleteHAToken
+} from './haTokenProvisioning';
+import type { HomeAssistantService } from './homeassistant';
+import { decryptSecret, isEncryptedSecret } from '../utils/secrets';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+
+process.env.SECRETS_KEY = 'ha-provisioning-test-key';
+
+// Stand-in for the HA WebSocket API - tokens are JWTs whose issuer is the refresh token id
+function createFakeHA() {
+  const tokens = new Map<string, string>();
+  let next = 1;
+
+  const ha = {
+    createLongLivedAccessToken: async (clientName: string) => {
+      if ([...tokens.values()].includes(clientName)) {
+        throw new Error(`${clientName} already exists`);
+      }
+      const id = `refresh_${next++}`;
+      tokens.set(id, clientName);
+      return jwt.sign({ iss: id }, 'ha-secret');
+    },
+    deleteRefreshToken: async (id: string) => {
+      if (!tokens.delete(id)) {
+        throw new Error('Refresh token not found');
+      }
+    }
+  };
+
+  return { ha: ha as unknown as HomeAssistantService, tokens };
+}
+
+describe('HA Token Provisioning', () => {
+  let db: Database.Database;
+  let dbPath: string;
+  const client = { id: 'client_1', name: 'Kitchen Tablet' };
+
+  beforeEach(() => {
+    dbPath = join(tmpdir(), `test-ha-provisioning-${Date.now()}.db`);
+    db = new Database(dbPath);
+
+    db.exec(`
+      CREATE TABLE clients (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        ha_token TEXT,
+        ha_token_set_at INTEGER,
+        ha_token_id TEXT
+      );
+    `);
+    db.prepare('INSERT INTO clients (id, name) VALUES (?, ?)').run(client.id, client.name);
+  });
+
+  afterEach(() => {
+    db.close();
+    try {
+      unlinkSync(dbPath);
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  const storedClient = () => db.prepare('SELECT * FROM clients WHERE id = ?').get(client.id) as any;
+
+  it('should read the refresh token id from an HA access token', () => {
+    expect(getHATokenId(jwt.sign({ iss: 'abc123' }, 'x'))).toBe('abc123');
+    expect(getHATokenId('not-a-jwt')).toBeNull();
+  });
+
+  it('should include the client id in the token name', () => {
+    expect(getHATokenName(client)).toBe('HAsync - Kitchen Tablet (client_1)');
+  });
+
+  it('should store a provisioned token encrypted with its HA id', async () => {
+    const { ha, tokens } = createFakeHA();
+    const provisioned = await provisionClientHAToken(db, ha, client);
+
+    expect(tokens.has(provisioned.tokenId)).toBe(true);
+    expect(isEncryptedSecret(storedClient().ha_token)).toBe(true);
+    expect(decryptSecret(storedClient().ha_token)).toBe(provisioned.token);
+    expect(storedClient().ha_token_id).toBe(provisioned.tokenId);
+  });
+
+  it('should delete the previous token in HA when provisioning again', async () => {
+    const { ha, tokens } = createFakeHA();
+    const first = await provisionClientHAToken(db, ha, client);
+    const second = await provisionClientHAToken(db, ha, client);
+
+    expect(tokens.has(first.tokenId)).toBe(false);
+    expect(tokens.has(second.tokenId)).toBe(true);
+    expect(tokens.size).toBe(1);
+  });
+
+  it('should release provisioned tokens for deletion in HA', async () => {
+    const { ha, tokens } = createFakeHA();
+    const provisioned = await provisionClientHAToken(db, ha, client);
+
+    const tokenId = releaseClientHAToken(db, client.id);
+    expect(tokenId).toBe(provisioned.tokenId);
+    expect(storedClient().ha_token).toBeNull();
+
+    expect(await deleteHAToken(ha, tokenId!)).toBe(true);
+    expect(tokens.size).toBe(0);
+  });
+
+  it('should only clear manually pasted tokens locally', () => {
+    db.prepare('UPDATE clients SET ha_token = ?, ha_token_set_at = ? WHERE id = ?').run('pasted', Date.now(), client.id);
+
+    expect(releaseClientHAToken(db, client.id)).toBeNull();
+    expect(storedClient().ha_token).toBeNull();
+  });
+
+  it('should not throw if HA no longer knows the token', async () => {
+    const { ha } = createFakeHA();
+    expect(await deleteHAToken(ha, 'refresh_unknown')).toBe(false);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Home Assistant Token Provisioning Service
+ * Mints a long-lived HA access token per client and deletes it in HA again
+ * when the client is revoked or deleted
+ */
+
+import type { Database } from 'better-sqlite3';
+import jwt from 'jsonwebtoken';
+import { HomeAssistantService } from './homeassistant';
+import type { HAConfig } from './secretStore';
+import { encryptSecret } from '../utils/secrets';
+import { ServiceUnavailableError } from '../errors/AppError';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('HATokenProvisioning');
+
+export const HA_TOKEN_LIFESPAN_DAYS = 3650;
+
+export interface ProvisionedHAToken {
+  token: string;
+  tokenId: string;
+  setAt: number;
+}
+
+/**
+ * Name of a client's token as shown in the HA user profile
+ * HA requires names to be unique per user, so the client id is included.
+ */
+export function getHATokenName(client: { id: string; name: string }): string {
+  return `HAsync - ${client.name} (${client.id})`;
+}
+
+/**
+ * Get the HA refresh token id of a long-lived access token (its JWT issuer)
+ * @returns null if the value is not an HA access token
+ */
+export function getHATokenId(token: string): string | null {
+  const payload = jwt.decode(token) as { iss?: string } | null;
+  return payload?.iss || null;
+}
+
+/**
+ * Run a function on the HA connection that owns client tokens
+ * With a provisioning token a dedicated (restricted) HA user is used for the duration of the call,
+ * otherwise the main connection - which must not be authenticated as a system user.
+ */
+export async function withProvisioningConnection<T>(
+  config: HAConfig,
+  mainService: HomeAssistantService | null,
+  fn: (ha: HomeAssistantService) => Promise<T>
+): Promise<T> {
+  if (config.provisioningToken) {
+    if (!config.url) {
+      throw new ServiceUnavailableError('Home Assistant', 'Home Assistant URL is not configured');
+    }
+
+    const ha = new HomeAssistantService({ url: config.url, token: config.provisioningToken, mode: 'standalone' });
+    try {
+      await ha.connect();
+      return await fn(ha);
+    } finally {
+      ha.disconnect();
+    }
+  }
+
+  if (!mainService?.isConnected()) {
+    throw new ServiceUnavailableError('Home Assistant', 'not connected - configure Home Assistant in Settings');
+  }
+  return fn(mainService);
+}
+
+/**
+ * Mint a new HA token for a client and store it encrypted
+ * A token this service provisioned earlier is deleted in HA first (token names must be unique).
+ */
+export async function provisionClientHAToken(
+  db: Database,
+  ha: HomeAssistantService,
+  client: { id: string; name: string }
+): Promise<ProvisionedHAToken> {
+  const previousTokenId = releaseClientHAToken(db, client.id);
+  if (previousTokenId) {
+    await deleteHAToken(ha, previousTokenId);
+  }
+
+  const token = await ha.createLongLivedAccessToken(getHATokenName(client), HA_TOKEN_LIFESPAN_DAYS);
+  const tokenId = getHATokenId(token);
+  const setAt = Date.now();
+
+  db.prepare('UPDATE clients SET ha_token = ?, ha_token_set_at = ?, ha_token_id = ? WHERE id = ?')
+    .run(encryptSecret(token), setAt, tokenId, client.id);
+
+  logger.info(`HA token provisioned for client ${client.id}`);
+  return { token, tokenId, setAt };
+}
+
+/**
+ * Remove a client's HA token from the database
+ * @returns The HA token id if the token was provisioned by this service and should be deleted in HA
+ *          (manually pasted tokens belong to whoever created them)
+ */
+export function releaseClientHAToken(db: Database, clientId: string): string | null {
+  const row = db.prepare('SELECT ha_token_id FROM clients WHERE id = ?').get(clientId) as { ha_token_id: string | null } | undefined;
+  db.prepare('UPDATE clients SET ha_token = NULL, ha_token_set_at = NULL, ha_token_id = NULL WHERE id = ?').run(clientId);
+  return row?.ha_token_id || null;
+}
+
+/**
+ * Delete a provisioned token in HA
+ * Failures are logged, not thrown - the token then has to be deleted in the HA user profile.
+ * @returns true if HA deleted the token
+ */
+export async function deleteHAToken(ha: HomeAssistantService, tokenId: string): Promise<boolean> {
+  try {
+    await ha.deleteRefreshToken(tokenId);
+    logger.info(`HA token ${tokenId} deleted in Home Assistant`);
+    return true;
+  } catch (error: any) {
+    logger.warn(`Could not delete HA token ${tokenId} in Home Assistant: ${error.message}`);
+    return false;
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * Home Assistant Service Test Suite
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { WebSocketServer, WebSocket } from 'ws';
+import { AddressInfo } from 'net';
+import { HomeAssistantService, HAConnectionStatus, getReconnectDelay } from './homeassistant';
+import { HANotConnectedError, HARequestError, HATimeoutError } from '../errors/AppError';
+import { waitFor } from '../simulator/waitFor';
+
+// Minimal HA WebSocket API: authenticates 'valid-token', answers get_states, the device and entity
+// registries, Lovelace dashboards and subscribe_events, fails call_service for the 'broken' domain
+// and never answers get_config
+function createFakeHA() {
+  const server = new WebSocketServer({ port: 0 });
+  const subscriptions: string[] = [];
+
+  server.on('connection', (socket: WebSocket) => {
+    socket.send(JSON.stringify({ type: 'auth_required' }));
+
+    socket.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      const reply = (data: object) => socket.send(JSON.stringify({ id: message.id, type: 'result', ...data }));
+
+      switch (message.type) {
+        case 'auth':
+          socket.send(JSON.stringify({ type: message.access_token === 'valid-token' ? 'auth_ok' : 'auth_invalid' }));
+          break;
+        case 'subscribe_events':
+          subscriptions.push(message.event_type);
+          reply({ success: true, result: null });
+          socket.send(JSON.stringify({
+            id: message.id,
+            type: 'event',
+            event: { event_type: message.event_type, data: { entity_id: 'light.kitchen' } }
+          }));
+          break;
+        case 'get_states':
+          reply({
+            success: true,
+            result: ['light.kitchen', 'sensor.kitchen_power', 'light.hall'].map(entity_id => ({ entity_id, state: 'on', attributes: {} }))
+          });
+          break;
+        case 'config/device_registry/list':
+          reply({ success: true, result: [{ id: 'plug_1', area_id: 'kitchen', name: 'Plug' }] });
+          break;
+        case 'config/entity_registry/list':
+          reply({
+            success: true,
+            result: [
+              { entity_id: 'light.kitchen', area_id: 'kitchen', device_id: null },
+              { entity_id: 'sensor.kitchen_power', area_id: null, device_id: 'plug_1' },
+              { entity_id: 'light.hall', area_id: 'hall', device_id: 'plug_1' }
+            ]
+          });
+          break;
+        case 'lovelace/dashboards/list':
+          reply({ success: true, result: [{ id: 'tablet', url_path: 'dashboard-tablet', title: 'Tablet', mode: 'storage' }] });
+          break;
+        case 'lovelace/config':
+          if (message.url_path === 'dashboard-tablet') {
+            reply({ success: true, result: { views: [{ title: 'Kitchen', cards: [{ type: 'entities', entities: ['light.kitchen'] }] }] } });
+          } else {
+            reply({ success: false, error: { code: 'config_not_found', message: 'No config found.' } });
+          }
+          break;
+        case 'call_service':
+          if (message.domain === 'broken') {
+            reply({ success: false, error: { code: 'not_found', message: 'Service not found' } });
+          } else {
+            reply({ success: true, result: { context: {} } });
+          }
+          break;
+      }
+    });
+  });
+
+  const url = () => `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  const dropConnections = () => server.clients.forEach(socket => socket.terminate());
+
+  return { server, subscriptions, url, dropConnections };
+}
+
+describe('HomeAssistantService', () => {
+  let ha: ReturnType<typeof createFakeHA>;
+  let service: HomeAssistantService;
+
+  beforeEach(() => {
+    ha = createFakeHA();
+    service = new HomeAssistantService({
+      url: ha.url(),
+      token: 'valid-token',
+      mode: 'standalone',
+      requestTimeout: 200,
+      reconnectMaxDelay: 50
+    });
+  });
+
+  afterEach(async () => {
+    service.disconnect();
+    await new Promise(resolve => ha.server.close(resolve));
+  });
+
+  describe('getReconnectDelay', () => {
+    it('should back off exponentially with jitter up to the cap', () => {
+      expect(getReconnectDelay(0, 60000, () => 0)).toBe(500);
+      expect(getReconnectDelay(0, 60000, () => 1)).toBe(1000);
+      expect(getReconnectDelay(3, 60000, () => 1)).toBe(8000);
+      expect(getReconnectDelay(20, 60000, () => 1)).toBe(60000);
+      expect(getReconnectDelay(20, 60000, () => 0)).toBe(30000);
+    });
+  });
+
+  it('should resolve request results', async () => {
+    await service.connect();
+    const states = await service.getStates();
+    expect(states[0].entity_id).toBe('light.kitchen');
+  });
+
+  it('should resolve area membership through the entity and device registries', async () => {
+    await service.connect();
+    const entities = await service.getEntitiesByArea('kitchen');
+    expect(entities.map(entity => entity.entity_id)).toEqual(['light.kitchen', 'sensor.kitchen_power']);
+  });
+
+  it('should load Lovelace dashboards and their config', async () => {
+    await service.connect();
+    const dashboards = await service.getDashboards();
+    expect(dashboards.map(dashboard => dashboard.url_path)).toEqual(['dashboard-tablet']);
+
+    const config = await service.getLovelaceConfig('dashboard-tablet');
+    expect(config.views?.[0].cards).toEqual([{ type: 'entities', entities: ['light.kitchen'] }]);
+    await expect(service.getLovelaceConfig(null)).rejects.toMatchObject({ code: 'config_not_found' });
+  });
+
+  it('should reject with the error Home Assistant returns', async () => {
+    await service.connect();
+    const request = service.callService('broken', 'turn_on');
+    await expect(request).rejects.toBeInstanceOf(HARequestError);
+    await expect(request).rejects.toMatchObject({ code: 'not_found', statusCode: 502 });
+  });
+
+  it('should time out requests Home Assistant does not answer', async () => {
+    await service.connect();
+    await expect(service.getConfig()).rejects.toBeInstanceOf(HATimeoutError);
+  });
+
+  it('should not retry a refused token', async () => {
+    service = new HomeAssistantService({ url: ha.url(), token: 'wrong-token', mode: 'standalone' });
+    await expect(service.connect()).rejects.toBeInstanceOf(HANotConnectedError);
+    expect(service.getConnectionStatus()).toMatchObject({ state: 'disconnected', error: 'authentication failed' });
+    await expect(service.getStates()).rejects.toBeInstanceOf(HANotConnectedError);
+  });
+
+  it('should reconnect and replay subscriptions after the connection drops', async () => {
+    const states: HAConnectionStatus[] = [];
+    const events: any[] = [];
+    service.onConnectionStateChange(status => states.push(status));
+    service.on('state_changed', data => events.push(data));
+
+    await service.connect();
+    await waitFor(() => events.length === 1);
+
+    ha.dropConnections();
+    await waitFor(() => service.isConnected() && events.length === 2);
+
+    expect(ha.subscriptions).toEqual(['state_changed', 'state_changed']);
+    expect(states.map(status => status.state)).toEqual(['connecting', 'connected', 'reconnecting', 'connected']);
+    expect(states[2].attempt).toBe(1);
+  });
+
+  it('should let requests made while reconnecting wait for the connection', async () => {
+    await service.connect();
+    ha.dropConnections();
+    await waitFor(() => service.getConnectionStatus().state === 'reconnecting');
+
+    const states = await service.getStates();
+    expect(states).toHaveLength(3);
+  });
+});
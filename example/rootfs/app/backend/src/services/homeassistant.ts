@@ -3,65 +3,169 @@
  */
 
 import WebSocket from 'ws';
-import { HAEntity, HAArea, HADashboard, HAConfig } from '../types';
+import {
+  HAEntity, HAArea, HADashboard, HALovelaceConfig, HAConfig, HADeviceRegistryEntry, HAEntityRegistryEntry
+} from '../types';
+import { HANotConnectedError, HATimeoutError, HARequestError } from '../errors/AppError';
+import { resolveAreaMembership } from './areaSync';
+
+export type HAConnectionState = 'disconnected' | 'connecting' | 'connected' | 'reconnecting';
+
+export interface HAConnectionStatus {
+  state: HAConnectionState;
+  // Set while reconnecting
+  attempt?: number;
+  retryInMs?: number;
+  // Why the connection was given up
+  error?: string;
+}
+
+const DEFAULT_REQUEST_TIMEOUT = 10000;
+const DEFAULT_RECONNECT_MAX_DELAY = 60000;
+const RECONNECT_BASE_DELAY = 1000;
+
+interface PendingRequest {
+  type: string;
+  resolve: (result: any) => void;
+  reject: (error: Error) => void;
+  timer: NodeJS.Timeout;
+}
+
+/**
+ * Delay before a reconnect attempt - exponential backoff capped at maxDelay, with equal jitter
+ * so backends reconnecting after an HA restart do not all hit it at the same moment
+ */
+export function getReconnectDelay(attempt: number, maxDelay: number, random: () => number = Math.random): number {
+  const ceiling = Math.min(maxDelay, RECONNECT_BASE_DELAY * 2 ** attempt);
+  return Math.round(ceiling / 2 + (random() * ceiling) / 2);
+}
 
 export class HomeAssistantService {
   private config: HAConfig;
   private ws: WebSocket | null = null;
   private messageId = 1;
-  private pendingRequests = new Map<number, (data: any) => void>();
+  private pendingRequests = new Map<number, PendingRequest>();
   private eventHandlers = new Map<string, Set<(data: any) => void>>();
+  // HA subscription id → event type ('*' for all events), replayed after every reconnect
+  private subscriptions = new Map<number, string>();
   private reconnectTimer: NodeJS.Timeout | null = null;
+  private reconnectAttempt = 0;
   private isAuthenticated = false;
+  private shouldReconnect = true;
+  private status: HAConnectionStatus = { state: 'disconnected' };
+  private stateListeners = new Set<(status: HAConnectionStatus) => void>();
 
   constructor(config: HAConfig) {
     this.config = config;
   }
 
+  private get requestTimeout(): number {
+    return this.config.requestTimeout ?? DEFAULT_REQUEST_TIMEOUT;
+  }
+
   // Initialize WebSocket connection to HA
+  // Rejects if HA cannot be reached or authenticated within the request timeout;
+  // unless authentication was refused, reconnect attempts continue in the background.
   async connect(): Promise<void> {
+    if (this.isConnected()) {
+      return;
+    }
+
+    this.shouldReconnect = true;
+    this.reconnectAttempt = 0;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.ws) {
+      const previous = this.ws;
+      this.ws = null;
+      previous.close();
+    }
+
+    this.setStatus({ state: 'connecting' });
+    return this.openConnection();
+  }
+
+  private openConnection(): Promise<void> {
     return new Promise((resolve, reject) => {
       const wsUrl = this.config.url.replace('http', 'ws') + '/api/websocket';
-      this.ws = new WebSocket(wsUrl);
-
-      this.ws.on('open', () => {
+      const ws = new WebSocket(wsUrl);
+      this.ws = ws;
+
+      let settled = false;
+      const settle = (error?: Error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+
+      const timer = setTimeout(() => {
+        settle(new HATimeoutError('authentication', this.requestTimeout));
+        ws.terminate();
+      }, this.requestTimeout);
+
+      ws.on('open', () => {
         console.log('Connected to Home Assistant WebSocket');
       });
 
-      this.ws.on('message', (data: WebSocket.Data) => {
-        const message = JSON.parse(data.toString());
-        this.handleMessage(message, resolve, reject);
+      ws.on('message', (data: WebSocket.Data) => {
+        let message: any;
+        try {
+          message = JSON.parse(data.toString());
+        } catch {
+          console.error('Invalid message from Home Assistant');
+          return;
+        }
+        this.handleMessage(message, settle);
       });
 
-      this.ws.on('error', (error) => {
-        console.error('WebSocket error:', error);
-        reject(error);
+      ws.on('error', (error) => {
+        console.error('Home Assistant WebSocket error:', error.message);
+        settle(new HANotConnectedError(error.message));
       });
 
-      this.ws.on('close', () => {
-        console.log('WebSocket connection closed');
-        this.isAuthenticated = false;
-        this.scheduleReconnect();
+      ws.on('close', () => {
+        settle(new HANotConnectedError('connection closed'));
+        // Closed by disconnect() or replaced by a newer connection
+        if (this.ws !== ws) return;
+        this.handleClose();
       });
     });
   }
 
-  private handleMessage(message: any, resolve?: () => void, reject?: (err: Error) => void): void {
+  private handleMessage(message: any, settle: (error?: Error) => void): void {
     switch (message.type) {
-      case 'auth_required':
-        this.authenticate();
+      case 'auth_required': {
+        const token = this.config.supervisorToken || this.config.token;
+        if (!token) {
+          this.stopAfterAuthFailure('no authentication token provided', settle);
+          break;
+        }
+        this.send({
+          type: 'auth',
+          access_token: token
+        });
         break;
+      }
 
       case 'auth_ok':
         this.isAuthenticated = true;
+        this.reconnectAttempt = 0;
         console.log('Authenticated with Home Assistant');
-        if (resolve) resolve();
-        this.subscribeToEvents();
+        this.resubscribe();
+        this.setStatus({ state: 'connected' });
+        settle();
         break;
 
       case 'auth_invalid':
-        console.error('Authentication failed');
-        if (reject) reject(new Error('Authentication failed'));
+        console.error('Authentication with Home Assistant failed:', message.message);
+        this.stopAfterAuthFailure(`authentication failed${message.message ? `: ${message.message}` : ''}`, settle);
         break;
 
       case 'result':
@@ -74,57 +178,75 @@ export class HomeAssistantService {
     }
   }
 
-  private authenticate(): void {
-    const token = this.config.supervisorToken || this.config.token;
-    if (!token) {
-      throw new Error('No authentication token provided');
-    }
+  // A refused token does not get better by retrying - stay disconnected until connect() is called again
+  private stopAfterAuthFailure(reason: string, settle: (error?: Error) => void): void {
+    const ws = this.ws;
+    this.shouldReconnect = false;
+    this.ws = null;
+    this.isAuthenticated = false;
+    settle(new HANotConnectedError(reason));
+    ws?.close();
+    this.setStatus({ state: 'disconnected', error: reason });
+  }
 
-    this.send({
-      type: 'auth',
-      access_token: token
-    });
+  private handleClose(): void {
+    console.log('Home Assistant WebSocket connection closed');
+    this.ws = null;
+    this.isAuthenticated = false;
+    this.subscriptions.clear();
+    this.rejectPendingRequests(new HANotConnectedError('connection lost'));
+
+    if (this.shouldReconnect) {
+      this.scheduleReconnect();
+    } else {
+      this.setStatus({ state: 'disconnected' });
+    }
   }
 
   private handleResult(message: any): void {
     const { id, success, result, error } = message;
-    const resolver = this.pendingRequests.get(id);
-
-    if (resolver) {
-      this.pendingRequests.delete(id);
-      if (success) {
-        resolver(result);
-      } else {
-        console.error('Request failed:', error);
-        resolver(null);
-      }
+    const pending = this.pendingRequests.get(id);
+    if (!pending) return;
+
+    this.pendingRequests.delete(id);
+    clearTimeout(pending.timer);
+    if (success) {
+      pending.resolve(result);
+    } else {
+      pending.reject(new HARequestError(pending.type, error));
     }
   }
 
   private handleEvent(message: any): void {
-    const { event } = message;
-    const eventType = event.event_type;
-
-    const handlers = this.eventHandlers.get(eventType);
-    if (handlers) {
-      handlers.forEach(handler => handler(event.data));
-    }
+    const eventType = this.subscriptions.get(message.id);
+    const handlers = eventType ? this.eventHandlers.get(eventType) : undefined;
+    if (!handlers) return;
 
-    // Also trigger wildcard handlers
-    const wildcardHandlers = this.eventHandlers.get('*');
-    if (wildcardHandlers) {
-      wildcardHandlers.forEach(handler => handler(event));
-    }
+    // Wildcard handlers get the whole event, typed handlers only its data
+    const payload = eventType === '*' ? message.event : message.event.data;
+    handlers.forEach(handler => handler(payload));
   }
 
-  // Subscribe to HA state changes
-  private subscribeToEvents(): void {
-    this.sendRequest({
-      type: 'subscribe_events',
-      event_type: 'state_changed'
+  // Subscribe to an HA event type on the current connection
+  private subscribe(eventType: string): void {
+    const id = this.messageId++;
+    this.subscriptions.set(id, eventType);
+    this.dispatch(id, eventType === '*'
+      ? { type: 'subscribe_events' }
+      : { type: 'subscribe_events', event_type: eventType }
+    ).catch((error) => {
+      this.subscriptions.delete(id);
+      console.error(`Could not subscribe to ${eventType} events:`, error.message);
     });
   }
 
+  private resubscribe(): void {
+    this.subscriptions.clear();
+    for (const eventType of this.eventHandlers.keys()) {
+      this.subscribe(eventType);
+    }
+  }
+
   // Send message to HA
   private send(message: any): void {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
@@ -132,15 +254,63 @@ export class HomeAssistantService {
     }
   }
 
-  // Send request and wait for response
-  private sendRequest<T>(message: any): Promise<T> {
-    return new Promise((resolve) => {
-      const id = this.messageId++;
-      this.pendingRequests.set(id, resolve);
+  // Send a message with the given id and wait for its result
+  private dispatch<T>(id: number, message: any): Promise<T> {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        reject(new HATimeoutError(message.type, this.requestTimeout));
+      }, this.requestTimeout);
+
+      this.pendingRequests.set(id, { type: message.type, resolve, reject, timer });
       this.send({ ...message, id });
     });
   }
 
+  // Send request and wait for response
+  // Rejects with HANotConnectedError, HATimeoutError or HARequestError
+  private async sendRequest<T>(message: any): Promise<T> {
+    await this.waitForConnection();
+    return this.dispatch<T>(this.messageId++, message);
+  }
+
+  // Requests made while reconnecting wait for the connection instead of failing right away
+  private waitForConnection(): Promise<void> {
+    if (this.isConnected()) {
+      return Promise.resolve();
+    }
+    if (this.status.state === 'disconnected') {
+      return Promise.reject(new HANotConnectedError(this.status.error));
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        unsubscribe();
+        reject(new HANotConnectedError(`no connection within ${this.requestTimeout}ms`));
+      }, this.requestTimeout);
+
+      const unsubscribe = this.onConnectionStateChange((status) => {
+        if (status.state === 'connected' || status.state === 'disconnected') {
+          clearTimeout(timer);
+          unsubscribe();
+          if (status.state === 'connected') {
+            resolve();
+          } else {
+            reject(new HANotConnectedError(status.error));
+          }
+        }
+      });
+    });
+  }
+
+  private rejectPendingRequests(error: Error): void {
+    for (const pending of this.pendingRequests.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(error);
+    }
+    this.pendingRequests.clear();
+  }
+
   // Public API Methods
 
   async getStates(): Promise<HAEntity[]> {
@@ -164,6 +334,15 @@ export class HomeAssistantService {
     });
   }
 
+  // Fire an event on HA's event bus - automations can trigger on it
+  async fireEvent(eventType: string, eventData?: Record<string, any>): Promise<void> {
+    await this.sendRequest({
+      type: 'fire_event',
+      event_type: eventType,
+      event_data: eventData
+    });
+  }
+
   async getConfig(): Promise<any> {
     return this.sendRequest({
       type: 'get_config'
@@ -184,33 +363,162 @@ export class HomeAssistantService {
     });
   }
 
+  // Dashboards added under Settings → Dashboards - the default dashboard is not listed
   async getDashboards(): Promise<HADashboard[]> {
-    const response = await fetch(`${this.config.url}/api/lovelace/dashboards`, {
-      headers: this.getAuthHeaders()
+    return this.sendRequest<HADashboard[]>({
+      type: 'lovelace/dashboards/list'
+    });
+  }
+
+  /**
+   * Lovelace config (views and cards) of a dashboard
+   * @param urlPath - Dashboard url_path, null for the default dashboard
+   */
+  async getLovelaceConfig(urlPath: string | null): Promise<HALovelaceConfig> {
+    return this.sendRequest<HALovelaceConfig>({
+      type: 'lovelace/config',
+      url_path: urlPath
     });
-    return response.json();
   }
 
+  async getDeviceRegistry(): Promise<HADeviceRegistryEntry[]> {
+    return this.sendRequest<HADeviceRegistryEntry[]>({
+      type: 'config/device_registry/list'
+    });
+  }
+
+  async getEntityRegistry(): Promise<HAEntityRegistryEntry[]> {
+    return this.sendRequest<HAEntityRegistryEntry[]>({
+      type: 'config/entity_registry/list'
+    });
+  }
+
+  // States have no area - membership comes from the entity registry, or the device registry for entities without their own area
   async getEntitiesByArea(areaId: string): Promise<HAEntity[]> {
-    const allStates = await this.getStates();
-    // Filter by area - would need device registry integration for proper filtering
-    return allStates.filter(state =>
-      state.attributes.area_id === areaId
-    );
+    const [allStates, devices, entities] = await Promise.all([
+      this.getStates(),
+      this.getDeviceRegistry(),
+      this.getEntityRegistry()
+    ]);
+    const areaEntityIds = new Set(resolveAreaMembership(devices, entities).get(areaId) ?? []);
+    return allStates.filter(state => areaEntityIds.has(state.entity_id));
+  }
+
+  // Auth API methods - tokens belong to the HA user this connection authenticated as
+  // (system users such as the Supervisor cannot own long-lived access tokens)
+  async createLongLivedAccessToken(clientName: string, lifespanDays: number): Promise<string> {
+    return this.sendRequest<string>({
+      type: 'auth/long_lived_access_token',
+      client_name: clientName,
+      lifespan: lifespanDays
+    });
+  }
+
+  async deleteRefreshToken(refreshTokenId: string): Promise<void> {
+    await this.sendRequest({
+      type: 'auth/delete_refresh_token',
+      refresh_token_id: refreshTokenId
+    });
+  }
+
+  // State API methods (REST only) - states set here belong to no integration, HA forgets them on restart
+  async setState(entityId: string, state: string, attributes: Record<string, any> = {}): Promise<HAEntity> {
+    return this.restRequest<HAEntity>('POST', `/api/states/${entityId}`, { state, attributes });
+  }
+
+  async removeState(entityId: string): Promise<void> {
+    await this.restRequest('DELETE', `/api/states/${entityId}`);
+  }
+
+  // Rejects with HANotConnectedError, HATimeoutError or HARequestError, like WebSocket requests
+  private async restRequest<T>(method: string, path: string, body?: any): Promise<T> {
+    const requestType = `${method} ${path}`;
+    let response: Response;
+    let text: string;
+    try {
+      response = await fetch(`${this.config.url.replace(/\/+$/, '')}${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${this.config.supervisorToken || this.config.token}`,
+          'Content-Type': 'application/json'
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(this.requestTimeout)
+      });
+      text = await response.text();
+    } catch (error: any) {
+      if (error.name === 'TimeoutError') {
+        throw new HATimeoutError(requestType, this.requestTimeout);
+      }
+      throw new HANotConnectedError(error.message);
+    }
+
+    let result: any = null;
+    try {
+      result = text ? JSON.parse(text) : null;
+    } catch {
+      // Plain text answer (e.g. 404: Not Found)
+    }
+    if (!response.ok) {
+      throw new HARequestError(requestType, { code: String(response.status), message: result?.message || text });
+    }
+    return result as T;
   }
 
-  // Event subscription
+  // Event subscription - '*' receives every HA event
+  // HA is only subscribed to event types that have handlers
   on(eventType: string, handler: (data: any) => void): void {
     if (!this.eventHandlers.has(eventType)) {
       this.eventHandlers.set(eventType, new Set());
+      if (this.isConnected()) {
+        this.subscribe(eventType);
+      }
     }
     this.eventHandlers.get(eventType)!.add(handler);
   }
 
   off(eventType: string, handler: (data: any) => void): void {
     const handlers = this.eventHandlers.get(eventType);
-    if (handlers) {
-      handlers.delete(handler);
+    if (!handlers) return;
+
+    handlers.delete(handler);
+    if (handlers.size > 0) return;
+
+    this.eventHandlers.delete(eventType);
+    for (const [subscriptionId, subscribedType] of this.subscriptions) {
+      if (subscribedType !== eventType) continue;
+      this.subscriptions.delete(subscriptionId);
+      if (this.isConnected()) {
+        this.dispatch(this.messageId++, { type: 'unsubscribe_events', subscription: subscriptionId }).catch((error) => {
+          console.error(`Could not unsubscribe from ${eventType} events:`, error.message);
+        });
+      }
+    }
+  }
+
+  // Connection state
+  getConnectionStatus(): HAConnectionStatus {
+    return { ...this.status };
+  }
+
+  /**
+   * Listen for connection state changes
+   * @returns Function that removes the listener
+   */
+  onConnectionStateChange(listener: (status: HAConnectionStatus) => void): () => void {
+    this.stateListeners.add(listener);
+    return () => {
+      this.stateListeners.delete(listener);
+    };
+  }
+
+  private setStatus(status: HAConnectionStatus): void {
+    if (status.state === this.status.state && status.state !== 'reconnecting' && !status.error) {
+      return;
+    }
+    this.status = status;
+    for (const listener of [...this.stateListeners]) {
+      listener({ ...status });
     }
   }
 
@@ -220,27 +528,34 @@ export class HomeAssistantService {
       clearTimeout(this.reconnectTimer);
     }
 
+    const delay = getReconnectDelay(this.reconnectAttempt, this.config.reconnectMaxDelay ?? DEFAULT_RECONNECT_MAX_DELAY);
+    this.reconnectAttempt++;
+    this.setStatus({ state: 'reconnecting', attempt: this.reconnectAttempt, retryInMs: delay });
+    console.log(`Reconnecting to Home Assistant in ${delay}ms (attempt ${this.reconnectAttempt})`);
+
+    // A failed attempt closes the socket, which schedules the next one
     this.reconnectTimer = setTimeout(() => {
-      console.log('Attempting to reconnect to Home Assistant...');
-      this.connect().catch(err => {
-        console.error('Reconnection failed:', err);
+      this.reconnectTimer = null;
+      this.openConnection().catch(err => {
+        console.error('Reconnection to Home Assistant failed:', err.message);
       });
-    }, 5000);
+    }, delay);
   }
 
   disconnect(): void {
+    this.shouldReconnect = false;
     if (this.reconnectTimer) {
       clearTimeout(this.reconnectTimer);
       this.reconnectTimer = null;
     }
 
-    if (this.ws) {
-      this.ws.close();
-      this.ws = null;
-    }
-
-    this.pendingRequests.clear();
+    const ws = this.ws;
+    this.ws = null;
     this.isAuthenticated = false;
+    this.subscriptions.clear();
+    this.rejectPendingRequests(new HANotConnectedError('disconnected'));
+    ws?.close();
+    this.setStatus({ state: 'disconnected' });
   }
 
   isConnected(): boolean {
@@ -248,13 +563,4 @@ export class HomeAssistantService {
            this.ws.readyState === WebSocket.OPEN &&
            this.isAuthenticated;
   }
-
-  // Helper methods
-  private getAuthHeaders(): HeadersInit {
-    const token = this.config.supervisorToken || this.config.token;
-    return {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    };
-  }
 }
@@ -0,0 +1,397 @@
+/**
+ * Admin Two-Factor Authentication Service
+ * Credential checks, TOTP enrollment, recovery codes and the "mfa_pending" login step
+ */
+
+import type { Database } from 'better-sqlite3';
+import jwt from 'jsonwebtoken';
+import { randomBytes } from 'crypto';
+import { verifyPassword } from '../utils/password';
+import { isAdminRole, AdminRole } from '../utils/roles';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from '../utils/totp';
+import { encryptSecret, decryptSecret } from '../utils/secrets';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('MFA');
+
+// The pending token only proves the password step - keep it short-lived
+const MFA_PENDING_EXPIRY_SECONDS = 5 * 60;
+const MFA_MAX_ATTEMPTS = 5;
+const MFA_AUDIENCE = 'hasync-mfa';
+const RECOVERY_CODE_COUNT = 10;
+
+export interface AdminAccount {
+  id: string;
+  username: string;
+  role: AdminRole;
+  totpEnabled: boolean;
+}
+
+interface MfaPendingPayload {
+  sub: string;
+  username: string;
+  type: 'mfa_pending';
+  jti: string;
+}
+
+// Failed second-factor attempts per pending token (jti -> count)
+const failedAttempts = new Map<string, { count: number; expiresAt: number }>();
+
+function getJwtSecret(): string {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET environment variable is required');
+  }
+  return secret;
+}
+
+function pruneFailedAttempts(): void {
+  const now = Date.now();
+  for (const [jti, entry] of failedAttempts) {
+    if (entry.expiresAt < now) {
+      failedAttempts.delete(jti);
+    }
+  }
+}
+
+/**
+ * Verify username and password against the users table
+ * @returns The account if the credentials are valid and the account is active, null otherwise
+ */
+export async function verifyAdminCredentials(
+  db: Database,
+  username: string,
+  password: string
+): Promise<AdminAccount | null> {
+  // ✅ SECURE: Prepared statement
+  const row = db.prepare(
+    'SELECT id, username, password_hash, role, is_active, totp_enabled FROM users WHERE username = ?'
+  ).get(username) as any;
+
+  if (!row) {
+    return null;
+  }
+
+  const passwordValid = await verifyPassword(password, row.password_hash);
+  if (!passwordValid || row.is_active !== 1 || !isAdminRole(row.role)) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    totpEnabled: row.totp_enabled === 1
+  };
+}
+
+/**
+ * Load an active admin account by id
+ */
+export function getAdminAccount(db: Database, userId: string): AdminAccount | null {
+  const row = db.prepare(
+    'SELECT id, username, role, is_active, totp_enabled FROM users WHERE id = ?'
+  ).get(userId) as any;
+
+  if (!row || row.is_active !== 1 || !isAdminRole(row.role)) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    totpEnabled: row.totp_enabled === 1
+  };
+}
+
+/**
+ * Account a Home Assistant user signed in through ingress acts as - the active account linked to
+ * the HA user id. Home Assistant already checked the password (the sidebar panel is only shown to
+ * HA administrators); the account's own second factor is still required. Usernames are never
+ * matched: any HA administrator can create an HA user with the name of a HAsync owner.
+ * @returns null if no HAsync account is linked to that HA user
+ */
+export function getIngressAdminAccount(db: Database, haUserId: string): AdminAccount | null {
+  const row = db.prepare(`
+    SELECT id, username, role, is_active, totp_enabled FROM users
+    WHERE ha_user_id = ? AND is_active = 1
+  `).get(haUserId) as any;
+
+  if (!row || !isAdminRole(row.role)) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    totpEnabled: row.totp_enabled === 1
+  };
+}
+
+/**
+ * Link a Home Assistant user to an account after its owner signed in with the account's password
+ * (and second factor) through ingress. An account keeps the first HA user it was linked to, and
+ * an HA user can only be linked to one account.
+ * @returns true if the account is now linked to the HA user
+ */
+export function linkIngressUser(db: Database, accountId: string, haUserId: string): boolean {
+  const linked = db.prepare(`
+    UPDATE users SET ha_user_id = ?
+    WHERE id = ? AND ha_user_id IS NULL
+      AND NOT EXISTS (SELECT 1 FROM users WHERE ha_user_id = ?)
+  `).run(haUserId, accountId, haUserId);
+
+  if (linked.changes > 0) {
+    logger.info(`Linked Home Assistant user ${haUserId} to account ${accountId}`);
+    return true;
+  }
+
+  const row = db.prepare('SELECT ha_user_id FROM users WHERE id = ?').get(accountId) as { ha_user_id: string | null } | undefined;
+  return row?.ha_user_id === haUserId;
+}
+
+/**
+ * Issue a short-lived token proving the password step succeeded.
+ * It uses a separate audience so it can never be used as a session token.
+ */
+export function issueMfaPendingToken(account: AdminAccount): { mfaToken: string; expiresIn: number } {
+  const payload: MfaPendingPayload = {
+    sub: account.id,
+    username: account.username,
+    type: 'mfa_pending',
+    jti: randomBytes(16).toString('hex')
+  };
+
+  const mfaToken = jwt.sign(payload, getJwtSecret(), {
+    expiresIn: MFA_PENDING_EXPIRY_SECONDS,
+    issuer: 'hasync-backend',
+    audience: MFA_AUDIENCE
+  });
+
+  return { mfaToken, expiresIn: MFA_PENDING_EXPIRY_SECONDS };
+}
+
+/**
+ * Username a pending MFA token was issued to - for reporting failed logins
+ * @returns null if the token was not issued by this server (expired tokens still name their user)
+ */
+export function getMfaPendingUsername(mfaToken: string): string | null {
+  try {
+    const payload = jwt.verify(mfaToken, getJwtSecret(), {
+      issuer: 'hasync-backend',
+      audience: MFA_AUDIENCE,
+      ignoreExpiration: true
+    }) as unknown as MfaPendingPayload;
+    return payload.type === 'mfa_pending' ? payload.username : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Complete the login of an "mfa_pending" token with a TOTP or recovery code
+ * @returns The account if the second factor is valid, null otherwise
+ */
+export function completeMfaLogin(
+  db: Database,
+  mfaToken: string,
+  factor: { code?: string; recoveryCode?: string }
+): AdminAccount | null {
+  let payload: MfaPendingPayload;
+  try {
+    payload = jwt.verify(mfaToken, getJwtSecret(), {
+      issuer: 'hasync-backend',
+      audience: MFA_AUDIENCE
+    }) as unknown as MfaPendingPayload;
+  } catch (error: any) {
+    logger.warn(`Invalid MFA pending token: ${error.message}`);
+    return null;
+  }
+
+  if (payload.type !== 'mfa_pending') {
+    return null;
+  }
+
+  pruneFailedAttempts();
+  const attempts = failedAttempts.get(payload.jti);
+  if (attempts && attempts.count >= MFA_MAX_ATTEMPTS) {
+    logger.warn(`MFA attempts exhausted for ${payload.username}`);
+    return null;
+  }
+
+  const account = getAdminAccount(db, payload.sub);
+  if (!account || !account.totpEnabled) {
+    return null;
+  }
+
+  if (!verifySecondFactor(db, account.id, factor)) {
+    failedAttempts.set(payload.jti, {
+      count: (attempts?.count || 0) + 1,
+      expiresAt: Date.now() + MFA_PENDING_EXPIRY_SECONDS * 1000
+    });
+    logger.warn(`Invalid second factor for ${account.username}`);
+    return null;
+  }
+
+  // The pending token is single-use
+  failedAttempts.set(payload.jti, {
+    count: MFA_MAX_ATTEMPTS,
+    expiresAt: Date.now() + MFA_PENDING_EXPIRY_SECONDS * 1000
+  });
+
+  return account;
+}
+
+/**
+ * Verify a TOTP code or consume a recovery code for an account.
+ * TOTP codes are rejected if their time step was already used (replay protection).
+ */
+export function verifySecondFactor(
+  db: Database,
+  userId: string,
+  factor: { code?: string; recoveryCode?: string }
+): boolean {
+  const row = db.prepare(
+    'SELECT totp_secret, totp_last_counter FROM users WHERE id = ?'
+  ).get(userId) as { totp_secret: string | null; totp_last_counter: number | null } | undefined;
+
+  if (!row?.totp_secret) {
+    return false;
+  }
+
+  if (factor.code) {
+    const counter = verifyTotp(decryptSecret(row.totp_secret), factor.code);
+    if (counter === null || (row.totp_last_counter !== null && counter <= row.totp_last_counter)) {
+      return false;
+    }
+
+    db.prepare('UPDATE users SET totp_last_counter = ? WHERE id = ?').run(counter, userId);
+    return true;
+  }
+
+  if (factor.recoveryCode) {
+    const now = Math.floor(Date.now() / 1000);
+    const result = db.prepare(`
+      UPDATE user_recovery_codes
+      SET used_at = ?
+      WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+    `).run(now, userId, hashRecoveryCode(factor.recoveryCode));
+
+    if (result.changes > 0) {
+      logger.info(`Recovery code used for user ${userId}`);
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Start TOTP enrollment - stores a new secret that becomes active once confirmed
+ */
+export function startTotpEnrollment(db: Database, account: AdminAccount): { secret: string; otpauthUri: string } {
+  const secret = generateTotpSecret();
+
+  db.prepare(`
+    UPDATE users
+    SET totp_secret = ?, totp_enabled = 0, totp_last_counter = NULL, updated_at = ?
+    WHERE id = ?
+  `).run(encryptSecret(secret), Math.floor(Date.now() / 1000), account.id);
+
+  logger.info(`TOTP enrollment started for ${account.username}`);
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(secret, account.username)
+  };
+}
+
+/**
+ * Confirm TOTP enrollment with a code from the authenticator app
+ * @returns Fresh recovery codes (shown once), or null if the code is invalid
+ */
+export function confirmTotpEnrollment(db: Database, account: AdminAccount, code: string): string[] | null {
+  const row = db.prepare('SELECT totp_secret FROM users WHERE id = ?')
+    .get(account.id) as { totp_secret: string | null } | undefined;
+
+  if (!row?.totp_secret) {
+    return null;
+  }
+
+  const counter = verifyTotp(decryptSecret(row.totp_secret), code);
+  if (counter === null) {
+    return null;
+  }
+
+  db.prepare(`
+    UPDATE users
+    SET totp_enabled = 1, totp_last_counter = ?, updated_at = ?
+    WHERE id = ?
+  `).run(counter, Math.floor(Date.now() / 1000), account.id);
+
+  logger.info(`✓ TOTP enabled for ${account.username}`);
+
+  return regenerateRecoveryCodes(db, account.id);
+}
+
+/**
+ * Replace all recovery codes of an account
+ * @returns The new plaintext codes (only ever returned here)
+ */
+export function regenerateRecoveryCodes(db: Database, userId: string): string[] {
+  const codes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+  const now = Math.floor(Date.now() / 1000);
+
+  const replace = db.transaction(() => {
+    db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId);
+    const insert = db.prepare(
+      'INSERT INTO user_recovery_codes (user_id, code_hash, created_at) VALUES (?, ?, ?)'
+    );
+    for (const code of codes) {
+      insert.run(userId, hashRecoveryCode(code), now);
+    }
+  });
+  replace();
+
+  return codes;
+}
+
+/**
+ * Turn off TOTP and remove recovery codes for an account
+ */
+export function disableTotp(db: Database, userId: string): void {
+  const disable = db.transaction(() => {
+    db.prepare(`
+      UPDATE users
+      SET totp_secret = NULL, totp_enabled = 0, totp_last_counter = NULL, updated_at = ?
+      WHERE id = ?
+    `).run(Math.floor(Date.now() / 1000), userId);
+    db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId);
+  });
+  disable();
+
+  logger.info(`TOTP disabled for user ${userId}`);
+}
+
+/**
+ * Get the two-factor status of an account
+ */
+export function getMfaStatus(db: Database, userId: string): { enabled: boolean; recoveryCodesRemaining: number } {
+  const user = db.prepare('SELECT totp_enabled FROM users WHERE id = ?').get(userId) as any;
+  const remaining = db.prepare(
+    'SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL'
+  ).get(userId) as any;
+
+  return {
+    enabled: user?.totp_enabled === 1,
+    recoveryCodesRemaining: remaining?.count || 0
+  };
+}
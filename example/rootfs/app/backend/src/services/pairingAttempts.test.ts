@@ -0,0 +1,165 @@
+/**
+ * Pairing Attempt Tracking Test Suite
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import Database from 'better-sqlite3';
+import {
+  getBackoffSeconds,
+  checkPairingBackoff,
+  findPairingSession,
+  recordPairingFailure,
+  clearPairingFailures,
+  MAX_SESSION_FAILURES,
+  IP_ATTACK_THRESHOLD,
+  IP_FAILURE_WINDOW_SECONDS
+} from './pairingAttempts';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+
+const IP = '192.168.1.50';
+const NOW = 1700000000;
+
+describe('Pairing Attempts', () => {
+  let db: Database.Database;
+  let dbPath: string;
+
+  beforeEach(() => {
+    dbPath = join(tmpdir(), `test-pairing-${Date.now()}.db`);
+    db = new Database(dbPath);
+
+    db.exec(`
+      CREATE TABLE pairing_sessions (
+        id TEXT PRIMARY KEY,
+        pin TEXT NOT NULL,
+        status TEXT NOT NULL,
+        expires_at INTEGER NOT NULL,
+        failed_attempts INTEGER NOT NULL DEFAULT 0,
+        last_failed_at INTEGER,
+        last_failed_ip TEXT
+      );
+      CREATE TABLE pairing_ip_attempts (
+        ip_address TEXT PRIMARY KEY,
+        failures INTEGER NOT NULL DEFAULT 0,
+        first_failed_at INTEGER NOT NULL,
+        last_failed_at INTEGER NOT NULL
+      );
+    `);
+    db.prepare('INSERT INTO pairing_sessions (id, pin, status, expires_at) VALUES (?, ?, ?, ?)')
+      .run('pairing_1', '123456', 'pending', NOW + 300);
+  });
+
+  afterEach(() => {
+    db.close();
+    try {
+      unlinkSync(dbPath);
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('findPairingSession', () => {
+    it('should find sessions by id', () => {
+      expect(findPairingSession(db, 'pairing_1')).toMatchObject({ id: 'pairing_1', status: 'pending' });
+    });
+
+    it('should not find a session by its PIN', () => {
+      // The verify route answers 404 and records the failure against the IP only
+      expect(findPairingSession(db, '123456')).toBeNull();
+
+      recordPairingFailure(db, null, IP, NOW);
+
+      const session: any = db.prepare('SELECT status, failed_attempts FROM pairing_sessions WHERE id = ?').get('pairing_1');
+      expect(session).toEqual({ status: 'pending', failed_attempts: 0 });
+    });
+  });
+
+  describe('getBackoffSeconds', () => {
+    it('should allow a couple of typos without delay', () => {
+      expect(getBackoffSeconds(1)).toBe(0);
+      expect(getBackoffSeconds(2)).toBe(0);
+    });
+
+    it('should double the delay with every further failure', () => {
+      expect(getBackoffSeconds(3)).toBe(2);
+      expect(getBackoffSeconds(4)).toBe(4);
+      expect(getBackoffSeconds(5)).toBe(8);
+    });
+
+    it('should cap the delay at 15 minutes', () => {
+      expect(getBackoffSeconds(50)).toBe(15 * 60);
+    });
+  });
+
+  describe('recordPairingFailure', () => {
+    it('should count failures per session and invalidate it at the limit', () => {
+      let result = recordPairingFailure(db, 'pairing_1', IP, NOW);
+      expect(result.sessionFailures).toBe(1);
+      expect(result.sessionInvalidated).toBe(false);
+
+      for (let i = 1; i < MAX_SESSION_FAILURES; i++) {
+        result = recordPairingFailure(db, 'pairing_1', IP, NOW + i * 1000);
+      }
+
+      expect(result.sessionInvalidated).toBe(true);
+      expect(result.attackSuspected).toBe(true);
+
+      const session: any = db.prepare('SELECT status, last_failed_ip FROM pairing_sessions WHERE id = ?').get('pairing_1');
+      expect(session.status).toBe('expired');
+      expect(session.last_failed_ip).toBe(IP);
+    });
+
+    it('should count failures without a session against the IP only', () => {
+      const result = recordPairingFailure(db, null, IP, NOW);
+
+      expect(result.sessionFailures).toBe(0);
+      expect(result.ipFailures).toBe(1);
+    });
+
+    it('should report an attack once when the IP crosses the threshold', () => {
+      const suspected: boolean[] = [];
+      for (let i = 0; i < IP_ATTACK_THRESHOLD + 2; i++) {
+        suspected.push(recordPairingFailure(db, null, IP, NOW + i).attackSuspected);
+      }
+
+      expect(suspected.filter(Boolean)).toHaveLength(1);
+      expect(suspected[IP_ATTACK_THRESHOLD - 1]).toBe(true);
+    });
+
+    it('should restart the IP counter after the failure window', () => {
+      recordPairingFailure(db, null, IP, NOW);
+      recordPairingFailure(db, null, IP, NOW);
+
+      const result = recordPairingFailure(db, null, IP, NOW + IP_FAILURE_WINDOW_SECONDS + 1);
+      expect(result.ipFailures).toBe(1);
+    });
+  });
+
+  describe('checkPairingBackoff', () => {
+    it('should allow IPs without failures', () => {
+      expect(checkPairingBackoff(db, IP, NOW).allowed).toBe(true);
+    });
+
+    it('should block an IP until its backoff has passed', () => {
+      for (let i = 0; i < 4; i++) {
+        recordPairingFailure(db, null, IP, NOW);
+      }
+
+      const blocked = checkPairingBackoff(db, IP, NOW + 1);
+      expect(blocked.allowed).toBe(false);
+      expect(blocked.retryAfter).toBe(getBackoffSeconds(4) - 1);
+
+      expect(checkPairingBackoff(db, IP, NOW + getBackoffSeconds(4)).allowed).toBe(true);
+    });
+
+    it('should forget failures after a successful verification', () => {
+      for (let i = 0; i < 4; i++) {
+        recordPairingFailure(db, null, IP, NOW);
+      }
+      clearPairingFailures(db, IP);
+
+      expect(checkPairingBackoff(db, IP, NOW).allowed).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Pairing Attempt Tracking
+ * Counts failed PIN verifications per pairing session and per source IP,
+ * invalidates sessions after repeated failures and enforces exponential backoff
+ */
+
+import type { Database } from 'better-sqlite3';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('PairingAttempts');
+
+// Wrong PINs a single session tolerates before it is invalidated
+export const MAX_SESSION_FAILURES = 5;
+
+// Failures from one IP (across all sessions) that count as a suspected attack
+export const IP_ATTACK_THRESHOLD = 10;
+
+// Failures older than this no longer count against an IP
+export const IP_FAILURE_WINDOW_SECONDS = 60 * 60;
+
+const MAX_BACKOFF_SECONDS = 15 * 60;
+
+export interface PairingBackoff {
+  allowed: boolean;
+  retryAfter: number;
+}
+
+export interface PairingFailureResult {
+  sessionFailures: number;
+  sessionInvalidated: boolean;
+  ipFailures: number;
+  retryAfter: number;
+  attackSuspected: boolean;
+}
+
+/**
+ * Pairing session a verify request names
+ * Looked up by id only - a PIN-shaped id must not find (and record failures against) another session
+ */
+export function findPairingSession(db: Database, sessionId: string): any | null {
+  return db.prepare('SELECT * FROM pairing_sessions WHERE id = ?').get(sessionId) ?? null;
+}
+
+/**
+ * Seconds an IP must wait after its n-th consecutive failure
+ * The first two mistakes are free (typos), then 2s, 4s, 8s, ... capped at 15 minutes.
+ */
+export function getBackoffSeconds(failures: number): number {
+  if (failures <= 2) return 0;
+  return Math.min(2 ** (failures - 2), MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Check whether an IP may attempt another PIN verification
+ */
+export function checkPairingBackoff(db: Database, ip: string, now: number = Math.floor(Date.now() / 1000)): PairingBackoff {
+  const row = db.prepare('SELECT failures, last_failed_at FROM pairing_ip_attempts WHERE ip_address = ?')
+    .get(ip) as { failures: number; last_failed_at: number } | undefined;
+
+  if (!row || now - row.last_failed_at > IP_FAILURE_WINDOW_SECONDS) {
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  const retryAt = row.last_failed_at + getBackoffSeconds(row.failures);
+  return retryAt > now
+    ? { allowed: false, retryAfter: retryAt - now }
+    : { allowed: true, retryAfter: 0 };
+}
+
+/**
+ * Record a failed PIN verification
+ * @param db - Database instance
+ * @param sessionId - Session the wrong PIN was entered for, or null if no session matched
+ * @param ip - Source IP address
+ */
+export function recordPairingFailure(
+  db: Database,
+  sessionId: string | null,
+  ip: string,
+  now: number = Math.floor(Date.now() / 1000)
+): PairingFailureResult {
+  return db.transaction(() => {
+    // Per-IP counter - restarts once the failure window has passed
+    const existing = db.prepare('SELECT failures, last_failed_at FROM pairing_ip_attempts WHERE ip_address = ?')
+      .get(ip) as { failures: number; last_failed_at: number } | undefined;
+    const ipFailures = existing && now - existing.last_failed_at <= IP_FAILURE_WINDOW_SECONDS
+      ? existing.failures + 1
+      : 1;
+
+    db.prepare(`
+      INSERT INTO pairing_ip_attempts (ip_address, failures, first_failed_at, last_failed_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(ip_address) DO UPDATE SET
+        failures = excluded.failures,
+        first_failed_at = CASE WHEN excluded.failures = 1 THEN excluded.first_failed_at ELSE first_failed_at END,
+        last_failed_at = excluded.last_failed_at
+    `).run(ip, ipFailures, now, now);
+
+    // Per-session counter - the session is invalidated once it reaches the limit
+    let sessionFailures = 0;
+    let sessionInvalidated = false;
+    if (sessionId) {
+      db.prepare(`
+        UPDATE pairing_sessions
+        SET failed_attempts = COALESCE(failed_attempts, 0) + 1,
+            last_failed_at = ?,
+            last_failed_ip = ?
+        WHERE id = ?
+      `).run(now, ip, sessionId);
+
+      const session = db.prepare('SELECT failed_attempts FROM pairing_sessions WHERE id = ?')
+        .get(sessionId) as { failed_attempts: number } | undefined;
+      sessionFailures = session?.failed_attempts ?? 0;
+
+      if (sessionFailures >= MAX_SESSION_FAILURES) {
+        const result = db.prepare(`
+          UPDATE pairing_sessions SET status = 'expired' WHERE id = ? AND status = 'pending'
+        `).run(sessionId);
+        sessionInvalidated = result.changes > 0;
+      }
+    }
+
+    if (sessionInvalidated) {
+      logger.warn(`Pairing session ${sessionId} invalidated after ${sessionFailures} wrong PINs (last from ${ip})`);
+    }
+
+    return {
+      sessionFailures,
+      sessionInvalidated,
+      ipFailures,
+      retryAfter: getBackoffSeconds(ipFailures),
+      // Report once per threshold crossing, not on every following failure
+      attackSuspected: sessionInvalidated || ipFailures === IP_ATTACK_THRESHOLD
+    };
+  })();
+}
+
+/**
+ * Forget an IP's failures after it verified a PIN successfully
+ */
+export function clearPairingFailures(db: Database, ip: string): void {
+  db.prepare('DELETE FROM pairing_ip_attempts WHERE ip_address = ?').run(ip);
+}
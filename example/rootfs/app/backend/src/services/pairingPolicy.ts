@@ -0,0 +1,96 @@
+/**
+ * Pairing Policy Service
+ * Pairing policy (automatic vs. admin approval) and the long-poll wait used by
+ * devices while an admin reviews their pairing request
+ */
+
+import type { Database } from 'better-sqlite3';
+import { EventEmitter } from 'events';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('PairingPolicy');
+
+export const PAIRING_MODES = ['auto', 'approval'] as const;
+
+export type PairingMode = typeof PAIRING_MODES[number];
+
+export interface PairingPolicy {
+  // auto: a correct PIN pairs the device immediately
+  // approval: a correct PIN only marks the session verified; an admin must complete it
+  mode: PairingMode;
+}
+
+// How long a verified session waits for the admin before it expires
+export const APPROVAL_WINDOW_SECONDS = 10 * 60;
+
+// Longest a device request is held open while waiting for approval
+export const APPROVAL_POLL_TIMEOUT_MS = 25 * 1000;
+
+const POLICY_KEY = 'pairing_policy';
+
+const DEFAULT_POLICY: PairingPolicy = { mode: 'approval' };
+
+/**
+ * Check whether a value is a known pairing mode
+ */
+export function isPairingMode(mode: unknown): mode is PairingMode {
+  return typeof mode === 'string' && (PAIRING_MODES as readonly string[]).includes(mode);
+}
+
+/**
+ * Get the current pairing policy (defaults to admin approval)
+ */
+export function getPairingPolicy(db: Database): PairingPolicy {
+  try {
+    const row = db.prepare('SELECT value FROM configuration WHERE key = ?').get(POLICY_KEY) as
+      { value: string } | undefined;
+    if (!row) return { ...DEFAULT_POLICY };
+
+    const stored = JSON.parse(row.value);
+    return { mode: isPairingMode(stored.mode) ? stored.mode : DEFAULT_POLICY.mode };
+  } catch (error: any) {
+    logger.warn(`Could not read pairing policy, using default: ${error.message}`);
+    return { ...DEFAULT_POLICY };
+  }
+}
+
+/**
+ * Store the pairing policy
+ */
+export function setPairingPolicy(db: Database, policy: PairingPolicy, updatedBy: string): PairingPolicy {
+  db.prepare('INSERT OR REPLACE INTO configuration (key, value) VALUES (?, ?)')
+    .run(POLICY_KEY, JSON.stringify({ mode: policy.mode }));
+
+  logger.info(`Pairing policy set to "${policy.mode}" by ${updatedBy}`);
+  return getPairingPolicy(db);
+}
+
+// Wakes up devices long-polling on a session when an admin completes or rejects it
+const sessionUpdates = new EventEmitter();
+sessionUpdates.setMaxListeners(0);
+
+/**
+ * Signal that a pairing session changed (completed, rejected or deleted)
+ */
+export function notifyPairingSessionUpdate(sessionId: string): void {
+  sessionUpdates.emit(sessionId);
+}
+
+/**
+ * Wait until a pairing session changes or the timeout passes
+ * @returns true if the session changed, false on timeout
+ */
+export function waitForPairingSessionUpdate(sessionId: string, timeoutMs: number = APPROVAL_POLL_TIMEOUT_MS): Promise<boolean> {
+  return new Promise((resolve) => {
+    const onUpdate = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+    const timer = setTimeout(() => {
+      sessionUpdates.off(sessionId, onUpdate);
+      resolve(false);
+    }, timeoutMs);
+
+    sessionUpdates.once(sessionId, onUpdate);
+  });
+}
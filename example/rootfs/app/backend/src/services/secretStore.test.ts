@@ -0,0 +1,114 @@
+/**
+ * Secret Store Service Test Suite
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import Database from 'better-sqlite3';
+import {
+  loadHAConfig,
+  saveHAConfig,
+  encryptStoredSecrets,
+  rekeyStoredSecrets,
+  getStoredSecretsKeyId,
+  trackStoredSecretsKey
+} from './secretStore';
+import { deriveMasterKey, decryptSecret, encryptSecret, getMasterKeyId, isEncryptedSecret, setStoredKeyIdSource } from '../utils/secrets';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+
+process.env.SECRETS_KEY = 'secret-store-test-key';
+
+describe('Secret Store', () => {
+  let db: Database.Database;
+  let dbPath: string;
+  const key = deriveMasterKey('secret-store-test-key');
+  const newKey = deriveMasterKey('secret-store-new-key');
+
+  beforeEach(() => {
+    dbPath = join(tmpdir(), `test-secrets-${Date.now()}.db`);
+    db = new Database(dbPath);
+
+    db.exec(`
+      CREATE TABLE configuration (key TEXT PRIMARY KEY, value TEXT);
+      CREATE TABLE clients (id TEXT PRIMARY KEY, ha_token TEXT);
+      CREATE TABLE users (id TEXT PRIMARY KEY, totp_secret TEXT);
+    `);
+
+    db.prepare('INSERT INTO configuration (key, value) VALUES (?, ?)')
+      .run('ha_config', JSON.stringify({ url: 'http://ha.local:8123', token: 'plain-ha-token' }));
+    db.prepare('INSERT INTO clients (id, ha_token) VALUES (?, ?), (?, ?)')
+      .run('client_1', 'plain-client-token', 'client_2', null);
+    db.prepare('INSERT INTO users (id, totp_secret) VALUES (?, ?)').run('user_1', 'JBSWY3DPEHPK3PXP');
+  });
+
+  afterEach(() => {
+    setStoredKeyIdSource(null);
+    db.close();
+    try {
+      unlinkSync(dbPath);
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  const storedClientToken = () => (db.prepare('SELECT ha_token FROM clients WHERE id = ?').get('client_1') as any).ha_token;
+  const storedConfig = () => JSON.parse((db.prepare('SELECT value FROM configuration WHERE key = ?').get('ha_config') as any).value);
+
+  it('should encrypt plaintext secrets once', () => {
+    expect(encryptStoredSecrets(db, key)).toBe(3);
+    expect(encryptStoredSecrets(db, key)).toBe(0);
+
+    expect(isEncryptedSecret(storedClientToken())).toBe(true);
+    expect(decryptSecret(storedClientToken(), key)).toBe('plain-client-token');
+    expect(storedConfig().url).toBe('http://ha.local:8123');
+    expect(decryptSecret(storedConfig().token, key)).toBe('plain-ha-token');
+  });
+
+  it('should save and load the HA config with an encrypted token', () => {
+    saveHAConfig(db, { url: 'http://homeassistant:8123', token: 'new-ha-token' });
+
+    expect(isEncryptedSecret(storedConfig().token)).toBe(true);
+    expect(loadHAConfig(db)).toEqual({ url: 'http://homeassistant:8123', token: 'new-ha-token' });
+  });
+
+  it('should re-key every stored secret', () => {
+    encryptStoredSecrets(db, key);
+
+    expect(rekeyStoredSecrets(db, key, newKey)).toBe(3);
+    expect(decryptSecret(storedClientToken(), newKey)).toBe('plain-client-token');
+    expect(decryptSecret(storedConfig().token, newKey)).toBe('plain-ha-token');
+    expect(() => decryptSecret(storedClientToken(), key)).toThrow();
+  });
+
+  it('should record the new key id and stop a server on the old key from writing secrets', () => {
+    trackStoredSecretsKey(db);
+    saveHAConfig(db, { url: 'http://homeassistant:8123', token: 'ha-token' });
+    expect(getStoredSecretsKeyId(db)).toBeNull();
+
+    // The re-key command runs while the server still has the old secrets_key option
+    rekeyStoredSecrets(db, key, newKey);
+
+    expect(getStoredSecretsKeyId(db)).toBe(getMasterKeyId(newKey));
+    expect(() => saveHAConfig(db, { url: 'http://homeassistant:8123', token: 'written-during-rekey' })).toThrow(/re-keyed/);
+    expect(decryptSecret(storedConfig().token, newKey)).toBe('ha-token');
+  });
+
+  it('should also re-key secrets still wrapped with the previous key', () => {
+    encryptStoredSecrets(db, key);
+    const previousKey = deriveMasterKey('secret-store-previous-key');
+    db.prepare('UPDATE users SET totp_secret = ? WHERE id = ?').run(encryptSecret('JBSWY3DPEHPK3PXP', previousKey), 'user_1');
+
+    expect(rekeyStoredSecrets(db, [key, previousKey], newKey)).toBe(3);
+    const totpSecret = (db.prepare('SELECT totp_secret FROM users WHERE id = ?').get('user_1') as any).totp_secret;
+    expect(decryptSecret(totpSecret, newKey)).toBe('JBSWY3DPEHPK3PXP');
+  });
+
+  it('should leave all secrets untouched if re-keying fails', () => {
+    encryptStoredSecrets(db, key);
+    const before = storedClientToken();
+
+    expect(() => rekeyStoredSecrets(db, deriveMasterKey('wrong-key'), newKey)).toThrow();
+    expect(storedClientToken()).toBe(before);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Secret Store Service
+ * Reads and writes every secret kept in the database through the envelope encryption
+ * in utils/secrets, and migrates or re-keys all of them at once
+ */
+
+import type { Database } from 'better-sqlite3';
+import {
+  encryptSecret,
+  decryptSecret,
+  isEncryptedSecret,
+  rewrapSecret,
+  getMasterKeyId,
+  setStoredKeyIdSource
+} from '../utils/secrets';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('SecretStore');
+
+const HA_CONFIG_KEY = 'ha_config';
+// Id of the master key the stored secrets were last re-keyed to
+const KEY_ID_CONFIG_KEY = 'secrets_key_id';
+// Fields of the ha_config row that hold tokens
+const HA_CONFIG_SECRET_FIELDS = ['token', 'provisioningToken'] as const;
+
+// Columns holding one secret per row
+const SECRET_COLUMNS = [
+  { table: 'clients', column: 'ha_token' },
+  { table: 'users', column: 'totp_secret' },
+  { table: 'webhook_subscriptions', column: 'secret' }
+] as const;
+
+export interface HAConfig {
+  url?: string;
+  token?: string;
+  // Token of a dedicated HA user that owns the per-client tokens
+  provisioningToken?: string;
+  // Mint an HA token for every newly paired client
+  autoProvisionClientTokens?: boolean;
+}
+
+/**
+ * Load the Home Assistant connection config with its tokens decrypted
+ * @returns null if no config was saved
+ */
+export function loadHAConfig(db: Database): HAConfig | null {
+  const row = db.prepare('SELECT value FROM configuration WHERE key = ?').get(HA_CONFIG_KEY) as { value: string } | undefined;
+  if (!row?.value) {
+    return null;
+  }
+
+  const config = JSON.parse(row.value) as HAConfig;
+  for (const field of HA_CONFIG_SECRET_FIELDS) {
+    if (config[field]) {
+      config[field] = decryptSecret(config[field]);
+    }
+  }
+  return config;
+}
+
+/**
+ * Save the Home Assistant connection config with its tokens encrypted
+ */
+export function saveHAConfig(db: Database, config: HAConfig): void {
+  const stored: HAConfig = { ...config };
+  for (const field of HA_CONFIG_SECRET_FIELDS) {
+    stored[field] = config[field] ? encryptSecret(config[field]) : undefined;
+  }
+  const value = JSON.stringify(stored);
+
+  db.prepare('INSERT OR REPLACE INTO configuration (key, value) VALUES (?, ?)').run(HA_CONFIG_KEY, value);
+}
+
+/**
+ * Apply a transformation to every stored secret in one transaction
+ * Tables that do not exist yet are skipped.
+ * @returns Number of secrets that changed
+ */
+function transformStoredSecrets(db: Database, transform: (value: string) => string): number {
+  return db.transaction(() => {
+    let changed = 0;
+
+    for (const { table, column } of SECRET_COLUMNS) {
+      let rows: { rowid: number; value: string }[];
+      try {
+        rows = db.prepare(`SELECT rowid, ${column} AS value FROM ${table} WHERE ${column} IS NOT NULL`).all() as any[];
+      } catch (error: any) {
+        if (error.message?.includes('no such')) continue;
+        throw error;
+      }
+
+      const update = db.prepare(`UPDATE ${table} SET ${column} = ? WHERE rowid = ?`);
+      for (const row of rows) {
+        const value = transform(row.value);
+        if (value !== row.value) {
+          update.run(value, row.rowid);
+          changed++;
+        }
+      }
+    }
+
+    const haConfig = db.prepare('SELECT value FROM configuration WHERE key = ?').get(HA_CONFIG_KEY) as { value: string } | undefined;
+    if (haConfig?.value) {
+      const config = JSON.parse(haConfig.value) as HAConfig;
+      let configChanged = 0;
+      for (const field of HA_CONFIG_SECRET_FIELDS) {
+        if (!config[field]) continue;
+        const value = transform(config[field]);
+        if (value !== config[field]) {
+          config[field] = value;
+          configChanged++;
+        }
+      }
+      if (configChanged > 0) {
+        db.prepare('UPDATE configuration SET value = ? WHERE key = ?').run(JSON.stringify(config), HA_CONFIG_KEY);
+        changed += configChanged;
+      }
+    }
+
+    return changed;
+  })();
+}
+
+/**
+ * Encrypt secrets that are still stored in plaintext
+ * @returns Number of secrets encrypted
+ */
+export function encryptStoredSecrets(db: Database, key?: Buffer): number {
+  return transformStoredSecrets(db, (value) => (isEncryptedSecret(value) ? value : encryptSecret(value, key)));
+}
+
+/**
+ * Id of the master key the stored secrets were last re-keyed to
+ * @returns null if the database was never re-keyed
+ */
+export function getStoredSecretsKeyId(db: Database): string | null {
+  const row = db.prepare('SELECT value FROM configuration WHERE key = ?').get(KEY_ID_CONFIG_KEY) as { value: string } | undefined;
+  return row?.value ?? null;
+}
+
+/**
+ * Encrypt new secrets with the master key this database was last re-keyed to,
+ * also when the re-key command runs while the server is up
+ */
+export function trackStoredSecretsKey(db: Database): void {
+  setStoredKeyIdSource(() => getStoredSecretsKeyId(db));
+}
+
+/**
+ * Re-wrap every stored secret with a new master key and record the new key's id
+ * Runs in a single write transaction - if any secret cannot be unwrapped with the old key nothing changes,
+ * and the server cannot write a secret between reading the rows and recording the new key.
+ * @param oldKey - Master key(s) the secrets may currently be wrapped with
+ * @returns Number of secrets re-keyed
+ */
+export function rekeyStoredSecrets(db: Database, oldKey: Buffer | Buffer[], newKey: Buffer): number {
+  const changed = db.transaction(() => {
+    const count = transformStoredSecrets(db, (value) => rewrapSecret(value, oldKey, newKey));
+    db.prepare('INSERT OR REPLACE INTO configuration (key, value) VALUES (?, ?)').run(KEY_ID_CONFIG_KEY, getMasterKeyId(newKey));
+    return count;
+  }).immediate();
+
+  logger.info(`Re-keyed ${changed} stored secrets`);
+  return changed;
+}
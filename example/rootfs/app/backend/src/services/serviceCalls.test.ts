@@ -0,0 +1,129 @@
+/**
+ * Client Service Calls Test Suite
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import Database from 'better-sqlite3';
+import type { HomeAssistantService } from './homeassistant';
+import { callServiceForClient, isServiceAllowed } from './serviceCalls';
+import { ForbiddenError, ServiceUnavailableError, ValidationError } from '../errors/AppError';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+
+describe('Client Service Calls', () => {
+  let db: Database.Database;
+  let dbPath: string;
+  let calls: any[][];
+  let ha: HomeAssistantService;
+
+  const lastLog = () => {
+    const row = db.prepare('SELECT * FROM activity_log ORDER BY id DESC LIMIT 1').get() as any;
+    return { ...row, details: JSON.parse(row.details) };
+  };
+
+  beforeEach(() => {
+    dbPath = join(tmpdir(), `test-service-calls-${Date.now()}.db`);
+    db = new Database(dbPath);
+
+    db.exec(`
+      CREATE TABLE areas (id TEXT PRIMARY KEY, entity_ids TEXT, is_enabled INTEGER DEFAULT 1);
+      CREATE TABLE clients (id TEXT PRIMARY KEY, assigned_areas TEXT, is_active INTEGER DEFAULT 1);
+      CREATE TABLE client_tokens (id TEXT PRIMARY KEY, client_id TEXT, assigned_areas TEXT, is_revoked INTEGER DEFAULT 0);
+      CREATE TABLE activity_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_id TEXT,
+        action TEXT NOT NULL,
+        details TEXT,
+        ip_address TEXT
+      );
+    `);
+    db.prepare('INSERT INTO areas (id, entity_ids, is_enabled) VALUES (?, ?, 1), (?, ?, 0)')
+      .run('area_kitchen', '["light.kitchen","lock.back_door"]', 'area_garage', '["light.garage"]');
+    db.prepare('INSERT INTO clients (id, assigned_areas) VALUES (?, ?)').run('client_1', '["area_kitchen","area_garage"]');
+
+    calls = [];
+    ha = {
+      callService: async (...args: any[]) => {
+        calls.push(args);
+        return { context: { id: 'ctx_1' } };
+      }
+    } as unknown as HomeAssistantService;
+  });
+
+  afterEach(() => {
+    db.close();
+    try {
+      unlinkSync(dbPath);
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should forward allowed calls and log them', async () => {
+    const result = await callServiceForClient(db, ha, { clientId: 'client_1', ipAddress: '10.0.0.5' }, {
+      domain: 'light',
+      service: 'turn_on',
+      entityIds: ['light.kitchen'],
+      data: { brightness: 128 }
+    });
+
+    expect(result).toEqual({ context: { id: 'ctx_1' } });
+    expect(calls).toEqual([['light', 'turn_on', { brightness: 128 }, { entity_id: ['light.kitchen'] }]]);
+
+    const log = lastLog();
+    expect(log.action).toBe('service_call');
+    expect(log.ip_address).toBe('10.0.0.5');
+    expect(log.details).toMatchObject({ service: 'light.turn_on', entityIds: ['light.kitchen'], outcome: 'ok' });
+  });
+
+  it('should reject entities outside the assigned, enabled areas', async () => {
+    await expect(callServiceForClient(db, ha, { clientId: 'client_1' }, {
+      domain: 'light', service: 'turn_on', entityIds: ['light.garage']
+    })).rejects.toThrow(ForbiddenError);
+
+    expect(calls).toHaveLength(0);
+    expect(lastLog().details.outcome).toBe('denied');
+  });
+
+  it('should reject services that are not allow-listed', async () => {
+    await expect(callServiceForClient(db, ha, { clientId: 'client_1' }, {
+      domain: 'lock', service: 'open', entityIds: ['lock.back_door']
+    })).rejects.toThrow(ForbiddenError);
+    expect(calls).toHaveLength(0);
+  });
+
+  it('should reject entities of another domain and extra targets in the data', async () => {
+    await expect(callServiceForClient(db, ha, { clientId: 'client_1' }, {
+      domain: 'light', service: 'turn_on', entityIds: ['lock.back_door']
+    })).rejects.toThrow(ValidationError);
+
+    await expect(callServiceForClient(db, ha, { clientId: 'client_1' }, {
+      domain: 'light', service: 'turn_on', entityIds: ['light.kitchen'], data: { area_id: 'garage' }
+    })).rejects.toThrow(ValidationError);
+
+    expect(calls).toHaveLength(0);
+  });
+
+  it('should use the areas of a named token', async () => {
+    db.prepare('INSERT INTO client_tokens (id, client_id, assigned_areas) VALUES (?, ?, ?)').run('token_1', 'client_1', '[]');
+
+    await expect(callServiceForClient(db, ha, { clientId: 'client_1', tokenId: 'token_1' }, {
+      domain: 'light', service: 'turn_on', entityIds: ['light.kitchen']
+    })).rejects.toThrow(ForbiddenError);
+  });
+
+  it('should log failed calls when Home Assistant is not connected', async () => {
+    await expect(callServiceForClient(db, null, { clientId: 'client_1' }, {
+      domain: 'light', service: 'turn_off', entityIds: ['light.kitchen']
+    })).rejects.toThrow(ServiceUnavailableError);
+
+    expect(lastLog().details.outcome).toBe('failed');
+  });
+
+  it('should look up the allow-list by domain', () => {
+    expect(isServiceAllowed('light', 'toggle')).toBe(true);
+    expect(isServiceAllowed('light', 'open_cover')).toBe(false);
+    expect(isServiceAllowed('alarm_control_panel', 'alarm_disarm')).toBe(false);
+  });
+});
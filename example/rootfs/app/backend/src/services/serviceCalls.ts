@@ -0,0 +1,154 @@
+/**
+ * Client Service Calls
+ * Lets paired clients control Home Assistant through the backend without an HA token of their own.
+ * A call is only forwarded if every target entity is in the client's enabled areas and the service
+ * is allowed for the entity's domain. Every call - forwarded, denied or failed - is written to activity_log.
+ */
+
+import type { Database } from 'better-sqlite3';
+import type { HomeAssistantService } from './homeassistant';
+import { getClientEntityIds } from './clientAreas';
+import { ForbiddenError, ServiceUnavailableError, ValidationError } from '../errors/AppError';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('ServiceCalls');
+
+// Services clients may call per entity domain - the service domain must match the entity's domain
+export const SERVICE_ALLOWLIST: Readonly<Record<string, readonly string[]>> = {
+  light: ['turn_on', 'turn_off', 'toggle'],
+  switch: ['turn_on', 'turn_off', 'toggle'],
+  fan: ['turn_on', 'turn_off', 'toggle', 'set_percentage', 'oscillate', 'set_direction', 'set_preset_mode'],
+  cover: ['open_cover', 'close_cover', 'stop_cover', 'toggle', 'set_cover_position', 'set_cover_tilt_position'],
+  climate: ['turn_on', 'turn_off', 'set_temperature', 'set_hvac_mode', 'set_fan_mode', 'set_preset_mode', 'set_humidity'],
+  humidifier: ['turn_on', 'turn_off', 'toggle', 'set_humidity', 'set_mode'],
+  water_heater: ['turn_on', 'turn_off', 'set_temperature', 'set_operation_mode'],
+  media_player: [
+    'turn_on', 'turn_off', 'toggle', 'media_play', 'media_pause', 'media_play_pause', 'media_stop',
+    'media_next_track', 'media_previous_track', 'volume_set', 'volume_up', 'volume_down', 'volume_mute', 'select_source'
+  ],
+  vacuum: ['start', 'pause', 'stop', 'return_to_base', 'locate'],
+  lock: ['lock', 'unlock'],
+  scene: ['turn_on'],
+  script: ['turn_on', 'turn_off', 'toggle'],
+  button: ['press'],
+  input_boolean: ['turn_on', 'turn_off', 'toggle'],
+  input_button: ['press'],
+  input_number: ['set_value', 'increment', 'decrement'],
+  input_select: ['select_option', 'select_next', 'select_previous'],
+  number: ['set_value'],
+  select: ['select_option'],
+  siren: ['turn_on', 'turn_off', 'toggle']
+};
+
+// Service data keys that would widen the target beyond the checked entities
+const TARGET_KEYS = ['entity_id', 'device_id', 'area_id', 'floor_id', 'label_id'];
+
+export interface ServiceCallRequest {
+  domain: string;
+  service: string;
+  entityIds: string[];
+  data?: Record<string, unknown>;
+}
+
+export interface ServiceCallCaller {
+  clientId: string;
+  // Named token the client authenticated with - its areas apply instead of the client's
+  tokenId?: string | null;
+  ipAddress?: string;
+}
+
+export function isServiceAllowed(domain: string, service: string): boolean {
+  return SERVICE_ALLOWLIST[domain]?.includes(service) ?? false;
+}
+
+/**
+ * Check a service call against the allow-list and the client's areas
+ * @throws ValidationError for malformed calls, ForbiddenError for entities or services the client may not use
+ */
+export function authorizeServiceCall(db: Database, caller: ServiceCallCaller, request: ServiceCallRequest): void {
+  const targetKey = TARGET_KEYS.find(key => request.data && key in request.data);
+  if (targetKey) {
+    throw new ValidationError(`Service data must not contain ${targetKey} - use entityIds`);
+  }
+
+  if (!isServiceAllowed(request.domain, request.service)) {
+    throw new ForbiddenError(`${request.domain}.${request.service} is not available to clients`);
+  }
+
+  const allowed = getClientEntityIds(db, caller.clientId, caller.tokenId);
+  for (const entityId of request.entityIds) {
+    if (entityId.split('.')[0] !== request.domain) {
+      throw new ValidationError(`${entityId} cannot be controlled with ${request.domain}.${request.service}`);
+    }
+    if (!allowed.has(entityId)) {
+      throw new ForbiddenError(`${entityId} is not in an area assigned to this device`);
+    }
+  }
+}
+
+/**
+ * Forward an authorized service call to Home Assistant on behalf of a client
+ * @returns The HA result (the call's context)
+ */
+export async function callServiceForClient(
+  db: Database,
+  ha: HomeAssistantService | null,
+  caller: ServiceCallCaller,
+  request: ServiceCallRequest
+): Promise<any> {
+  let outcome: 'ok' | 'denied' | 'failed' = 'denied';
+  let error: string | undefined;
+
+  try {
+    authorizeServiceCall(db, caller, request);
+
+    outcome = 'failed';
+    if (!ha) {
+      throw new ServiceUnavailableError('Home Assistant', 'not configured');
+    }
+    const result = await ha.callService(request.domain, request.service, request.data, { entity_id: request.entityIds });
+
+    outcome = 'ok';
+    return result;
+  } catch (caught: any) {
+    error = caught.message;
+    throw caught;
+  } finally {
+    logServiceCall(db, caller, request, outcome, error);
+  }
+}
+
+function logServiceCall(
+  db: Database,
+  caller: ServiceCallCaller,
+  request: ServiceCallRequest,
+  outcome: 'ok' | 'denied' | 'failed',
+  error?: string
+): void {
+  const service = `${request.domain}.${request.service}`;
+  if (outcome === 'ok') {
+    logger.info(`Client ${caller.clientId} called ${service} on ${request.entityIds.join(', ')}`);
+  } else {
+    logger.warn(`Client ${caller.clientId} service call ${service} ${outcome}: ${error}`);
+  }
+
+  try {
+    db.prepare(`
+      INSERT INTO activity_log (client_id, action, details, ip_address)
+      VALUES (?, ?, ?, ?)
+    `).run(
+      caller.clientId,
+      'service_call',
+      JSON.stringify({
+        service,
+        entityIds: request.entityIds,
+        tokenId: caller.tokenId || undefined,
+        outcome,
+        error
+      }),
+      caller.ipAddress || null
+    );
+  } catch (logError: any) {
+    logger.error(`Failed to log service call: ${logError.message}`);
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * State Fan-out Service Test Suite
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import Database from 'better-sqlite3';
+import type { Socket } from 'socket.io';
+import { StateFanout } from './stateFanout';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+
+const createSocket = (id: string) => {
+  const emitted: any[] = [];
+  const socket = { id, emit: (_event: string, data: any) => emitted.push(data) };
+  return { socket: socket as unknown as Socket, emitted };
+};
+
+const change = (entityId: string, state: string, attributes: Record<string, any> = {}, oldAttributes = attributes) => ({
+  entity_id: entityId,
+  old_state: { entity_id: entityId, state: 'old', attributes: oldAttributes, last_changed: '', last_updated: '', context: { id: '' } },
+  new_state: { entity_id: entityId, state, attributes, last_changed: 't', last_updated: 't', context: { id: '' } }
+});
+
+const tick = (ms = 30) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('State Fan-out', () => {
+  let db: Database.Database;
+  let dbPath: string;
+  let fanout: StateFanout;
+
+  beforeEach(() => {
+    dbPath = join(tmpdir(), `test-state-fanout-${Date.now()}.db`);
+    db = new Database(dbPath);
+
+    db.exec(`
+      CREATE TABLE areas (id TEXT PRIMARY KEY, entity_ids TEXT, is_enabled INTEGER DEFAULT 1);
+      CREATE TABLE clients (id TEXT PRIMARY KEY, assigned_areas TEXT, is_active INTEGER DEFAULT 1);
+      CREATE TABLE client_tokens (id TEXT PRIMARY KEY, client_id TEXT, assigned_areas TEXT, is_revoked INTEGER DEFAULT 0);
+    `);
+    db.prepare('INSERT INTO areas (id, entity_ids) VALUES (?, ?), (?, ?)')
+      .run('area_kitchen', '["light.kitchen","sensor.power"]', 'area_hall', '["light.hall"]');
+    db.prepare('INSERT INTO clients (id, assigned_areas) VALUES (?, ?)').run('client_1', '["area_kitchen"]');
+    db.prepare('INSERT INTO client_tokens (id, client_id, assigned_areas) VALUES (?, ?, ?)').run('token_hall', 'client_1', '["area_hall"]');
+
+    fanout = new StateFanout(db, { interval: 50 });
+  });
+
+  afterEach(() => {
+    db.close();
+    try {
+      unlinkSync(dbPath);
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should only send entities of the assigned areas', async () => {
+    const { socket, emitted } = createSocket('s1');
+    fanout.addSocket(socket, 'client_1');
+
+    fanout.handleStateChange(change('light.kitchen', 'on'));
+    fanout.handleStateChange(change('light.hall', 'on'));
+    await tick();
+
+    expect(emitted).toEqual([{ updates: [{ entityId: 'light.kitchen', state: 'on', lastChanged: 't', lastUpdated: 't' }] }]);
+    fanout.removeSocket(socket);
+  });
+
+  it('should use the areas of a named token', async () => {
+    const { socket, emitted } = createSocket('s2');
+    fanout.addSocket(socket, 'client_1', 'token_hall');
+
+    fanout.handleStateChange(change('light.kitchen', 'on'));
+    fanout.handleStateChange(change('light.hall', 'on'));
+    await tick();
+
+    expect(emitted[0].updates.map((update: any) => update.entityId)).toEqual(['light.hall']);
+    fanout.removeSocket(socket);
+  });
+
+  it('should coalesce updates within the interval', async () => {
+    const { socket, emitted } = createSocket('s3');
+    fanout.addSocket(socket, 'client_1');
+
+    fanout.handleStateChange(change('sensor.power', '100', { unit: 'W' }, {}));
+    await tick();
+    fanout.handleStateChange(change('sensor.power', '101', { unit: 'W' }, {}));
+    fanout.handleStateChange(change('sensor.power', '102', { unit: 'W' }));
+    await tick(100);
+
+    expect(emitted).toHaveLength(2);
+    // Attributes changed in one of the coalesced updates, so they are included
+    expect(emitted[1].updates).toEqual([
+      { entityId: 'sensor.power', state: '102', attributes: { unit: 'W' }, lastChanged: 't', lastUpdated: 't' }
+    ]);
+    fanout.removeSocket(socket);
+  });
+
+  it('should pick up area changes on refresh', async () => {
+    const { socket, emitted } = createSocket('s4');
+    fanout.addSocket(socket, 'client_1');
+
+    db.prepare('UPDATE areas SET is_enabled = 0 WHERE id = ?').run('area_kitchen');
+    fanout.refresh();
+    fanout.handleStateChange(change('light.kitchen', 'on'));
+    await tick();
+
+    expect(emitted).toHaveLength(0);
+    fanout.removeSocket(socket);
+  });
+
+  it('should report removed entities', async () => {
+    const { socket, emitted } = createSocket('s5');
+    fanout.addSocket(socket, 'client_1');
+
+    fanout.handleStateChange({ entity_id: 'light.kitchen', old_state: null, new_state: null });
+    await tick();
+
+    expect(emitted[0].updates).toEqual([{ entityId: 'light.kitchen', removed: true }]);
+    fanout.removeSocket(socket);
+  });
+});
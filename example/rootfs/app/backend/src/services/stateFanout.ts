@@ -0,0 +1,165 @@
+/**
+ * State Fan-out Service
+ * Forwards Home Assistant state changes to client sockets, limited to the entities of the
+ * (enabled) areas assigned to each socket's client or token.
+ * Updates are coalesced per socket - within one interval only the latest state of an entity is sent.
+ */
+
+import type { Database } from 'better-sqlite3';
+import type { Socket } from 'socket.io';
+import type { HomeAssistantService } from './homeassistant';
+import type { HAEntity } from '../types';
+import { EVENT_TYPES } from './websocket-events';
+import { getEnabledAreaEntities, getClientEntityIds } from './clientAreas';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('StateFanout');
+
+const DEFAULT_INTERVAL = 250;
+
+export interface EntityStateUpdate {
+  entityId: string;
+  state?: string;
+  // Only included when the attributes changed
+  attributes?: Record<string, any>;
+  lastChanged?: string;
+  lastUpdated?: string;
+  removed?: true;
+}
+
+interface PendingUpdate {
+  newState: HAEntity | null;
+  attributesChanged: boolean;
+}
+
+interface SocketScope {
+  socket: Socket;
+  clientId: string;
+  tokenId?: string;
+  entityIds: Set<string>;
+  pending: Map<string, PendingUpdate>;
+  timer: NodeJS.Timeout | null;
+  lastFlush: number;
+}
+
+export class StateFanout {
+  private scopes = new Map<string, SocketScope>();
+  // Area id → entity ids of enabled areas
+  private areaEntities = new Map<string, string[]>();
+  private readonly interval: number;
+
+  constructor(private db: Database, options: { interval?: number } = {}) {
+    this.interval = options.interval ?? DEFAULT_INTERVAL;
+    this.loadAreas();
+  }
+
+  attach(ha: HomeAssistantService): void {
+    ha.on('state_changed', (data) => this.handleStateChange(data));
+  }
+
+  /**
+   * Start forwarding state changes to a client socket
+   * @param tokenId - Named token the socket authenticated with (its areas apply instead of the client's)
+   */
+  addSocket(socket: Socket, clientId: string, tokenId?: string): void {
+    const scope: SocketScope = {
+      socket,
+      clientId,
+      tokenId,
+      entityIds: new Set(),
+      pending: new Map(),
+      timer: null,
+      lastFlush: 0
+    };
+    scope.entityIds = this.resolveEntityIds(scope);
+    this.scopes.set(socket.id, scope);
+  }
+
+  removeSocket(socket: Socket): void {
+    const scope = this.scopes.get(socket.id);
+    if (scope?.timer) {
+      clearTimeout(scope.timer);
+    }
+    this.scopes.delete(socket.id);
+  }
+
+  /**
+   * Reload areas and assignments - call after areas, client areas or token areas changed
+   */
+  refresh(): void {
+    this.loadAreas();
+    for (const scope of this.scopes.values()) {
+      scope.entityIds = this.resolveEntityIds(scope);
+      for (const entityId of scope.pending.keys()) {
+        if (!scope.entityIds.has(entityId)) {
+          scope.pending.delete(entityId);
+        }
+      }
+    }
+  }
+
+  handleStateChange(data: { entity_id: string; new_state: HAEntity | null; old_state?: HAEntity | null }): void {
+    const attributesChanged = !data.new_state || !data.old_state ||
+      JSON.stringify(data.new_state.attributes) !== JSON.stringify(data.old_state.attributes);
+
+    for (const scope of this.scopes.values()) {
+      if (!scope.entityIds.has(data.entity_id)) continue;
+
+      const previous = scope.pending.get(data.entity_id);
+      scope.pending.set(data.entity_id, {
+        newState: data.new_state,
+        attributesChanged: attributesChanged || !!previous?.attributesChanged
+      });
+      this.scheduleFlush(scope);
+    }
+  }
+
+  private scheduleFlush(scope: SocketScope): void {
+    if (scope.timer) return;
+
+    const delay = Math.max(0, scope.lastFlush + this.interval - Date.now());
+    scope.timer = setTimeout(() => this.flush(scope), delay);
+  }
+
+  private flush(scope: SocketScope): void {
+    scope.timer = null;
+    scope.lastFlush = Date.now();
+    if (scope.pending.size === 0 || !this.scopes.has(scope.socket.id)) return;
+
+    const updates: EntityStateUpdate[] = [];
+    for (const [entityId, { newState, attributesChanged }] of scope.pending) {
+      if (!newState) {
+        updates.push({ entityId, removed: true });
+        continue;
+      }
+      updates.push({
+        entityId,
+        state: newState.state,
+        ...(attributesChanged ? { attributes: newState.attributes } : {}),
+        lastChanged: newState.last_changed,
+        lastUpdated: newState.last_updated
+      });
+    }
+    scope.pending.clear();
+
+    scope.socket.emit(EVENT_TYPES.STATE_CHANGED, { updates });
+  }
+
+  private loadAreas(): void {
+    try {
+      this.areaEntities = getEnabledAreaEntities(this.db);
+    } catch (error: any) {
+      logger.warn(`Could not load areas: ${error.message}`);
+      this.areaEntities = new Map();
+    }
+  }
+
+  private resolveEntityIds(scope: SocketScope): Set<string> {
+    try {
+      return getClientEntityIds(this.db, scope.clientId, scope.tokenId, this.areaEntities);
+    } catch (error: any) {
+      logger.warn(`Could not load areas of client ${scope.clientId}: ${error.message}`);
+      return new Set();
+    }
+  }
+}
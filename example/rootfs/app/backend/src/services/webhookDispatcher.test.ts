@@ -0,0 +1,155 @@
+/**
+ * Webhook Dispatcher Test Suite
+ * Deliveries go to a local HTTP server that answers with a configurable status
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import Database from 'better-sqlite3';
+import { createServer, Server, IncomingHttpHeaders } from 'http';
+import { WebhookDispatcher, signWebhookPayload, SIGNATURE_HEADER, TIMESTAMP_HEADER } from './webhookDispatcher';
+import {
+  createWebhookSubscription,
+  updateWebhookSubscription,
+  listWebhookDeliveries,
+  listWebhookDeadLetters
+} from './webhookSubscriptions';
+import { migrateWebhookSubscriptionsTables } from '../database/migrate-webhook-subscriptions';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+
+process.env.SECRETS_KEY = 'webhook-dispatcher-test-key';
+
+describe('WebhookDispatcher', () => {
+  let db: Database.Database;
+  let dbPath: string;
+  let server: Server;
+  let url: string;
+  let statuses: number[];
+  let received: Array<{ headers: IncomingHttpHeaders; body: string }>;
+
+  // No waiting between attempts - each processDue() call is one more attempt
+  const createDispatcher = () => new WebhookDispatcher(db, { retryDelays: [0, 0] });
+  const subscribe = () => createWebhookSubscription(db, { name: 'Ticketing', url, events: ['token_revoked'] }, 'admin');
+
+  // publish() and redeliver() attempt in the background - retries the assertion until it passes
+  const eventually = async (assertion: () => void, timeoutMs = 5000) => {
+    const started = Date.now();
+    for (;;) {
+      try {
+        return assertion();
+      } catch (error) {
+        if (Date.now() - started > timeoutMs) throw error;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    }
+  };
+
+  beforeEach(async () => {
+    dbPath = join(tmpdir(), `test-webhook-dispatcher-${Date.now()}.db`);
+    db = new Database(dbPath);
+    migrateWebhookSubscriptionsTables(db);
+
+    statuses = [];
+    received = [];
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = statuses.shift() ?? 200;
+        res.end();
+      });
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${(server.address() as { port: number }).port}/hooks`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    db.close();
+    try {
+      unlinkSync(dbPath);
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should POST signed events to subscribers', async () => {
+    const { subscription, secret } = subscribe();
+    const dispatcher = createDispatcher();
+
+    const [deliveryId] = dispatcher.publish('token_revoked', { clientId: 'client_1', tokenId: null });
+    dispatcher.publish('area_updated', { areaId: 'area_1' });
+
+    await eventually(() => expect(listWebhookDeliveries(db, subscription.id)[0].status).toBe('delivered'));
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    expect(JSON.parse(body)).toMatchObject({ event: 'token_revoked', data: { clientId: 'client_1' } });
+    expect(headers['x-hasync-delivery']).toBe(deliveryId);
+    expect(headers[SIGNATURE_HEADER.toLowerCase()])
+      .toBe(signWebhookPayload(secret, Number(headers[TIMESTAMP_HEADER.toLowerCase()]), body));
+
+    expect(listWebhookDeliveries(db, subscription.id)).toEqual([
+      expect.objectContaining({ id: deliveryId, status: 'delivered', attempts: 1, lastStatusCode: 200 })
+    ]);
+  });
+
+  it('should retry failed deliveries and move them to dead letters', async () => {
+    const { subscription } = subscribe();
+    const dispatcher = createDispatcher();
+    statuses = [500, 503, 500];
+
+    dispatcher.publish('token_revoked', { clientId: 'client_1' });
+    await eventually(() => expect(listWebhookDeliveries(db, subscription.id)[0]).toMatchObject({ status: 'pending', attempts: 1 }));
+
+    await dispatcher.processDue();
+    await dispatcher.processDue();
+
+    expect(received).toHaveLength(3);
+    expect(listWebhookDeliveries(db, subscription.id)[0]).toMatchObject({ status: 'failed', attempts: 3, lastStatusCode: 500 });
+    expect(listWebhookDeadLetters(db, subscription.id)).toEqual([
+      expect.objectContaining({ eventType: 'token_revoked', attempts: 3, lastError: 'HTTP 500', redeliveredAt: null })
+    ]);
+  });
+
+  it('should redeliver dead letters with the original event', async () => {
+    const { subscription } = subscribe();
+    const dispatcher = new WebhookDispatcher(db, { retryDelays: [] });
+    statuses = [500];
+
+    dispatcher.publish('token_revoked', { clientId: 'client_1' });
+    await eventually(() => expect(listWebhookDeadLetters(db)).toHaveLength(1));
+    const [deadLetter] = listWebhookDeadLetters(db);
+
+    const deliveryId = dispatcher.redeliver(deadLetter.id);
+
+    await eventually(() => expect(received).toHaveLength(2));
+    expect(received[1].body).toBe(received[0].body);
+    await eventually(() =>
+      expect(listWebhookDeliveries(db, subscription.id)[0]).toMatchObject({ id: deliveryId, status: 'delivered' })
+    );
+    expect(listWebhookDeadLetters(db)[0].redeliveredAt).toEqual(expect.any(Number));
+    expect(dispatcher.redeliver('whdl_missing')).toBeNull();
+  });
+
+  it('should hold retries of disabled subscriptions until they are enabled', async () => {
+    const { subscription } = subscribe();
+    const dispatcher = createDispatcher();
+    statuses = [500];
+
+    dispatcher.publish('token_revoked', { clientId: 'client_1' });
+    await eventually(() => expect(listWebhookDeliveries(db, subscription.id)[0].attempts).toBe(1));
+
+    updateWebhookSubscription(db, subscription.id, { isEnabled: false });
+    expect(dispatcher.publish('token_revoked', { clientId: 'client_2' })).toEqual([]);
+    await dispatcher.processDue();
+    expect(received).toHaveLength(1);
+
+    updateWebhookSubscription(db, subscription.id, { isEnabled: true });
+    await dispatcher.processDue();
+
+    expect(received.map(request => JSON.parse(request.body).data.clientId)).toEqual(['client_1', 'client_1']);
+    expect(listWebhookDeliveries(db, subscription.id)[0]).toMatchObject({ status: 'delivered', attempts: 2 });
+  });
+});
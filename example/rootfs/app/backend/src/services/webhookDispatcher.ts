@@ -0,0 +1,275 @@
+/**
+ * Webhook Dispatcher
+ * POSTs HAsync events to the URLs of webhook subscriptions. Every request is signed with
+ * HMAC-SHA256 over "<timestamp>.<body>" using the subscription's secret. Failed attempts are
+ * retried with backoff; deliveries that run out of attempts go to webhook_dead_letters.
+ * Deliveries are stored before the first attempt, so retries survive a restart.
+ */
+
+import type { Database } from 'better-sqlite3';
+import { createHmac, randomBytes } from 'crypto';
+import { getSubscribersOf, getWebhookSubscription, getWebhookSubscriptionSecret } from './webhookSubscriptions';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('WebhookDispatcher');
+
+export const SIGNATURE_HEADER = 'X-HAsync-Signature';
+export const TIMESTAMP_HEADER = 'X-HAsync-Timestamp';
+export const EVENT_HEADER = 'X-HAsync-Event';
+export const DELIVERY_HEADER = 'X-HAsync-Delivery';
+
+// Seconds to wait after the 1st, 2nd, ... failed attempt - 6 attempts over about 2.7 hours
+const DEFAULT_RETRY_DELAYS = [30, 120, 600, 1800, 7200];
+const DEFAULT_POLL_INTERVAL = 10000;
+const DEFAULT_REQUEST_TIMEOUT = 10000;
+// Finished deliveries and dead letters are kept this long (seconds)
+const HISTORY_RETENTION = 30 * 24 * 3600;
+// Characters of an error response body kept in the delivery history
+const MAX_ERROR_LENGTH = 200;
+
+interface DeliveryRow {
+  id: string;
+  subscription_id: string;
+  event_type: string;
+  payload: string;
+  attempts: number;
+  created_at: number;
+}
+
+/**
+ * Signature header value of a request body - receivers recompute it with their copy of the secret
+ * @param timestamp - Unix seconds, sent as X-HAsync-Timestamp (lets receivers reject replays)
+ */
+export function signWebhookPayload(secret: string, timestamp: number, body: string): string {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Client fields of event payloads - never includes tokens
+ */
+export function describeClientForWebhook(db: Database, clientId: string): Record<string, any> {
+  const client = db.prepare('SELECT name, device_type FROM clients WHERE id = ?').get(clientId) as
+    { name: string; device_type: string } | undefined;
+  return { clientId, name: client?.name ?? null, deviceType: client?.device_type ?? null };
+}
+
+export class WebhookDispatcher {
+  private timer: NodeJS.Timeout | null = null;
+  // Deliveries with a request in progress - never attempted twice at once
+  private inFlight = new Set<string>();
+  private lastPrunedAt = 0;
+  private readonly retryDelays: number[];
+  private readonly pollInterval: number;
+  private readonly requestTimeout: number;
+
+  constructor(
+    private db: Database,
+    options: { retryDelays?: number[]; pollInterval?: number; requestTimeout?: number } = {}
+  ) {
+    this.retryDelays = options.retryDelays ?? DEFAULT_RETRY_DELAYS;
+    this.pollInterval = options.pollInterval ?? DEFAULT_POLL_INTERVAL;
+    this.requestTimeout = options.requestTimeout ?? DEFAULT_REQUEST_TIMEOUT;
+  }
+
+  /**
+   * Attempt deliveries as they become due, starting with those left over from before a restart
+   */
+  start(): void {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.processDue(), this.pollInterval);
+    this.timer.unref?.();
+    this.processDue();
+  }
+
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Queue an event for every enabled subscription that receives it and attempt delivery right away
+   * Never throws - the action that caused the event must not fail because of a webhook.
+   * @returns Ids of the queued deliveries
+   */
+  publish(eventType: string, data: Record<string, any>): string[] {
+    try {
+      const subscriptions = getSubscribersOf(this.db, eventType);
+      if (subscriptions.length === 0) {
+        return [];
+      }
+
+      // One event id for all subscriptions and redeliveries, so receivers can drop duplicates
+      const payload = JSON.stringify({
+        id: `evt_${Date.now()}_${randomBytes(4).toString('hex')}`,
+        event: eventType,
+        createdAt: new Date().toISOString(),
+        data
+      });
+      const deliveryIds = subscriptions.map(subscription => this.enqueue(subscription.id, eventType, payload));
+
+      this.processDue();
+      return deliveryIds;
+    } catch (error: any) {
+      logger.error(`Could not queue ${eventType} for webhooks: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Send a dead letter again as a new delivery with a fresh set of attempts
+   * @returns Id of the new delivery, or null if the dead letter or its subscription is gone
+   */
+  redeliver(deadLetterId: string): string | null {
+    const deadLetter = this.db.prepare('SELECT * FROM webhook_dead_letters WHERE id = ?').get(deadLetterId) as
+      { subscription_id: string; event_type: string; payload: string } | undefined;
+    if (!deadLetter || !getWebhookSubscription(this.db, deadLetter.subscription_id)) {
+      return null;
+    }
+
+    const deliveryId = this.enqueue(deadLetter.subscription_id, deadLetter.event_type, deadLetter.payload);
+    this.db.prepare('UPDATE webhook_dead_letters SET redelivered_at = ? WHERE id = ?')
+      .run(Math.floor(Date.now() / 1000), deadLetterId);
+
+    this.processDue();
+    return deliveryId;
+  }
+
+  /**
+   * Attempt every pending delivery that is due, of enabled subscriptions
+   */
+  async processDue(): Promise<void> {
+    const now = Math.floor(Date.now() / 1000);
+    this.prune(now);
+
+    let due: DeliveryRow[];
+    try {
+      due = this.db.prepare(`
+        SELECT d.id, d.subscription_id, d.event_type, d.payload, d.attempts, d.created_at
+        FROM webhook_deliveries d
+        JOIN webhook_subscriptions s ON s.id = d.subscription_id
+        WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND s.is_enabled = 1
+        ORDER BY d.next_attempt_at ASC, d.rowid ASC
+      `).all(now) as DeliveryRow[];
+    } catch (error: any) {
+      logger.error(`Could not load due webhook deliveries: ${error.message}`);
+      return;
+    }
+
+    await Promise.all(due.filter(row => !this.inFlight.has(row.id)).map(row => this.attempt(row)));
+  }
+
+  private enqueue(subscriptionId: string, eventType: string, payload: string): string {
+    const id = `whdel_${Date.now()}_${randomBytes(4).toString('hex')}`;
+    const now = Math.floor(Date.now() / 1000);
+    this.db.prepare(`
+      INSERT INTO webhook_deliveries (id, subscription_id, event_type, payload, status, attempts, next_attempt_at, created_at)
+      VALUES (?, ?, ?, ?, 'pending', 0, ?, ?)
+    `).run(id, subscriptionId, eventType, payload, now, now);
+    return id;
+  }
+
+  private async attempt(row: DeliveryRow): Promise<void> {
+    this.inFlight.add(row.id);
+    try {
+      const subscription = getWebhookSubscription(this.db, row.subscription_id);
+      const secret = getWebhookSubscriptionSecret(this.db, row.subscription_id);
+      if (!subscription || !secret) {
+        return;
+      }
+
+      const timestamp = Math.floor(Date.now() / 1000);
+      let statusCode: number | null = null;
+      let error: string | null = null;
+      try {
+        const response = await fetch(subscription.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'HAsync-Webhooks',
+            [EVENT_HEADER]: row.event_type,
+            [DELIVERY_HEADER]: row.id,
+            [TIMESTAMP_HEADER]: String(timestamp),
+            [SIGNATURE_HEADER]: signWebhookPayload(secret, timestamp, row.payload)
+          },
+          body: row.payload,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(this.requestTimeout)
+        });
+        statusCode = response.status;
+        if (!response.ok) {
+          const text = await response.text().catch(() => '');
+          error = `HTTP ${response.status}${text ? `: ${text.slice(0, MAX_ERROR_LENGTH)}` : ''}`;
+        }
+      } catch (requestError: any) {
+        error = requestError.name === 'TimeoutError'
+          ? `Timed out after ${this.requestTimeout / 1000}s`
+          : requestError.cause?.code || requestError.message;
+      }
+
+      this.recordAttempt(row, statusCode, error);
+    } catch (error: any) {
+      logger.error(`Webhook delivery ${row.id} failed unexpectedly: ${error.message}`);
+    } finally {
+      this.inFlight.delete(row.id);
+    }
+  }
+
+  private recordAttempt(row: DeliveryRow, statusCode: number | null, error: string | null): void {
+    const now = Math.floor(Date.now() / 1000);
+    const attempts = row.attempts + 1;
+
+    if (!error) {
+      this.db.prepare(`
+        UPDATE webhook_deliveries
+        SET status = 'delivered', attempts = ?, next_attempt_at = NULL, last_status_code = ?, last_error = NULL, completed_at = ?
+        WHERE id = ?
+      `).run(attempts, statusCode, now, row.id);
+      logger.info(`Webhook delivery ${row.id} (${row.event_type}) delivered after ${attempts} attempt(s)`);
+      return;
+    }
+
+    if (attempts <= this.retryDelays.length) {
+      const delay = this.retryDelays[attempts - 1];
+      this.db.prepare(`
+        UPDATE webhook_deliveries SET attempts = ?, next_attempt_at = ?, last_status_code = ?, last_error = ? WHERE id = ?
+      `).run(attempts, now + delay, statusCode, error, row.id);
+      logger.warn(`Webhook delivery ${row.id} (${row.event_type}) failed: ${error} - retrying in ${delay}s`);
+      return;
+    }
+
+    this.db.transaction(() => {
+      this.db.prepare(`
+        UPDATE webhook_deliveries
+        SET status = 'failed', attempts = ?, next_attempt_at = NULL, last_status_code = ?, last_error = ?, completed_at = ?
+        WHERE id = ?
+      `).run(attempts, statusCode, error, now, row.id);
+      this.db.prepare(`
+        INSERT INTO webhook_dead_letters (
+          id, delivery_id, subscription_id, event_type, payload, attempts, last_status_code, last_error, failed_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        `whdl_${Date.now()}_${randomBytes(4).toString('hex')}`,
+        row.id, row.subscription_id, row.event_type, row.payload, attempts, statusCode, error, now
+      );
+    })();
+    logger.error(`Webhook delivery ${row.id} (${row.event_type}) failed ${attempts} times, moved to dead letters: ${error}`);
+  }
+
+  // At most once an hour - drop history older than the retention period
+  private prune(now: number): void {
+    if (now - this.lastPrunedAt < 3600) {
+      return;
+    }
+    this.lastPrunedAt = now;
+    try {
+      this.db.prepare("DELETE FROM webhook_deliveries WHERE status != 'pending' AND completed_at < ?").run(now - HISTORY_RETENTION);
+      this.db.prepare('DELETE FROM webhook_dead_letters WHERE failed_at < ?').run(now - HISTORY_RETENTION);
+    } catch (error: any) {
+      logger.warn(`Could not prune webhook history: ${error.message}`);
+    }
+  }
+}
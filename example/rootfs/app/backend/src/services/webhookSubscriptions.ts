@@ -0,0 +1,260 @@
+/**
+ * Webhook Subscription Service
+ * Outbound webhooks - external URLs that receive HAsync events, signed with a per-subscription secret.
+ * Deliveries and dead letters are written by the WebhookDispatcher.
+ */
+
+import type { Database } from 'better-sqlite3';
+import { randomBytes } from 'crypto';
+import { EVENT_TYPES } from './websocket-events';
+import { encryptSecret, decryptSecret } from '../utils/secrets';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('WebhookSubscriptions');
+
+// Events a subscription can receive
+export const SUBSCRIBABLE_EVENTS = [
+  EVENT_TYPES.PAIRING_COMPLETED,
+  EVENT_TYPES.CLIENT_DELETED,
+  EVENT_TYPES.TOKEN_REVOKED,
+  EVENT_TYPES.AREA_UPDATED,
+  EVENT_TYPES.LOGIN_FAILED
+] as const;
+
+export type SubscribableEvent = typeof SUBSCRIBABLE_EVENTS[number];
+
+export type WebhookDeliveryStatus = 'pending' | 'delivered' | 'failed';
+
+interface WebhookSubscriptionRow {
+  id: string;
+  name: string;
+  url: string;
+  secret: string;
+  events: string;
+  is_enabled: number;
+  created_by: string | null;
+  created_at: number;
+  updated_at: number;
+}
+
+export interface WebhookSubscriptionInfo {
+  id: string;
+  name: string;
+  url: string;
+  events: SubscribableEvent[];
+  isEnabled: boolean;
+  createdBy: string | null;
+  createdAt: number;
+  updatedAt: number;
+}
+
+export interface WebhookSubscriptionInput {
+  name?: string;
+  url?: string;
+  events?: SubscribableEvent[];
+  isEnabled?: boolean;
+}
+
+export interface WebhookDeliveryInfo {
+  id: string;
+  subscriptionId: string;
+  eventType: string;
+  status: WebhookDeliveryStatus;
+  attempts: number;
+  nextAttemptAt: number | null;
+  lastStatusCode: number | null;
+  lastError: string | null;
+  createdAt: number;
+  completedAt: number | null;
+}
+
+export interface WebhookDeadLetterInfo {
+  id: string;
+  deliveryId: string;
+  subscriptionId: string;
+  eventType: string;
+  payload: any;
+  attempts: number;
+  lastStatusCode: number | null;
+  lastError: string | null;
+  failedAt: number;
+  redeliveredAt: number | null;
+}
+
+/**
+ * Convert a webhook_subscriptions row into the API representation (never exposes the secret)
+ */
+function toSubscriptionInfo(row: WebhookSubscriptionRow): WebhookSubscriptionInfo {
+  return {
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    events: JSON.parse(row.events),
+    isEnabled: row.is_enabled === 1,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toDeliveryInfo(row: any): WebhookDeliveryInfo {
+  return {
+    id: row.id,
+    subscriptionId: row.subscription_id,
+    eventType: row.event_type,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    completedAt: row.completed_at
+  };
+}
+
+function toDeadLetterInfo(row: any): WebhookDeadLetterInfo {
+  return {
+    id: row.id,
+    deliveryId: row.delivery_id,
+    subscriptionId: row.subscription_id,
+    eventType: row.event_type,
+    payload: JSON.parse(row.payload),
+    attempts: row.attempts,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    failedAt: row.failed_at,
+    redeliveredAt: row.redelivered_at
+  };
+}
+
+/**
+ * Create a new subscription
+ * @returns The stored subscription plus the plaintext signing secret (only ever returned here)
+ */
+export function createWebhookSubscription(
+  db: Database,
+  input: WebhookSubscriptionInput & { name: string; url: string; events: SubscribableEvent[] },
+  createdBy: string
+): { subscription: WebhookSubscriptionInfo; secret: string } {
+  const id = `whsub_${Date.now()}_${randomBytes(4).toString('hex')}`;
+  const secret = `whsec_${randomBytes(32).toString('base64url')}`;
+  const now = Math.floor(Date.now() / 1000);
+
+  db.prepare(`
+    INSERT INTO webhook_subscriptions (id, name, url, secret, events, is_enabled, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id,
+    input.name,
+    input.url,
+    encryptSecret(secret),
+    JSON.stringify(input.events),
+    input.isEnabled === false ? 0 : 1,
+    createdBy,
+    now,
+    now
+  );
+
+  logger.info(`Webhook subscription created: ${input.name} (${input.events.join(', ')}) by ${createdBy}`);
+  return { subscription: getWebhookSubscription(db, id)!, secret };
+}
+
+/**
+ * Get a single subscription by id
+ */
+export function getWebhookSubscription(db: Database, id: string): WebhookSubscriptionInfo | null {
+  const row = db.prepare('SELECT * FROM webhook_subscriptions WHERE id = ?').get(id) as WebhookSubscriptionRow | undefined;
+  return row ? toSubscriptionInfo(row) : null;
+}
+
+/**
+ * List all subscriptions, newest first
+ */
+export function listWebhookSubscriptions(db: Database): WebhookSubscriptionInfo[] {
+  const rows = db.prepare('SELECT * FROM webhook_subscriptions ORDER BY created_at DESC').all() as WebhookSubscriptionRow[];
+  return rows.map(toSubscriptionInfo);
+}
+
+/**
+ * Enabled subscriptions that receive an event
+ */
+export function getSubscribersOf(db: Database, eventType: string): WebhookSubscriptionInfo[] {
+  return listWebhookSubscriptions(db).filter(subscription =>
+    subscription.isEnabled && (subscription.events as string[]).includes(eventType)
+  );
+}
+
+/**
+ * Signing secret of a subscription
+ */
+export function getWebhookSubscriptionSecret(db: Database, id: string): string | null {
+  const row = db.prepare('SELECT secret FROM webhook_subscriptions WHERE id = ?').get(id) as { secret: string } | undefined;
+  return row ? decryptSecret(row.secret) : null;
+}
+
+/**
+ * Update the name, URL, events or enabled flag of a subscription
+ * Deliveries of a disabled subscription are kept and resume when it is enabled again.
+ */
+export function updateWebhookSubscription(db: Database, id: string, input: WebhookSubscriptionInput): WebhookSubscriptionInfo | null {
+  const columns: Record<string, unknown> = {
+    name: input.name,
+    url: input.url,
+    events: input.events && JSON.stringify(input.events),
+    is_enabled: input.isEnabled === undefined ? undefined : (input.isEnabled ? 1 : 0)
+  };
+
+  const updates = Object.entries(columns).filter(([, value]) => value !== undefined);
+  if (updates.length > 0) {
+    db.prepare(`
+      UPDATE webhook_subscriptions SET ${updates.map(([column]) => `${column} = ?`).join(', ')}, updated_at = ? WHERE id = ?
+    `).run(...updates.map(([, value]) => value), Math.floor(Date.now() / 1000), id);
+  }
+
+  return getWebhookSubscription(db, id);
+}
+
+/**
+ * Delete a subscription with its delivery history and dead letters
+ * @returns false if the subscription does not exist
+ */
+export function deleteWebhookSubscription(db: Database, id: string): boolean {
+  return db.transaction(() => {
+    const result = db.prepare('DELETE FROM webhook_subscriptions WHERE id = ?').run(id);
+    if (result.changes === 0) {
+      return false;
+    }
+    db.prepare('DELETE FROM webhook_deliveries WHERE subscription_id = ?').run(id);
+    db.prepare('DELETE FROM webhook_dead_letters WHERE subscription_id = ?').run(id);
+    logger.info(`Webhook subscription deleted: ${id}`);
+    return true;
+  })();
+}
+
+/**
+ * Delivery history of a subscription, newest first
+ */
+export function listWebhookDeliveries(db: Database, subscriptionId: string, limit = 50): WebhookDeliveryInfo[] {
+  return db.prepare(`
+    SELECT * FROM webhook_deliveries WHERE subscription_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?
+  `).all(subscriptionId, limit).map(toDeliveryInfo);
+}
+
+/**
+ * Dead letters - deliveries that ran out of attempts, newest first
+ * @param subscriptionId - Only those of this subscription
+ */
+export function listWebhookDeadLetters(db: Database, subscriptionId?: string, limit = 50): WebhookDeadLetterInfo[] {
+  const rows = subscriptionId
+    ? db.prepare('SELECT * FROM webhook_dead_letters WHERE subscription_id = ? ORDER BY failed_at DESC, rowid DESC LIMIT ?').all(subscriptionId, limit)
+    : db.prepare('SELECT * FROM webhook_dead_letters ORDER BY failed_at DESC, rowid DESC LIMIT ?').all(limit);
+  return rows.map(toDeadLetterInfo);
+}
+
+/**
+ * Get a single dead letter by id
+ */
+export function getWebhookDeadLetter(db: Database, id: string): WebhookDeadLetterInfo | null {
+  const row = db.prepare('SELECT * FROM webhook_dead_letters WHERE id = ?').get(id);
+  return row ? toDeadLetterInfo(row) : null;
+}
@@ -0,0 +1,110 @@
+/**
+ * Webhook Service Test Suite
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import Database from 'better-sqlite3';
+import {
+  createWebhook,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  verifyWebhookSecret,
+  getWebhookRecipients
+} from './webhooks';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+
+describe('Webhooks', () => {
+  let db: Database.Database;
+  let dbPath: string;
+
+  beforeEach(() => {
+    dbPath = join(tmpdir(), `test-webhooks-${Date.now()}.db`);
+    db = new Database(dbPath);
+
+    db.exec(`
+      CREATE TABLE clients (id TEXT PRIMARY KEY, assigned_areas TEXT, is_active INTEGER DEFAULT 1);
+      CREATE TABLE webhooks (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        secret_hash TEXT NOT NULL,
+        secret_hint TEXT NOT NULL,
+        target_type TEXT NOT NULL,
+        target_ids TEXT NOT NULL DEFAULT '[]',
+        created_by TEXT,
+        created_at INTEGER NOT NULL,
+        last_used_at INTEGER
+      );
+    `);
+    const insertClient = db.prepare('INSERT INTO clients (id, assigned_areas, is_active) VALUES (?, ?, ?)');
+    insertClient.run('client_kitchen_1', '["area_kitchen"]', 1);
+    insertClient.run('client_kitchen_2', '["area_kitchen", "area_hall"]', 1);
+    insertClient.run('client_hall', '["area_hall"]', 1);
+    insertClient.run('client_deleted', '["area_kitchen"]', 0);
+  });
+
+  afterEach(() => {
+    db.close();
+    try {
+      unlinkSync(dbPath);
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should only return the secret on creation and store its hash', () => {
+    const { webhook, secret } = createWebhook(db, { name: 'Doorbell', target: { type: 'area', areaId: 'area_kitchen' } }, 'admin');
+
+    expect(secret.length).toBeGreaterThanOrEqual(43);
+    expect(webhook).toMatchObject({
+      name: 'Doorbell',
+      secretHint: secret.slice(-4),
+      target: { type: 'area', areaId: 'area_kitchen' },
+      createdBy: 'admin',
+      lastUsedAt: null
+    });
+    expect(webhook).not.toHaveProperty('secret');
+
+    const row = db.prepare('SELECT secret_hash FROM webhooks WHERE id = ?').get(webhook.id) as any;
+    expect(row.secret_hash).not.toContain(secret);
+  });
+
+  it('should verify the secret of the webhook it belongs to', () => {
+    const doorbell = createWebhook(db, { name: 'Doorbell', target: { type: 'client', clientId: 'client_hall' } }, 'admin');
+    const washer = createWebhook(db, { name: 'Washer', target: { type: 'client', clientId: 'client_hall' } }, 'admin');
+
+    expect(verifyWebhookSecret(db, doorbell.webhook.id, doorbell.secret)?.id).toBe(doorbell.webhook.id);
+    expect(verifyWebhookSecret(db, doorbell.webhook.id, washer.secret)).toBeNull();
+    expect(verifyWebhookSecret(db, 'webhook_missing', doorbell.secret)).toBeNull();
+    expect(getWebhook(db, doorbell.webhook.id)!.lastUsedAt).not.toBeNull();
+  });
+
+  it('should resolve active recipients of every target type', () => {
+    const byArea = createWebhook(db, { name: 'Kitchen', target: { type: 'area', areaId: 'area_kitchen' } }, 'admin').webhook;
+    const byList = createWebhook(db, {
+      name: 'Some',
+      target: { type: 'clients', clientIds: ['client_hall', 'client_deleted', 'client_missing'] }
+    }, 'admin').webhook;
+
+    expect(getWebhookRecipients(db, byArea)).toEqual(['client_kitchen_1', 'client_kitchen_2']);
+    expect(getWebhookRecipients(db, byList)).toEqual(['client_hall']);
+
+    // Area targets pick up clients assigned later
+    db.prepare('UPDATE clients SET assigned_areas = ? WHERE id = ?').run('["area_kitchen"]', 'client_hall');
+    expect(getWebhookRecipients(db, byArea)).toContain('client_hall');
+  });
+
+  it('should update the target and delete webhooks', () => {
+    const { webhook, secret } = createWebhook(db, { name: 'Doorbell', target: { type: 'client', clientId: 'client_hall' } }, 'admin');
+
+    const updated = updateWebhook(db, webhook.id, { target: { type: 'clients', clientIds: ['client_hall', 'client_kitchen_1'] } });
+    expect(updated).toMatchObject({ name: 'Doorbell', target: { type: 'clients', clientIds: ['client_hall', 'client_kitchen_1'] } });
+    expect(verifyWebhookSecret(db, webhook.id, secret)).not.toBeNull();
+
+    expect(deleteWebhook(db, webhook.id)).toBe(true);
+    expect(deleteWebhook(db, webhook.id)).toBe(false);
+    expect(verifyWebhookSecret(db, webhook.id, secret)).toBeNull();
+  });
+});
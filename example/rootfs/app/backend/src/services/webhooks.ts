@@ -0,0 +1,192 @@
+/**
+ * Webhook Service
+ * Inbound webhooks that show notifications on devices - each has its own secret
+ * and a target (one client, a list of clients or all clients with an area)
+ */
+
+import type { Database } from 'better-sqlite3';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { getClientIdsWithArea } from './websocket-events';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('Webhooks');
+
+interface WebhookRow {
+  id: string;
+  name: string;
+  secret_hash: string;
+  secret_hint: string;
+  target_type: 'client' | 'clients' | 'area';
+  target_ids: string;
+  created_by: string | null;
+  created_at: number;
+  last_used_at: number | null;
+}
+
+export type WebhookTarget =
+  | { type: 'client'; clientId: string }
+  | { type: 'clients'; clientIds: string[] }
+  | { type: 'area'; areaId: string };
+
+export interface WebhookInfo {
+  id: string;
+  name: string;
+  secretHint: string;
+  target: WebhookTarget;
+  createdBy: string | null;
+  createdAt: number;
+  lastUsedAt: number | null;
+}
+
+/**
+ * Hash a webhook secret for storage (secrets carry 256 bits of entropy, no salt needed)
+ */
+function hashWebhookSecret(secret: string): string {
+  return createHash('sha256').update(secret).digest('hex');
+}
+
+function toTargetIds(target: WebhookTarget): string[] {
+  switch (target.type) {
+    case 'client':
+      return [target.clientId];
+    case 'clients':
+      return target.clientIds;
+    case 'area':
+      return [target.areaId];
+  }
+}
+
+/**
+ * Convert a webhooks row into the API representation (never exposes secret_hash)
+ */
+function toWebhookInfo(row: WebhookRow): WebhookInfo {
+  const ids: string[] = JSON.parse(row.target_ids);
+  const target: WebhookTarget = row.target_type === 'clients'
+    ? { type: 'clients', clientIds: ids }
+    : row.target_type === 'area'
+      ? { type: 'area', areaId: ids[0] }
+      : { type: 'client', clientId: ids[0] };
+
+  return {
+    id: row.id,
+    name: row.name,
+    secretHint: row.secret_hint,
+    target,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at
+  };
+}
+
+/**
+ * Create a new webhook
+ * @returns The stored webhook plus the plaintext secret (only ever returned here)
+ */
+export function createWebhook(
+  db: Database,
+  input: { name: string; target: WebhookTarget },
+  createdBy: string
+): { webhook: WebhookInfo; secret: string } {
+  const id = `webhook_${Date.now()}_${randomBytes(4).toString('hex')}`;
+  const secret = randomBytes(32).toString('base64url');
+
+  db.prepare(`
+    INSERT INTO webhooks (id, name, secret_hash, secret_hint, target_type, target_ids, created_by, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id,
+    input.name,
+    hashWebhookSecret(secret),
+    secret.slice(-4),
+    input.target.type,
+    JSON.stringify(toTargetIds(input.target)),
+    createdBy,
+    Math.floor(Date.now() / 1000)
+  );
+
+  logger.info(`Webhook created: ${input.name} (${input.target.type}) by ${createdBy}`);
+  return { webhook: getWebhook(db, id)!, secret };
+}
+
+/**
+ * Get a single webhook by id
+ */
+export function getWebhook(db: Database, id: string): WebhookInfo | null {
+  const row = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id) as WebhookRow | undefined;
+  return row ? toWebhookInfo(row) : null;
+}
+
+/**
+ * List all webhooks, newest first
+ */
+export function listWebhooks(db: Database): WebhookInfo[] {
+  const rows = db.prepare('SELECT * FROM webhooks ORDER BY created_at DESC').all() as WebhookRow[];
+  return rows.map(toWebhookInfo);
+}
+
+/**
+ * Rename a webhook or change its target (the secret stays the same)
+ */
+export function updateWebhook(db: Database, id: string, input: { name?: string; target?: WebhookTarget }): WebhookInfo | null {
+  const columns: Record<string, unknown> = {
+    name: input.name,
+    target_type: input.target?.type,
+    target_ids: input.target && JSON.stringify(toTargetIds(input.target))
+  };
+
+  const updates = Object.entries(columns).filter(([, value]) => value !== undefined);
+  if (updates.length > 0) {
+    db.prepare(`
+      UPDATE webhooks SET ${updates.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?
+    `).run(...updates.map(([, value]) => value), id);
+  }
+
+  return getWebhook(db, id);
+}
+
+/**
+ * Delete a webhook - its URL stops working, notifications already queued are still delivered
+ * @returns false if the webhook does not exist
+ */
+export function deleteWebhook(db: Database, id: string): boolean {
+  const result = db.prepare('DELETE FROM webhooks WHERE id = ?').run(id);
+  if (result.changes > 0) {
+    logger.info(`Webhook deleted: ${id}`);
+  }
+  return result.changes > 0;
+}
+
+/**
+ * Check the secret a caller sent for a webhook
+ * @returns The webhook, or null if it does not exist or the secret does not match
+ */
+export function verifyWebhookSecret(db: Database, id: string, secret: string): WebhookInfo | null {
+  const row = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id) as WebhookRow | undefined;
+  if (!row) {
+    return null;
+  }
+
+  const expected = Buffer.from(row.secret_hash, 'hex');
+  const actual = Buffer.from(hashWebhookSecret(secret), 'hex');
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  db.prepare('UPDATE webhooks SET last_used_at = ? WHERE id = ?').run(now, row.id);
+  return toWebhookInfo({ ...row, last_used_at: now });
+}
+
+/**
+ * Resolve the clients a webhook currently targets
+ * Area targets are resolved on every call, so clients assigned later are included.
+ * @returns Ids of active clients
+ */
+export function getWebhookRecipients(db: Database, webhook: WebhookInfo): string[] {
+  if (webhook.target.type === 'area') {
+    return getClientIdsWithArea(db, webhook.target.areaId);
+  }
+
+  const isActive = db.prepare('SELECT 1 FROM clients WHERE id = ? AND is_active = 1');
+  return toTargetIds(webhook.target).filter(clientId => !!isActive.get(clientId));
+}
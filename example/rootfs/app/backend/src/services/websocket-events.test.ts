@@ -0,0 +1,40 @@
+/**
+ * WebSocket Events Test Suite
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { assertBroadcastable, clientRoom, EVENT_TYPES } from './websocket-events';
+
+describe('WebSocket Events', () => {
+  describe('clientRoom', () => {
+    it('should namespace rooms by client id', () => {
+      expect(clientRoom('client_123')).toBe('client:client_123');
+    });
+  });
+
+  describe('assertBroadcastable', () => {
+    it('should refuse client-specific events', () => {
+      for (const event of [
+        EVENT_TYPES.HA_TOKEN_RECEIVED,
+        EVENT_TYPES.TOKEN_REVOKED,
+        EVENT_TYPES.CLIENT_DELETED,
+        EVENT_TYPES.AREA_ADDED,
+        EVENT_TYPES.AREA_REMOVED,
+        EVENT_TYPES.PAIRING_COMPLETED,
+        EVENT_TYPES.STATE_CHANGED
+      ]) {
+        expect(() => assertBroadcastable(event, { clientId: 'client_123' })).toThrow(/notifyClient/);
+      }
+    });
+
+    it('should refuse payloads carrying secrets', () => {
+      expect(() => assertBroadcastable('config_update', { key: 'ha', haToken: 'abc' })).toThrow(/haToken/);
+      expect(() => assertBroadcastable('entity_update', { password: 'x' })).toThrow(/password/);
+    });
+
+    it('should allow ordinary broadcasts', () => {
+      expect(() => assertBroadcastable('entity_update', { entityId: 'light.kitchen', state: 'on' })).not.toThrow();
+      expect(() => assertBroadcastable('area_updated')).not.toThrow();
+    });
+  });
+});
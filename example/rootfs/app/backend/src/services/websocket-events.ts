@@ -5,10 +5,13 @@
  * - Area assignments/updates
  * - Token revocation
  * - Pairing completion
+ *
+ * Every authenticated client socket joins the room `client:<id>` and admin
+ * sockets join `admins`. Client-specific events are only sent to those rooms.
  */
 
 import { createLogger } from '../utils/logger';
-import type { Socket } from 'socket.io';
+import type { Server, Socket } from 'socket.io';
 import type Database from 'better-sqlite3';
 
 // Type definitions for better-sqlite3 (if not available from @types)
@@ -22,8 +25,72 @@ type DatabaseInstance = {
 
 const logger = createLogger('WebSocketEvents');
 
-// Map of clientId -> Socket connection
-const clientSockets = new Map<string, Socket>();
+// Room every admin socket joins
+export const ADMINS_ROOM = 'admins';
+
+// Events that carry data for a single client (tokens, its areas and their states, its revocation)
+// They may only ever be sent to that client's room - never broadcast.
+const CLIENT_ONLY_EVENTS = new Set<string>([
+  'ha_token_received',
+  'token_revoked',
+  'client_deleted',
+  'area_added',
+  'area_removed',
+  'pairing_completed',
+  'state_changed',
+  'notification'
+]);
+
+// Payload keys that look like credentials
+const SECRET_KEY_PATTERN = /token|secret|password|credential/i;
+
+// Map of clientId -> connected sockets (a client may be connected from several tabs)
+const clientSockets = new Map<string, Set<Socket>>();
+
+let io: Server | null = null;
+
+/**
+ * Room name for all sockets of one client
+ * @param clientId - Client identifier from database
+ */
+export function clientRoom(clientId: string): string {
+  return `client:${clientId}`;
+}
+
+/**
+ * Throw if an event must not be sent to every connected socket
+ * @param event - Event name
+ * @param data - Event payload
+ */
+export function assertBroadcastable(event: string, data?: any): void {
+  if (CLIENT_ONLY_EVENTS.has(event)) {
+    throw new Error(`Refusing to broadcast client-specific event '${event}' - use notifyClient()`);
+  }
+
+  const secretKey = data && typeof data === 'object'
+    ? Object.keys(data).find((key) => SECRET_KEY_PATTERN.test(key))
+    : undefined;
+  if (secretKey) {
+    throw new Error(`Refusing to broadcast '${event}' with secret field '${secretKey}'`);
+  }
+}
+
+/**
+ * Attach the Socket.IO server used for room-based notifications
+ * Also guards io.emit(), so client-specific events and secrets cannot be broadcast.
+ * @param server - Socket.IO server instance
+ */
+export function initializeSocketEvents(server: Server): void {
+  io = server;
+
+  // io.emit() delegates to the default namespace
+  const namespace = server.sockets;
+  const broadcast = namespace.emit.bind(namespace);
+  namespace.emit = ((event: string, ...args: any[]) => {
+    assertBroadcastable(event, args[0]);
+    return broadcast(event, ...args);
+  }) as typeof namespace.emit;
+}
 
 /**
  * Register a client socket connection for tracking
@@ -31,7 +98,11 @@ const clientSockets = new Map<string, Socket>();
  * @param socket - Socket.IO socket instance
  */
 export function registerClientSocket(clientId: string, socket: Socket): void {
-  clientSockets.set(clientId, socket);
+  socket.join(clientRoom(clientId));
+
+  const sockets = clientSockets.get(clientId) || new Set<Socket>();
+  sockets.add(socket);
+  clientSockets.set(clientId, sockets);
   logger.info(`[WebSocket] Client ${clientId} registered for notifications (socket: ${socket.id})`);
 
   // Send welcome message to client
@@ -46,9 +117,20 @@ export function registerClientSocket(clientId: string, socket: Socket): void {
 /**
  * Unregister a client socket connection
  * @param clientId - Client identifier
+ * @param socket - Only unregister this socket (other devices or tabs of the client stay registered)
  */
-export function unregisterClientSocket(clientId: string): void {
-  if (clientSockets.has(clientId)) {
+export function unregisterClientSocket(clientId: string, socket?: Socket): void {
+  const sockets = clientSockets.get(clientId);
+  if (!sockets) {
+    return;
+  }
+
+  if (socket) {
+    sockets.delete(socket);
+    socket.leave(clientRoom(clientId));
+  }
+
+  if (!socket || sockets.size === 0) {
     clientSockets.delete(clientId);
     logger.info(`[WebSocket] Client ${clientId} unregistered from notifications`);
   }
@@ -57,10 +139,18 @@ export function unregisterClientSocket(clientId: string): void {
 /**
  * Get socket for a specific client
  * @param clientId - Client identifier
- * @returns Socket instance or undefined
+ * @returns The first connected socket of the client, or undefined
  */
 export function getClientSocket(clientId: string): Socket | undefined {
-  return clientSockets.get(clientId);
+  return clientSockets.get(clientId)?.values().next().value;
+}
+
+/**
+ * Check whether a client has at least one connected socket
+ * @param clientId - Client identifier
+ */
+export function isClientConnected(clientId: string): boolean {
+  return clientSockets.has(clientId);
 }
 
 /**
@@ -72,37 +162,54 @@ export function getConnectedClientCount(): number {
 
 /**
  * Notify a specific client by clientId
+ * Only sockets authenticated as this client are in its room.
  * @param clientId - Client identifier from database
  * @param event - Event name to emit
  * @param data - Event payload
  */
 export function notifyClient(clientId: string, event: string, data: any): void {
-  const socket = clientSockets.get(clientId);
-  if (socket) {
+  if (!io) {
+    logger.warn(`[WebSocket] Socket events not initialized, cannot emit '${event}' to client ${clientId}`);
+    return;
+  }
+
+  if (clientSockets.has(clientId)) {
     logger.info(`[WebSocket] Emitting '${event}' to client ${clientId}`, { event, clientId });
-    socket.emit(event, {
-      ...data,
-      timestamp: new Date().toISOString()
-    });
   } else {
-    logger.warn(`[WebSocket] Client ${clientId} not connected, cannot emit '${event}'`);
+    logger.warn(`[WebSocket] Client ${clientId} not connected, '${event}' will not be delivered`);
   }
+
+  io.to(clientRoom(clientId)).emit(event, {
+    ...data,
+    timestamp: new Date().toISOString()
+  });
 }
 
 /**
- * Notify all clients that have a specific area assigned
- * @param db - Database instance
- * @param areaId - Area identifier
+ * Notify all connected admin sessions
  * @param event - Event name to emit
  * @param data - Event payload
  */
-export function notifyClientsWithArea(db: any, areaId: string, event: string, data: any): void {
-  try {
-    // Get all active clients that have this area in their assigned_areas JSON array
-    const clients = db.prepare('SELECT id, assigned_areas FROM clients WHERE is_active = ?').all(1) as any[];
+export function notifyAdmins(event: string, data: any): void {
+  if (!io) {
+    logger.warn(`[WebSocket] Socket events not initialized, cannot emit '${event}' to admins`);
+    return;
+  }
+
+  io.to(ADMINS_ROOM).emit(event, data);
+}
 
-    // Filter clients that have this area assigned
-    const clientsWithArea = clients.filter((client: any) => {
+/**
+ * Get the ids of all active clients that have a specific area assigned
+ * @param db - Database instance
+ * @param areaId - Area identifier
+ */
+export function getClientIdsWithArea(db: any, areaId: string): string[] {
+  // Get all active clients that have this area in their assigned_areas JSON array
+  const clients = db.prepare('SELECT id, assigned_areas FROM clients WHERE is_active = ?').all(1) as any[];
+
+  return clients
+    .filter((client: any) => {
       if (!client.assigned_areas) return false;
       try {
         const assignedAreas = JSON.parse(client.assigned_areas);
@@ -110,16 +217,29 @@ export function notifyClientsWithArea(db: any, areaId: string, event: string, da
       } catch (e) {
         return false;
       }
-    });
+    })
+    .map((client: any) => client.id);
+}
 
-    logger.info(`[WebSocket] Notifying ${clientsWithArea.length} clients with area ${areaId}`, {
+/**
+ * Notify all clients that have a specific area assigned
+ * @param db - Database instance
+ * @param areaId - Area identifier
+ * @param event - Event name to emit
+ * @param data - Event payload
+ */
+export function notifyClientsWithArea(db: any, areaId: string, event: string, data: any): void {
+  try {
+    const clientIds = getClientIdsWithArea(db, areaId);
+
+    logger.info(`[WebSocket] Notifying ${clientIds.length} clients with area ${areaId}`, {
       event,
       areaId,
-      clientCount: clientsWithArea.length
+      clientCount: clientIds.length
     });
 
-    clientsWithArea.forEach((client: any) => {
-      notifyClient(client.id, event, {
+    clientIds.forEach((clientId) => {
+      notifyClient(clientId, event, {
         ...data,
         areaId
       });
@@ -131,46 +251,81 @@ export function notifyClientsWithArea(db: any, areaId: string, event: string, da
 
 /**
  * Notify all connected clients (broadcast)
- * @param event - Event name to emit
- * @param data - Event payload
+ * @param event - Event name to emit (client-specific events are rejected)
+ * @param data - Event payload (must not contain secrets)
  */
 export function notifyAllClients(event: string, data: any): void {
+  assertBroadcastable(event, data);
   logger.info(`[WebSocket] Broadcasting '${event}' to ${clientSockets.size} connected clients`);
 
-  clientSockets.forEach((socket, clientId) => {
-    socket.emit(event, {
-      ...data,
-      timestamp: new Date().toISOString()
+  clientSockets.forEach((sockets) => {
+    sockets.forEach((socket) => {
+      socket.emit(event, {
+        ...data,
+        timestamp: new Date().toISOString()
+      });
     });
   });
 }
 
 /**
  * Disconnect a client and notify them of token revocation
+ * Only sockets connected at call time are dropped - a replacement device
+ * registering under the same client id in the meantime stays connected.
  * @param clientId - Client identifier
  * @param reason - Reason for disconnection
+ * @param tokenId - Only disconnect sockets authenticated with this client token
  */
-export function disconnectClient(clientId: string, reason: string): void {
-  const socket = clientSockets.get(clientId);
-  if (socket) {
-    logger.warn(`[WebSocket] Disconnecting client ${clientId}: ${reason}`);
+export function disconnectClient(clientId: string, reason: string, tokenId?: string): void {
+  const sockets = [...(clientSockets.get(clientId) || [])]
+    .filter((socket) => !tokenId || (socket as any).user?.tokenId === tokenId);
+
+  if (sockets.length === 0) {
+    logger.warn(`[WebSocket] Client ${clientId} not connected, cannot disconnect`);
+    return;
+  }
+
+  logger.warn(`[WebSocket] Disconnecting client ${clientId}: ${reason}`);
 
-    // Send final notification before disconnect
+  // Send final notification before disconnect
+  sockets.forEach((socket) => {
     socket.emit('token_revoked', {
       reason,
       message: 'Your access token has been revoked. Please re-pair your device.',
       timestamp: new Date().toISOString()
     });
+  });
 
-    // Wait a moment for message to be sent, then disconnect
-    setTimeout(() => {
+  // Wait a moment for message to be sent, then disconnect
+  setTimeout(() => {
+    sockets.forEach((socket) => {
       socket.disconnect(true);
-      clientSockets.delete(clientId);
-      logger.info(`[WebSocket] Client ${clientId} disconnected and removed from tracking`);
-    }, 500);
-  } else {
-    logger.warn(`[WebSocket] Client ${clientId} not connected, cannot disconnect`);
+      unregisterClientSocket(clientId, socket);
+    });
+    logger.info(`[WebSocket] Client ${clientId} disconnected and removed from tracking`);
+  }, 500);
+}
+
+/**
+ * Disconnect every socket of an admin account
+ * Used when the account is deactivated, deleted or gets another role - the socket
+ * kept the role it connected with, so it has to authenticate again.
+ * @param username - Admin account username
+ * @param reason - Reason for disconnection
+ */
+export function disconnectAdmin(username: string, reason: string): void {
+  if (!io) {
+    return;
+  }
+
+  const sockets = [...io.sockets.sockets.values()]
+    .filter((socket) => (socket as any).user?.role === 'admin' && (socket as any).user.username === username);
+  if (sockets.length === 0) {
+    return;
   }
+
+  logger.warn(`[WebSocket] Disconnecting ${sockets.length} socket(s) of admin ${username}: ${reason}`);
+  sockets.forEach((socket) => socket.disconnect(true));
 }
 
 /**
@@ -180,6 +335,8 @@ export function disconnectClient(clientId: string, reason: string): void {
  */
 export function notifyAreaAdded(clientId: string, area: any): void {
   notifyClient(clientId, 'area_added', {
+    clientId,
+    area: { id: area.id, name: area.name },
     areaId: area.id,
     name: area.name,
     entityIds: area.entityIds || [],
@@ -196,6 +353,8 @@ export function notifyAreaAdded(clientId: string, area: any): void {
  */
 export function notifyAreaRemoved(clientId: string, areaId: string, areaName: string): void {
   notifyClient(clientId, 'area_removed', {
+    clientId,
+    area: { id: areaId, name: areaName },
     areaId,
     name: areaName,
     message: 'Area has been removed from your device'
@@ -229,10 +388,30 @@ export const EVENT_TYPES = {
   AREA_UPDATED: 'area_updated',
   AREA_ENABLED: 'area_enabled',
   AREA_DISABLED: 'area_disabled',
+  // Admins only - entities added, removed or moved in HA since areas were imported
+  AREA_DRIFT: 'area_drift',
+
+  // Entity events (states of the client's areas)
+  STATE_CHANGED: 'state_changed',
+
+  // Dashboard events - the client's dashboard was assigned, edited or deleted
+  DASHBOARD_UPDATED: 'dashboard_updated',
 
   // Token events
   TOKEN_REVOKED: 'token_revoked',
+  HA_TOKEN_RECEIVED: 'ha_token_received',
+
+  // Client events
+  CLIENT_DELETED: 'client_deleted',
+  // Notification sent through a webhook (queued while the client is offline)
+  NOTIFICATION: 'notification',
 
   // Pairing events
   PAIRING_COMPLETED: 'pairing_completed',
+
+  // Home Assistant events
+  HA_CONNECTION_STATE: 'ha_connection_state',
+
+  // Admin events - only sent to outbound webhook subscriptions
+  LOGIN_FAILED: 'login_failed',
 } as const;
@@ -0,0 +1,118 @@
+/**
+ * Home Assistant Simulator Test Suite
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { HASimulator, DEFAULT_SIMULATOR_TOKEN } from './haSimulator';
+import { HomeAssistantService } from '../services/homeassistant';
+import { HATimeoutError, HARequestError } from '../errors/AppError';
+import { getHATokenId } from '../services/haTokenProvisioning';
+import { waitFor } from './waitFor';
+import fixture from './fixtures/home.json';
+
+describe('HASimulator', () => {
+  let ha: HASimulator;
+  let service: HomeAssistantService;
+
+  beforeEach(async () => {
+    ha = new HASimulator(fixture as any);
+    await ha.start();
+    service = new HomeAssistantService({
+      url: ha.url,
+      token: DEFAULT_SIMULATOR_TOKEN,
+      mode: 'standalone',
+      requestTimeout: 200,
+      reconnectMaxDelay: 50
+    });
+  });
+
+  afterEach(async () => {
+    service.disconnect();
+    await ha.stop();
+  });
+
+  it('should serve the fixture over the WebSocket API', async () => {
+    await service.connect();
+
+    expect(await service.getStates()).toHaveLength(fixture.states.length);
+    expect((await service.getEntitiesByArea('kitchen')).map(entity => entity.entity_id))
+      .toEqual(['light.kitchen', 'switch.coffee_machine', 'sensor.kitchen_power']);
+    expect((await service.getLovelaceConfig('dashboard-tablet')).views).toHaveLength(1);
+    await expect(service.getLovelaceConfig(null)).resolves.toMatchObject({ strategy: { type: 'original-states' } });
+  });
+
+  it('should switch entities on service calls and emit state_changed', async () => {
+    const events: any[] = [];
+    service.on('state_changed', data => events.push(data));
+    await service.connect();
+
+    await service.callService('light', 'toggle', undefined, { entity_id: 'light.kitchen' });
+    await waitFor(() => events.length === 1);
+
+    expect(events[0]).toMatchObject({
+      entity_id: 'light.kitchen',
+      old_state: { state: 'off' },
+      new_state: { state: 'on', attributes: { friendly_name: 'Kitchen Light' } }
+    });
+    expect(ha.serviceCalls).toEqual([expect.objectContaining({ domain: 'light', service: 'toggle' })]);
+    await expect(service.callService('lock', 'unlock')).rejects.toBeInstanceOf(HARequestError);
+  });
+
+  it('should serve the REST API to valid tokens only', async () => {
+    await request(ha.url).get('/api/states').expect(401);
+
+    const auth = { Authorization: `Bearer ${DEFAULT_SIMULATOR_TOKEN}` };
+    const state = await request(ha.url).get('/api/states/light.living_room').set(auth).expect(200);
+    expect(state.body).toMatchObject({ state: 'on', attributes: { brightness: 180 } });
+
+    await request(ha.url).post('/api/services/switch/turn_on').set(auth).send({ entity_id: 'switch.coffee_machine' }).expect(200);
+    expect(ha.getState('switch.coffee_machine')!.state).toBe('on');
+
+    await request(ha.url).post('/api/states/sensor.outdoor').set(auth).send({ state: 4 }).expect(201);
+    expect(ha.getState('sensor.outdoor')!.state).toBe('4');
+  });
+
+  it('should play scripted steps', async () => {
+    const events: any[] = [];
+    service.on('state_changed', data => events.push(data));
+    await service.connect();
+
+    await ha.runScript([
+      { at: 20, action: 'set_state', entity_id: 'binary_sensor.front_door', state: 'on' },
+      { at: 0, action: 'remove_state', entity_id: 'light.hallway' }
+    ]);
+    await waitFor(() => events.length === 2);
+
+    expect(events.map(event => [event.entity_id, event.new_state?.state ?? null]))
+      .toEqual([['light.hallway', null], ['binary_sensor.front_door', 'on']]);
+  });
+
+  it('should delay answers by the injected latency', async () => {
+    await service.connect();
+    ha.setLatency(300);
+
+    await expect(service.getStates()).rejects.toBeInstanceOf(HATimeoutError);
+  });
+
+  it('should drop connections and refuse new ones for a while', async () => {
+    await service.connect();
+
+    ha.disconnect(200);
+    await waitFor(() => service.getConnectionStatus().state === 'reconnecting');
+    expect(ha.connectionCount).toBe(0);
+
+    await waitFor(() => service.isConnected(), 5000);
+    expect(ha.connectionCount).toBe(1);
+  });
+
+  it('should issue long-lived tokens that work until deleted', async () => {
+    await service.connect();
+    const token = await service.createLongLivedAccessToken('Hallway Tablet', 365);
+
+    await request(ha.url).get('/api/').set('Authorization', `Bearer ${token}`).expect(200);
+
+    await service.deleteRefreshToken(getHATokenId(token)!);
+    await request(ha.url).get('/api/').set('Authorization', `Bearer ${token}`).expect(401);
+  });
+});
@@ -0,0 +1,508 @@
+/**
+ * Home Assistant Simulator
+ * Local stand-in for Home Assistant driven by fixtures: the REST API (/api/states, /api/services,
+ * /api/events) and the WebSocket API commands HAsync uses. Latency and disconnects can be injected
+ * to exercise timeouts and reconnects. Used by the integration tests and `npm run ha:simulator`.
+ */
+
+import express, { Request, Response, NextFunction } from 'express';
+import { createServer, Server } from 'http';
+import { AddressInfo } from 'net';
+import { randomBytes } from 'crypto';
+import { readFileSync } from 'fs';
+import { WebSocketServer, WebSocket } from 'ws';
+import jwt from 'jsonwebtoken';
+import type {
+  HAEntity, HAArea, HADeviceRegistryEntry, HAEntityRegistryEntry, HADashboard, HALovelaceConfig
+} from '../types';
+
+export const DEFAULT_SIMULATOR_TOKEN = 'simulator-token';
+
+export interface HASimulatorFixture {
+  // Access token clients authenticate with (default 'simulator-token')
+  token?: string;
+  // Result of get_config and GET /api/config
+  config?: Record<string, any>;
+  states?: Array<Pick<HAEntity, 'entity_id' | 'state'> & Partial<HAEntity>>;
+  areas?: HAArea[];
+  devices?: HADeviceRegistryEntry[];
+  entities?: HAEntityRegistryEntry[];
+  // domain → service → description, as returned by get_services (light/switch on/off/toggle by default)
+  services?: Record<string, Record<string, any>>;
+  // Dashboards under Settings → Dashboards
+  dashboards?: HADashboard[];
+  // Lovelace config by url_path, 'lovelace' for the default dashboard
+  lovelace?: Record<string, HALovelaceConfig>;
+  // Steps played by runScript(), each `at` milliseconds after it starts
+  script?: HASimulatorStep[];
+}
+
+export type HASimulatorStep =
+  | { at: number; action: 'set_state'; entity_id: string; state: string; attributes?: Record<string, any> }
+  | { at: number; action: 'remove_state'; entity_id: string }
+  | { at: number; action: 'fire_event'; event_type: string; data?: Record<string, any> }
+  | { at: number; action: 'latency'; ms: number }
+  | { at: number; action: 'disconnect'; refuseMs?: number };
+
+export interface HAFiredEvent {
+  event_type: string;
+  data: Record<string, any>;
+}
+
+interface SimulatorConnection {
+  socket: WebSocket;
+  authenticated: boolean;
+  // HA subscription id → event type ('*' for all events)
+  subscriptions: Map<number, string>;
+}
+
+const DEFAULT_SERVICES: Record<string, Record<string, any>> = {
+  homeassistant: { turn_on: {}, turn_off: {}, toggle: {} },
+  light: { turn_on: {}, turn_off: {}, toggle: {} },
+  switch: { turn_on: {}, turn_off: {}, toggle: {} }
+};
+
+const DEFAULT_CONFIG = {
+  location_name: 'HAsync Simulator',
+  version: '2024.1.0',
+  unit_system: { temperature: '°C' },
+  time_zone: 'UTC',
+  components: ['api', 'websocket_api', 'lovelace']
+};
+
+// Used to sign long-lived access tokens - HAsync reads their issuer as the refresh token id
+const TOKEN_SIGNING_KEY = randomBytes(32).toString('hex');
+
+const createContext = () => ({ id: randomBytes(13).toString('hex'), parent_id: null, user_id: null });
+
+const toState = (
+  state: Pick<HAEntity, 'entity_id' | 'state'> & Partial<HAEntity>,
+  now = new Date().toISOString()
+): HAEntity => ({
+  attributes: {},
+  last_changed: now,
+  last_updated: now,
+  context: createContext(),
+  ...state
+});
+
+// Entity ids a service call targets - target.entity_id or service_data.entity_id, a string or a list
+const getTargetEntityIds = (target: any, serviceData: any): string[] => {
+  const entityIds = target?.entity_id ?? serviceData?.entity_id ?? [];
+  return Array.isArray(entityIds) ? entityIds : [entityIds];
+};
+
+export class HASimulator {
+  private fixture: Required<Omit<HASimulatorFixture, 'token' | 'script'>> & { script: HASimulatorStep[] };
+  private states = new Map<string, HAEntity>();
+  private accessTokens = new Set<string>();
+  // Refresh token id → long-lived access token issued through auth/long_lived_access_token
+  private issuedTokens = new Map<string, string>();
+  private connections = new Set<SimulatorConnection>();
+  private server: Server | null = null;
+  private wss: WebSocketServer | null = null;
+  private latencyMs = 0;
+  private refuseUntil = 0;
+  private scriptTimers: NodeJS.Timeout[] = [];
+
+  // WebSocket commands, service calls and events fired, in order - for assertions
+  readonly commands: Array<{ type: string; [key: string]: any }> = [];
+  readonly serviceCalls: Array<{ domain: string; service: string; service_data: any; target: any }> = [];
+  readonly firedEvents: HAFiredEvent[] = [];
+
+  constructor(fixture: HASimulatorFixture = {}) {
+    this.load(fixture);
+  }
+
+  static fromFile(path: string): HASimulator {
+    return new HASimulator(JSON.parse(readFileSync(path, 'utf8')));
+  }
+
+  /**
+   * Replace the simulated home - connected clients keep their connection and subscriptions
+   */
+  load(fixture: HASimulatorFixture): void {
+    this.fixture = {
+      config: { ...DEFAULT_CONFIG, ...fixture.config },
+      states: fixture.states || [],
+      areas: fixture.areas || [],
+      devices: fixture.devices || [],
+      entities: fixture.entities || [],
+      services: fixture.services || DEFAULT_SERVICES,
+      dashboards: fixture.dashboards || [],
+      lovelace: fixture.lovelace || {},
+      script: fixture.script || []
+    };
+    this.accessTokens = new Set([fixture.token || DEFAULT_SIMULATOR_TOKEN, ...this.issuedTokens.values()]);
+    this.states = new Map(this.fixture.states.map(state => [state.entity_id, toState(state)]));
+  }
+
+  async start(port = 0): Promise<string> {
+    const app = express();
+    app.use(express.json());
+    app.use((_req, _res, next) => this.delay(next));
+    app.use('/api', this.createRestRouter());
+
+    this.server = createServer(app);
+    this.wss = new WebSocketServer({ server: this.server, path: '/api/websocket' });
+    this.wss.on('connection', socket => this.handleConnection(socket));
+
+    await new Promise<void>((resolve, reject) => {
+      this.server!.once('error', reject);
+      this.server!.listen(port, '127.0.0.1', () => resolve());
+    });
+    return this.url;
+  }
+
+  async stop(): Promise<void> {
+    this.scriptTimers.forEach(timer => clearTimeout(timer));
+    this.scriptTimers = [];
+    this.connections.forEach(connection => connection.socket.terminate());
+    this.connections.clear();
+    this.wss?.close();
+    if (this.server) {
+      await new Promise(resolve => this.server!.close(resolve));
+    }
+    this.server = null;
+    this.wss = null;
+  }
+
+  // Base URL to configure as the Home Assistant URL
+  get url(): string {
+    if (!this.server) {
+      throw new Error('Simulator is not running');
+    }
+    return `http://127.0.0.1:${(this.server.address() as AddressInfo).port}`;
+  }
+
+  // Authenticated WebSocket connections
+  get connectionCount(): number {
+    return [...this.connections].filter(connection => connection.authenticated).length;
+  }
+
+  getState(entityId: string): HAEntity | undefined {
+    return this.states.get(entityId);
+  }
+
+  /**
+   * Set an entity's state and fire state_changed - last_changed only moves when the state does
+   */
+  setState(entityId: string, state: string, attributes?: Record<string, any>): HAEntity {
+    const oldState = this.states.get(entityId) || null;
+    const now = new Date().toISOString();
+    const newState: HAEntity = {
+      entity_id: entityId,
+      state,
+      attributes: attributes ?? oldState?.attributes ?? {},
+      last_changed: oldState && oldState.state === state ? oldState.last_changed : now,
+      last_updated: now,
+      context: createContext()
+    };
+
+    this.states.set(entityId, newState);
+    this.fireEvent('state_changed', { entity_id: entityId, old_state: oldState, new_state: newState });
+    return newState;
+  }
+
+  removeState(entityId: string): boolean {
+    const oldState = this.states.get(entityId);
+    if (!oldState) {
+      return false;
+    }
+    this.states.delete(entityId);
+    this.fireEvent('state_changed', { entity_id: entityId, old_state: oldState, new_state: null });
+    return true;
+  }
+
+  fireEvent(eventType: string, data: Record<string, any> = {}): void {
+    this.firedEvents.push({ event_type: eventType, data });
+    const event = { event_type: eventType, data, origin: 'LOCAL', time_fired: new Date().toISOString(), context: createContext() };
+
+    for (const connection of this.connections) {
+      for (const [id, subscribedType] of connection.subscriptions) {
+        if (subscribedType === '*' || subscribedType === eventType) {
+          this.send(connection, { id, type: 'event', event });
+        }
+      }
+    }
+  }
+
+  // Delay every REST response and WebSocket message by ms
+  setLatency(ms: number): void {
+    this.latencyMs = ms;
+  }
+
+  /**
+   * Drop all WebSocket connections, like an HA restart
+   * @param refuseMs - Keep refusing new connections for this long
+   */
+  disconnect(refuseMs = 0): void {
+    this.refuseUntil = Date.now() + refuseMs;
+    this.connections.forEach(connection => connection.socket.terminate());
+    this.connections.clear();
+  }
+
+  /**
+   * Play the fixture's script (or the given steps) - resolves after the last step
+   */
+  runScript(steps: HASimulatorStep[] = this.fixture.script): Promise<void> {
+    const sorted = [...steps].sort((a, b) => a.at - b.at);
+
+    return new Promise(resolve => {
+      if (sorted.length === 0) {
+        return resolve();
+      }
+      sorted.forEach((step, index) => {
+        this.scriptTimers.push(setTimeout(() => {
+          this.runStep(step);
+          if (index === sorted.length - 1) {
+            resolve();
+          }
+        }, step.at));
+      });
+    });
+  }
+
+  private runStep(step: HASimulatorStep): void {
+    switch (step.action) {
+      case 'set_state':
+        this.setState(step.entity_id, step.state, step.attributes);
+        break;
+      case 'remove_state':
+        this.removeState(step.entity_id);
+        break;
+      case 'fire_event':
+        this.fireEvent(step.event_type, step.data);
+        break;
+      case 'latency':
+        this.setLatency(step.ms);
+        break;
+      case 'disconnect':
+        this.disconnect(step.refuseMs);
+        break;
+    }
+  }
+
+  private delay(callback: () => void): void {
+    if (this.latencyMs > 0) {
+      setTimeout(callback, this.latencyMs);
+    } else {
+      callback();
+    }
+  }
+
+  private send(connection: SimulatorConnection, message: object): void {
+    this.delay(() => {
+      if (connection.socket.readyState === WebSocket.OPEN) {
+        connection.socket.send(JSON.stringify(message));
+      }
+    });
+  }
+
+  private isValidToken(token: string | undefined): boolean {
+    return !!token && this.accessTokens.has(token);
+  }
+
+  /**
+   * Run a service - turn_on/turn_off/toggle switch the targeted entities, like HA's built-in services
+   * @throws {Error} With code 'not_found' for services missing from the fixture
+   */
+  private callService(domain: string, service: string, serviceData: any = {}, target: any = {}): HAEntity[] {
+    if (!this.fixture.services[domain]?.[service]) {
+      throw Object.assign(new Error(`Service ${domain}.${service} not found.`), { code: 'not_found' });
+    }
+    this.serviceCalls.push({ domain, service, service_data: serviceData, target });
+
+    const changed: HAEntity[] = [];
+    for (const entityId of getTargetEntityIds(target, serviceData)) {
+      const current = this.states.get(entityId);
+      if (!current || !['turn_on', 'turn_off', 'toggle'].includes(service)) {
+        continue;
+      }
+      const on = service === 'toggle' ? current.state !== 'on' : service === 'turn_on';
+      changed.push(this.setState(entityId, on ? 'on' : 'off'));
+    }
+    return changed;
+  }
+
+  private createRestRouter() {
+    const router = express.Router();
+
+    router.use((req: Request, res: Response, next: NextFunction) => {
+      if (!this.isValidToken(req.headers.authorization?.replace('Bearer ', ''))) {
+        return res.status(401).json({ message: 'Invalid authentication' });
+      }
+      next();
+    });
+
+    router.get('/', (_req, res) => res.json({ message: 'API running.' }));
+    router.get('/config', (_req, res) => res.json(this.fixture.config));
+    router.get('/states', (_req, res) => res.json([...this.states.values()]));
+
+    router.get('/states/:entityId', (req, res) => {
+      const state = this.states.get(req.params.entityId);
+      if (!state) {
+        return res.status(404).json({ message: 'Entity not found.' });
+      }
+      res.json(state);
+    });
+
+    // Creates or updates a state, 201 for new entities
+    router.post('/states/:entityId', (req, res) => {
+      if (typeof req.body?.state !== 'string' && typeof req.body?.state !== 'number') {
+        return res.status(400).json({ message: 'No state specified.' });
+      }
+      const created = !this.states.has(req.params.entityId);
+      const state = this.setState(req.params.entityId, String(req.body.state), req.body.attributes || {});
+      res.status(created ? 201 : 200).json(state);
+    });
+
+    router.delete('/states/:entityId', (req, res) => {
+      if (!this.removeState(req.params.entityId)) {
+        return res.status(404).json({ message: 'Entity not found.' });
+      }
+      res.json({ message: 'Entity removed.' });
+    });
+
+    router.get('/services', (_req, res) => {
+      res.json(Object.entries(this.fixture.services).map(([domain, services]) => ({ domain, services })));
+    });
+
+    router.post('/services/:domain/:service', (req, res) => {
+      try {
+        res.json(this.callService(req.params.domain, req.params.service, req.body || {}));
+      } catch (error: any) {
+        res.status(400).json({ message: error.message });
+      }
+    });
+
+    router.post('/events/:eventType', (req, res) => {
+      this.fireEvent(req.params.eventType, req.body || {});
+      res.json({ message: `Event ${req.params.eventType} fired.` });
+    });
+
+    return router;
+  }
+
+  private handleConnection(socket: WebSocket): void {
+    if (Date.now() < this.refuseUntil) {
+      socket.terminate();
+      return;
+    }
+
+    const connection: SimulatorConnection = { socket, authenticated: false, subscriptions: new Map() };
+    this.connections.add(connection);
+    socket.on('close', () => this.connections.delete(connection));
+    this.send(connection, { type: 'auth_required', ha_version: this.fixture.config.version });
+
+    socket.on('message', raw => {
+      let message: any;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch {
+        return;
+      }
+
+      if (!connection.authenticated) {
+        if (message.type !== 'auth') return;
+        if (this.isValidToken(message.access_token)) {
+          connection.authenticated = true;
+          this.send(connection, { type: 'auth_ok', ha_version: this.fixture.config.version });
+        } else {
+          this.send(connection, { type: 'auth_invalid', message: 'Invalid access token or password' });
+          this.delay(() => socket.close());
+        }
+        return;
+      }
+
+      this.commands.push(message);
+      this.handleCommand(connection, message);
+    });
+  }
+
+  private handleCommand(connection: SimulatorConnection, message: any): void {
+    const result = (value: any) => this.send(connection, { id: message.id, type: 'result', success: true, result: value });
+    const error = (code: string, errorMessage: string) =>
+      this.send(connection, { id: message.id, type: 'result', success: false, error: { code, message: errorMessage } });
+
+    switch (message.type) {
+      case 'ping':
+        this.send(connection, { id: message.id, type: 'pong' });
+        break;
+      case 'get_states':
+        result([...this.states.values()]);
+        break;
+      case 'get_config':
+        result(this.fixture.config);
+        break;
+      case 'get_services':
+        result(this.fixture.services);
+        break;
+      case 'subscribe_events':
+        connection.subscriptions.set(message.id, message.event_type || '*');
+        result(null);
+        break;
+      case 'unsubscribe_events':
+        if (!connection.subscriptions.delete(message.subscription)) {
+          return error('not_found', 'Subscription not found.');
+        }
+        result(null);
+        break;
+      case 'call_service':
+        try {
+          this.callService(message.domain, message.service, message.service_data, message.target);
+          result({ context: createContext() });
+        } catch (serviceError: any) {
+          error(serviceError.code, serviceError.message);
+        }
+        break;
+      case 'fire_event':
+        this.fireEvent(message.event_type, message.event_data || {});
+        result({ context: createContext() });
+        break;
+      case 'config/area_registry/list':
+        result(this.fixture.areas);
+        break;
+      case 'config/device_registry/list':
+        result(this.fixture.devices);
+        break;
+      case 'config/entity_registry/list':
+        result(this.fixture.entities);
+        break;
+      case 'lovelace/dashboards/list':
+        result(this.fixture.dashboards);
+        break;
+      case 'lovelace/config': {
+        const config = this.fixture.lovelace[message.url_path ?? 'lovelace'];
+        if (!config) {
+          return error('config_not_found', 'No config found.');
+        }
+        result(config);
+        break;
+      }
+      case 'auth/long_lived_access_token': {
+        const refreshTokenId = randomBytes(16).toString('hex');
+        const token = jwt.sign({}, TOKEN_SIGNING_KEY, {
+          issuer: refreshTokenId,
+          expiresIn: `${message.lifespan}d`
+        });
+        this.issuedTokens.set(refreshTokenId, token);
+        this.accessTokens.add(token);
+        result(token);
+        break;
+      }
+      case 'auth/delete_refresh_token': {
+        const token = this.issuedTokens.get(message.refresh_token_id);
+        if (!token) {
+          return error('invalid_format', 'Received invalid refresh token id.');
+        }
+        this.issuedTokens.delete(message.refresh_token_id);
+        this.accessTokens.delete(token);
+        result(null);
+        break;
+      }
+      default:
+        error('unknown_command', 'Unknown command.');
+    }
+  }
+}
@@ -0,0 +1,14 @@
+/**
+ * Polling helper for tests against the Home Assistant simulator
+ * Resolves once the predicate holds - the simulator and the HA service react asynchronously
+ */
+export const waitFor = (predicate: () => boolean, timeoutMs = 3000) =>
+  new Promise<void>((resolve, reject) => {
+    const started = Date.now();
+    const check = () => {
+      if (predicate()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error('Timed out waiting for condition'));
+      setTimeout(check, 10);
+    };
+    check();
+  });
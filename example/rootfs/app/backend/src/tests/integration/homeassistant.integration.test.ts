@@ -0,0 +1,355 @@
+/**
+ * Home Assistant Integration Test Suite
+ * Boots the backend (src/index-simple.ts) against the Home Assistant simulator
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { spawn, ChildProcess } from 'child_process';
+import { createServer } from 'net';
+import { createServer as createHttpServer, IncomingHttpHeaders } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { randomBytes, createHmac } from 'crypto';
+import { HASimulator, DEFAULT_SIMULATOR_TOKEN } from '../../simulator/haSimulator';
+import fixture from '../../simulator/fixtures/home.json';
+
+const BACKEND_ROOT = join(__dirname, '../../..');
+const ADMIN_USERNAME = 'admin';
+const ADMIN_PASSWORD = 'Integration-Test-Passw0rd!';
+
+const getFreePort = () =>
+  new Promise<number>((resolve, reject) => {
+    const server = createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address() as { port: number };
+      server.close(() => resolve(port));
+    });
+  });
+
+// Retries the assertion until it passes - the backend picks up HA changes asynchronously
+const eventually = async (assertion: () => Promise<void>, timeoutMs = 10000) => {
+  const started = Date.now();
+  for (;;) {
+    try {
+      return await assertion();
+    } catch (error) {
+      if (Date.now() - started > timeoutMs) throw error;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+};
+
+interface Backend {
+  url: string;
+  process: ChildProcess;
+  output: string[];
+  dataDir: string;
+}
+
+// Runs the server as a child process - it listens on import and installs process-wide handlers
+async function startBackend(haUrl: string): Promise<Backend> {
+  const port = await getFreePort();
+  const dataDir = mkdtempSync(join(tmpdir(), 'hasync-integration-'));
+  const output: string[] = [];
+
+  const child = spawn(process.execPath, ['-r', 'ts-node/register/transpile-only', 'src/index-simple.ts'], {
+    cwd: BACKEND_ROOT,
+    env: {
+      ...process.env,
+      HTTPS_PORT: String(port),
+      TLS_ENABLED: 'false',
+      DATABASE_PATH: join(dataDir, 'app01.db'),
+      BACKUP_DIR: join(dataDir, 'backups'),
+      JWT_SECRET: randomBytes(32).toString('hex'),
+      ADMIN_USERNAME,
+      ADMIN_PASSWORD,
+      HOMEASSISTANT_URL: haUrl,
+      HOMEASSISTANT_TOKEN: DEFAULT_SIMULATOR_TOKEN,
+      HA_REQUEST_TIMEOUT: '2',
+      LOG_LEVEL: 'error'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout!.on('data', chunk => output.push(chunk.toString()));
+  child.stderr!.on('data', chunk => output.push(chunk.toString()));
+
+  const backend = { url: `http://127.0.0.1:${port}`, process: child, output, dataDir };
+  try {
+    await eventually(async () => {
+      if (child.exitCode !== null) {
+        throw new Error(`Backend exited with code ${child.exitCode}:\n${output.join('')}`);
+      }
+      const response = await request(backend.url).get('/api/health');
+      expect(response.status).toBe(200);
+    }, 60000);
+  } catch (error) {
+    await stopBackend(backend);
+    throw error;
+  }
+  return backend;
+}
+
+async function stopBackend(backend: Backend): Promise<void> {
+  if (backend.process.exitCode === null) {
+    const exited = new Promise(resolve => backend.process.once('exit', resolve));
+    backend.process.kill('SIGTERM');
+    const timer = setTimeout(() => backend.process.kill('SIGKILL'), 5000);
+    await exited;
+    clearTimeout(timer);
+  }
+  rmSync(backend.dataDir, { recursive: true, force: true });
+}
+
+describe('Backend against the Home Assistant simulator', () => {
+  let ha: HASimulator;
+  let backend: Backend;
+  let token: string;
+
+  const api = () => request(backend.url);
+  const auth = () => ({ Authorization: `Bearer ${token}` });
+  const haState = async () => (await api().get('/api/health')).body.services.homeAssistant;
+
+  beforeAll(async () => {
+    ha = new HASimulator(fixture as any);
+    await ha.start();
+    backend = await startBackend(ha.url);
+
+    await eventually(async () => expect(await haState()).toBe('connected'));
+
+    // The owner account is seeded in the background at startup
+    await eventually(async () => {
+      const login = await api().post('/api/admin/login').send({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD });
+      expect(login.status).toBe(200);
+      token = login.body.token;
+    });
+  }, 90000);
+
+  afterAll(async () => {
+    if (backend) await stopBackend(backend);
+    if (ha) await ha.stop();
+  }, 15000);
+
+  afterEach(() => {
+    ha.setLatency(0);
+  });
+
+  it('should serve entity states loaded from Home Assistant', async () => {
+    await eventually(async () => {
+      const response = await api().get('/api/entities').set(auth());
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(fixture.states.length);
+    });
+
+    const response = await api().get('/api/entities').set(auth());
+    expect(response.body).toEqual(expect.arrayContaining([
+      expect.objectContaining({ entity_id: 'light.kitchen', state: 'off' })
+    ]));
+
+    const cached = await api().get('/api/entities').set(auth()).set('If-None-Match', response.headers.etag);
+    expect(cached.status).toBe(304);
+  });
+
+  it('should pick up state_changed events as deltas', async () => {
+    const revision = (await api().get('/api/entities').set(auth())).headers['x-entity-revision'];
+
+    ha.setState('sensor.kitchen_power', '1450.2');
+    ha.removeState('binary_sensor.front_door');
+
+    await eventually(async () => {
+      const response = await api().get(`/api/entities?since=${revision}`).set(auth());
+      expect(response.body).toMatchObject({
+        full: false,
+        entities: [expect.objectContaining({ entity_id: 'sensor.kitchen_power', state: '1450.2' })],
+        removed: ['binary_sensor.front_door']
+      });
+    });
+  });
+
+  it('should import areas from the registries and serve their entities', async () => {
+    const response = await api().post('/api/areas/import').set(auth()).send({ haAreaIds: ['kitchen'] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.areas).toEqual([expect.objectContaining({
+      haAreaId: 'kitchen',
+      entityIds: ['light.kitchen', 'sensor.kitchen_power', 'switch.coffee_machine'],
+      status: 'created'
+    })]);
+    expect(ha.commands.map(command => command.type)).toEqual(expect.arrayContaining([
+      'config/area_registry/list', 'config/device_registry/list', 'config/entity_registry/list'
+    ]));
+
+    const entities = await api().get(`/api/areas/${response.body.areas[0].id}/entities`).set(auth());
+    expect(entities.body.map((entity: any) => entity.entity_id)).toEqual(response.body.areas[0].entityIds);
+  });
+
+  it('should look up Home Assistant areas when a device pairs', async () => {
+    const areaLookups = () => ha.commands.filter(command => command.type === 'config/area_registry/list').length;
+    await api().put('/api/config/pairing').set(auth()).send({ mode: 'auto' }).expect(200);
+    const session = await api().post('/api/pairing/create').set(auth()).send({});
+    expect(session.status).toBe(200);
+    const before = areaLookups();
+
+    // Sessions are only found by id - a PIN in place of the id does not reach the session
+    const byPin = await api()
+      .post(`/api/pairing/${session.body.pin}/verify`)
+      .send({ pin: '000000', deviceName: 'Hallway Tablet', deviceType: 'tablet' });
+    expect(byPin.status).toBe(404);
+
+    const paired = await api()
+      .post(`/api/pairing/${session.body.id}/verify`)
+      .send({ pin: session.body.pin, deviceName: 'Hallway Tablet', deviceType: 'tablet' });
+
+    expect(paired.status).toBe(200);
+    expect(paired.body).toMatchObject({ status: 'completed', clientToken: expect.any(String) });
+    expect(areaLookups()).toBe(before + 1);
+
+    const client = await api().get(`/api/clients/${paired.body.clientId}`).set(auth());
+    expect(client.body).toMatchObject({ name: 'Hallway Tablet', deviceType: 'tablet' });
+
+    // The device reads its HA token from a dedicated route, not from its profile
+    const device = { Authorization: `Bearer ${paired.body.clientToken}` };
+    const me = await api().get('/api/clients/me').set(device);
+    expect(me.status).toBe(200);
+    expect(me.body).not.toHaveProperty('haToken');
+    const haToken = await api().get('/api/clients/me/ha-token').set(device);
+    expect(haToken.status).toBe(200);
+    expect(haToken.body).toHaveProperty('haToken');
+    expect((await api().get('/api/clients/me/ha-token').set(auth())).status).toBe(403);
+
+    // Automations learn about the new device, which shows up as offline until it connects
+    await eventually(async () => {
+      expect(ha.firedEvents).toContainEqual({
+        event_type: 'hasync_pairing_completed',
+        data: expect.objectContaining({ client_id: paired.body.clientId, name: 'Hallway Tablet' })
+      });
+      expect(ha.getState('binary_sensor.hasync_hallway_tablet')?.state).toBe('off');
+    });
+  });
+
+  it('should pair only one device when the same PIN is verified twice at once', async () => {
+    await api().put('/api/config/pairing').set(auth()).send({ mode: 'auto' }).expect(200);
+    const session = await api().post('/api/pairing/create').set(auth()).send({});
+
+    // Both requests pass the status check while the area lookup is in flight
+    ha.setLatency(300);
+    const verify = (deviceName: string) => api()
+      .post(`/api/pairing/${session.body.id}/verify`)
+      .send({ pin: session.body.pin, deviceName, deviceType: 'tablet' });
+    const responses = await Promise.all([verify('Porch Tablet'), verify('Garage Tablet')]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+  });
+
+  it('should only assign existing areas to named client tokens', async () => {
+    const clients = await api().get('/api/clients').set(auth());
+    const tablet = clients.body.find((client: any) => client.name === 'Hallway Tablet');
+    const [area] = (await api().get('/api/areas').set(auth())).body;
+
+    const unknown = await api().post('/api/client-tokens').set(auth())
+      .send({ clientId: tablet.id, name: 'Kiosk', assignedAreas: ['area_missing'] });
+    expect(unknown.status).toBe(400);
+
+    const created = await api().post('/api/client-tokens').set(auth())
+      .send({ clientId: tablet.id, name: 'Kiosk', assignedAreas: [area.id] });
+    expect(created.status).toBe(201);
+
+    const patched = await api().patch(`/api/client-tokens/${created.body.tokenId}`).set(auth())
+      .send({ assignedAreas: [area.id, 42] });
+    expect(patched.status).toBe(400);
+    await api().patch(`/api/client-tokens/${created.body.tokenId}`).set(auth())
+      .send({ assignedAreas: [] }).expect(200);
+
+    await api().post('/api/client-tokens/token_missing/revoke').set(auth()).send({}).expect(404);
+  });
+
+  it('should accept notifications from a rest_command webhook', async () => {
+    const clients = await api().get('/api/clients').set(auth());
+    const tablet = clients.body.find((client: any) => client.name === 'Hallway Tablet');
+    const created = await api().post('/api/webhooks').set(auth())
+      .send({ name: 'Doorbell', target: { type: 'client', clientId: tablet.id } });
+    expect(created.status).toBe(201);
+
+    const rejected = await api().post(`/api/webhooks/${created.body.id}`)
+      .set('Authorization', 'Bearer wrong-secret')
+      .send({ title: 'Doorbell', message: 'Doorbell pressed' });
+    expect(rejected.status).toBe(401);
+
+    // The tablet has not connected yet - the notification waits for it
+    const accepted = await api().post(`/api/webhooks/${created.body.id}`)
+      .set('Authorization', `Bearer ${created.body.secret}`)
+      .send({ title: 'Doorbell', message: 'Doorbell pressed', entityId: 'binary_sensor.front_door' });
+    expect(accepted.status).toBe(202);
+    expect(accepted.body).toMatchObject({ recipients: 1, delivered: 0, queued: 1 });
+  });
+
+  it('should send a signed webhook to subscribers when a device is revoked', async () => {
+    const received: Array<{ headers: IncomingHttpHeaders; body: string }> = [];
+    const receiver = createHttpServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.end();
+      });
+    });
+    await new Promise<void>(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const { port } = receiver.address() as { port: number };
+      const created = await api().post('/api/webhook-subscriptions').set(auth())
+        .send({ name: 'Ticketing', url: `http://127.0.0.1:${port}/hasync`, events: ['token_revoked'] });
+      expect(created.status).toBe(201);
+
+      const clients = await api().get('/api/clients').set(auth());
+      const tablet = clients.body.find((client: any) => client.name === 'Hallway Tablet');
+      await api().post(`/api/clients/${tablet.id}/revoke`).set(auth()).expect(200);
+
+      await eventually(async () => expect(received).toHaveLength(1));
+      const { headers, body } = received[0];
+      expect(JSON.parse(body)).toMatchObject({
+        event: 'token_revoked',
+        data: { clientId: tablet.id, name: 'Hallway Tablet', revokedBy: ADMIN_USERNAME }
+      });
+      const signature = createHmac('sha256', created.body.secret)
+        .update(`${headers['x-hasync-timestamp']}.${body}`).digest('hex');
+      expect(headers['x-hasync-signature']).toBe(`sha256=${signature}`);
+
+      await eventually(async () => {
+        const history = await api().get(`/api/webhook-subscriptions/${created.body.id}/deliveries`).set(auth());
+        expect(history.body.deliveries).toEqual([
+          expect.objectContaining({ eventType: 'token_revoked', status: 'delivered', lastStatusCode: 200 })
+        ]);
+      });
+    } finally {
+      await new Promise(resolve => receiver.close(resolve));
+    }
+  });
+
+  it('should answer with 504 when Home Assistant is too slow', async () => {
+    ha.setLatency(3000);
+
+    const response = await api().post('/api/areas/import').set(auth()).send({});
+
+    expect(response.status).toBe(504);
+  }, 15000);
+
+  it('should reconnect and resync after Home Assistant restarts', async () => {
+    ha.disconnect(500);
+    await eventually(async () => expect(await haState()).toBe('reconnecting'));
+
+    // Changed while the backend was disconnected - only a resync picks this up
+    ha.setState('light.hallway', 'on');
+
+    await eventually(async () => expect(await haState()).toBe('connected'), 15000);
+    await eventually(async () => {
+      const response = await api().get('/api/entities').set(auth());
+      expect(response.body).toEqual(expect.arrayContaining([
+        expect.objectContaining({ entity_id: 'light.hallway', state: 'on' })
+      ]));
+    });
+    expect(ha.connectionCount).toBe(1);
+  }, 30000);
+});
@@ -2,6 +2,7 @@
  * Simplified Validation Tests
  */
 
+import { describe, it, expect } from '@jest/globals';
 import {
   createAreaSchema,
   loginSchema,
@@ -3,6 +3,7 @@
  * Test input validation and injection attack prevention
  */
 
+import { describe, test, expect } from '@jest/globals';
 import {
   createAreaSchema,
   loginSchema,
@@ -23,15 +23,43 @@ export interface HAArea {
   aliases?: string[];
 }
 
+// Device and entity registry entries - only the fields HAsync uses
+export interface HADeviceRegistryEntry {
+  id: string;
+  area_id: string | null;
+  name: string | null;
+  name_by_user?: string | null;
+  disabled_by?: string | null;
+}
+
+export interface HAEntityRegistryEntry {
+  entity_id: string;
+  // Overrides the device's area when set
+  area_id: string | null;
+  device_id: string | null;
+  disabled_by?: string | null;
+  hidden_by?: string | null;
+  entity_category?: 'config' | 'diagnostic' | null;
+}
+
 export interface HADashboard {
   id: string;
   title: string;
   icon?: string;
   url_path: string;
+  mode?: 'storage' | 'yaml';
   require_admin?: boolean;
   show_in_sidebar?: boolean;
 }
 
+// Result of lovelace/config - auto-generated dashboards have a strategy instead of views
+export interface HALovelaceConfig {
+  title?: string;
+  views?: Array<Record<string, any>>;
+  strategy?: Record<string, any>;
+  [key: string]: any;
+}
+
 // Client Types
 export interface Client {
   id: string;
@@ -114,6 +142,10 @@ export interface HAConfig {
   token?: string;
   supervisorToken?: string;
   mode: 'addon' | 'standalone';
+  // Milliseconds to wait for the connection and each request (default 10000)
+  requestTimeout?: number;
+  // Upper bound of the reconnect backoff in milliseconds (default 60000)
+  reconnectMaxDelay?: number;
 }
 
 export interface SecurityConfig {
@@ -137,7 +169,7 @@ export class AppError extends Error {
     public isOperational = true
   ) {
     super(message);
-    Object.setPrototypeOf(this, AppError.prototype);
+    Object.setPrototypeOf(this, new.target.prototype);
   }
 }
 
@@ -0,0 +1,110 @@
+/**
+ * API Key Utilities Test Suite
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  generateApiKey,
+  parseApiKeyPrefix,
+  hashApiKey,
+  getRequiredScope,
+  isApiKeyScope,
+  isIpAllowed,
+  isValidAllowlistEntry
+} from './apiKeys';
+
+describe('API Key Utils', () => {
+  describe('generateApiKey', () => {
+    it('should generate keys whose prefix can be parsed back', () => {
+      const { key, prefix } = generateApiKey();
+
+      expect(key.startsWith(`${prefix}_`)).toBe(true);
+      expect(parseApiKeyPrefix(key)).toBe(prefix);
+    });
+
+    it('should generate unique keys', () => {
+      expect(generateApiKey().key).not.toBe(generateApiKey().key);
+    });
+
+    it('should reject malformed keys', () => {
+      expect(parseApiKeyPrefix('hsk_1234')).toBeNull();
+      expect(parseApiKeyPrefix('Bearer abc')).toBeNull();
+    });
+
+    it('should hash keys deterministically', () => {
+      const { key } = generateApiKey();
+      expect(hashApiKey(key)).toBe(hashApiKey(key));
+      expect(hashApiKey(key)).toHaveLength(64);
+    });
+  });
+
+  describe('getRequiredScope', () => {
+    it('should map reads and writes to resource scopes', () => {
+      expect(getRequiredScope('GET', '/api/areas')).toBe('areas:read');
+      expect(getRequiredScope('PATCH', '/api/areas/area_1/toggle')).toBe('areas:write');
+      expect(getRequiredScope('GET', '/api/clients/client_1')).toBe('clients:read');
+      expect(getRequiredScope('PUT', '/api/clients/client_1')).toBe('clients:write');
+      expect(getRequiredScope('GET', '/api/entities')).toBe('entities:read');
+    });
+
+    it('should require pairing:create to start pairing', () => {
+      expect(getRequiredScope('POST', '/api/pairing/create')).toBe('pairing:create');
+      expect(getRequiredScope('POST', '/api/pairing/session_1/complete')).toBe('pairing:write');
+      expect(getRequiredScope('GET', '/api/pairing/session_1')).toBe('pairing:read');
+    });
+
+    it('should treat issuing enrollment codes like starting pairing', () => {
+      expect(getRequiredScope('POST', '/api/pairing/enrollment-profiles')).toBe('pairing:create');
+      expect(getRequiredScope('PATCH', '/api/pairing/enrollment-profiles/enroll_1')).toBe('pairing:write');
+      expect(getRequiredScope('GET', '/api/pairing/enrollment-profiles')).toBe('pairing:read');
+    });
+
+    it('should keep accounts, configuration and API keys out of reach', () => {
+      expect(getRequiredScope('GET', '/api/users')).toBeNull();
+      expect(getRequiredScope('POST', '/api/config/ha')).toBeNull();
+      expect(getRequiredScope('POST', '/api/api-keys')).toBeNull();
+      expect(getRequiredScope('GET', '/api/admin/backups')).toBeNull();
+    });
+  });
+
+  describe('isApiKeyScope', () => {
+    it('should only accept known scopes', () => {
+      expect(isApiKeyScope('areas:read')).toBe(true);
+      expect(isApiKeyScope('users:write')).toBe(false);
+    });
+  });
+
+  describe('isIpAllowed', () => {
+    it('should allow every address with an empty allow-list', () => {
+      expect(isIpAllowed('203.0.113.5', [])).toBe(true);
+    });
+
+    it('should match exact addresses including IPv4-mapped IPv6', () => {
+      expect(isIpAllowed('192.168.1.20', ['192.168.1.20'])).toBe(true);
+      expect(isIpAllowed('::ffff:192.168.1.20', ['192.168.1.20'])).toBe(true);
+      expect(isIpAllowed('192.168.1.21', ['192.168.1.20'])).toBe(false);
+    });
+
+    it('should match IPv4 CIDR ranges', () => {
+      expect(isIpAllowed('10.0.5.9', ['10.0.0.0/16'])).toBe(true);
+      expect(isIpAllowed('10.1.0.1', ['10.0.0.0/16'])).toBe(false);
+      expect(isIpAllowed('8.8.8.8', ['0.0.0.0/0'])).toBe(true);
+    });
+
+    it('should reject requests without an address when a list is set', () => {
+      expect(isIpAllowed(undefined, ['10.0.0.1'])).toBe(false);
+    });
+  });
+
+  describe('isValidAllowlistEntry', () => {
+    it('should validate addresses and ranges', () => {
+      expect(isValidAllowlistEntry('192.168.1.1')).toBe(true);
+      expect(isValidAllowlistEntry('192.168.0.0/24')).toBe(true);
+      expect(isValidAllowlistEntry('::1')).toBe(true);
+      expect(isValidAllowlistEntry('192.168.0.0/33')).toBe(false);
+      expect(isValidAllowlistEntry('300.1.1.1')).toBe(false);
+      expect(isValidAllowlistEntry('not-an-ip')).toBe(false);
+      expect(isValidAllowlistEntry('cafe')).toBe(false);
+    });
+  });
+});
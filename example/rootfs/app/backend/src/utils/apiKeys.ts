@@ -0,0 +1,160 @@
+/**
+ * API Key Utilities
+ * Key format, scope definitions and the route → scope mapping for API keys
+ */
+
+import { createHash, randomBytes } from 'crypto';
+
+export const API_KEY_SCOPES = [
+  'areas:read',
+  'areas:write',
+  'clients:read',
+  'clients:write',
+  'entities:read',
+  'dashboards:read',
+  'pairing:read',
+  'pairing:create',
+  'pairing:write'
+] as const;
+
+export type ApiKeyScope = typeof API_KEY_SCOPES[number];
+
+const KEY_PREFIX = 'hsk';
+const KEY_PATTERN = /^hsk_([a-f0-9]{8})_([A-Za-z0-9_-]{43})$/;
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+interface ScopeRule {
+  pattern: RegExp;
+  methods: string[];
+  scope: ApiKeyScope;
+}
+
+/**
+ * Route → required scope table - first matching rule wins.
+ * Routes not matched by any rule (accounts, configuration, API keys themselves) are never
+ * reachable with an API key.
+ */
+const SCOPE_RULES: ScopeRule[] = [
+  { pattern: /^\/api\/pairing\/create$/, methods: ['POST'], scope: 'pairing:create' },
+  { pattern: /^\/api\/pairing\/enrollment-profiles$/, methods: ['POST'], scope: 'pairing:create' },
+  { pattern: /^\/api\/pairing(\/|$)/, methods: READ_METHODS, scope: 'pairing:read' },
+  { pattern: /^\/api\/pairing(\/|$)/, methods: WRITE_METHODS, scope: 'pairing:write' },
+  { pattern: /^\/api\/areas(\/|$)/, methods: READ_METHODS, scope: 'areas:read' },
+  { pattern: /^\/api\/areas(\/|$)/, methods: WRITE_METHODS, scope: 'areas:write' },
+  { pattern: /^\/api\/clients(\/|$)/, methods: READ_METHODS, scope: 'clients:read' },
+  { pattern: /^\/api\/clients(\/|$)/, methods: WRITE_METHODS, scope: 'clients:write' },
+  { pattern: /^\/api\/entities(\/|$)/, methods: READ_METHODS, scope: 'entities:read' },
+  { pattern: /^\/api\/dashboards(\/|$)/, methods: READ_METHODS, scope: 'dashboards:read' }
+];
+
+/**
+ * Check whether a value is a known API key scope
+ */
+export function isApiKeyScope(scope: unknown): scope is ApiKeyScope {
+  return typeof scope === 'string' && (API_KEY_SCOPES as readonly string[]).includes(scope);
+}
+
+/**
+ * Get the scope an API key needs to call a route
+ * @param method - HTTP method
+ * @param path - Full request path (including the /api prefix)
+ * @returns The required scope, or null if the route is not available to API keys
+ */
+export function getRequiredScope(method: string, path: string): ApiKeyScope | null {
+  const upperMethod = method.toUpperCase();
+
+  for (const rule of SCOPE_RULES) {
+    if (rule.pattern.test(path) && rule.methods.includes(upperMethod)) {
+      return rule.scope;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Generate a new API key
+ * The prefix is stored in clear text to find the key and show it in the UI;
+ * only the SHA-256 hash of the full key is stored.
+ */
+export function generateApiKey(): { key: string; prefix: string } {
+  const prefix = `${KEY_PREFIX}_${randomBytes(4).toString('hex')}`;
+  const secret = randomBytes(32).toString('base64url');
+  return { key: `${prefix}_${secret}`, prefix };
+}
+
+/**
+ * Split an API key into its lookup prefix
+ * @returns The prefix, or null if the key is malformed
+ */
+export function parseApiKeyPrefix(key: string): string | null {
+  const match = KEY_PATTERN.exec(key);
+  return match ? `${KEY_PREFIX}_${match[1]}` : null;
+}
+
+/**
+ * Hash an API key for storage (keys carry 256 bits of entropy, no salt needed)
+ */
+export function hashApiKey(key: string): string {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix Node uses for IPv4 clients on dual-stack sockets
+ */
+function normalizeIp(ip: string): string {
+  return ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+}
+
+function ipv4ToNumber(ip: string): number | null {
+  const parts = ip.split('.');
+  if (parts.length !== 4) return null;
+
+  let value = 0;
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+    value = value * 256 + Number(part);
+  }
+  return value;
+}
+
+/**
+ * Check whether an allow-list entry is a valid IP address or IPv4 CIDR range
+ */
+export function isValidAllowlistEntry(entry: string): boolean {
+  const [address, bits, ...rest] = entry.split('/');
+  if (rest.length > 0) return false;
+
+  if (bits !== undefined) {
+    return ipv4ToNumber(address) !== null && /^\d{1,2}$/.test(bits) && Number(bits) <= 32;
+  }
+
+  return ipv4ToNumber(address) !== null || (address.includes(':') && /^[0-9a-fA-F:]+$/.test(address));
+}
+
+/**
+ * Check whether a request IP is allowed by an allow-list
+ * Entries are exact addresses or IPv4 CIDR ranges; an empty list allows every address.
+ */
+export function isIpAllowed(ip: string | undefined, allowlist: string[]): boolean {
+  if (allowlist.length === 0) return true;
+  if (!ip) return false;
+
+  const address = normalizeIp(ip);
+  const addressValue = ipv4ToNumber(address);
+
+  return allowlist.some((entry) => {
+    const [range, bits] = entry.split('/');
+    if (bits === undefined) {
+      return normalizeIp(range) === address;
+    }
+
+    const rangeValue = ipv4ToNumber(range);
+    if (rangeValue === null || addressValue === null) return false;
+
+    const size = 2 ** (32 - Number(bits));
+    return Math.floor(addressValue / size) === Math.floor(rangeValue / size);
+  });
+}
@@ -0,0 +1,68 @@
+/**
+ * Enrollment Code Utilities Test Suite
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  generateEnrollmentCode,
+  normalizeEnrollmentCode,
+  isEnrollmentCode,
+  hashEnrollmentCode,
+  renderNameTemplate
+} from './enrollmentCodes';
+
+describe('Enrollment Code Utils', () => {
+  describe('generateEnrollmentCode', () => {
+    it('should generate codes in XXXX-XXXX-XXXX format', () => {
+      expect(generateEnrollmentCode()).toMatch(/^[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    });
+
+    it('should never use ambiguous characters', () => {
+      for (let i = 0; i < 50; i++) {
+        expect(generateEnrollmentCode()).not.toMatch(/[01OI]/);
+      }
+    });
+
+    it('should generate unique codes', () => {
+      expect(generateEnrollmentCode()).not.toBe(generateEnrollmentCode());
+    });
+  });
+
+  describe('normalizeEnrollmentCode', () => {
+    it('should accept lowercase input without dashes', () => {
+      expect(normalizeEnrollmentCode('kt7q9xw2mhpa')).toBe('KT7Q-9XW2-MHPA');
+      expect(normalizeEnrollmentCode(' KT7Q 9XW2 MHPA ')).toBe('KT7Q-9XW2-MHPA');
+    });
+
+    it('should reject PINs, session ids and malformed codes', () => {
+      expect(normalizeEnrollmentCode('123456')).toBeNull();
+      expect(normalizeEnrollmentCode('pairing_1700000000000')).toBeNull();
+      expect(normalizeEnrollmentCode('KT7Q-9XW2-MHP')).toBeNull();
+      expect(normalizeEnrollmentCode('KT7Q-9XW2-MHP0')).toBeNull();
+      expect(normalizeEnrollmentCode(undefined)).toBeNull();
+    });
+
+    it('should tell enrollment codes apart from session ids', () => {
+      expect(isEnrollmentCode('KT7Q-9XW2-MHPA')).toBe(true);
+      expect(isEnrollmentCode('pairing_1700000000000')).toBe(false);
+    });
+  });
+
+  describe('hashEnrollmentCode', () => {
+    it('should hash codes deterministically', () => {
+      expect(hashEnrollmentCode('KT7Q-9XW2-MHPA')).toBe(hashEnrollmentCode('KT7Q-9XW2-MHPA'));
+      expect(hashEnrollmentCode('KT7Q-9XW2-MHPA')).toHaveLength(64);
+    });
+  });
+
+  describe('renderNameTemplate', () => {
+    it('should replace the sequence placeholder', () => {
+      expect(renderNameTemplate('Kitchen Tablet {n}', 3)).toBe('Kitchen Tablet 3');
+      expect(renderNameTemplate('Floor {n} / Panel {n}', 2)).toBe('Floor 2 / Panel 2');
+    });
+
+    it('should append the sequence number when there is no placeholder', () => {
+      expect(renderNameTemplate('Lobby Tablet', 7)).toBe('Lobby Tablet 7');
+    });
+  });
+});
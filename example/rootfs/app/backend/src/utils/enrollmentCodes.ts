@@ -0,0 +1,69 @@
+/**
+ * Enrollment Code Utilities
+ * Format, hashing and name templates for multi-use enrollment codes
+ */
+
+import { createHash, randomBytes } from 'crypto';
+
+// No 0/O or 1/I - codes are read off a screen or sheet of paper and typed on tablets
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const GROUPS = 3;
+const GROUP_LENGTH = 4;
+
+const CODE_PATTERN = new RegExp(`^[${ALPHABET}]{${GROUPS * GROUP_LENGTH}}$`);
+
+export const NAME_TEMPLATE_PLACEHOLDER = '{n}';
+
+/**
+ * Generate a new enrollment code like "KT7Q-9XW2-MHPA" (60 bits of entropy)
+ */
+export function generateEnrollmentCode(): string {
+  // 256 is a multiple of the 32-character alphabet, so byte % 32 is unbiased
+  const bytes = randomBytes(GROUPS * GROUP_LENGTH);
+  const chars = Array.from(bytes, (byte) => ALPHABET[byte % ALPHABET.length]).join('');
+  return formatCode(chars);
+}
+
+function formatCode(chars: string): string {
+  const groups: string[] = [];
+  for (let i = 0; i < chars.length; i += GROUP_LENGTH) {
+    groups.push(chars.slice(i, i + GROUP_LENGTH));
+  }
+  return groups.join('-');
+}
+
+/**
+ * Normalize user input to the canonical code format (case, spaces and dashes are ignored)
+ * @returns The canonical code, or null if the input is not an enrollment code
+ */
+export function normalizeEnrollmentCode(input: unknown): string | null {
+  if (typeof input !== 'string') return null;
+
+  const chars = input.toUpperCase().replace(/[\s-]/g, '');
+  return CODE_PATTERN.test(chars) ? formatCode(chars) : null;
+}
+
+/**
+ * Check whether a value looks like an enrollment code
+ */
+export function isEnrollmentCode(input: unknown): boolean {
+  return normalizeEnrollmentCode(input) !== null;
+}
+
+/**
+ * Hash a canonical enrollment code for storage
+ */
+export function hashEnrollmentCode(code: string): string {
+  return createHash('sha256').update(code).digest('hex');
+}
+
+/**
+ * Build a device name from a profile's name template
+ * Every "{n}" is replaced by the sequence number; templates without it get the number appended.
+ * @example renderNameTemplate('Kitchen Tablet {n}', 3) // 'Kitchen Tablet 3'
+ */
+export function renderNameTemplate(template: string, sequence: number): string {
+  return template.includes(NAME_TEMPLATE_PLACEHOLDER)
+    ? template.split(NAME_TEMPLATE_PLACEHOLDER).join(String(sequence))
+    : `${template} ${sequence}`;
+}
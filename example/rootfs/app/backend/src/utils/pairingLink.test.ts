@@ -0,0 +1,87 @@
+/**
+ * Pairing Link Utilities Test Suite
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  buildPairingUri,
+  signPairingPayload,
+  verifyPairingSignature,
+  normalizeServerUrl,
+  getCertificateFingerprint,
+  PairingLinkPayload
+} from './pairingLink';
+
+const SECRET = 'test-secret';
+
+const payload: PairingLinkPayload = {
+  server: 'https://ha.local:5173',
+  sessionId: 'pairing_1700000000000',
+  pin: '123456',
+  expiresAt: 1700000300,
+  fingerprint: 'AB:CD:EF'
+};
+
+describe('Pairing Link Utils', () => {
+  describe('buildPairingUri', () => {
+    it('should point at the /pair route of the server', () => {
+      const uri = new URL(buildPairingUri(payload, SECRET));
+
+      expect(uri.origin).toBe('https://ha.local:5173');
+      expect(uri.pathname).toBe('/pair');
+    });
+
+    it('should carry all pairing fields and a valid signature', () => {
+      const params = new URL(buildPairingUri(payload, SECRET)).searchParams;
+
+      expect(params.get('server')).toBe(payload.server);
+      expect(params.get('session')).toBe(payload.sessionId);
+      expect(params.get('pin')).toBe(payload.pin);
+      expect(params.get('exp')).toBe(String(payload.expiresAt));
+      expect(params.get('fp')).toBe(payload.fingerprint);
+      expect(verifyPairingSignature(payload, params.get('sig')!, SECRET)).toBe(true);
+    });
+
+    it('should omit the fingerprint when TLS is disabled', () => {
+      const params = new URL(buildPairingUri({ ...payload, fingerprint: null }, SECRET)).searchParams;
+      expect(params.has('fp')).toBe(false);
+    });
+  });
+
+  describe('verifyPairingSignature', () => {
+    const signature = signPairingPayload(payload, SECRET);
+
+    it('should reject tampered fields', () => {
+      expect(verifyPairingSignature({ ...payload, server: 'https://evil.example' }, signature, SECRET)).toBe(false);
+      expect(verifyPairingSignature({ ...payload, expiresAt: payload.expiresAt + 60 }, signature, SECRET)).toBe(false);
+      expect(verifyPairingSignature({ ...payload, fingerprint: null }, signature, SECRET)).toBe(false);
+    });
+
+    it('should reject signatures made with another secret', () => {
+      expect(verifyPairingSignature(payload, signature, 'other-secret')).toBe(false);
+    });
+
+    it('should reject malformed signatures', () => {
+      expect(verifyPairingSignature(payload, 'short', SECRET)).toBe(false);
+    });
+  });
+
+  describe('normalizeServerUrl', () => {
+    it('should strip trailing slashes', () => {
+      expect(normalizeServerUrl('http://192.168.1.5:5173/')).toBe('http://192.168.1.5:5173');
+      expect(normalizeServerUrl('https://ha.local/hasync/')).toBe('https://ha.local/hasync');
+    });
+
+    it('should reject non-http URLs', () => {
+      expect(normalizeServerUrl('javascript:alert(1)')).toBeNull();
+      expect(normalizeServerUrl('not a url')).toBeNull();
+      expect(normalizeServerUrl(42)).toBeNull();
+    });
+  });
+
+  describe('getCertificateFingerprint', () => {
+    it('should return null for invalid certificates', () => {
+      expect(getCertificateFingerprint('not a certificate')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Pairing Link Utilities
+ * Signed pairing URIs that devices open from a QR code instead of typing the PIN
+ */
+
+import { createHmac, timingSafeEqual, X509Certificate } from 'crypto';
+
+export const PAIRING_LINK_VERSION = '1';
+
+export interface PairingLinkPayload {
+  server: string;
+  sessionId: string;
+  pin: string;
+  expiresAt: number;
+  fingerprint: string | null;
+}
+
+/**
+ * Canonical string covered by the signature - field order is part of the format
+ */
+function canonicalize(payload: PairingLinkPayload): string {
+  return [
+    PAIRING_LINK_VERSION,
+    payload.server,
+    payload.sessionId,
+    payload.pin,
+    String(payload.expiresAt),
+    payload.fingerprint || ''
+  ].join('\n');
+}
+
+/**
+ * Sign a pairing payload (HMAC-SHA256, base64url)
+ */
+export function signPairingPayload(payload: PairingLinkPayload, secret: string): string {
+  return createHmac('sha256', `pairing-link:${secret}`).update(canonicalize(payload)).digest('base64url');
+}
+
+/**
+ * Check a pairing link signature in constant time
+ */
+export function verifyPairingSignature(payload: PairingLinkPayload, signature: string, secret: string): boolean {
+  const expected = Buffer.from(signPairingPayload(payload, secret));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Build the pairing URI shown as QR code
+ * The URI opens the frontend's /pair route, which verifies the session automatically.
+ * @param payload - Pairing session details; server is the base URL of the web UI
+ * @param secret - Signing secret
+ */
+export function buildPairingUri(payload: PairingLinkPayload, secret: string): string {
+  const params = new URLSearchParams({
+    v: PAIRING_LINK_VERSION,
+    server: payload.server,
+    session: payload.sessionId,
+    pin: payload.pin,
+    exp: String(payload.expiresAt)
+  });
+  if (payload.fingerprint) {
+    params.set('fp', payload.fingerprint);
+  }
+  params.set('sig', signPairingPayload(payload, secret));
+
+  return `${payload.server.replace(/\/+$/, '')}/pair?${params.toString()}`;
+}
+
+/**
+ * Normalize a server base URL for pairing links
+ * @returns The origin plus path without trailing slash, or null if not an http(s) URL
+ */
+export function normalizeServerUrl(value: unknown): string | null {
+  if (typeof value !== 'string' || value.length > 2048) return null;
+
+  try {
+    const url = new URL(value);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * SHA-256 fingerprint of a PEM certificate ("AB:CD:…"), so devices can pin self-signed certificates
+ */
+export function getCertificateFingerprint(certPem: string): string | null {
+  try {
+    return new X509Certificate(certPem).fingerprint256;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Admin Roles Test Suite
+ * Tests for the role to route permission mapping
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { canAccessRoute, canManageRole, isAdminRole } from './roles';
+
+describe('Admin Roles', () => {
+  describe('isAdminRole', () => {
+    it('should accept known roles', () => {
+      expect(isAdminRole('owner')).toBe(true);
+      expect(isAdminRole('viewer')).toBe(true);
+    });
+
+    it('should reject unknown roles', () => {
+      expect(isAdminRole('user')).toBe(false);
+      expect(isAdminRole('client')).toBe(false);
+      expect(isAdminRole(undefined)).toBe(false);
+    });
+  });
+
+  describe('canAccessRoute', () => {
+    it('should allow owner and admin everywhere', () => {
+      expect(canAccessRoute('owner', 'POST', '/api/config/ha')).toBe(true);
+      expect(canAccessRoute('admin', 'DELETE', '/api/users/user_1')).toBe(true);
+    });
+
+    it('should let operators manage devices but not configuration', () => {
+      expect(canAccessRoute('operator', 'POST', '/api/pairing/create')).toBe(true);
+      expect(canAccessRoute('operator', 'PUT', '/api/clients/client_1')).toBe(true);
+      expect(canAccessRoute('operator', 'PATCH', '/api/areas/area_1/toggle')).toBe(true);
+      expect(canAccessRoute('operator', 'GET', '/api/config/ha')).toBe(false);
+      expect(canAccessRoute('operator', 'GET', '/api/users')).toBe(false);
+      expect(canAccessRoute('operator', 'GET', '/api/api-keys')).toBe(false);
+    });
+
+    it('should restrict viewers to reads', () => {
+      expect(canAccessRoute('viewer', 'GET', '/api/clients')).toBe(true);
+      expect(canAccessRoute('viewer', 'DELETE', '/api/clients/client_1')).toBe(false);
+      expect(canAccessRoute('viewer', 'GET', '/api/entities')).toBe(true);
+      expect(canAccessRoute('viewer', 'POST', '/api/dashboards')).toBe(false);
+      expect(canAccessRoute('viewer', 'GET', '/api/config/ha')).toBe(false);
+      expect(canAccessRoute('viewer', 'GET', '/api/users/me')).toBe(true);
+      expect(canAccessRoute('viewer', 'GET', '/api/users')).toBe(false);
+      expect(canAccessRoute('viewer', 'POST', '/api/users/me/mfa/enroll')).toBe(true);
+      expect(canAccessRoute('viewer', 'DELETE', '/api/users/user_1/mfa')).toBe(false);
+    });
+
+    it('should keep client-only routes closed to every admin role', () => {
+      expect(canAccessRoute('owner', 'POST', '/api/services/call')).toBe(false);
+      expect(canAccessRoute('admin', 'POST', '/api/services/call')).toBe(false);
+    });
+
+    it('should reserve unknown write routes for owner and admin', () => {
+      expect(canAccessRoute('operator', 'POST', '/internal')).toBe(false);
+      expect(canAccessRoute('admin', 'POST', '/internal')).toBe(true);
+    });
+  });
+
+  describe('canManageRole', () => {
+    it('should only let owners manage owners', () => {
+      expect(canManageRole('owner', 'owner')).toBe(true);
+      expect(canManageRole('admin', 'owner')).toBe(false);
+      expect(canManageRole('admin', 'operator')).toBe(true);
+      expect(canManageRole('operator', 'viewer')).toBe(false);
+    });
+  });
+});
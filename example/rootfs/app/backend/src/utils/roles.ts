@@ -0,0 +1,77 @@
+/**
+ * Admin Role Definitions
+ * Maps admin account roles to the API routes they are allowed to call
+ */
+
+export const ADMIN_ROLES = ['owner', 'admin', 'operator', 'viewer'] as const;
+
+export type AdminRole = typeof ADMIN_ROLES[number];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+interface RoutePermission {
+  pattern: RegExp;
+  methods: string[] | '*';
+  roles: AdminRole[];
+}
+
+/**
+ * Route permission table - first matching rule wins.
+ * Routes not matched by any rule are reserved for owner and admin.
+ */
+const ROUTE_PERMISSIONS: RoutePermission[] = [
+  // Every account may look up itself and manage its own two-factor authentication
+  { pattern: /^\/api\/users\/me$/, methods: READ_METHODS, roles: ['owner', 'admin', 'operator', 'viewer'] },
+  { pattern: /^\/api\/users\/me\/mfa(\/|$)/, methods: '*', roles: ['owner', 'admin', 'operator', 'viewer'] },
+
+  // Account management, server configuration and API keys (contain secrets)
+  { pattern: /^\/api\/users(\/|$)/, methods: '*', roles: ['owner', 'admin'] },
+  { pattern: /^\/api\/config(\/|$)/, methods: '*', roles: ['owner', 'admin'] },
+  { pattern: /^\/api\/admin(\/|$)/, methods: '*', roles: ['owner', 'admin'] },
+  { pattern: /^\/api\/api-keys(\/|$)/, methods: '*', roles: ['owner', 'admin'] },
+
+  // Service calls are made by paired clients on their own areas - no admin role may proxy them
+  { pattern: /^\/api\/services\/call$/, methods: '*', roles: [] },
+
+  // Day-to-day device management
+  { pattern: /^\/api\/(pairing|clients|areas)(\/|$)/, methods: WRITE_METHODS, roles: ['owner', 'admin', 'operator'] },
+
+  // Everything else is read-only for every role
+  { pattern: /^\/api\//, methods: READ_METHODS, roles: ['owner', 'admin', 'operator', 'viewer'] }
+];
+
+/**
+ * Check whether a value is a known admin role
+ */
+export function isAdminRole(role: unknown): role is AdminRole {
+  return typeof role === 'string' && (ADMIN_ROLES as readonly string[]).includes(role);
+}
+
+/**
+ * Check whether an admin role may call the given route
+ * @param role - Role of the authenticated admin account
+ * @param method - HTTP method
+ * @param path - Full request path (including the /api prefix)
+ */
+export function canAccessRoute(role: AdminRole, method: string, path: string): boolean {
+  const upperMethod = method.toUpperCase();
+
+  for (const rule of ROUTE_PERMISSIONS) {
+    if (!rule.pattern.test(path)) continue;
+    if (rule.methods !== '*' && !rule.methods.includes(upperMethod)) continue;
+    return rule.roles.includes(role);
+  }
+
+  return role === 'owner' || role === 'admin';
+}
+
+/**
+ * Check whether an admin may create, modify or delete an account with the target role.
+ * Owners manage everyone; admins manage everyone except owners.
+ */
+export function canManageRole(actorRole: AdminRole, targetRole: AdminRole): boolean {
+  if (actorRole === 'owner') return true;
+  if (actorRole === 'admin') return targetRole !== 'owner';
+  return false;
+}
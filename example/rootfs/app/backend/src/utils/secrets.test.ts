@@ -0,0 +1,158 @@
+/**
+ * Secret Encryption Utilities Test Suite
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { mkdtempSync, rmSync, writeFileSync, copyFileSync, renameSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  deriveMasterKey,
+  generateKeyMaterial,
+  getMasterKeyId,
+  encryptSecret,
+  decryptSecret,
+  isEncryptedSecret,
+  rewrapSecret,
+  maskSecret,
+  setStoredKeyIdSource
+} from './secrets';
+
+describe('Secret Utils', () => {
+  const key = deriveMasterKey(generateKeyMaterial());
+  const otherKey = deriveMasterKey(generateKeyMaterial());
+  const haToken = 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.payload.signature';
+
+  describe('encryptSecret / decryptSecret', () => {
+    it('should round-trip a secret', () => {
+      const encrypted = encryptSecret(haToken, key);
+
+      expect(isEncryptedSecret(encrypted)).toBe(true);
+      expect(encrypted).not.toContain(haToken);
+      expect(decryptSecret(encrypted, key)).toBe(haToken);
+    });
+
+    it('should use a fresh data key for every secret', () => {
+      expect(encryptSecret(haToken, key)).not.toBe(encryptSecret(haToken, key));
+    });
+
+    it('should record the master key id', () => {
+      expect(encryptSecret(haToken, key)).toContain(`:${getMasterKeyId(key)}:`);
+    });
+
+    it('should reject secrets encrypted with another master key', () => {
+      expect(() => decryptSecret(encryptSecret(haToken, otherKey), key)).toThrow(/another master key/);
+    });
+
+    it('should reject tampered ciphertext', () => {
+      const encrypted = encryptSecret(haToken, key);
+      const parts = encrypted.split(':');
+      const ciphertext = Buffer.from(parts[4], 'base64');
+      ciphertext[ciphertext.length - 1] ^= 0xff;
+      parts[4] = ciphertext.toString('base64');
+
+      expect(() => decryptSecret(parts.join(':'), key)).toThrow();
+    });
+
+    it('should pass through values that are not encrypted yet', () => {
+      expect(decryptSecret(haToken, key)).toBe(haToken);
+    });
+  });
+
+  describe('key file', () => {
+    let dir: string;
+    let keyFile: string;
+
+    beforeAll(() => {
+      dir = mkdtempSync(join(tmpdir(), 'hasync-secrets-'));
+      keyFile = join(dir, 'secrets.key');
+      delete process.env.SECRETS_KEY;
+      process.env.SECRETS_KEY_FILE = keyFile;
+    });
+
+    afterAll(() => {
+      setStoredKeyIdSource(null);
+      delete process.env.SECRETS_KEY_FILE;
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should encrypt with the re-keyed key at every step of a re-key while running', () => {
+      const oldMaterial = generateKeyMaterial();
+      writeFileSync(keyFile, oldMaterial);
+      const oldKeyId = getMasterKeyId(deriveMasterKey(oldMaterial));
+      const newMaterial = generateKeyMaterial();
+      const newKeyId = getMasterKeyId(deriveMasterKey(newMaterial));
+      let storedKeyId: string | null = null;
+      setStoredKeyIdSource(() => storedKeyId);
+
+      const beforeRekey = encryptSecret(haToken);
+      expect(beforeRekey).toContain(`:${oldKeyId}:`);
+
+      // The re-key command writes the pending key file, then commits the database with the new key id
+      writeFileSync(`${keyFile}.new`, newMaterial);
+      expect(encryptSecret(haToken)).toContain(`:${oldKeyId}:`);
+      storedKeyId = newKeyId;
+      const duringRekey = encryptSecret(haToken);
+      expect(duringRekey).toContain(`:${newKeyId}:`);
+
+      // ...and finally moves the key files into place
+      copyFileSync(keyFile, `${keyFile}.old`);
+      renameSync(`${keyFile}.new`, keyFile);
+      const afterRekey = encryptSecret(haToken);
+      expect(afterRekey).toContain(`:${newKeyId}:`);
+
+      for (const encrypted of [beforeRekey, duringRekey, afterRekey]) {
+        expect(decryptSecret(encrypted)).toBe(haToken);
+      }
+    });
+
+    it('should refuse to encrypt when the re-keyed key is not available', () => {
+      setStoredKeyIdSource(() => 'deadbeef');
+      expect(() => encryptSecret(haToken)).toThrow(/re-keyed to master key deadbeef/);
+    });
+  });
+
+  describe('deriveMasterKey', () => {
+    it('should derive the same key from the same material', () => {
+      expect(deriveMasterKey(' my add-on passphrase\n').equals(deriveMasterKey('my add-on passphrase'))).toBe(true);
+      expect(deriveMasterKey('a')).toHaveLength(32);
+    });
+
+    it('should reject empty material', () => {
+      expect(() => deriveMasterKey('  ')).toThrow();
+    });
+  });
+
+  describe('rewrapSecret', () => {
+    it('should move a secret to the new master key without changing its ciphertext', () => {
+      const encrypted = encryptSecret(haToken, key);
+      const rewrapped = rewrapSecret(encrypted, key, otherKey);
+
+      expect(rewrapped.split(':')[4]).toBe(encrypted.split(':')[4]);
+      expect(decryptSecret(rewrapped, otherKey)).toBe(haToken);
+      expect(() => decryptSecret(rewrapped, key)).toThrow();
+    });
+
+    it('should leave secrets already on the new key alone', () => {
+      const encrypted = encryptSecret(haToken, otherKey);
+      expect(rewrapSecret(encrypted, key, otherKey)).toBe(encrypted);
+    });
+
+    it('should encrypt plaintext values', () => {
+      expect(decryptSecret(rewrapSecret(haToken, key, otherKey), otherKey)).toBe(haToken);
+    });
+
+    it('should refuse secrets from an unknown master key', () => {
+      const unknown = encryptSecret(haToken, deriveMasterKey('unknown'));
+      expect(() => rewrapSecret(unknown, key, otherKey)).toThrow(/unknown master key/);
+    });
+  });
+
+  describe('maskSecret', () => {
+    it('should only reveal the last 4 characters', () => {
+      expect(maskSecret(haToken)).toBe('••••••••ture');
+      expect(maskSecret('short')).toBe('••••••••');
+      expect(maskSecret(null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Secret Encryption Utilities
+ * Envelope encryption for secrets stored in the database (HA tokens, TOTP secrets)
+ *
+ * Every secret is encrypted with its own random data key (AES-256-GCM); the data key
+ * is wrapped with the master key. Re-keying only re-wraps the data keys.
+ *
+ * Stored format: enc:v1:<master key id>:<wrapped data key>:<ciphertext>
+ */
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes, scryptSync } from 'crypto';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { createLogger } from './logger';
+
+const logger = createLogger('Secrets');
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_SALT = 'hasync-secrets-v1';
+
+let masterKey: Buffer | null = null;
+// Keys derived from key files, by file contents (derivation is deliberately slow)
+const fileKeys = new Map<string, Buffer>();
+// Id of the master key the stored secrets were last re-keyed to
+let storedKeyIdSource: (() => string | null) | null = null;
+
+/**
+ * Path of the key file - next to the database in /data unless SECRETS_KEY_FILE is set
+ */
+export function getMasterKeyFilePath(): string {
+  return process.env.SECRETS_KEY_FILE
+    || join(dirname(process.env.DATABASE_PATH || '/data/app01.db'), 'secrets.key');
+}
+
+/**
+ * Derive a master key from key material (key file contents or the secrets_key add-on option)
+ */
+export function deriveMasterKey(material: string): Buffer {
+  if (!material.trim()) {
+    throw new Error('Secrets key material must not be empty');
+  }
+  return scryptSync(material.trim(), KEY_SALT, KEY_LENGTH);
+}
+
+/**
+ * Generate key material for a new key file
+ */
+export function generateKeyMaterial(): string {
+  return randomBytes(KEY_LENGTH).toString('hex');
+}
+
+/**
+ * Short identifier of a master key, stored with every secret so re-keying can tell old from new
+ */
+export function getMasterKeyId(key: Buffer): string {
+  return createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+/**
+ * Load the master key from SECRETS_KEY (add-on option) or the key file,
+ * creating the key file with fresh key material on first start
+ */
+export function loadMasterKey(): Buffer {
+  if (process.env.SECRETS_KEY) {
+    return deriveMasterKey(process.env.SECRETS_KEY);
+  }
+
+  const keyFile = getMasterKeyFilePath();
+  if (!existsSync(keyFile)) {
+    writeFileSync(keyFile, generateKeyMaterial(), { mode: 0o600 });
+    logger.info(`✓ Created secrets key file: ${keyFile}`);
+  }
+
+  return deriveMasterKey(readFileSync(keyFile, 'utf8'));
+}
+
+/**
+ * Get the active master key (loaded once)
+ */
+export function getMasterKey(): Buffer {
+  if (!masterKey) {
+    masterKey = loadMasterKey();
+  }
+  return masterKey;
+}
+
+/**
+ * Replace the active master key (after re-keying)
+ */
+export function setMasterKey(key: Buffer): void {
+  masterKey = key;
+}
+
+/**
+ * Tell encryption which master key the stored secrets were last re-keyed to
+ * @param source - Returns the key id recorded by the last re-key, or null if there was none
+ */
+export function setStoredKeyIdSource(source: (() => string | null) | null): void {
+  storedKeyIdSource = source;
+}
+
+function readKeyFile(path: string): Buffer | null {
+  if (!existsSync(path)) {
+    return null;
+  }
+
+  const material = readFileSync(path, 'utf8');
+  let key = fileKeys.get(material);
+  if (!key) {
+    key = deriveMasterKey(material);
+    fileKeys.set(material, key);
+  }
+  return key;
+}
+
+/**
+ * Find a master key by id: the active key or, without SECRETS_KEY, the current, pending (.new)
+ * or previous (.old) key file - the re-key command moves them while the server keeps running
+ */
+function findMasterKey(keyId: string): Buffer | null {
+  const key = getMasterKey();
+  if (getMasterKeyId(key) === keyId) {
+    return key;
+  }
+  if (process.env.SECRETS_KEY) {
+    return null;
+  }
+
+  const keyFile = getMasterKeyFilePath();
+  for (const path of [keyFile, `${keyFile}.new`, `${keyFile}.old`]) {
+    const fileKey = readKeyFile(path);
+    if (fileKey && getMasterKeyId(fileKey) === keyId) {
+      return fileKey;
+    }
+  }
+  return null;
+}
+
+/**
+ * Master key for new secrets - always the key the stored secrets were last re-keyed to,
+ * so a secret written while the re-key command runs is never left under the retired key
+ * @throws If that key is not available (SECRETS_KEY still holds the old value)
+ */
+function getEncryptionKey(): Buffer {
+  const key = getMasterKey();
+  const storedKeyId = storedKeyIdSource?.();
+  if (!storedKeyId || storedKeyId === getMasterKeyId(key)) {
+    return key;
+  }
+
+  const storedKey = findMasterKey(storedKeyId);
+  if (!storedKey) {
+    throw new Error(`Secrets were re-keyed to master key ${storedKeyId}, which is not loaded - restart with the new key`);
+  }
+
+  logger.info(`Secrets were re-keyed - encrypting with master key ${storedKeyId}`);
+  setMasterKey(storedKey);
+  return storedKey;
+}
+
+function seal(key: Buffer, plaintext: Buffer): string {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]).toString('base64');
+}
+
+function open(key: Buffer, sealed: string): Buffer {
+  const data = Buffer.from(sealed, 'base64');
+  const decipher = createDecipheriv(ALGORITHM, key, data.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+  return Buffer.concat([decipher.update(data.subarray(IV_LENGTH, data.length - TAG_LENGTH)), decipher.final()]);
+}
+
+function parse(value: string): { keyId: string; wrappedKey: string; ciphertext: string } {
+  const [keyId, wrappedKey, ciphertext] = value.slice(PREFIX.length).split(':');
+  if (!keyId || !wrappedKey || !ciphertext) {
+    throw new Error('Malformed encrypted secret');
+  }
+  return { keyId, wrappedKey, ciphertext };
+}
+
+/**
+ * Check whether a stored value is already encrypted
+ */
+export function isEncryptedSecret(value: unknown): value is string {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt a secret for storage
+ * @param key - Master key; defaults to the key the stored secrets were last re-keyed to
+ */
+export function encryptSecret(plaintext: string, key: Buffer = getEncryptionKey()): string {
+  const dataKey = randomBytes(KEY_LENGTH);
+  return `${PREFIX}${getMasterKeyId(key)}:${seal(key, dataKey)}:${seal(dataKey, Buffer.from(plaintext, 'utf8'))}`;
+}
+
+/**
+ * Decrypt a stored secret
+ * Values without the enc: prefix are returned unchanged (rows not migrated yet).
+ * @param key - Master key; defaults to the key the secret names, looked up among the known keys
+ * @throws If the secret was encrypted with a different master key or was tampered with
+ */
+export function decryptSecret(value: string, key?: Buffer): string {
+  if (!isEncryptedSecret(value)) {
+    return value;
+  }
+
+  const { keyId, wrappedKey, ciphertext } = parse(value);
+  if (!key) {
+    key = findMasterKey(keyId) ?? getMasterKey();
+  }
+  if (keyId !== getMasterKeyId(key)) {
+    throw new Error(`Secret was encrypted with another master key (${keyId})`);
+  }
+
+  return open(open(key, wrappedKey), ciphertext).toString('utf8');
+}
+
+/**
+ * Re-wrap a secret's data key with a new master key (the ciphertext itself is kept)
+ * Plaintext values are encrypted with the new key.
+ * @param oldKey - Master key(s) the secret may currently be wrapped with
+ */
+export function rewrapSecret(value: string, oldKey: Buffer | Buffer[], newKey: Buffer): string {
+  if (!isEncryptedSecret(value)) {
+    return encryptSecret(value, newKey);
+  }
+
+  const { keyId, wrappedKey, ciphertext } = parse(value);
+  if (keyId === getMasterKeyId(newKey)) {
+    return value;
+  }
+  const currentKey = (Array.isArray(oldKey) ? oldKey : [oldKey]).find((key) => getMasterKeyId(key) === keyId);
+  if (!currentKey) {
+    throw new Error(`Secret was encrypted with an unknown master key (${keyId})`);
+  }
+
+  return `${PREFIX}${getMasterKeyId(newKey)}:${seal(newKey, open(currentKey, wrappedKey))}:${ciphertext}`;
+}
+
+/**
+ * Mask a secret for display - only the last 4 characters are shown
+ * @example maskSecret('eyJhbGciOiJIUzI1NiJ9.abcd') // '••••••••abcd'
+ */
+export function maskSecret(secret: string | null | undefined): string | null {
+  if (!secret) {
+    return null;
+  }
+  return secret.length <= 8 ? '••••••••' : `••••••••${secret.slice(-4)}`;
+}
@@ -4,6 +4,7 @@
  */
 
 import { z } from 'zod';
+import { serviceCallSchema } from '../validation/schemas';
 
 /**
  * Subscribe event validation schema
@@ -82,6 +83,13 @@ export function validateMessage(data: unknown): z.infer<typeof messageSchema> {
   return messageSchema.parse(data);
 }
 
+/**
+ * Validate call_service event data
+ */
+export function validateCallService(data: unknown): z.infer<typeof serviceCallSchema> {
+  return serviceCallSchema.parse(data);
+}
+
 /**
  * Sanitize string input to prevent XSS
  */
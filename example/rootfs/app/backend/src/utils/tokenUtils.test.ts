@@ -10,7 +10,14 @@ import {
   hashToken,
   verifyClientToken,
   revokeClientToken,
-  cleanupExpiredTokens
+  cleanupExpiredTokens,
+  issueClientTokenPair,
+  rotateRefreshToken,
+  isTokenFamilyActive,
+  getPrimaryTokenFamily,
+  revokeTokenFamily,
+  resolveClientToken,
+  ACCESS_TOKEN_TTL_SECONDS
 } from './tokenUtils';
 import { tmpdir } from 'os';
 import { join } from 'path';
@@ -37,7 +44,11 @@ describe('Token Utils', () => {
         last_used INTEGER,
         is_revoked INTEGER NOT NULL DEFAULT 0,
         revoked_at INTEGER,
-        revoked_reason TEXT
+        revoked_reason TEXT,
+        family_id TEXT,
+        used_at INTEGER,
+        replaced_by TEXT,
+        name TEXT
       );
     `);
   });
@@ -217,4 +228,156 @@ describe('Token Utils', () => {
       expect(remaining.count).toBe(1);
     });
   });
+
+  describe('refresh token rotation', () => {
+    const resolveAreas = () => ['area_1'];
+
+    it('should issue a short-lived access token bound to a family', () => {
+      const tokens = issueClientTokenPair(db, 'client_rt', ['area_1']);
+      const decoded = verifyClientToken(tokens.accessToken);
+
+      expect(decoded?.clientId).toBe('client_rt');
+      expect(decoded?.familyId).toBe(tokens.familyId);
+      expect(tokens.expiresIn).toBe(ACCESS_TOKEN_TTL_SECONDS);
+      expect(tokens.refreshToken.startsWith('rt_')).toBe(true);
+      expect(isTokenFamilyActive(db, tokens.familyId)).toBe(true);
+
+      // Only the hash of the refresh token is stored
+      const stored = db.prepare('SELECT token_hash FROM client_tokens WHERE family_id = ?').get(tokens.familyId) as any;
+      expect(stored.token_hash).toBe(hashToken(tokens.refreshToken));
+    });
+
+    it('should rotate a refresh token within the same family', () => {
+      const tokens = issueClientTokenPair(db, 'client_rt', ['area_1']);
+      const result = rotateRefreshToken(db, tokens.refreshToken, resolveAreas);
+
+      expect(result.ok).toBe(true);
+      expect(result.tokens?.familyId).toBe(tokens.familyId);
+      expect(result.tokens?.refreshToken).not.toBe(tokens.refreshToken);
+
+      const old = db.prepare('SELECT used_at, replaced_by FROM client_tokens WHERE token_hash = ?')
+        .get(hashToken(tokens.refreshToken)) as any;
+      expect(old.used_at).not.toBeNull();
+      expect(old.replaced_by).not.toBeNull();
+    });
+
+    it('should revoke the family when a refresh token is reused', () => {
+      const tokens = issueClientTokenPair(db, 'client_rt', ['area_1']);
+      const first = rotateRefreshToken(db, tokens.refreshToken, resolveAreas);
+      const replay = rotateRefreshToken(db, tokens.refreshToken, resolveAreas);
+
+      expect(replay.ok).toBe(false);
+      expect(replay.reason).toBe('reuse_detected');
+      expect(isTokenFamilyActive(db, tokens.familyId)).toBe(false);
+
+      // The legitimately rotated token is revoked as well
+      const next = rotateRefreshToken(db, first.tokens!.refreshToken, resolveAreas);
+      expect(next.ok).toBe(false);
+      expect(next.reason).toBe('revoked');
+    });
+
+    it('should reject unknown refresh tokens', () => {
+      const result = rotateRefreshToken(db, 'rt_unknown', resolveAreas);
+
+      expect(result.ok).toBe(false);
+      expect(result.reason).toBe('invalid');
+    });
+
+    it('should revoke the family when the client is no longer active', () => {
+      const tokens = issueClientTokenPair(db, 'client_rt', ['area_1']);
+      const result = rotateRefreshToken(db, tokens.refreshToken, () => null);
+
+      expect(result.ok).toBe(false);
+      expect(isTokenFamilyActive(db, tokens.familyId)).toBe(false);
+    });
+
+    it('should treat the oldest active family as primary', () => {
+      const first = issueClientTokenPair(db, 'client_rt', ['area_1']);
+      const second = issueClientTokenPair(db, 'client_rt', ['area_1']);
+      rotateRefreshToken(db, second.refreshToken, resolveAreas);
+
+      expect(getPrimaryTokenFamily(db, 'client_rt')).toBe(first.familyId);
+
+      revokeTokenFamily(db, first.familyId, 'Device replaced');
+      expect(getPrimaryTokenFamily(db, 'client_rt')).toBe(second.familyId);
+      expect(getPrimaryTokenFamily(db, 'client_other')).toBeNull();
+    });
+  });
+
+  describe('resolveClientToken', () => {
+    beforeEach(() => {
+      db.exec(`
+        CREATE TABLE clients (
+          id TEXT PRIMARY KEY,
+          is_active INTEGER NOT NULL DEFAULT 1,
+          assigned_areas TEXT,
+          token_hash TEXT
+        );
+      `);
+      db.prepare('INSERT INTO clients (id, assigned_areas) VALUES (?, ?)').run('client_multi', JSON.stringify(['area_1', 'area_2']));
+    });
+
+    const insertNamedToken = (id: string, token: string, areas: string[], expiresAt: number) => {
+      db.prepare(`
+        INSERT INTO client_tokens (id, client_id, name, token_hash, assigned_areas, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(id, 'client_multi', id, hashToken(token), JSON.stringify(areas), expiresAt);
+    };
+
+    it('should resolve named tokens with their own assigned areas', () => {
+      const future = Math.floor(Date.now() / 1000) + 3600;
+      const tvToken = generateClientToken('client_multi', ['area_1']);
+      insertNamedToken('token_tv', tvToken, ['area_1'], future);
+
+      const resolved = resolveClientToken(db, tvToken, { clientId: 'client_multi' });
+
+      expect(resolved).toEqual({ clientId: 'client_multi', assignedAreas: ['area_1'], tokenId: 'token_tv' });
+      const row = db.prepare('SELECT last_used FROM client_tokens WHERE id = ?').get('token_tv') as any;
+      expect(row.last_used).not.toBeNull();
+    });
+
+    it('should reject a revoked token without affecting other tokens of the client', () => {
+      const future = Math.floor(Date.now() / 1000) + 3600;
+      const first = generateClientToken('client_multi', ['area_1']);
+      const second = generateClientToken('client_multi', ['area_2']);
+      insertNamedToken('token_first', first, ['area_1'], future);
+      insertNamedToken('token_second', second, ['area_2'], future);
+
+      revokeClientToken(db, hashToken(first), 'Test');
+
+      expect(resolveClientToken(db, first, { clientId: 'client_multi' })).toBeNull();
+      expect(resolveClientToken(db, second, { clientId: 'client_multi' })?.tokenId).toBe('token_second');
+    });
+
+    it('should reject expired tokens', () => {
+      const token = generateClientToken('client_multi', ['area_1']);
+      insertNamedToken('token_old', token, ['area_1'], Math.floor(Date.now() / 1000) - 60);
+
+      expect(resolveClientToken(db, token, { clientId: 'client_multi' })).toBeNull();
+    });
+
+    it('should reject tokens of inactive clients', () => {
+      const token = generateClientToken('client_multi', ['area_1']);
+      insertNamedToken('token_inactive', token, ['area_1'], Math.floor(Date.now() / 1000) + 3600);
+      db.prepare('UPDATE clients SET is_active = 0 WHERE id = ?').run('client_multi');
+
+      expect(resolveClientToken(db, token, { clientId: 'client_multi' })).toBeNull();
+    });
+
+    it('should fall back to the legacy clients.token_hash lookup', () => {
+      const token = generateClientToken('client_multi', []);
+      db.prepare('UPDATE clients SET token_hash = ? WHERE id = ?').run(hashToken(token), 'client_multi');
+
+      const resolved = resolveClientToken(db, token, { clientId: 'client_multi' });
+      expect(resolved).toEqual({ clientId: 'client_multi', assignedAreas: ['area_1', 'area_2'], tokenId: null });
+    });
+
+    it('should resolve access tokens of an active token family', () => {
+      const tokens = issueClientTokenPair(db, 'client_multi', ['area_1']);
+
+      const resolved = resolveClientToken(db, tokens.accessToken, { clientId: 'client_multi', fid: tokens.familyId });
+      expect(resolved?.clientId).toBe('client_multi');
+      expect(resolved?.tokenId).toBeNull();
+    });
+  });
 });
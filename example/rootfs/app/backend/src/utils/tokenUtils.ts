@@ -4,7 +4,7 @@
  */
 
 import jwt from 'jsonwebtoken';
-import { createHash } from 'crypto';
+import { createHash, randomBytes } from 'crypto';
 import { createLogger } from './logger';
 import type { Request, Response, NextFunction } from 'express';
 import Database from 'better-sqlite3';
@@ -14,6 +14,8 @@ const logger = createLogger('TokenUtils');
 // JWT Configuration from environment
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 const TOKEN_EXPIRY_YEARS = 10;
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+export const REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
 
 // JWT payload interface for client tokens
 interface ClientTokenPayload {
@@ -21,6 +23,7 @@ interface ClientTokenPayload {
   role: 'client';
   assignedAreas: string[];
   type: 'client';
+  fid?: string; // Token family - set on short-lived access tokens, absent on legacy 10-year tokens
   iat?: number;
   exp?: number;
 }
@@ -37,6 +40,24 @@ interface AdminTokenPayload {
 interface DecodedClientToken {
   clientId: string;
   assignedAreas: string[];
+  familyId?: string;
+}
+
+// Access/refresh token pair handed to paired clients
+export interface ClientTokenPair {
+  accessToken: string;
+  refreshToken: string;
+  expiresIn: number;
+  refreshExpiresIn: number;
+  familyId: string;
+}
+
+// Result of a refresh token exchange - tokens is set when ok, reason otherwise
+export interface RefreshResult {
+  ok: boolean;
+  clientId?: string;
+  tokens?: ClientTokenPair;
+  reason?: 'invalid' | 'expired' | 'revoked' | 'reuse_detected';
 }
 
 /**
@@ -68,6 +89,306 @@ export function generateClientToken(clientId: string, assignedAreas: string[]):
   }
 }
 
+/**
+ * Generate a short-lived access token bound to a token family
+ * @param clientId - Unique client identifier
+ * @param assignedAreas - Array of area IDs the client can access
+ * @param familyId - Token family the access token belongs to
+ * @returns Signed JWT token string
+ */
+export function generateClientAccessToken(clientId: string, assignedAreas: string[], familyId: string): string {
+  const payload: ClientTokenPayload = {
+    clientId,
+    role: 'client',
+    assignedAreas,
+    type: 'client',
+    fid: familyId
+  };
+
+  return jwt.sign(payload, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    issuer: 'hasync-backend',
+    audience: 'hasync-client'
+  });
+}
+
+/**
+ * Store a new refresh token in client_tokens
+ * Refresh tokens are opaque random strings - only their hash is persisted
+ */
+function storeRefreshToken(
+  db: Database.Database,
+  clientId: string,
+  assignedAreas: string[],
+  familyId: string
+): { id: string; refreshToken: string } {
+  const refreshToken = `rt_${randomBytes(32).toString('hex')}`;
+  const id = `token_${Date.now()}_${randomBytes(4).toString('hex')}`;
+  const now = Math.floor(Date.now() / 1000);
+
+  db.prepare(`
+    INSERT INTO client_tokens (id, client_id, token_hash, assigned_areas, created_at, expires_at, family_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, clientId, hashToken(refreshToken), JSON.stringify(assignedAreas), now, now + REFRESH_TOKEN_TTL_SECONDS, familyId);
+
+  return { id, refreshToken };
+}
+
+/**
+ * Issue a new access/refresh token pair starting a new token family
+ * @param db - Database instance
+ * @param clientId - Unique client identifier
+ * @param assignedAreas - Array of area IDs the client can access
+ */
+export function issueClientTokenPair(
+  db: Database.Database,
+  clientId: string,
+  assignedAreas: string[]
+): ClientTokenPair {
+  const familyId = `family_${Date.now()}_${randomBytes(6).toString('hex')}`;
+  const { refreshToken } = storeRefreshToken(db, clientId, assignedAreas, familyId);
+
+  logger.info(`Issued token family ${familyId} for client: ${clientId}`);
+
+  return {
+    accessToken: generateClientAccessToken(clientId, assignedAreas, familyId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshExpiresIn: REFRESH_TOKEN_TTL_SECONDS,
+    familyId
+  };
+}
+
+/**
+ * Exchange a refresh token for a new token pair (rotation).
+ * Presenting a refresh token that was already exchanged is treated as theft:
+ * the whole token family is revoked, logging out both the attacker and the device.
+ * @param db - Database instance
+ * @param refreshToken - Refresh token presented by the client
+ * @param resolveAreas - Returns the client's current areas, or null if the client may no longer connect
+ */
+export function rotateRefreshToken(
+  db: Database.Database,
+  refreshToken: string,
+  resolveAreas: (clientId: string) => string[] | null
+): RefreshResult {
+  const record = db.prepare(`
+    SELECT id, client_id, family_id, expires_at, is_revoked, used_at
+    FROM client_tokens
+    WHERE token_hash = ?
+  `).get(hashToken(refreshToken)) as any;
+
+  if (!record || !record.family_id) {
+    return { ok: false, reason: 'invalid' };
+  }
+
+  if (record.is_revoked === 1) {
+    return { ok: false, reason: 'revoked' };
+  }
+
+  if (record.used_at) {
+    revokeTokenFamily(db, record.family_id, 'Refresh token reuse detected');
+    logger.warn(`Refresh token reuse detected for client ${record.client_id} - family ${record.family_id} revoked`);
+    return { ok: false, reason: 'reuse_detected', clientId: record.client_id };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (record.expires_at < now) {
+    return { ok: false, reason: 'expired' };
+  }
+
+  const assignedAreas = resolveAreas(record.client_id);
+  if (!assignedAreas) {
+    revokeTokenFamily(db, record.family_id, 'Client inactive or deleted');
+    return { ok: false, reason: 'revoked' };
+  }
+
+  const rotate = db.transaction(() => {
+    const next = storeRefreshToken(db, record.client_id, assignedAreas, record.family_id);
+    db.prepare(`
+      UPDATE client_tokens
+      SET used_at = ?, last_used = ?, replaced_by = ?
+      WHERE id = ? AND used_at IS NULL
+    `).run(now, now, next.id, record.id);
+    return next.refreshToken;
+  });
+  const nextRefreshToken = rotate();
+
+  logger.debug(`Rotated refresh token for client ${record.client_id} (family ${record.family_id})`);
+
+  return {
+    ok: true,
+    clientId: record.client_id,
+    tokens: {
+      accessToken: generateClientAccessToken(record.client_id, assignedAreas, record.family_id),
+      refreshToken: nextRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      refreshExpiresIn: REFRESH_TOKEN_TTL_SECONDS,
+      familyId: record.family_id
+    }
+  };
+}
+
+/**
+ * Check whether a token family still has a usable refresh token
+ * Access tokens of a revoked family are rejected even before they expire
+ */
+export function isTokenFamilyActive(db: Database.Database, familyId: string): boolean {
+  const row = db.prepare(`
+    SELECT 1 FROM client_tokens
+    WHERE family_id = ? AND is_revoked = 0
+    LIMIT 1
+  `).get(familyId);
+
+  return !!row;
+}
+
+/**
+ * Revoke every token in a family
+ * @returns Number of tokens revoked
+ */
+export function revokeTokenFamily(db: Database.Database, familyId: string, reason: string): number {
+  const result = db.prepare(`
+    UPDATE client_tokens
+    SET is_revoked = 1,
+        revoked_at = strftime('%s', 'now'),
+        revoked_reason = ?
+    WHERE family_id = ? AND is_revoked = 0
+  `).run(reason, familyId);
+
+  if (result.changes > 0) {
+    logger.info(`Token family revoked: ${familyId} (${reason})`);
+  }
+  return result.changes;
+}
+
+/**
+ * Find the primary token family of a client - the oldest family that is still active
+ * Named tokens have no family and never count as primary.
+ * @returns Family id, or null if the client has no active family
+ */
+export function getPrimaryTokenFamily(db: Database.Database, clientId: string): string | null {
+  const row = db.prepare(`
+    SELECT family_id FROM client_tokens
+    WHERE client_id = ? AND family_id IS NOT NULL
+    GROUP BY family_id
+    HAVING SUM(is_revoked = 0) > 0
+    ORDER BY MIN(created_at), MIN(rowid)
+    LIMIT 1
+  `).get(clientId) as { family_id: string } | undefined;
+
+  return row?.family_id ?? null;
+}
+
+/**
+ * Revoke all token families of a client
+ * @returns Number of tokens revoked
+ */
+export function revokeAllClientTokens(db: Database.Database, clientId: string, reason: string): number {
+  const result = db.prepare(`
+    UPDATE client_tokens
+    SET is_revoked = 1,
+        revoked_at = strftime('%s', 'now'),
+        revoked_reason = ?
+    WHERE client_id = ? AND is_revoked = 0
+  `).run(reason, clientId);
+
+  if (result.changes > 0) {
+    logger.info(`Revoked ${result.changes} token(s) for client ${clientId} (${reason})`);
+  }
+  return result.changes;
+}
+
+// Client resolved from a verified client JWT
+export interface ResolvedClientToken {
+  clientId: string;
+  assignedAreas: string[];
+  tokenId: string | null; // client_tokens row of a named token, null for refresh families and legacy tokens
+}
+
+/**
+ * Resolve a verified client JWT to the client it authenticates
+ * - Short-lived access tokens (fid): the token family must still be active
+ * - Named tokens: the client_tokens row decides revocation, expiry and assigned areas
+ * - Legacy pairing tokens: matched against clients.token_hash
+ * Updates last_used of the matching client_tokens row(s).
+ * @param db - Database instance
+ * @param token - Raw JWT token (already signature-verified)
+ * @param payload - Decoded token payload
+ * @returns Resolved client, or null if the token is revoked, expired or the client is inactive
+ */
+export function resolveClientToken(
+  db: Database.Database,
+  token: string,
+  payload: { clientId?: string; fid?: string }
+): ResolvedClientToken | null {
+  const now = Math.floor(Date.now() / 1000);
+  const parseAreas = (value: string | null): string[] => {
+    try {
+      return value ? JSON.parse(value) : [];
+    } catch {
+      logger.error(`Failed to parse assigned_areas for client ${payload.clientId}`);
+      return [];
+    }
+  };
+
+  if (payload.fid) {
+    if (!isTokenFamilyActive(db, payload.fid)) {
+      return null;
+    }
+
+    const client = db.prepare('SELECT id, assigned_areas FROM clients WHERE id = ? AND is_active = 1')
+      .get(payload.clientId) as any;
+    if (!client) {
+      return null;
+    }
+
+    db.prepare(`
+      UPDATE client_tokens
+      SET last_used = ?
+      WHERE family_id = ? AND used_at IS NULL AND is_revoked = 0
+    `).run(now, payload.fid);
+
+    return { clientId: client.id, assignedAreas: parseAreas(client.assigned_areas), tokenId: null };
+  }
+
+  const tokenHash = hashToken(token);
+  const tokenRecord = db.prepare(`
+    SELECT t.id, t.client_id, t.assigned_areas, t.is_revoked, t.expires_at
+    FROM client_tokens t
+    JOIN clients c ON c.id = t.client_id
+    WHERE t.token_hash = ? AND c.is_active = 1
+  `).get(tokenHash) as any;
+
+  if (tokenRecord) {
+    if (tokenRecord.is_revoked === 1) {
+      logger.warn(`Revoked token attempted use by client: ${tokenRecord.client_id}`);
+      return null;
+    }
+
+    if (tokenRecord.expires_at && tokenRecord.expires_at < now) {
+      logger.warn(`Expired token attempted use by client: ${tokenRecord.client_id}`);
+      return null;
+    }
+
+    db.prepare('UPDATE client_tokens SET last_used = ? WHERE id = ?').run(now, tokenRecord.id);
+
+    return {
+      clientId: tokenRecord.client_id,
+      assignedAreas: parseAreas(tokenRecord.assigned_areas),
+      tokenId: tokenRecord.id
+    };
+  }
+
+  const client = db.prepare('SELECT id, assigned_areas FROM clients WHERE token_hash = ? AND is_active = 1')
+    .get(tokenHash) as any;
+  if (!client) {
+    return null;
+  }
+
+  return { clientId: client.id, assignedAreas: parseAreas(client.assigned_areas), tokenId: null };
+}
+
 /**
  * Hash a token using SHA256 for database storage
  * @param token - Raw JWT token
@@ -114,7 +435,8 @@ export function verifyClientToken(token: string): DecodedClientToken | null {
     logger.debug(`Client token verified: ${decoded.clientId}`);
     return {
       clientId: decoded.clientId,
-      assignedAreas: decoded.assignedAreas
+      assignedAreas: decoded.assignedAreas,
+      familyId: decoded.fid
     };
   } catch (error: any) {
     if (error.name === 'TokenExpiredError') {
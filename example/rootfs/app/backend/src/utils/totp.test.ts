@@ -0,0 +1,93 @@
+/**
+ * TOTP Utilities Test Suite
+ * Tests against the RFC 6238 reference values
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  base32Encode,
+  base32Decode,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from './totp';
+
+// RFC 6238 Appendix B shared secret "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP Utils', () => {
+  describe('base32', () => {
+    it('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from('hasync-secret');
+      expect(base32Decode(base32Encode(bytes)).equals(bytes)).toBe(true);
+    });
+
+    it('should encode the RFC secret', () => {
+      expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    });
+  });
+
+  describe('generateHotp', () => {
+    it('should match RFC 4226 test values', () => {
+      expect(generateHotp(RFC_SECRET, 0)).toBe('755224');
+      expect(generateHotp(RFC_SECRET, 1)).toBe('287082');
+      expect(generateHotp(RFC_SECRET, 9)).toBe('520489');
+    });
+  });
+
+  describe('generateTotp', () => {
+    it('should match RFC 6238 test values (6 digit truncation)', () => {
+      expect(generateTotp(RFC_SECRET, 59 * 1000)).toBe('287082');
+      expect(generateTotp(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const now = 1111111109 * 1000;
+
+    it('should accept the current code and return its time step', () => {
+      expect(verifyTotp(RFC_SECRET, '081804', 1, now)).toBe(Math.floor(1111111109 / 30));
+    });
+
+    it('should accept codes from adjacent time steps', () => {
+      const previous = generateTotp(RFC_SECRET, now - 30 * 1000);
+      expect(verifyTotp(RFC_SECRET, previous, 1, now)).not.toBeNull();
+    });
+
+    it('should reject codes outside the window', () => {
+      const old = generateTotp(RFC_SECRET, now - 90 * 1000);
+      expect(verifyTotp(RFC_SECRET, old, 1, now)).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(verifyTotp(RFC_SECRET, 'abcdef', 1, now)).toBeNull();
+      expect(verifyTotp(RFC_SECRET, '12345', 1, now)).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should include issuer, account and secret', () => {
+      const uri = buildOtpauthUri(RFC_SECRET, 'admin');
+      expect(uri.startsWith('otpauth://totp/HAsync%3Aadmin?')).toBe(true);
+      expect(uri).toContain(`secret=${RFC_SECRET}`);
+      expect(uri).toContain('issuer=HAsync');
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('should generate unique formatted codes', () => {
+      const codes = generateRecoveryCodes(10);
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}(-[0-9a-f]{5}){3}$/));
+    });
+
+    it('should hash codes independent of dashes and case', () => {
+      expect(hashRecoveryCode('ABCDE-12345')).toBe(hashRecoveryCode('abcde12345'));
+      expect(hashRecoveryCode('abcde-12345')).not.toBe(hashRecoveryCode('abcde-12346'));
+    });
+  });
+});
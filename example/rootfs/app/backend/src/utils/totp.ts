@@ -0,0 +1,177 @@
+/**
+ * TOTP Utilities (RFC 6238 / RFC 4226)
+ * Time-based one-time passwords for admin two-factor authentication
+ */
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Authenticator app defaults - changing these breaks existing enrollments
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const SECRET_BYTES = 20;
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding)
+ */
+export function base32Encode(buffer: Buffer): string {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string (padding, spaces and case are ignored)
+ */
+export function base32Decode(input: string): Buffer {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes: number[] = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns Base32 encoded secret
+ */
+export function generateTotpSecret(): string {
+  return base32Encode(randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Compute the HOTP value for a counter
+ * @param secret - Base32 encoded secret
+ * @param counter - Moving factor
+ * @param digits - Number of digits in the code
+ */
+export function generateHotp(secret: string, counter: number, digits: number = TOTP_DIGITS): string {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** digits).toString().padStart(digits, '0');
+}
+
+/**
+ * Get the TOTP time step for a timestamp
+ * @param timestampMs - Unix time in milliseconds
+ */
+export function getTotpCounter(timestampMs: number = Date.now()): number {
+  return Math.floor(timestampMs / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Generate the TOTP code for a timestamp
+ * @param secret - Base32 encoded secret
+ * @param timestampMs - Unix time in milliseconds
+ */
+export function generateTotp(secret: string, timestampMs: number = Date.now()): string {
+  return generateHotp(secret, getTotpCounter(timestampMs));
+}
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param secret - Base32 encoded secret
+ * @param code - Code entered by the user
+ * @param window - Number of time steps accepted before and after the current one
+ * @param timestampMs - Unix time in milliseconds
+ * @returns The matching time step, or null if the code is invalid
+ */
+export function verifyTotp(
+  secret: string,
+  code: string,
+  window: number = 1,
+  timestampMs: number = Date.now()
+): number | null {
+  const normalized = code.replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const current = getTotpCounter(timestampMs);
+  for (let offset = -window; offset <= window; offset++) {
+    const counter = current + offset;
+    const expected = generateHotp(secret, counter);
+    if (timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return counter;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build an otpauth:// URI understood by authenticator apps
+ * @param secret - Base32 encoded secret
+ * @param accountName - Account label shown in the app (usually the username)
+ * @param issuer - Service name shown in the app
+ */
+export function buildOtpauthUri(secret: string, accountName: string, issuer: string = 'HAsync'): string {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: TOTP_DIGITS.toString(),
+    period: TOTP_PERIOD_SECONDS.toString()
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Generate single-use recovery codes (format: xxxxx-xxxxx-xxxxx-xxxxx)
+ * @param count - Number of codes to generate
+ */
+export function generateRecoveryCodes(count: number = 10): string[] {
+  return Array.from({ length: count }, () => {
+    const raw = randomBytes(10).toString('hex');
+    return raw.match(/.{5}/g)!.join('-');
+  });
+}
+
+/**
+ * Hash a recovery code for storage
+ * Codes carry 80 bits of randomness, so a fast hash is not brute-forceable
+ */
+export function hashRecoveryCode(code: string): string {
+  const normalized = code.toLowerCase().replace(/[\s-]/g, '');
+  return createHash('sha256').update(normalized).digest('hex');
+}
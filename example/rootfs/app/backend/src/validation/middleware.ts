@@ -240,7 +240,7 @@ export const rateLimit = (options: {
 };
 
 /**
- * Cleanup rate limit records periodically
+ * Cleanup rate limit records periodically - does not keep the process alive
  */
 setInterval(() => {
   const now = Date.now();
@@ -249,4 +249,4 @@ setInterval(() => {
       requestCounts.delete(ip);
     }
   }
-}, 60000); // Clean up every minute
+}, 60000).unref(); // Clean up every minute
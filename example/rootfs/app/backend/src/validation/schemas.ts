@@ -4,15 +4,22 @@
  */
 
 import { z } from 'zod';
+import { API_KEY_SCOPES, isValidAllowlistEntry } from '../utils/apiKeys';
+import { PAIRING_MODES } from '../services/pairingPolicy';
+import { SUBSCRIBABLE_EVENTS } from '../services/webhookSubscriptions';
 
 // Entity ID regex - alphanumeric, dots, underscores, hyphens only
 const ENTITY_ID_REGEX = /^[a-zA-Z0-9._-]+$/;
+// HA domain / service / area id - lowercase letters, digits, underscores
+const SERVICE_NAME_REGEX = /^[a-z0-9_]+$/;
 // Safe string regex - alphanumeric, spaces, underscores, hyphens only
 const SAFE_STRING_REGEX = /^[a-zA-Z0-9\s_-]+$/;
 // URL regex - basic URL validation
 const URL_REGEX = /^https?:\/\/[a-zA-Z0-9.-]+(:[0-9]+)?(\/.*)?$/;
 // Pin regex - 6 digit numeric
 const PIN_REGEX = /^\d{6}$/;
+// Device name template - safe characters plus the {n} sequence placeholder
+const NAME_TEMPLATE_REGEX = /^([a-zA-Z0-9\s_-]|\{n\})+$/;
 
 /**
  * Area Schemas
@@ -70,15 +77,47 @@ export const areaIdParamSchema = z.object({
     .regex(/^area_\d+$/, 'Invalid area ID format')
 });
 
+// Home Assistant area ids to import - all areas when omitted
+export const importAreasSchema = z.object({
+  haAreaIds: z.array(
+    z.string().min(1).max(100).regex(SERVICE_NAME_REGEX, 'Invalid Home Assistant area ID format')
+  ).min(1).max(500).optional()
+});
+
 /**
  * Dashboard Schemas
  */
+// Serialized size limit of a dashboard config (views and cards)
+const MAX_DASHBOARD_CONFIG_SIZE = 256 * 1024;
+
+// Cards follow the Lovelace card format - only the type is checked, card options are kept as-is
+const dashboardCardSchema = z.object({
+  type: z.string().min(1).max(100)
+}).passthrough();
+
+const dashboardViewSchema = z.object({
+  id: z.string().max(100).optional(),
+  title: z.string().max(100).optional(),
+  path: z.string().max(100).optional(),
+  icon: z.string().max(100).optional(),
+  type: z.string().max(50).optional(),
+  cards: z.array(dashboardCardSchema).max(200, 'Too many cards in view').optional()
+}).passthrough();
+
+export const dashboardConfigSchema = z.object({
+  views: z.array(dashboardViewSchema).max(50, 'Too many views')
+}).passthrough()
+  .refine(
+    config => JSON.stringify(config).length <= MAX_DASHBOARD_CONFIG_SIZE,
+    'Dashboard config is too large'
+  );
+
 export const createDashboardSchema = z.object({
   name: z.string()
     .min(1, 'Dashboard name is required')
     .max(100, 'Dashboard name must be less than 100 characters')
     .regex(SAFE_STRING_REGEX, 'Dashboard name contains invalid characters'),
-  config: z.record(z.string(), z.unknown()).optional(),
+  config: dashboardConfigSchema.optional(),
   isDefault: z.boolean().optional().default(false)
 });
 
@@ -88,10 +127,19 @@ export const updateDashboardSchema = z.object({
     .max(100)
     .regex(SAFE_STRING_REGEX, 'Dashboard name contains invalid characters')
     .optional(),
-  config: z.record(z.string(), z.unknown()).optional(),
+  config: dashboardConfigSchema.optional(),
   isDefault: z.boolean().optional()
 });
 
+export const assignDashboardSchema = z.object({
+  // null clears the assignment - the client falls back to the default dashboard
+  dashboardId: z.string()
+    .min(1)
+    .max(100)
+    .regex(/^[a-zA-Z0-9_-]+$/, 'Invalid dashboard ID format')
+    .nullable()
+});
+
 export const dashboardIdParamSchema = z.object({
   dashboard_id: z.string()
     .min(1)
@@ -112,6 +160,102 @@ export const loginSchema = z.object({
     // Don't regex validate password - allow any characters for flexibility
 });
 
+/**
+ * Admin Account Schemas
+ */
+const ADMIN_ROLE_ENUM = z.enum(['owner', 'admin', 'operator', 'viewer']);
+
+export const createUserSchema = z.object({
+  username: z.string()
+    .min(3, 'Username must be at least 3 characters')
+    .max(50, 'Username must be less than 50 characters')
+    .regex(/^[a-zA-Z0-9_-]+$/, 'Username contains invalid characters'),
+  password: z.string()
+    .min(8, 'Password must be at least 8 characters')
+    .max(200, 'Password too long'),
+  email: z.string()
+    .email('Invalid email format')
+    .max(200)
+    .optional(),
+  role: ADMIN_ROLE_ENUM
+});
+
+export const updateUserSchema = z.object({
+  password: z.string()
+    .min(8, 'Password must be at least 8 characters')
+    .max(200, 'Password too long')
+    .optional(),
+  email: z.string()
+    .email('Invalid email format')
+    .max(200)
+    .nullable()
+    .optional(),
+  role: ADMIN_ROLE_ENUM.optional(),
+  isActive: z.boolean().optional()
+}).refine(
+  (data) => Object.keys(data).length > 0,
+  'At least one field must be provided for update'
+);
+
+/**
+ * Two-Factor Authentication Schemas
+ */
+const TOTP_CODE = z.string().regex(/^\d{6}$/, 'Code must be 6 digits');
+const RECOVERY_CODE = z.string()
+  .max(50, 'Recovery code too long')
+  .regex(/^[a-fA-F0-9-\s]+$/, 'Recovery code contains invalid characters');
+
+export const mfaLoginSchema = z.object({
+  mfaToken: z.string().min(1, 'MFA token is required').max(2000),
+  code: TOTP_CODE.optional(),
+  recoveryCode: RECOVERY_CODE.optional()
+}).refine(
+  (data) => !!data.code || !!data.recoveryCode,
+  'Either code or recoveryCode must be provided'
+);
+
+export const mfaEnrollSchema = z.object({
+  password: z.string()
+    .min(1, 'Password is required')
+    .max(200, 'Password too long')
+});
+
+export const mfaCodeSchema = z.object({
+  code: TOTP_CODE
+});
+
+export const mfaDisableSchema = z.object({
+  password: z.string()
+    .min(1, 'Password is required')
+    .max(200, 'Password too long'),
+  code: TOTP_CODE.optional(),
+  recoveryCode: RECOVERY_CODE.optional()
+}).refine(
+  (data) => !!data.code || !!data.recoveryCode,
+  'Either code or recoveryCode must be provided'
+);
+
+/**
+ * API Key Schemas
+ */
+export const createApiKeySchema = z.object({
+  name: z.string()
+    .min(1, 'Name is required')
+    .max(100, 'Name must be less than 100 characters')
+    .regex(SAFE_STRING_REGEX, 'Name contains invalid characters'),
+  scopes: z.array(z.enum(API_KEY_SCOPES))
+    .min(1, 'At least one scope is required'),
+  ipAllowlist: z.array(
+    z.string().max(50).refine(isValidAllowlistEntry, 'Invalid IP address or CIDR range')
+  ).max(20, 'Too many allow-list entries')
+    .optional(),
+  expiresAt: z.number()
+    .int()
+    .refine((value) => value > Math.floor(Date.now() / 1000), 'Expiry must be in the future')
+    .nullable()
+    .optional()
+});
+
 /**
  * Home Assistant Config Schemas
  */
@@ -181,6 +325,161 @@ export const pairingVerifySchema = z.object({
     .regex(/^pairing_\d+$/, 'Invalid session ID format')
 });
 
+export const pairingPolicySchema = z.object({
+  mode: z.enum(PAIRING_MODES)
+});
+
+const enrollmentPresetFields = {
+  nameTemplate: z.string()
+    .min(1, 'Name template is required')
+    .max(90, 'Name template must be less than 90 characters')
+    .regex(NAME_TEMPLATE_REGEX, 'Name template contains invalid characters'),
+  deviceType: z.enum(['mobile', 'desktop', 'tablet', 'other']).nullable().optional(),
+  assignedAreas: z.array(
+    z.string().min(1).max(100).regex(ENTITY_ID_REGEX, 'Invalid area ID format')
+  ).max(100, 'Too many areas').optional(),
+  dashboardId: z.string()
+    .max(100)
+    .regex(ENTITY_ID_REGEX, 'Invalid dashboard ID format')
+    .nullable()
+    .optional(),
+  maxUses: z.number()
+    .int()
+    .min(1, 'Max uses must be at least 1')
+    .max(10000, 'Max uses must be at most 10000')
+    .nullable()
+    .optional(),
+  expiresAt: z.number()
+    .int()
+    .refine((value) => value > Math.floor(Date.now() / 1000), 'Expiry must be in the future')
+    .nullable()
+    .optional()
+};
+
+export const createEnrollmentProfileSchema = z.object({
+  name: z.string()
+    .min(1, 'Name is required')
+    .max(100, 'Name must be less than 100 characters')
+    .regex(SAFE_STRING_REGEX, 'Name contains invalid characters'),
+  ...enrollmentPresetFields
+});
+
+export const updateEnrollmentProfileSchema = z.object({
+  name: z.string()
+    .min(1)
+    .max(100)
+    .regex(SAFE_STRING_REGEX, 'Name contains invalid characters')
+    .optional(),
+  ...enrollmentPresetFields,
+  nameTemplate: enrollmentPresetFields.nameTemplate.optional()
+}).refine(
+  (data) => Object.keys(data).length > 0,
+  'At least one field must be provided for update'
+);
+
+/**
+ * Webhook Schemas
+ */
+const webhookTargetSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('client'),
+    clientId: z.string().min(1).max(100).regex(ENTITY_ID_REGEX, 'Invalid client ID format')
+  }),
+  z.object({
+    type: z.literal('clients'),
+    clientIds: z.array(
+      z.string().min(1).max(100).regex(ENTITY_ID_REGEX, 'Invalid client ID format')
+    ).min(1, 'At least one client is required').max(100, 'Too many clients')
+  }),
+  z.object({
+    type: z.literal('area'),
+    areaId: z.string().min(1).max(100).regex(ENTITY_ID_REGEX, 'Invalid area ID format')
+  })
+]);
+
+export const createWebhookSchema = z.object({
+  name: z.string()
+    .min(1, 'Name is required')
+    .max(100, 'Name must be less than 100 characters')
+    .regex(SAFE_STRING_REGEX, 'Name contains invalid characters'),
+  target: webhookTargetSchema
+});
+
+export const updateWebhookSchema = z.object({
+  name: z.string()
+    .min(1)
+    .max(100)
+    .regex(SAFE_STRING_REGEX, 'Name contains invalid characters')
+    .optional(),
+  target: webhookTargetSchema.optional()
+}).refine(
+  (data) => Object.keys(data).length > 0,
+  'At least one field must be provided for update'
+);
+
+// Body an inbound webhook accepts - ttl is in seconds, at most 7 days
+export const webhookNotificationSchema = z.object({
+  title: z.string().trim().min(1, 'Title is required').max(100, 'Title must be less than 100 characters'),
+  message: z.string().trim().min(1, 'Message is required').max(1000, 'Message must be less than 1000 characters'),
+  severity: z.enum(['info', 'success', 'warning', 'error']).optional().default('info'),
+  ttl: z.number()
+    .int()
+    .min(1, 'TTL must be at least 1 second')
+    .max(7 * 24 * 3600, 'TTL must be at most 7 days')
+    .optional()
+    .default(3600),
+  entityId: z.string()
+    .max(255)
+    .regex(ENTITY_ID_REGEX, 'Invalid entity ID format')
+    .nullable()
+    .optional()
+});
+
+// Outbound webhook subscriptions - the URL receives signed HAsync events
+const webhookSubscriptionFields = {
+  url: z.string()
+    .max(2000, 'URL must be less than 2000 characters')
+    .url('Invalid URL')
+    .refine((value) => /^https?:\/\//i.test(value), 'URL must start with http:// or https://'),
+  events: z.array(z.enum(SUBSCRIBABLE_EVENTS))
+    .min(1, 'At least one event is required'),
+  isEnabled: z.boolean().optional()
+};
+
+export const createWebhookSubscriptionSchema = z.object({
+  name: z.string()
+    .min(1, 'Name is required')
+    .max(100, 'Name must be less than 100 characters')
+    .regex(SAFE_STRING_REGEX, 'Name contains invalid characters'),
+  ...webhookSubscriptionFields
+});
+
+export const updateWebhookSubscriptionSchema = z.object({
+  name: z.string()
+    .min(1)
+    .max(100)
+    .regex(SAFE_STRING_REGEX, 'Name contains invalid characters')
+    .optional(),
+  url: webhookSubscriptionFields.url.optional(),
+  events: webhookSubscriptionFields.events.optional(),
+  isEnabled: webhookSubscriptionFields.isEnabled
+}).refine(
+  (data) => Object.keys(data).length > 0,
+  'At least one field must be provided for update'
+);
+
+/**
+ * Service Call Schemas
+ */
+export const serviceCallSchema = z.object({
+  domain: z.string().min(1).max(50).regex(SERVICE_NAME_REGEX, 'Invalid domain format'),
+  service: z.string().min(1).max(50).regex(SERVICE_NAME_REGEX, 'Invalid service format'),
+  entityIds: z.array(
+    z.string().min(1).max(255).regex(ENTITY_ID_REGEX, 'Invalid entity ID format')
+  ).min(1, 'At least one entity is required').max(50),
+  data: z.record(z.string(), z.unknown()).optional()
+});
+
 /**
  * Query Parameter Schemas
  */
@@ -201,11 +500,24 @@ export type UpdateAreaInput = z.infer<typeof updateAreaSchema>;
 export type PatchAreaInput = z.infer<typeof patchAreaSchema>;
 export type ToggleAreaInput = z.infer<typeof toggleAreaSchema>;
 export type ReorderEntitiesInput = z.infer<typeof reorderEntitiesSchema>;
+export type ImportAreasInput = z.infer<typeof importAreasSchema>;
 export type CreateDashboardInput = z.infer<typeof createDashboardSchema>;
 export type UpdateDashboardInput = z.infer<typeof updateDashboardSchema>;
+export type DashboardConfigInput = z.infer<typeof dashboardConfigSchema>;
 export type LoginInput = z.infer<typeof loginSchema>;
+export type CreateUserInput = z.infer<typeof createUserSchema>;
+export type UpdateUserInput = z.infer<typeof updateUserSchema>;
+export type MfaLoginInput = z.infer<typeof mfaLoginSchema>;
+export type CreateApiKeyInput = z.infer<typeof createApiKeySchema>;
+export type CreateWebhookInput = z.infer<typeof createWebhookSchema>;
+export type WebhookNotificationInput = z.infer<typeof webhookNotificationSchema>;
+export type CreateWebhookSubscriptionInput = z.infer<typeof createWebhookSubscriptionSchema>;
 export type HAConfigInput = z.infer<typeof haConfigSchema>;
 export type CreateClientInput = z.infer<typeof createClientSchema>;
 export type UpdateClientInput = z.infer<typeof updateClientSchema>;
 export type PairingCreateInput = z.infer<typeof pairingCreateSchema>;
 export type PairingVerifyInput = z.infer<typeof pairingVerifySchema>;
+export type PairingPolicyInput = z.infer<typeof pairingPolicySchema>;
+export type CreateEnrollmentProfileInput = z.infer<typeof createEnrollmentProfileSchema>;
+export type UpdateEnrollmentProfileInput = z.infer<typeof updateEnrollmentProfileSchema>;
+export type ServiceCallInput = z.infer<typeof serviceCallSchema>;
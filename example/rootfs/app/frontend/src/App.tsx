@@ -22,11 +22,14 @@ import DashboardIcon from '@mui/icons-material/Dashboard';
 import QrCodeIcon from '@mui/icons-material/QrCode2';
 import LogoutIcon from '@mui/icons-material/Logout';
 import SettingsIcon from '@mui/icons-material/Settings';
+import PeopleIcon from '@mui/icons-material/People';
+import ViewQuiltIcon from '@mui/icons-material/ViewQuilt';
 import { useAppStore } from '@/context/AppContext';
 import { useWebSocket } from '@/hooks/useWebSocket';
 import { wsClient } from '@/api/websocket';
 import { apiClient } from '@/api/client';
 import { ComponentErrorBoundary } from '@/components/ErrorBoundary';
+import { getPairingLinkFromLocation, getEnrollmentCodeFromLocation } from '@/utils/pairingLink';
 
 // VERSION - Must match config.yaml
 const FRONTEND_VERSION = '1.4.0';
@@ -35,10 +38,13 @@ const FRONTEND_VERSION = '1.4.0';
 const LoginForm = lazy(() => import('@/components/LoginForm').then(m => ({ default: m.LoginForm })));
 const EntitySelector = lazy(() => import('@/components/EntitySelector').then(m => ({ default: m.EntitySelector })));
 const AreaManager = lazy(() => import('@/components/AreaManager').then(m => ({ default: m.AreaManager })));
+const DashboardConfig = lazy(() => import('@/components/DashboardConfig').then(m => ({ default: m.DashboardConfig })));
 const ClientManagement = lazy(() => import('@/components/ClientManagement').then(m => ({ default: m.ClientManagement })));
 const PairingWizard = lazy(() => import('@/components/PairingWizard').then(m => ({ default: m.PairingWizard })));
+const UserManagement = lazy(() => import('@/components/UserManagement').then(m => ({ default: m.UserManagement })));
 const Settings = lazy(() => import('@/components/Settings').then(m => ({ default: m.Settings })));
 const StatusBar = lazy(() => import('@/components/StatusBar').then(m => ({ default: m.StatusBar })));
+const PairDevice = lazy(() => import('@/components/PairDevice').then(m => ({ default: m.PairDevice })));
 
 // Loading fallback component
 const LoadingFallback: React.FC = () => (
@@ -50,19 +56,24 @@ const LoadingFallback: React.FC = () => (
 const navItems = [
   { label: 'Entities', path: '/entities', icon: <SettingsIcon /> },
   { label: 'Areas', path: '/areas', icon: <DashboardIcon /> },
+  { label: 'Dashboards', path: '/dashboards', icon: <ViewQuiltIcon /> },
   { label: 'Clients', path: '/clients', icon: <DevicesIcon /> },
   { label: 'Pairing', path: '/pairing', icon: <QrCodeIcon /> },
   { label: 'Settings', path: '/settings', icon: <SettingsIcon /> },
+  { label: 'Users', path: '/users', icon: <PeopleIcon /> },
 ];
 
 const App: React.FC = () => {
-  const { isAuthenticated, accessToken, setAuth, clearAuth, setEntities, setAreas, setLoading } = useAppStore();
+  const { isAuthenticated, accessToken, setAuth, clearAuth, setEntities, setAreas, setDashboards, setLoading } = useAppStore();
   const { connect, disconnect } = useWebSocket();
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
 
   const [currentTab, setCurrentTab] = useState(0);
   const [drawerOpen, setDrawerOpen] = useState(false);
+  // Set when the page was opened from a pairing QR code (/pair?...)
+  const [pairingLink] = useState(() => getPairingLinkFromLocation());
+  const [enrollmentCode] = useState(() => getEnrollmentCodeFromLocation());
 
   // Log frontend version on mount
   useEffect(() => {
@@ -113,6 +124,9 @@ const App: React.FC = () => {
         const areas = await apiClient.getAreas();
         setAreas(areas);
         console.log('Areas fetched successfully:', areas.length);
+
+        // Fetch dashboards (offered when assigning devices and enrollment profiles)
+        setDashboards(await apiClient.getDashboards());
       } catch (error) {
         console.error('Failed to fetch data:', error);
       } finally {
@@ -121,7 +135,7 @@ const App: React.FC = () => {
     };
 
     fetchData();
-  }, [isAuthenticated, setEntities, setAreas, setLoading]);
+  }, [isAuthenticated, setEntities, setAreas, setDashboards, setLoading]);
 
   // Connect WebSocket when authenticated with proper token
   useEffect(() => {
@@ -214,23 +228,35 @@ const App: React.FC = () => {
             </ComponentErrorBoundary>
           );
         case 2:
+          return (
+            <ComponentErrorBoundary componentName="Dashboards">
+              <DashboardConfig />
+            </ComponentErrorBoundary>
+          );
+        case 3:
           return (
             <ComponentErrorBoundary componentName="Client Management">
               <ClientManagement />
             </ComponentErrorBoundary>
           );
-        case 3:
+        case 4:
           return (
             <ComponentErrorBoundary componentName="Pairing Wizard">
               <PairingWizard />
             </ComponentErrorBoundary>
           );
-        case 4:
+        case 5:
           return (
             <ComponentErrorBoundary componentName="Settings">
               <Settings />
             </ComponentErrorBoundary>
           );
+        case 6:
+          return (
+            <ComponentErrorBoundary componentName="User Management">
+              <UserManagement />
+            </ComponentErrorBoundary>
+          );
         default:
           return (
             <ComponentErrorBoundary componentName="Entity Selector">
@@ -247,6 +273,14 @@ const App: React.FC = () => {
     );
   }, [currentTab]);
 
+  if (pairingLink || enrollmentCode) {
+    return (
+      <Suspense fallback={<LoadingFallback />}>
+        <PairDevice link={pairingLink} enrollmentCode={enrollmentCode} />
+      </Suspense>
+    );
+  }
+
   if (!isAuthenticated) {
     return (
       <Suspense fallback={<LoadingFallback />}>
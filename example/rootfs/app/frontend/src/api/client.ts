@@ -1,5 +1,6 @@
 import axios, { AxiosInstance, AxiosError } from 'axios';
-import type { Entity, Area, Dashboard, Client, PairingSession, AppConfig, ApiError } from '@/types';
+import type { Entity, Area, ImportedArea, AreaDriftReport, Dashboard, CreateDashboardRequest, LovelaceImportResult, Client, ClientToken, CreatedClientToken, ApiKey, ApiKeyScope, CreateApiKeyRequest, Webhook, CreateWebhookRequest, WebhookEventType, WebhookSubscription, CreateWebhookSubscriptionRequest, WebhookDelivery, WebhookDeadLetter, AdminUser, AdminRole, MfaStatus, MfaEnrollment, PairingSession, PairingLink, PairingPolicy, EnrollmentProfile, CreateEnrollmentProfileRequest, PairingMode, HAConfigSettings, HAConnectionState, AppConfig, ApiError } from '@/types';
+import { API_BASE_URL } from '@/utils/basePath';
 
 class ApiClient {
   private instance: AxiosInstance;
@@ -7,9 +8,11 @@ class ApiClient {
   private csrfToken: string | null = null;
   private accessToken: string | null = null;
   private tokenSetTime: number = 0; // Track when token was set to prevent race conditions
+  private refreshToken: string | null = localStorage.getItem('client_refresh_token');
+  private refreshPromise: Promise<string | null> | null = null;
 
   constructor() {
-    this.baseURL = '/api';
+    this.baseURL = API_BASE_URL;
 
     this.instance = axios.create({
       baseURL: this.baseURL,
@@ -62,6 +65,23 @@ class ApiClient {
           }
         }
 
+        // Paired devices hold a refresh token - renew the short-lived access token once and retry
+        const retryConfig = error.config as (typeof error.config & { _tokenRefreshed?: boolean }) | undefined;
+        if (
+          error.response?.status === 401 &&
+          this.refreshToken &&
+          retryConfig &&
+          !retryConfig._tokenRefreshed &&
+          !retryConfig.url?.includes('/clients/token/refresh')
+        ) {
+          retryConfig._tokenRefreshed = true;
+          const token = await this.refreshClientToken();
+          if (token) {
+            retryConfig.headers['Authorization'] = `Bearer ${token}`;
+            return this.instance.request(retryConfig);
+          }
+        }
+
         // Handle 401 errors - JWT tokens expire, user must re-login
         // DISABLED: Auto-refresh doesn't work with JWT auth (only for cookie auth)
         // The /auth/refresh endpoint is for cookie-based auth from the new auth router
@@ -126,6 +146,55 @@ class ApiClient {
     console.log('✓ API client token updated:', token ? `Token set (${token.substring(0, 30)}...)` : 'Token cleared');
   }
 
+  /**
+   * Store the token pair issued to a paired device
+   * The refresh token survives reloads so the device stays signed in
+   */
+  setClientTokens(tokens: { clientToken: string; refreshToken: string } | null): void {
+    this.setAuthToken(tokens?.clientToken ?? null);
+    this.refreshToken = tokens?.refreshToken ?? null;
+
+    if (tokens) {
+      localStorage.setItem('auth_token', tokens.clientToken);
+      localStorage.setItem('client_refresh_token', tokens.refreshToken);
+    } else {
+      localStorage.removeItem('client_refresh_token');
+    }
+  }
+
+  /**
+   * Exchange the refresh token for a new token pair
+   * Concurrent callers share one request - a refresh token can only be used once
+   * @returns The new access token, or null if the device has to pair again
+   */
+  refreshClientToken(): Promise<string | null> {
+    if (!this.refreshToken) {
+      return Promise.resolve(null);
+    }
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = axios
+        .post<{ clientToken: string; refreshToken: string }>(`${this.baseURL}/clients/token/refresh`, {
+          refreshToken: this.refreshToken,
+        })
+        .then(({ data }) => {
+          this.setClientTokens(data);
+          console.log('✓ Client access token refreshed');
+          return data.clientToken;
+        })
+        .catch((error) => {
+          console.error('Client token refresh failed:', error.response?.data?.code || error.message);
+          this.setClientTokens(null);
+          return null;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
+  }
+
   /**
    * Login and set authentication cookies
    * SECURITY: No longer stores tokens in localStorage - uses httpOnly cookies
@@ -245,6 +314,19 @@ class ApiClient {
     return data;
   }
 
+  /**
+   * Create or update areas from Home Assistant's registries (all HA areas when haAreaIds is omitted)
+   */
+  async importAreas(haAreaIds?: string[]): Promise<{ areas: ImportedArea[]; drift: AreaDriftReport | null }> {
+    const { data } = await this.instance.post('/areas/import', haAreaIds ? { haAreaIds } : {});
+    return data;
+  }
+
+  async getAreaDrift(refresh = false): Promise<AreaDriftReport> {
+    const { data } = await this.instance.get<AreaDriftReport>('/areas/drift', { params: refresh ? { refresh: 'true' } : undefined });
+    return data;
+  }
+
   async assignEntitiesToArea(areaId: string, entityIds: string[]): Promise<Area> {
     const { data } = await this.instance.post<Area>(`/areas/${areaId}/entities`, { entityIds });
     return data;
@@ -267,8 +349,23 @@ class ApiClient {
     return data;
   }
 
-  async syncDashboards(): Promise<Dashboard[]> {
-    const { data } = await this.instance.post<Dashboard[]>('/dashboards/sync');
+  async createDashboard(dashboard: CreateDashboardRequest): Promise<Dashboard> {
+    const { data } = await this.instance.post<Dashboard>('/dashboards', dashboard);
+    return data;
+  }
+
+  async updateDashboard(id: string, updates: Partial<CreateDashboardRequest>): Promise<Dashboard> {
+    const { data } = await this.instance.put<Dashboard>(`/dashboards/${id}`, updates);
+    return data;
+  }
+
+  async deleteDashboard(id: string): Promise<void> {
+    await this.instance.delete(`/dashboards/${id}`);
+  }
+
+  // Imports Lovelace dashboards from Home Assistant - imported before are updated
+  async syncDashboards(): Promise<LovelaceImportResult> {
+    const { data } = await this.instance.post<LovelaceImportResult>('/dashboards/sync');
     return data;
   }
 
@@ -297,8 +394,12 @@ class ApiClient {
     return data;
   }
 
-  async assignDashboardToClient(clientId: string, dashboardId: string): Promise<Client> {
-    const { data } = await this.instance.post<Client>(`/clients/${clientId}/dashboard`, { dashboardId });
+  // null falls back to the default dashboard
+  async assignDashboardToClient(
+    clientId: string,
+    dashboardId: string | null
+  ): Promise<{ clientId: string; assignedDashboard: string | null; dashboard: Dashboard | null }> {
+    const { data } = await this.instance.post(`/clients/${clientId}/dashboard`, { dashboardId });
     return data;
   }
 
@@ -306,6 +407,108 @@ class ApiClient {
     await this.instance.post(`/clients/${id}/revoke`);
   }
 
+  // Named client tokens - several per client, revocable one by one
+  async getClientTokens(clientId: string): Promise<ClientToken[]> {
+    const { data } = await this.instance.get<{ tokens: any[] }>('/client-tokens', { params: { clientId } });
+    return data.tokens.map((token) => ({
+      id: token.id,
+      clientId: token.client_id,
+      name: token.name,
+      assignedAreas: token.assignedAreas,
+      isRevoked: token.isRevoked,
+      createdAt: token.createdAt,
+      expiresAt: token.expiresAt,
+      lastUsed: token.lastUsed,
+      revokedAt: token.revokedAt,
+      revokedReason: token.revoked_reason,
+    }));
+  }
+
+  async createClientToken(clientId: string, name: string, assignedAreas?: string[]): Promise<CreatedClientToken> {
+    const { data } = await this.instance.post<CreatedClientToken>('/client-tokens', { clientId, name, assignedAreas });
+    return data;
+  }
+
+  async revokeNamedClientToken(tokenId: string, reason?: string): Promise<void> {
+    await this.instance.post(`/client-tokens/${tokenId}/revoke`, { reason });
+  }
+
+  // Scoped API keys for automations and scripts
+  async getApiKeys(): Promise<{ keys: ApiKey[]; availableScopes: ApiKeyScope[] }> {
+    const { data } = await this.instance.get<{ keys: ApiKey[]; availableScopes: ApiKeyScope[] }>('/api-keys');
+    return data;
+  }
+
+  async createApiKey(request: CreateApiKeyRequest): Promise<ApiKey & { key: string }> {
+    const { data } = await this.instance.post<ApiKey & { key: string }>('/api-keys', request);
+    return data;
+  }
+
+  async revokeApiKey(id: string): Promise<void> {
+    await this.instance.delete(`/api-keys/${id}`);
+  }
+
+  // Inbound webhooks that show notifications on devices
+  async getWebhooks(): Promise<{ webhooks: Webhook[] }> {
+    const { data } = await this.instance.get<{ webhooks: Webhook[] }>('/webhooks');
+    return data;
+  }
+
+  async createWebhook(request: CreateWebhookRequest): Promise<Webhook & { secret: string }> {
+    const { data } = await this.instance.post<Webhook & { secret: string }>('/webhooks', request);
+    return data;
+  }
+
+  async deleteWebhook(id: string): Promise<void> {
+    await this.instance.delete(`/webhooks/${id}`);
+  }
+
+  // Outbound webhook subscriptions and their delivery history
+  async getWebhookSubscriptions(): Promise<{ subscriptions: WebhookSubscription[]; availableEvents: WebhookEventType[] }> {
+    const { data } = await this.instance.get<{ subscriptions: WebhookSubscription[]; availableEvents: WebhookEventType[] }>(
+      '/webhook-subscriptions'
+    );
+    return data;
+  }
+
+  async createWebhookSubscription(
+    request: CreateWebhookSubscriptionRequest
+  ): Promise<WebhookSubscription & { secret: string }> {
+    const { data } = await this.instance.post<WebhookSubscription & { secret: string }>('/webhook-subscriptions', request);
+    return data;
+  }
+
+  async updateWebhookSubscription(
+    id: string,
+    updates: Partial<CreateWebhookSubscriptionRequest>
+  ): Promise<WebhookSubscription> {
+    const { data } = await this.instance.patch<WebhookSubscription>(`/webhook-subscriptions/${id}`, updates);
+    return data;
+  }
+
+  async deleteWebhookSubscription(id: string): Promise<void> {
+    await this.instance.delete(`/webhook-subscriptions/${id}`);
+  }
+
+  async getWebhookDeliveries(id: string): Promise<{ deliveries: WebhookDelivery[]; deadLetters: WebhookDeadLetter[] }> {
+    const { data } = await this.instance.get<{ deliveries: WebhookDelivery[]; deadLetters: WebhookDeadLetter[] }>(
+      `/webhook-subscriptions/${id}/deliveries`
+    );
+    return data;
+  }
+
+  async redeliverWebhookDeadLetter(id: string): Promise<{ success: boolean; deliveryId: string }> {
+    const { data } = await this.instance.post<{ success: boolean; deliveryId: string }>(
+      `/webhook-subscriptions/dead-letters/${id}/redeliver`
+    );
+    return data;
+  }
+
+  async provisionClientHaToken(id: string): Promise<{ success: boolean; clientId: string; tokenSetAt: number }> {
+    const { data } = await this.instance.post<{ success: boolean; clientId: string; tokenSetAt: number }>(`/clients/${id}/ha-token/provision`);
+    return data;
+  }
+
   async setClientHaToken(id: string, haToken: string): Promise<{ success: boolean; clientId: string; tokenSetAt: number }> {
     const { data } = await this.instance.put<{ success: boolean; clientId: string; tokenSetAt: number }>(`/clients/${id}/ha-token`, { haToken });
     return data;
@@ -317,9 +520,74 @@ class ApiClient {
     return data;
   }
 
+  // Admin account endpoints
+  async getUsers(): Promise<AdminUser[]> {
+    const { data } = await this.instance.get<AdminUser[]>('/users');
+    return data;
+  }
+
+  async getCurrentUser(): Promise<AdminUser> {
+    const { data } = await this.instance.get<AdminUser>('/users/me');
+    return data;
+  }
+
+  async createUser(user: { username: string; password: string; email?: string; role: AdminRole }): Promise<AdminUser> {
+    const { data } = await this.instance.post<AdminUser>('/users', user);
+    return data;
+  }
+
+  async updateUser(
+    id: string,
+    updates: { password?: string; email?: string | null; role?: AdminRole; isActive?: boolean }
+  ): Promise<AdminUser> {
+    const { data } = await this.instance.put<AdminUser>(`/users/${id}`, updates);
+    return data;
+  }
+
+  async deleteUser(id: string): Promise<void> {
+    await this.instance.delete(`/users/${id}`);
+  }
+
+  // Two-factor authentication (current account)
+  async getMfaStatus(): Promise<MfaStatus> {
+    const { data } = await this.instance.get<MfaStatus>('/users/me/mfa');
+    return data;
+  }
+
+  async startMfaEnrollment(password: string): Promise<MfaEnrollment> {
+    const { data } = await this.instance.post<MfaEnrollment>('/users/me/mfa/enroll', { password });
+    return data;
+  }
+
+  async confirmMfaEnrollment(code: string): Promise<string[]> {
+    const { data } = await this.instance.post<{ recoveryCodes: string[] }>('/users/me/mfa/confirm', { code });
+    return data.recoveryCodes;
+  }
+
+  async regenerateRecoveryCodes(code: string): Promise<string[]> {
+    const { data } = await this.instance.post<{ recoveryCodes: string[] }>('/users/me/mfa/recovery-codes', { code });
+    return data.recoveryCodes;
+  }
+
+  async disableMfa(password: string, code: string): Promise<void> {
+    await this.instance.post('/users/me/mfa/disable', { password, code });
+  }
+
+  async resetUserMfa(id: string): Promise<void> {
+    await this.instance.delete(`/users/${id}/mfa`);
+  }
+
   // Pairing endpoints
-  async createPairingSession(): Promise<PairingSession> {
-    const { data } = await this.instance.post<PairingSession>('/pairing/create');
+  /**
+   * Generate a pairing PIN
+   * @param replaceClientId - Re-pair PIN: the verifying device takes over this client in place
+   */
+  async createPairingSession(replaceClientId?: string): Promise<PairingSession> {
+    // The QR code points devices at the web UI this admin is using
+    const { data } = await this.instance.post<PairingSession>('/pairing/create', {
+      serverUrl: window.location.origin,
+      replaceClientId,
+    });
     return data;
   }
 
@@ -328,15 +596,67 @@ class ApiClient {
     return data;
   }
 
-  async verifyPairingPin(sessionId: string, pin: string, deviceName: string, deviceType: string): Promise<any> {
+  async verifyPairingPin(
+    sessionId: string,
+    pin: string,
+    deviceName: string,
+    deviceType: string,
+    pairingLink?: PairingLink
+  ): Promise<any> {
     const { data } = await this.instance.post(`/pairing/${sessionId}/verify`, {
       pin,
       deviceName,
       deviceType,
+      pairingLink,
     });
+    if (data?.clientToken && data?.refreshToken) {
+      this.setClientTokens(data);
+    }
+    return data;
+  }
+
+  /**
+   * Wait for admin approval and collect the client tokens (approval pairing mode)
+   * The server holds the request open for up to 25 seconds; status stays 'verified' until approved.
+   */
+  async claimPairingTokens(sessionId: string, claimToken: string): Promise<any> {
+    const { data } = await this.instance.post(`/pairing/${sessionId}/claim`, { claimToken });
+    if (data?.clientToken && data?.refreshToken) {
+      this.setClientTokens(data);
+    }
     return data;
   }
 
+  /**
+   * Pair this device with a multi-use enrollment code (the code takes the place of the session id)
+   * Enrolled devices are paired immediately with the profile's name and areas.
+   */
+  async enrollDevice(code: string, deviceName: string, deviceType: string): Promise<any> {
+    const { data } = await this.instance.post(`/pairing/${encodeURIComponent(code)}/verify`, {
+      deviceName,
+      deviceType,
+    });
+    if (data?.clientToken && data?.refreshToken) {
+      this.setClientTokens(data);
+    }
+    return data;
+  }
+
+  // Enrollment profiles - reusable codes for provisioning fleets of devices
+  async getEnrollmentProfiles(): Promise<{ profiles: EnrollmentProfile[] }> {
+    const { data } = await this.instance.get<{ profiles: EnrollmentProfile[] }>('/pairing/enrollment-profiles');
+    return data;
+  }
+
+  async createEnrollmentProfile(request: CreateEnrollmentProfileRequest): Promise<EnrollmentProfile & { code: string }> {
+    const { data } = await this.instance.post<EnrollmentProfile & { code: string }>('/pairing/enrollment-profiles', request);
+    return data;
+  }
+
+  async revokeEnrollmentProfile(id: string): Promise<void> {
+    await this.instance.delete(`/pairing/enrollment-profiles/${id}`);
+  }
+
   async completePairing(sessionId: string, clientName: string, assignedAreas: string[]): Promise<any> {
     const { data } = await this.instance.post(`/pairing/${sessionId}/complete`, {
       clientName,
@@ -350,19 +670,39 @@ class ApiClient {
   }
 
   // Health check
-  async healthCheck(): Promise<{ status: string; timestamp: string }> {
+  async healthCheck(): Promise<{
+    status: string;
+    timestamp: string;
+    services?: { homeAssistant?: HAConnectionState };
+  }> {
     const { data } = await this.instance.get('/health');
     return data;
   }
 
   // Home Assistant Configuration endpoints
-  async getHAConfig(): Promise<{ url?: string; token?: string }> {
-    const { data } = await this.instance.get<{ url?: string; token?: string }>('/config/ha');
+  async getPairingPolicy(): Promise<PairingPolicy> {
+    const { data } = await this.instance.get<PairingPolicy>('/config/pairing');
+    return data;
+  }
+
+  async updatePairingPolicy(mode: PairingMode): Promise<PairingPolicy> {
+    const { data } = await this.instance.put<PairingPolicy>('/config/pairing', { mode });
+    return data;
+  }
+
+  // Saved tokens are only ever returned masked (e.g. "••••••••abcd")
+  async getHAConfig(): Promise<HAConfigSettings> {
+    const { data } = await this.instance.get<HAConfigSettings>('/config/ha');
     return data;
   }
 
-  async saveHAConfig(url: string, token: string): Promise<void> {
-    await this.instance.post('/config/ha', { url, token });
+  // An empty token keeps the saved one; provisioningToken null removes it
+  async saveHAConfig(
+    url: string,
+    token: string,
+    provisioning?: { provisioningToken?: string | null; autoProvisionClientTokens?: boolean }
+  ): Promise<void> {
+    await this.instance.post('/config/ha', { url, token, ...provisioning });
   }
 }
 
@@ -4,9 +4,9 @@
  */
 
 import type { Entity, ApiError } from '../types';
+import { API_BASE_URL } from '../utils/basePath';
 
 // Configuration constants
-const API_BASE_URL = '/api';
 const MAX_RETRIES = 2;
 const INITIAL_RETRY_DELAY = 1000; // 1 second
 const MAX_RETRY_DELAY = 5000; // 5 seconds
@@ -1,4 +1,6 @@
 import { io, Socket } from 'socket.io-client';
+import { apiClient } from './client';
+import { BASE_PATH, SERVED_BY_BACKEND } from '@/utils/basePath';
 import type { WebSocketMessage } from '@/types';
 
 type EventHandler = (data: any) => void;
@@ -53,11 +55,14 @@ class WebSocketClient {
 
     console.log('Connecting to WebSocket with authentication token...');
 
-    // WebSocket must connect directly to backend port 8099 (not proxied through frontend port 5173)
-    const socketUrl = url || `${window.location.protocol}//${window.location.hostname}:8099`;
+    // Served by the backend (e.g. through ingress): same origin, below the base path.
+    // Otherwise connect directly to backend port 8099 (not proxied through frontend port 5173)
+    const socketUrl = url || (SERVED_BY_BACKEND
+      ? window.location.origin
+      : `${window.location.protocol}//${window.location.hostname}:8099`);
 
     this.socket = io(socketUrl, {
-      path: '/socket.io',
+      path: `${BASE_PATH}/socket.io`,
       transports: ['websocket', 'polling'],
       reconnection: true,
       reconnectionDelay: 1000,
@@ -86,8 +91,27 @@ class WebSocketClient {
       console.error('WebSocket connection error:', error);
       this.reconnectAttempts++;
 
+      // Short-lived access token expired - renew it and retry the handshake
+      if (error.data?.code === 'TOKEN_EXPIRED') {
+        apiClient.refreshClientToken().then((token) => {
+          if (token && this.socket) {
+            this.authToken = token;
+            this.socket.auth = { token };
+            this.socket.connect();
+          } else {
+            this.emit('auth_error', {
+              error: error.message,
+              code: error.data?.code,
+              timestamp: new Date(),
+            });
+            this.disconnect();
+          }
+        });
+        return;
+      }
+
       // Handle authentication errors
-      if (error.data?.code === 'NO_TOKEN' || error.data?.code === 'INVALID_TOKEN') {
+      if (['NO_TOKEN', 'INVALID_TOKEN', 'ACCOUNT_DISABLED'].includes(error.data?.code)) {
         console.error('WebSocket authentication failed:', error.message);
         this.emit('auth_error', {
           error: error.message,
@@ -139,10 +163,37 @@ class WebSocketClient {
       this.emit('pairing_request', data);
     });
 
+    // Pairing, enrollment and client area changes (only sent to admin sockets)
+    for (const event of [
+      'pairing_verified',
+      'pairing_completed',
+      'pairing_attack_suspected',
+      'enrollment_completed',
+      'area_added',
+      'area_removed'
+    ]) {
+      this.socket.on(event, (data) => {
+        this.emit(event, data);
+      });
+    }
+
     this.socket.on('config_update', (data) => {
       this.emit('config_update', data);
     });
 
+    this.socket.on('ha_connection_state', (data) => {
+      this.emit('ha_connection_state', data);
+    });
+
+    this.socket.on('area_drift', (data) => {
+      this.emit('area_drift', data);
+    });
+
+    // Client sockets only - the dashboard this device shows was assigned, edited or deleted
+    this.socket.on('dashboard_updated', (data) => {
+      this.emit('dashboard_updated', data);
+    });
+
     // Handle server-side errors
     this.socket.on('error', (data) => {
       console.error('WebSocket server error:', data);
@@ -0,0 +1,322 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  Stack,
+  Chip,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Block as BlockIcon,
+  ContentCopy as ContentCopyIcon,
+} from '@mui/icons-material';
+import { apiClient } from '@/api/client';
+import { formatDateTime } from '@/utils/helpers';
+import type { ApiKey, ApiKeyScope } from '@/types';
+
+const toDate = (seconds: number) => new Date(seconds * 1000);
+
+interface CreateApiKeyDialogProps {
+  open: boolean;
+  availableScopes: ApiKeyScope[];
+  onClose: () => void;
+  onCreated: (key: string) => void;
+}
+
+const CreateApiKeyDialog: React.FC<CreateApiKeyDialogProps> = ({
+  open,
+  availableScopes,
+  onClose,
+  onCreated,
+}) => {
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState<ApiKeyScope[]>([]);
+  const [ipAllowlist, setIpAllowlist] = useState('');
+  const [expiresOn, setExpiresOn] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open) {
+      setName('');
+      setScopes([]);
+      setIpAllowlist('');
+      setExpiresOn('');
+      setError(null);
+    }
+  }, [open]);
+
+  const toggleScope = (scope: ApiKeyScope) => {
+    setScopes((prev) => (prev.includes(scope) ? prev.filter((s) => s !== scope) : [...prev, scope]));
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const created = await apiClient.createApiKey({
+        name: name.trim(),
+        scopes,
+        ipAllowlist: ipAllowlist
+          .split(/[\s,]+/)
+          .map((entry) => entry.trim())
+          .filter(Boolean),
+        expiresAt: expiresOn ? Math.floor(new Date(`${expiresOn}T23:59:59`).getTime() / 1000) : null,
+      });
+      onCreated(created.key);
+      onClose();
+    } catch (err: any) {
+      setError(err.message || 'Failed to create API key');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Create API Key</DialogTitle>
+      <DialogContent>
+        <Stack spacing={3} sx={{ mt: 1 }}>
+          {error && <Alert severity="error">{error}</Alert>}
+
+          <TextField
+            label="Name"
+            value={name}
+            onChange={(e: React.ChangeEvent<HTMLInputElement>) => setName(e.target.value)}
+            placeholder="e.g. Node-RED"
+            inputProps={{ maxLength: 100 }}
+            fullWidth
+            autoFocus
+          />
+
+          <Box>
+            <Typography variant="subtitle2" gutterBottom>
+              Scopes
+            </Typography>
+            <FormGroup row>
+              {availableScopes.map((scope) => (
+                <FormControlLabel
+                  key={scope}
+                  control={<Checkbox checked={scopes.includes(scope)} onChange={() => toggleScope(scope)} size="small" />}
+                  label={<Typography variant="body2" component="code">{scope}</Typography>}
+                  sx={{ minWidth: 180 }}
+                />
+              ))}
+            </FormGroup>
+          </Box>
+
+          <TextField
+            label="IP allow-list (optional)"
+            value={ipAllowlist}
+            onChange={(e: React.ChangeEvent<HTMLInputElement>) => setIpAllowlist(e.target.value)}
+            placeholder="192.168.1.10, 10.0.0.0/24"
+            helperText="Comma-separated addresses or IPv4 CIDR ranges. Leave empty to allow any address."
+            fullWidth
+          />
+
+          <TextField
+            label="Expires on (optional)"
+            type="date"
+            value={expiresOn}
+            onChange={(e: React.ChangeEvent<HTMLInputElement>) => setExpiresOn(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            fullWidth
+          />
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleCreate}
+          variant="contained"
+          disabled={saving || !name.trim() || scopes.length === 0}
+          startIcon={saving ? <CircularProgress size={20} /> : <AddIcon />}
+        >
+          Create
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export const ApiKeysPanel: React.FC = () => {
+  const [keys, setKeys] = useState<ApiKey[]>([]);
+  const [availableScopes, setAvailableScopes] = useState<ApiKeyScope[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [createdKey, setCreatedKey] = useState<string | null>(null);
+
+  const loadKeys = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await apiClient.getApiKeys();
+      setKeys(data.keys);
+      setAvailableScopes(data.availableScopes);
+      setError(null);
+    } catch (err: any) {
+      setError(err.message || 'Failed to load API keys');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadKeys();
+  }, [loadKeys]);
+
+  const handleRevoke = async (apiKey: ApiKey) => {
+    try {
+      await apiClient.revokeApiKey(apiKey.id);
+      await loadKeys();
+    } catch (err: any) {
+      setError(err.message || 'Failed to revoke API key');
+    }
+  };
+
+  const getStatus = (apiKey: ApiKey): { label: string; color: 'success' | 'default' | 'warning' } => {
+    if (apiKey.revokedAt) return { label: 'Revoked', color: 'default' };
+    if (apiKey.expiresAt && apiKey.expiresAt * 1000 < Date.now()) return { label: 'Expired', color: 'warning' };
+    return { label: 'Active', color: 'success' };
+  };
+
+  return (
+    <Paper sx={{ p: 3, mt: 3 }}>
+      <Stack spacing={2}>
+        <Box display="flex" justifyContent="space-between" alignItems="center">
+          <Box>
+            <Typography variant="h6">API Keys</Typography>
+            <Typography variant="body2" color="text.secondary">
+              Scoped keys for scripts and automations. Send them as{' '}
+              <code>Authorization: ApiKey &lt;key&gt;</code>.
+            </Typography>
+          </Box>
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={() => setDialogOpen(true)}
+            disabled={loading || availableScopes.length === 0}
+          >
+            New Key
+          </Button>
+        </Box>
+
+        {error && <Alert severity="error">{error}</Alert>}
+
+        {createdKey && (
+          <Alert
+            severity="warning"
+            onClose={() => setCreatedKey(null)}
+            action={
+              <IconButton size="small" onClick={() => navigator.clipboard?.writeText(createdKey)} title="Copy key">
+                <ContentCopyIcon fontSize="small" />
+              </IconButton>
+            }
+          >
+            Copy this key now - it will not be shown again.
+            <Box component="code" sx={{ display: 'block', mt: 1, wordBreak: 'break-all' }}>
+              {createdKey}
+            </Box>
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : keys.length === 0 ? (
+          !error && (
+            <Typography variant="body2" color="text.secondary">
+              No API keys yet.
+            </Typography>
+          )
+        ) : (
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Key</TableCell>
+                  <TableCell>Scopes</TableCell>
+                  <TableCell>Last Used</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {keys.map((apiKey) => {
+                  const status = getStatus(apiKey);
+                  return (
+                    <TableRow key={apiKey.id}>
+                      <TableCell>{apiKey.name}</TableCell>
+                      <TableCell>
+                        <code>{apiKey.prefix}_…</code>
+                      </TableCell>
+                      <TableCell>
+                        <Box display="flex" gap={0.5} flexWrap="wrap">
+                          {apiKey.scopes.map((scope) => (
+                            <Chip key={scope} label={scope} size="small" variant="outlined" />
+                          ))}
+                        </Box>
+                      </TableCell>
+                      <TableCell>
+                        {apiKey.lastUsedAt
+                          ? `${formatDateTime(toDate(apiKey.lastUsedAt))}${apiKey.lastUsedIp ? ` (${apiKey.lastUsedIp})` : ''}`
+                          : 'Never'}
+                      </TableCell>
+                      <TableCell>
+                        <Chip label={status.label} color={status.color} size="small" />
+                      </TableCell>
+                      <TableCell align="right">
+                        <IconButton
+                          size="small"
+                          onClick={() => handleRevoke(apiKey)}
+                          title="Revoke key"
+                          color="warning"
+                          disabled={!!apiKey.revokedAt}
+                        >
+                          <BlockIcon fontSize="small" />
+                        </IconButton>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Stack>
+
+      <CreateApiKeyDialog
+        open={dialogOpen}
+        availableScopes={availableScopes}
+        onClose={() => setDialogOpen(false)}
+        onCreated={async (key) => {
+          setCreatedKey(key);
+          await loadKeys();
+        }}
+      />
+    </Paper>
+  );
+};
@@ -46,6 +46,7 @@ import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
 import { useAppStore } from '@/context/AppContext';
 import { useAreas } from '@/hooks/useApi';
 import { EntitySelector } from './EntitySelector';
+import { AreaSyncPanel } from './AreaSyncPanel';
 import { ErrorSnackbar, SuccessSnackbar } from './ErrorSnackbar';
 import { OfflineBanner } from './OfflineBanner';
 import { apiClient } from '@/api/client';
@@ -1294,6 +1295,9 @@ export const AreaManagerEnhanced: React.FC = () => {
           </Button>
         </Box>
 
+        {/* Import and drift report for Home Assistant areas */}
+        <AreaSyncPanel />
+
         {/* Area Grid */}
         {areas.length === 0 ? (
           <Card
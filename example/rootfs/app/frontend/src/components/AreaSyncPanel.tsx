@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Paper,
+  Typography,
+  Alert,
+  Stack,
+  Button,
+  Chip,
+  Box,
+  CircularProgress,
+} from '@mui/material';
+import SyncIcon from '@mui/icons-material/Sync';
+import { apiClient } from '@/api/client';
+import { wsClient } from '@/api/websocket';
+import { useAppStore } from '@/context/AppContext';
+import type { AreaDriftReport } from '@/types';
+
+// Entity lists in the drift details are cut off after this many entries
+const MAX_LISTED = 10;
+
+const listEntities = (entityIds: string[]) =>
+  entityIds.length > MAX_LISTED
+    ? `${entityIds.slice(0, MAX_LISTED).join(', ')} and ${entityIds.length - MAX_LISTED} more`
+    : entityIds.join(', ');
+
+export const AreaSyncPanel: React.FC = () => {
+  const { setAreas } = useAppStore();
+  const [report, setReport] = useState<AreaDriftReport | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  useEffect(() => {
+    apiClient
+      .getAreaDrift()
+      .then(setReport)
+      .catch((err: any) => setError(err.message || 'Failed to load area sync status'));
+
+    return wsClient.on('area_drift', (drift: AreaDriftReport) => setReport(drift));
+  }, []);
+
+  const handleCheck = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      setReport(await apiClient.getAreaDrift(true));
+    } catch (err: any) {
+      setError(err.message || 'Failed to check Home Assistant areas');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const result = await apiClient.importAreas();
+      const created = result.areas.filter((area) => area.status === 'created').length;
+      const updated = result.areas.filter((area) => area.status === 'updated').length;
+      setMessage(`Imported ${result.areas.length} areas from Home Assistant (${created} new, ${updated} updated)`);
+      if (result.drift) setReport(result.drift);
+      setAreas(await apiClient.getAreas());
+    } catch (err: any) {
+      setError(err.message || 'Failed to import areas');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const driftCount = report
+    ? report.added.length + report.removed.length + report.moved.length + report.missingAreas.length
+    : 0;
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Stack spacing={2}>
+        <Box display="flex" justifyContent="space-between" alignItems="flex-start" gap={2} flexWrap="wrap">
+          <Box>
+            <Typography variant="h6">Home Assistant Areas</Typography>
+            <Typography variant="body2" color="text.secondary">
+              Import areas with their entities from Home Assistant and keep them in sync.
+              {report && ` Last checked ${new Date(report.checkedAt).toLocaleString()}.`}
+            </Typography>
+          </Box>
+          <Stack direction="row" spacing={1}>
+            <Button variant="outlined" onClick={handleCheck} disabled={busy || !report}>
+              Check now
+            </Button>
+            <Button
+              variant="contained"
+              startIcon={busy ? <CircularProgress size={16} color="inherit" /> : <SyncIcon />}
+              onClick={handleImport}
+              disabled={busy}
+            >
+              {report && report.unlinkedAreas.length === 0 ? 'Sync from Home Assistant' : 'Import from Home Assistant'}
+            </Button>
+          </Stack>
+        </Box>
+
+        {error && <Alert severity="warning">{error}</Alert>}
+        {message && <Alert severity="success" onClose={() => setMessage(null)}>{message}</Alert>}
+
+        {report && driftCount === 0 && (
+          <Typography variant="body2" color="text.secondary">
+            No changes in Home Assistant since the last import.
+          </Typography>
+        )}
+
+        {report && driftCount > 0 && (
+          <Alert severity="info">
+            <Stack spacing={1}>
+              <Box display="flex" gap={1} flexWrap="wrap">
+                {report.added.length > 0 && <Chip size="small" color="success" label={`${report.added.length} added`} />}
+                {report.removed.length > 0 && <Chip size="small" color="error" label={`${report.removed.length} removed`} />}
+                {report.moved.length > 0 && <Chip size="small" color="warning" label={`${report.moved.length} moved`} />}
+                {report.missingAreas.length > 0 && (
+                  <Chip size="small" label={`${report.missingAreas.length} areas deleted in Home Assistant`} />
+                )}
+              </Box>
+              {report.added.length > 0 && (
+                <Typography variant="body2">Added: {listEntities(report.added.map((entry) => entry.entityId))}</Typography>
+              )}
+              {report.removed.length > 0 && (
+                <Typography variant="body2">Removed: {listEntities(report.removed.map((entry) => entry.entityId))}</Typography>
+              )}
+              {report.moved.length > 0 && (
+                <Typography variant="body2">
+                  Moved: {listEntities(report.moved.map((entry) => `${entry.entityId} → ${entry.toHaAreaId}`))}
+                </Typography>
+              )}
+              <Typography variant="body2">Sync to apply these changes to the imported areas.</Typography>
+            </Stack>
+          </Alert>
+        )}
+
+        {report && report.unlinkedAreas.length > 0 && (
+          <Typography variant="body2" color="text.secondary">
+            Not imported yet: {report.unlinkedAreas.map((area) => area.name).join(', ')}
+          </Typography>
+        )}
+      </Stack>
+    </Paper>
+  );
+};
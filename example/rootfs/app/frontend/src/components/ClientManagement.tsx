@@ -24,20 +24,29 @@ import {
   Autocomplete,
   Snackbar,
   Paper,
+  Divider,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
 } from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
 import EditIcon from '@mui/icons-material/Edit';
 import BlockIcon from '@mui/icons-material/Block';
 import VpnKeyIcon from '@mui/icons-material/VpnKey';
+import KeyIcon from '@mui/icons-material/Key';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import PhoneAndroidIcon from '@mui/icons-material/PhoneAndroid';
 import TabletIcon from '@mui/icons-material/Tablet';
 import ComputerIcon from '@mui/icons-material/Computer';
+import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
+import AutoFixHighIcon from '@mui/icons-material/AutoFixHigh';
+import { QRCodeSVG } from 'qrcode.react';
 import { useAppStore } from '@/context/AppContext';
 import { useWebSocket } from '@/hooks/useWebSocket';
 import { apiClient } from '@/api/client';
 import { formatDateTime } from '@/utils/helpers';
-import type { Client, Area } from '@/types';
+import type { Client, ClientToken, Area, Dashboard, PairingSession } from '@/types';
 
 const getDeviceIcon = (deviceType: Client['deviceType']) => {
   switch (deviceType) {
@@ -65,6 +74,7 @@ interface EditDialogProps {
   open: boolean;
   client: Client | null;
   areas: Area[];
+  dashboards: Dashboard[];
   onClose: () => void;
   onSave: (clientId: string, updates: Partial<Client>) => Promise<void>;
 }
@@ -73,11 +83,14 @@ const EditClientDialog: React.FC<EditDialogProps> = ({
   open,
   client,
   areas,
+  dashboards,
   onClose,
   onSave,
 }) => {
   const [name, setName] = useState('');
   const [selectedAreas, setSelectedAreas] = useState<Area[]>([]);
+  // '' = the default dashboard
+  const [dashboardId, setDashboardId] = useState('');
   const [saving, setSaving] = useState(false);
 
   useEffect(() => {
@@ -87,6 +100,7 @@ const EditClientDialog: React.FC<EditDialogProps> = ({
         client.assignedAreas.includes(area.id)
       );
       setSelectedAreas(clientAreas);
+      setDashboardId(client.assignedDashboard || '');
     }
   }, [client, areas]);
 
@@ -98,6 +112,7 @@ const EditClientDialog: React.FC<EditDialogProps> = ({
       await onSave(client.id, {
         name,
         assignedAreas: selectedAreas.map((a) => a.id),
+        assignedDashboard: dashboardId || null,
       });
       onClose();
     } catch (error) {
@@ -222,6 +237,7 @@ interface HaTokenDialogProps {
   client: Client | null;
   onClose: () => void;
   onSave: (clientId: string, token: string) => Promise<void>;
+  onProvision: (clientId: string) => Promise<void>;
 }
 
 const HaTokenDialog: React.FC<HaTokenDialogProps> = ({
@@ -229,9 +245,11 @@ const HaTokenDialog: React.FC<HaTokenDialogProps> = ({
   client,
   onClose,
   onSave,
+  onProvision,
 }) => {
   const [haToken, setHaToken] = useState('');
   const [saving, setSaving] = useState(false);
+  const [provisioning, setProvisioning] = useState(false);
 
   useEffect(() => {
     if (!open) {
@@ -253,16 +271,41 @@ const HaTokenDialog: React.FC<HaTokenDialogProps> = ({
     }
   };
 
+  const handleProvision = async () => {
+    if (!client) return;
+
+    setProvisioning(true);
+    try {
+      await onProvision(client.id);
+      onClose();
+    } catch (error) {
+      console.error('Failed to provision HA token:', error);
+    } finally {
+      setProvisioning(false);
+    }
+  };
+
   return (
     <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
       <DialogTitle>Add Home Assistant Token</DialogTitle>
       <DialogContent>
         <Stack spacing={3} sx={{ mt: 1 }}>
           <Alert severity="info">
-            Enter a long-lived access token from Home Assistant for this client.
+            Create a token in Home Assistant automatically, or paste a long-lived access token.
             The client will use this token to access Home Assistant independently.
           </Alert>
 
+          <Button
+            variant="outlined"
+            onClick={handleProvision}
+            disabled={saving || provisioning}
+            startIcon={provisioning ? <CircularProgress size={20} /> : <AutoFixHighIcon />}
+          >
+            {provisioning ? 'Creating Token...' : 'Create Token in Home Assistant'}
+          </Button>
+
+          <Divider>or</Divider>
+
           <TextField
             label="Home Assistant Token"
             value={haToken}
@@ -289,6 +332,7 @@ const HaTokenDialog: React.FC<HaTokenDialogProps> = ({
                   <br />
                   <Typography variant="caption" color="success.main">
                     ✓ Token already set on {new Date(client.haTokenSetAt).toLocaleString()}
+                    {client.haTokenProvisioned && ' (created in Home Assistant - replacing it deletes the old one)'}
                   </Typography>
                 </>
               )}
@@ -297,13 +341,13 @@ const HaTokenDialog: React.FC<HaTokenDialogProps> = ({
         </Stack>
       </DialogContent>
       <DialogActions>
-        <Button onClick={onClose} disabled={saving}>
+        <Button onClick={onClose} disabled={saving || provisioning}>
           Cancel
         </Button>
         <Button
           onClick={handleSave}
           variant="contained"
-          disabled={saving || !haToken.trim()}
+          disabled={saving || provisioning || !haToken.trim()}
           startIcon={saving ? <CircularProgress size={20} /> : <VpnKeyIcon />}
         >
           {saving ? 'Setting Token...' : 'Set Token'}
@@ -313,8 +357,303 @@ const HaTokenDialog: React.FC<HaTokenDialogProps> = ({
   );
 };
 
+interface ClientTokensDialogProps {
+  open: boolean;
+  client: Client | null;
+  onClose: () => void;
+}
+
+const ClientTokensDialog: React.FC<ClientTokensDialogProps> = ({
+  open,
+  client,
+  onClose,
+}) => {
+  const [tokens, setTokens] = useState<ClientToken[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [name, setName] = useState('');
+  const [createdToken, setCreatedToken] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadTokens = useCallback(async () => {
+    if (!client) return;
+    setLoading(true);
+    try {
+      setTokens(await apiClient.getClientTokens(client.id));
+    } catch (err: any) {
+      setError(err.message || 'Failed to load tokens');
+    } finally {
+      setLoading(false);
+    }
+  }, [client]);
+
+  useEffect(() => {
+    if (open) {
+      loadTokens();
+    } else {
+      setTokens([]);
+      setName('');
+      setCreatedToken(null);
+      setError(null);
+    }
+  }, [open, loadTokens]);
+
+  const handleCreate = async () => {
+    if (!client || !name.trim()) return;
+
+    setBusy(true);
+    setError(null);
+    try {
+      const created = await apiClient.createClientToken(client.id, name.trim());
+      setCreatedToken(created.token);
+      setName('');
+      await loadTokens();
+    } catch (err: any) {
+      setError(err.message || 'Failed to create token');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async (token: ClientToken) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await apiClient.revokeNamedClientToken(token.id);
+      await loadTokens();
+    } catch (err: any) {
+      setError(err.message || 'Failed to revoke token');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Access Tokens{client ? ` - ${client.name}` : ''}</DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ mt: 1 }}>
+          <Alert severity="info">
+            Issue a separate token for each app install on this device. Revoking one token
+            leaves the others - and the pairing - untouched.
+          </Alert>
+
+          {error && <Alert severity="error">{error}</Alert>}
+
+          {createdToken && (
+            <Alert severity="warning" onClose={() => setCreatedToken(null)}>
+              Copy this token now - it will not be shown again.
+              <Box component="code" sx={{ display: 'block', mt: 1, wordBreak: 'break-all' }}>
+                {createdToken}
+              </Box>
+            </Alert>
+          )}
+
+          <Stack direction="row" spacing={1}>
+            <TextField
+              label="Token name"
+              value={name}
+              onChange={(e: React.ChangeEvent<HTMLInputElement>) => setName(e.target.value)}
+              size="small"
+              placeholder="e.g. Kiosk app"
+              inputProps={{ maxLength: 100 }}
+              fullWidth
+            />
+            <Button
+              variant="contained"
+              onClick={handleCreate}
+              disabled={busy || !name.trim()}
+              startIcon={<KeyIcon />}
+            >
+              Create
+            </Button>
+          </Stack>
+
+          {loading ? (
+            <Box display="flex" justifyContent="center" py={2}>
+              <CircularProgress size={24} />
+            </Box>
+          ) : tokens.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              No named tokens for this client yet.
+            </Typography>
+          ) : (
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Name</TableCell>
+                    <TableCell>Created</TableCell>
+                    <TableCell>Last Used</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell align="right">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {tokens.map((token) => (
+                    <TableRow key={token.id}>
+                      <TableCell>{token.name || token.id}</TableCell>
+                      <TableCell>{formatDateTime(token.createdAt)}</TableCell>
+                      <TableCell>{token.lastUsed ? formatDateTime(token.lastUsed) : 'Never'}</TableCell>
+                      <TableCell>
+                        <Chip
+                          label={token.isRevoked ? 'Revoked' : 'Active'}
+                          color={token.isRevoked ? 'default' : 'success'}
+                          size="small"
+                        />
+                      </TableCell>
+                      <TableCell align="right">
+                        <IconButton
+                          size="small"
+                          onClick={() => handleRevoke(token)}
+                          title="Revoke token"
+                          color="warning"
+                          disabled={busy || token.isRevoked}
+                        >
+                          <BlockIcon fontSize="small" />
+                        </IconButton>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+interface ReplaceDeviceDialogProps {
+  open: boolean;
+  client: Client | null;
+  onClose: () => void;
+  onReplaced: (deviceName: string) => void;
+}
+
+/**
+ * Re-pair PIN for an existing client - the device that enters it takes over the client
+ * (name, areas, HA token and history) and the old device is signed out
+ */
+const ReplaceDeviceDialog: React.FC<ReplaceDeviceDialogProps> = ({
+  open,
+  client,
+  onClose,
+  onReplaced,
+}) => {
+  const { on } = useWebSocket();
+  const [session, setSession] = useState<PairingSession | null>(null);
+  const [replacedBy, setReplacedBy] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open) {
+      setSession(null);
+      setReplacedBy(null);
+      setError(null);
+    }
+  }, [open]);
+
+  useEffect(() => {
+    if (!session) return;
+    return on('pairing_completed', (data: { sessionId: string; deviceName?: string }) => {
+      if (data.sessionId === session.id) {
+        setReplacedBy(data.deviceName || 'new device');
+        onReplaced(data.deviceName || 'new device');
+      }
+    });
+  }, [on, session, onReplaced]);
+
+  const handleGenerate = async () => {
+    if (!client) return;
+
+    setBusy(true);
+    setError(null);
+    try {
+      setSession(await apiClient.createPairingSession(client.id));
+    } catch (err: any) {
+      setError(err.message || 'Failed to generate re-pair PIN');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleClose = async () => {
+    // An unused re-pair PIN must not stay valid after the dialog is closed
+    if (session && !replacedBy) {
+      try {
+        await apiClient.cancelPairing(session.id);
+      } catch (err) {
+        console.error('Failed to cancel re-pair PIN:', err);
+      }
+    }
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Replace Device{client ? ` - ${client.name}` : ''}</DialogTitle>
+      <DialogContent>
+        <Stack spacing={3} sx={{ mt: 1 }} alignItems="center">
+          {error && <Alert severity="error" sx={{ width: '100%' }}>{error}</Alert>}
+
+          {replacedBy ? (
+            <Alert severity="success" sx={{ width: '100%' }}>
+              "{client?.name}" now runs on {replacedBy}. The previous device has been signed out.
+            </Alert>
+          ) : session ? (
+            <>
+              <Typography align="center">
+                Scan the QR code or enter this PIN on the new device:
+              </Typography>
+              {session.pairingUri && (
+                <Paper elevation={3} sx={{ p: 2, bgcolor: 'white', lineHeight: 0 }}>
+                  <QRCodeSVG value={session.pairingUri} size={180} level="M" />
+                </Paper>
+              )}
+              <Typography variant="h3" fontFamily="monospace" fontWeight="bold" letterSpacing={8}>
+                {session.pin}
+              </Typography>
+              <Box display="flex" alignItems="center" gap={1}>
+                <CircularProgress size={16} />
+                <Typography variant="body2" color="text.secondary">
+                  Waiting for the new device (PIN valid until {formatDateTime(session.expiresAt)})
+                </Typography>
+              </Box>
+            </>
+          ) : (
+            <Alert severity="info" sx={{ width: '100%' }}>
+              Use this after a factory reset or when swapping hardware. The new device keeps this
+              client's name, assigned areas, Home Assistant token and history. The old device and
+              all access tokens of this client are signed out.
+            </Alert>
+          )}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>{replacedBy ? 'Done' : 'Cancel'}</Button>
+        {!session && (
+          <Button
+            variant="contained"
+            onClick={handleGenerate}
+            disabled={busy || !client}
+            startIcon={busy ? <CircularProgress size={20} /> : <SwapHorizIcon />}
+          >
+            Generate Re-pair PIN
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
 export const ClientManagement: React.FC = () => {
-  const { areas } = useAppStore();
+  const { areas, dashboards } = useAppStore();
   const { on } = useWebSocket();
 
   const [clients, setClients] = useState<Client[]>([]);
@@ -324,6 +663,8 @@ export const ClientManagement: React.FC = () => {
   // Dialog states
   const [editDialogOpen, setEditDialogOpen] = useState(false);
   const [haTokenDialogOpen, setHaTokenDialogOpen] = useState(false);
+  const [tokensDialogOpen, setTokensDialogOpen] = useState(false);
+  const [replaceDialogOpen, setReplaceDialogOpen] = useState(false);
   const [selectedClient, setSelectedClient] = useState<Client | null>(null);
   const [revokeDialogOpen, setRevokeDialogOpen] = useState(false);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
@@ -427,8 +768,13 @@ export const ClientManagement: React.FC = () => {
   };
 
   const handleSaveClient = async (clientId: string, updates: Partial<Client>) => {
+    const { assignedDashboard, ...clientUpdates } = updates;
     try {
-      const updatedClient = await apiClient.updateClient(clientId, updates);
+      const updatedClient = await apiClient.updateClient(clientId, clientUpdates);
+      if (assignedDashboard !== undefined && assignedDashboard !== (selectedClient?.assignedDashboard ?? null)) {
+        await apiClient.assignDashboardToClient(clientId, assignedDashboard);
+      }
+      updatedClient.assignedDashboard = assignedDashboard;
       setClients((prev) =>
         prev.map((c) => (c.id === clientId ? updatedClient : c))
       );
@@ -493,6 +839,21 @@ export const ClientManagement: React.FC = () => {
     setHaTokenDialogOpen(true);
   };
 
+  const handleTokensClick = (client: Client) => {
+    setSelectedClient(client);
+    setTokensDialogOpen(true);
+  };
+
+  const handleReplaceClick = (client: Client) => {
+    setSelectedClient(client);
+    setReplaceDialogOpen(true);
+  };
+
+  const handleDeviceReplaced = useCallback((deviceName: string) => {
+    showSnackbar(`Device replaced - now paired with ${deviceName}`, 'success');
+    loadClients();
+  }, [loadClients]);
+
   const handleSaveHaToken = async (clientId: string, token: string) => {
     try {
       await apiClient.setClientHaToken(clientId, token);
@@ -500,7 +861,7 @@ export const ClientManagement: React.FC = () => {
       setClients((prev) =>
         prev.map((c) =>
           c.id === clientId
-            ? { ...c, hasHaToken: true, haTokenSetAt: Date.now() }
+            ? { ...c, hasHaToken: true, haTokenSetAt: Date.now(), haTokenProvisioned: false }
             : c
         )
       );
@@ -511,6 +872,23 @@ export const ClientManagement: React.FC = () => {
     }
   };
 
+  const handleProvisionHaToken = async (clientId: string) => {
+    try {
+      const result = await apiClient.provisionClientHaToken(clientId);
+      setClients((prev) =>
+        prev.map((c) =>
+          c.id === clientId
+            ? { ...c, hasHaToken: true, haTokenSetAt: result.tokenSetAt, haTokenProvisioned: true }
+            : c
+        )
+      );
+      showSnackbar('HA token created in Home Assistant and sent to client', 'success');
+    } catch (err: any) {
+      showSnackbar(err.message || 'Failed to create HA token', 'error');
+      throw err;
+    }
+  };
+
   const getAreaNames = (areaIds: string[]): string[] => {
     return areaIds
       .map((id) => areas.find((a) => a.id === id)?.name)
@@ -622,6 +1000,20 @@ export const ClientManagement: React.FC = () => {
                             >
                               <VpnKeyIcon fontSize="small" />
                             </IconButton>
+                            <IconButton
+                              size="small"
+                              onClick={() => handleTokensClick(client)}
+                              title="Manage access tokens"
+                            >
+                              <KeyIcon fontSize="small" />
+                            </IconButton>
+                            <IconButton
+                              size="small"
+                              onClick={() => handleReplaceClick(client)}
+                              title="Replace device"
+                            >
+                              <SwapHorizIcon fontSize="small" />
+                            </IconButton>
                             <IconButton
                               size="small"
                               onClick={() => handleEditClick(client)}
@@ -683,6 +1075,7 @@ export const ClientManagement: React.FC = () => {
         open={editDialogOpen}
         client={selectedClient}
         areas={areas}
+        dashboards={dashboards}
         onClose={() => {
           setEditDialogOpen(false);
           setSelectedClient(null);
@@ -699,6 +1092,28 @@ export const ClientManagement: React.FC = () => {
           setSelectedClient(null);
         }}
         onSave={handleSaveHaToken}
+        onProvision={handleProvisionHaToken}
+      />
+
+      {/* Named Access Tokens Dialog */}
+      <ClientTokensDialog
+        open={tokensDialogOpen}
+        client={selectedClient}
+        onClose={() => {
+          setTokensDialogOpen(false);
+          setSelectedClient(null);
+        }}
+      />
+
+      {/* Replace Device (re-pair PIN) */}
+      <ReplaceDeviceDialog
+        open={replaceDialogOpen}
+        client={selectedClient}
+        onClose={() => {
+          setReplaceDialogOpen(false);
+          setSelectedClient(null);
+        }}
+        onReplaced={handleDeviceReplaced}
       />
 
       {/* Revoke Token Confirmation */}
@@ -1,4 +1,4 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   Box,
   Card,
@@ -6,43 +6,93 @@ import {
   Typography,
   Button,
   List,
-  ListItem,
   ListItemButton,
   ListItemText,
   Chip,
   Stack,
   Alert,
   CircularProgress,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControlLabel,
+  Checkbox,
 } from '@mui/material';
-import RefreshIcon from '@mui/icons-material/Refresh';
+import SyncIcon from '@mui/icons-material/Sync';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import StarIcon from '@mui/icons-material/Star';
+import StarBorderIcon from '@mui/icons-material/StarBorder';
 import DashboardIcon from '@mui/icons-material/Dashboard';
 import { useAppStore } from '@/context/AppContext';
-import { useApi } from '@/hooks/useApi';
 import { apiClient } from '@/api/client';
-import type { Dashboard } from '@/types';
+import { DashboardEditor } from './DashboardEditor';
 
 export const DashboardConfig: React.FC = () => {
   const { dashboards, selectedDashboard, setDashboards, setSelectedDashboard } = useAppStore();
-  const { loading, error, execute } = useApi<Dashboard[]>();
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const [createOpen, setCreateOpen] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [newIsDefault, setNewIsDefault] = useState(false);
 
-  const loadDashboards = async () => {
-    const data = await execute(() => apiClient.getDashboards());
-    if (data) {
-      setDashboards(data);
-    }
-  };
-
-  const syncDashboards = async () => {
-    const data = await execute(() => apiClient.syncDashboards());
-    if (data) {
-      setDashboards(data);
+  // Runs a change and reloads the list - the default flag can move between dashboards
+  const run = async (action: () => Promise<string | void>, failure: string) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const result = await action();
+      if (result) setMessage(result);
+      setDashboards(await apiClient.getDashboards());
+    } catch (err: any) {
+      setError(err.message || failure);
+    } finally {
+      setBusy(false);
     }
   };
 
   useEffect(() => {
-    loadDashboards();
+    run(async () => undefined, 'Failed to load dashboards');
   }, []);
 
+  const handleSync = () =>
+    run(async () => {
+      const result = await apiClient.syncDashboards();
+      const created = result.imported.filter((dashboard) => dashboard.status === 'created').length;
+      const skipped = result.skipped.length > 0
+        ? ` Skipped: ${result.skipped.map((dashboard) => `${dashboard.title} (${dashboard.reason})`).join(', ')}.`
+        : '';
+      return `Imported ${result.imported.length} dashboards from Home Assistant (${created} new).${skipped}`;
+    }, 'Failed to import dashboards');
+
+  const handleCreate = () =>
+    run(async () => {
+      const dashboard = await apiClient.createDashboard({ name: newName.trim(), isDefault: newIsDefault });
+      setCreateOpen(false);
+      setNewName('');
+      setNewIsDefault(false);
+      setSelectedDashboard(dashboard.id);
+      return `Dashboard "${dashboard.name}" created`;
+    }, 'Failed to create dashboard');
+
+  const handleSetDefault = (dashboardId: string) =>
+    run(async () => {
+      await apiClient.updateDashboard(dashboardId, { isDefault: true });
+    }, 'Failed to set the default dashboard');
+
+  const handleDelete = (dashboardId: string, name: string) => {
+    if (!confirm(`Delete dashboard "${name}"? Devices showing it switch to the default dashboard.`)) return;
+    run(async () => {
+      await apiClient.deleteDashboard(dashboardId);
+      if (selectedDashboard === dashboardId) setSelectedDashboard(null);
+    }, 'Failed to delete dashboard');
+  };
+
   const handleSelectDashboard = (dashboardId: string) => {
     setSelectedDashboard(dashboardId === selectedDashboard ? null : dashboardId);
   };
@@ -53,19 +103,25 @@ export const DashboardConfig: React.FC = () => {
     <Box>
       <Stack spacing={2}>
         {/* Header */}
-        <Box display="flex" justifyContent="space-between" alignItems="center">
-          <Typography variant="h5">Dashboard Configuration</Typography>
-          <Button
-            variant="outlined"
-            startIcon={loading ? <CircularProgress size={16} /> : <RefreshIcon />}
-            onClick={syncDashboards}
-            disabled={loading}
-          >
-            Sync from Home Assistant
-          </Button>
+        <Box display="flex" justifyContent="space-between" alignItems="center" gap={2} flexWrap="wrap">
+          <Typography variant="h5">Dashboards</Typography>
+          <Stack direction="row" spacing={1}>
+            <Button variant="outlined" startIcon={<AddIcon />} onClick={() => setCreateOpen(true)} disabled={busy}>
+              New Dashboard
+            </Button>
+            <Button
+              variant="contained"
+              startIcon={busy ? <CircularProgress size={16} color="inherit" /> : <SyncIcon />}
+              onClick={handleSync}
+              disabled={busy}
+            >
+              Import from Home Assistant
+            </Button>
+          </Stack>
         </Box>
 
-        {error && <Alert severity="error">{error.message}</Alert>}
+        {error && <Alert severity="error">{error}</Alert>}
+        {message && <Alert severity="success" onClose={() => setMessage(null)}>{message}</Alert>}
 
         {/* Dashboard List */}
         <Card>
@@ -73,13 +129,13 @@ export const DashboardConfig: React.FC = () => {
             <Typography variant="h6" gutterBottom>
               Available Dashboards
             </Typography>
-            {loading && dashboards.length === 0 ? (
+            {busy && dashboards.length === 0 ? (
               <Box display="flex" justifyContent="center" py={4}>
                 <CircularProgress />
               </Box>
             ) : dashboards.length === 0 ? (
               <Typography color="text.secondary" align="center" py={4}>
-                No dashboards found. Click "Sync from Home Assistant" to load dashboards.
+                No dashboards yet. Create one or import your Lovelace dashboards from Home Assistant.
               </Typography>
             ) : (
               <List>
@@ -94,13 +150,37 @@ export const DashboardConfig: React.FC = () => {
                         <Box display="flex" alignItems="center" gap={1}>
                           <DashboardIcon fontSize="small" />
                           <Typography variant="subtitle1">{dashboard.name}</Typography>
+                          {dashboard.isDefault && <Chip label="Default" color="primary" size="small" />}
+                          {dashboard.haUrlPath && (
+                            <Chip label={`Home Assistant: ${dashboard.haUrlPath}`} size="small" variant="outlined" />
+                          )}
                         </Box>
                       }
-                      secondary={`${dashboard.views?.length || 0} views`}
+                      secondary={`${dashboard.config?.views?.length || 0} views`}
                     />
-                    {dashboard.id === selectedDashboard && (
-                      <Chip label="Selected" color="primary" size="small" />
-                    )}
+                    <IconButton
+                      size="small"
+                      title={dashboard.isDefault ? 'Default dashboard' : 'Make default'}
+                      disabled={busy || dashboard.isDefault}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleSetDefault(dashboard.id);
+                      }}
+                    >
+                      {dashboard.isDefault ? <StarIcon fontSize="small" /> : <StarBorderIcon fontSize="small" />}
+                    </IconButton>
+                    <IconButton
+                      size="small"
+                      color="error"
+                      title="Delete dashboard"
+                      disabled={busy}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleDelete(dashboard.id, dashboard.name);
+                      }}
+                    >
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
                   </ListItemButton>
                 ))}
               </List>
@@ -108,39 +188,48 @@ export const DashboardConfig: React.FC = () => {
           </CardContent>
         </Card>
 
-        {/* Selected Dashboard Details */}
+        {/* Selected Dashboard Editor */}
         {selectedDashboardData && (
-          <Card>
-            <CardContent>
-              <Typography variant="h6" gutterBottom>
-                Dashboard Details: {selectedDashboardData.name}
-              </Typography>
-              <Stack spacing={2}>
-                {selectedDashboardData.views.map((view) => (
-                  <Box key={view.id}>
-                    <Typography variant="subtitle2" gutterBottom>
-                      {view.title}
-                    </Typography>
-                    <Box display="flex" gap={1}>
-                      <Chip label={`Type: ${view.type}`} size="small" variant="outlined" />
-                      <Chip
-                        label={`${view.cards?.length || 0} cards`}
-                        size="small"
-                        variant="outlined"
-                      />
-                    </Box>
-                  </Box>
-                ))}
-              </Stack>
-            </CardContent>
-          </Card>
+          <DashboardEditor
+            dashboard={selectedDashboardData}
+            onPublished={(updated) =>
+              setDashboards(dashboards.map((dashboard) => (dashboard.id === updated.id ? updated : dashboard)))
+            }
+          />
         )}
 
         {/* Usage Instructions */}
         <Alert severity="info">
-          Select a dashboard to assign to clients. This dashboard will be displayed on their devices.
+          Assign a dashboard to a device under Clients. Devices without an assigned dashboard show the default dashboard.
         </Alert>
       </Stack>
+
+      <Dialog open={createOpen} onClose={() => setCreateOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>New Dashboard</DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            <TextField
+              label="Name"
+              value={newName}
+              onChange={(e: React.ChangeEvent<HTMLInputElement>) => setNewName(e.target.value)}
+              fullWidth
+              autoFocus
+            />
+            <FormControlLabel
+              control={<Checkbox checked={newIsDefault} onChange={(e) => setNewIsDefault(e.target.checked)} />}
+              label="Default dashboard for devices without one"
+            />
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCreateOpen(false)} disabled={busy}>
+            Cancel
+          </Button>
+          <Button onClick={handleCreate} variant="contained" disabled={busy || !newName.trim()}>
+            Create
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
@@ -0,0 +1,599 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Chip,
+  Stack,
+  Alert,
+  CircularProgress,
+  IconButton,
+  Tooltip,
+  Tabs,
+  Tab,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Autocomplete,
+  ToggleButton,
+  ToggleButtonGroup,
+  Paper,
+  Divider,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import ArrowForwardIcon from '@mui/icons-material/ArrowForward';
+import PublishIcon from '@mui/icons-material/Publish';
+import TabletIcon from '@mui/icons-material/Tablet';
+import PhoneAndroidIcon from '@mui/icons-material/PhoneAndroid';
+import { useAppStore } from '@/context/AppContext';
+import { apiClient } from '@/api/client';
+import {
+  VIEW_TYPES,
+  CARD_TYPES,
+  PREVIEW_DEVICES,
+  PreviewDevice,
+  getCardBinding,
+  getViewType,
+  getCardEntityIds,
+  setCardEntities,
+  changeCardType,
+  createEntityCard,
+  createCard,
+  moveItem,
+  getExtraCardOptions,
+} from '@/utils/dashboardLayout';
+import type { Dashboard, DashboardCard, DashboardView, DashboardViewType } from '@/types';
+
+// Previews are drawn at device size and scaled down to fit next to the editor
+const PREVIEW_SCALE: Record<PreviewDevice, number> = { tablet: 0.6, phone: 0.8 };
+// Entity id in drag data of entities dragged from the palette
+const DRAG_TYPE = 'application/x-hasync-entity';
+
+const cloneViews = (dashboard: Dashboard): DashboardView[] =>
+  JSON.parse(JSON.stringify(dashboard.config?.views || []));
+
+interface CardPreviewProps {
+  card: DashboardCard;
+  selected: boolean;
+  entityName: (entityId: string) => string;
+  entityState: (entityId: string) => string | undefined;
+  onSelect: () => void;
+}
+
+const CardPreview: React.FC<CardPreviewProps> = ({ card, selected, entityName, entityState, onSelect }) => {
+  const entityIds = getCardEntityIds(card);
+  const title = (card.title || card.name) as string | undefined;
+
+  return (
+    <Paper
+      variant="outlined"
+      onClick={onSelect}
+      sx={{
+        p: 2,
+        mb: 2,
+        breakInside: 'avoid',
+        cursor: 'pointer',
+        borderColor: selected ? 'primary.main' : undefined,
+        borderWidth: selected ? 2 : 1,
+      }}
+    >
+      <Typography variant="subtitle2" gutterBottom>
+        {title || CARD_TYPES.find((cardType) => cardType.type === card.type)?.label || card.type}
+      </Typography>
+      {card.type === 'markdown' && (
+        <Typography variant="body2" color="text.secondary" sx={{ whiteSpace: 'pre-wrap' }}>
+          {(card.content as string) || 'Empty markdown card'}
+        </Typography>
+      )}
+      {entityIds.map((entityId) => (
+        <Box key={entityId} display="flex" justifyContent="space-between" gap={1}>
+          <Typography variant="body2" noWrap>{entityName(entityId)}</Typography>
+          <Typography variant="body2" color="text.secondary">{entityState(entityId) ?? '–'}</Typography>
+        </Box>
+      ))}
+      {card.type !== 'markdown' && entityIds.length === 0 && (
+        <Typography variant="body2" color="text.secondary">No entity selected</Typography>
+      )}
+    </Paper>
+  );
+};
+
+interface DashboardEditorProps {
+  dashboard: Dashboard;
+  onPublished: (dashboard: Dashboard) => void;
+}
+
+export const DashboardEditor: React.FC<DashboardEditorProps> = ({ dashboard, onPublished }) => {
+  const { areas, entities } = useAppStore();
+  const [views, setViews] = useState<DashboardView[]>(() => cloneViews(dashboard));
+  const [viewIndex, setViewIndex] = useState(0);
+  const [cardIndex, setCardIndex] = useState<number | null>(null);
+  const [device, setDevice] = useState<PreviewDevice>('tablet');
+  const [entityFilter, setEntityFilter] = useState('');
+  const [extraOptions, setExtraOptions] = useState('');
+  const [extraOptionsError, setExtraOptionsError] = useState<string | null>(null);
+  const [dirty, setDirty] = useState(false);
+  const [publishing, setPublishing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  // Start over when another dashboard is opened or it changed on the server
+  useEffect(() => {
+    setViews(cloneViews(dashboard));
+    setViewIndex(0);
+    setCardIndex(null);
+    setDirty(false);
+  }, [dashboard.id, dashboard.updatedAt]);
+
+  const entitiesById = useMemo(() => new Map(entities.map((entity) => [entity.id, entity])), [entities]);
+  const entityName = (entityId: string) => entitiesById.get(entityId)?.name || entityId;
+  const entityState = (entityId: string) => entitiesById.get(entityId)?.state;
+
+  // Cards are bound to entities of enabled areas
+  const paletteAreas = useMemo(() => {
+    const search = entityFilter.trim().toLowerCase();
+    return areas
+      .filter((area) => area.isEnabled !== false)
+      .map((area) => ({
+        ...area,
+        entityIds: area.entityIds.filter((entityId) =>
+          !search || entityId.toLowerCase().includes(search) || entityName(entityId).toLowerCase().includes(search)
+        ),
+      }))
+      .filter((area) => area.entityIds.length > 0);
+  }, [areas, entityFilter, entitiesById]);
+
+  const entityOptions = useMemo(
+    () => [...new Set(areas.filter((area) => area.isEnabled !== false).flatMap((area) => area.entityIds))].sort(),
+    [areas]
+  );
+
+  const view = views[viewIndex];
+  const cards = view?.cards || [];
+  const card = cardIndex !== null ? cards[cardIndex] : undefined;
+
+  useEffect(() => {
+    setExtraOptions(card ? JSON.stringify(getExtraCardOptions(card), null, 2) : '');
+    setExtraOptionsError(null);
+  }, [viewIndex, cardIndex, card?.type]);
+
+  const updateViews = (next: DashboardView[]) => {
+    setViews(next);
+    setDirty(true);
+  };
+
+  const updateView = (changes: Partial<DashboardView>) =>
+    updateViews(views.map((current, index) => (index === viewIndex ? { ...current, ...changes } : current)));
+
+  const updateCards = (next: DashboardCard[]) => updateView({ cards: next });
+
+  const updateCard = (next: DashboardCard) =>
+    updateCards(cards.map((current, index) => (index === cardIndex ? next : current)));
+
+  const handleAddView = () => {
+    updateViews([...views, { title: `View ${views.length + 1}`, type: 'masonry', cards: [] }]);
+    setViewIndex(views.length);
+    setCardIndex(null);
+  };
+
+  const handleMoveView = (offset: number) => {
+    updateViews(moveItem(views, viewIndex, offset));
+    setViewIndex(Math.min(Math.max(viewIndex + offset, 0), views.length - 1));
+  };
+
+  const handleDeleteView = () => {
+    if (!confirm(`Delete view "${view?.title || viewIndex + 1}" with its ${cards.length} cards?`)) return;
+    updateViews(views.filter((_, index) => index !== viewIndex));
+    setViewIndex(Math.max(viewIndex - 1, 0));
+    setCardIndex(null);
+  };
+
+  const handleAddCard = (next: DashboardCard) => {
+    if (!view) return;
+    updateCards([...cards, next]);
+    setCardIndex(cards.length);
+  };
+
+  const handleMoveCard = (offset: number) => {
+    if (cardIndex === null) return;
+    updateCards(moveItem(cards, cardIndex, offset));
+    setCardIndex(Math.min(Math.max(cardIndex + offset, 0), cards.length - 1));
+  };
+
+  const handleDeleteCard = () => {
+    updateCards(cards.filter((_, index) => index !== cardIndex));
+    setCardIndex(null);
+  };
+
+  const handleDrop = (event: React.DragEvent) => {
+    event.preventDefault();
+    const entityId = event.dataTransfer.getData(DRAG_TYPE);
+    if (entityId) handleAddCard(createEntityCard(entityId));
+  };
+
+  const handleExtraOptionsBlur = () => {
+    if (!card) return;
+    try {
+      const options = extraOptions.trim() ? JSON.parse(extraOptions) : {};
+      if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+        throw new Error('Options must be a JSON object');
+      }
+      const fields = Object.fromEntries(Object.entries(card).filter(([key]) => !(key in getExtraCardOptions(card))));
+      updateCard({ ...options, ...fields } as DashboardCard);
+      setExtraOptionsError(null);
+    } catch (err: any) {
+      setExtraOptionsError(err.message || 'Invalid JSON');
+    }
+  };
+
+  const handlePublish = async () => {
+    setPublishing(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const updated = await apiClient.updateDashboard(dashboard.id, { config: { ...dashboard.config, views } });
+      setDirty(false);
+      setMessage('Published - devices showing this dashboard update right away.');
+      onPublished(updated);
+    } catch (err: any) {
+      setError(err.message || 'Failed to publish dashboard');
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  const handleDiscard = () => {
+    setViews(cloneViews(dashboard));
+    setViewIndex(0);
+    setCardIndex(null);
+    setDirty(false);
+  };
+
+  const preview = PREVIEW_DEVICES[device];
+  const scale = PREVIEW_SCALE[device];
+  const viewType = view ? getViewType(view) : 'masonry';
+  const previewCards = viewType === 'panel' ? cards.slice(0, 1) : cards;
+  const binding = card ? getCardBinding(card.type) : 'none';
+
+  return (
+    <Card>
+      <CardContent>
+        <Stack spacing={2}>
+          <Box display="flex" justifyContent="space-between" alignItems="center" gap={2} flexWrap="wrap">
+            <Box>
+              <Typography variant="h6">Edit: {dashboard.name}</Typography>
+              <Typography variant="body2" color="text.secondary">
+                Drag entities onto the preview to add cards. Changes reach devices when you publish.
+              </Typography>
+            </Box>
+            <Stack direction="row" spacing={1} alignItems="center">
+              {dirty && <Chip label="Unpublished changes" color="warning" size="small" />}
+              <Button onClick={handleDiscard} disabled={!dirty || publishing}>
+                Discard
+              </Button>
+              <Button
+                variant="contained"
+                startIcon={publishing ? <CircularProgress size={16} color="inherit" /> : <PublishIcon />}
+                onClick={handlePublish}
+                disabled={!dirty || publishing}
+              >
+                Publish
+              </Button>
+            </Stack>
+          </Box>
+
+          {dashboard.haUrlPath && (
+            <Alert severity="info">
+              Imported from Home Assistant ({dashboard.haUrlPath}). Importing again replaces the changes made here.
+            </Alert>
+          )}
+          {error && <Alert severity="error">{error}</Alert>}
+          {message && <Alert severity="success" onClose={() => setMessage(null)}>{message}</Alert>}
+
+          {/* Views */}
+          <Box display="flex" alignItems="center" gap={1}>
+            <Tabs
+              value={view ? viewIndex : false}
+              onChange={(_, index: number) => {
+                setViewIndex(index);
+                setCardIndex(null);
+              }}
+              variant="scrollable"
+              scrollButtons="auto"
+              sx={{ flexGrow: 1 }}
+            >
+              {views.map((current, index) => (
+                <Tab key={index} label={current.title || `View ${index + 1}`} />
+              ))}
+            </Tabs>
+            <Button startIcon={<AddIcon />} onClick={handleAddView}>
+              Add View
+            </Button>
+          </Box>
+
+          {view ? (
+            <Box display="flex" gap={2} alignItems="center" flexWrap="wrap">
+              <TextField
+                label="View title"
+                size="small"
+                value={view.title || ''}
+                onChange={(e: React.ChangeEvent<HTMLInputElement>) => updateView({ title: e.target.value })}
+              />
+              <FormControl size="small" sx={{ minWidth: 200 }}>
+                <InputLabel>Layout</InputLabel>
+                <Select
+                  value={viewType}
+                  label="Layout"
+                  onChange={(e) => updateView({ type: e.target.value as DashboardViewType })}
+                >
+                  {VIEW_TYPES.map((viewTypeOption) => (
+                    <MenuItem key={viewTypeOption.type} value={viewTypeOption.type}>
+                      {viewTypeOption.label}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <Tooltip title="Move view left">
+                <span>
+                  <IconButton size="small" onClick={() => handleMoveView(-1)} disabled={viewIndex === 0}>
+                    <ArrowBackIcon fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+              <Tooltip title="Move view right">
+                <span>
+                  <IconButton size="small" onClick={() => handleMoveView(1)} disabled={viewIndex === views.length - 1}>
+                    <ArrowForwardIcon fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+              <Tooltip title="Delete view">
+                <IconButton size="small" color="error" onClick={handleDeleteView}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            </Box>
+          ) : (
+            <Typography color="text.secondary">This dashboard has no views yet. Add a view to start.</Typography>
+          )}
+
+          <Box display="flex" gap={2} alignItems="flex-start" flexWrap="wrap">
+            {/* Entity palette */}
+            <Paper variant="outlined" sx={{ p: 2, width: 260, maxHeight: 560, overflow: 'auto' }}>
+              <Typography variant="subtitle2" gutterBottom>Entities by area</Typography>
+              <TextField
+                size="small"
+                placeholder="Filter entities..."
+                value={entityFilter}
+                onChange={(e: React.ChangeEvent<HTMLInputElement>) => setEntityFilter(e.target.value)}
+                fullWidth
+                sx={{ mb: 1 }}
+              />
+              {paletteAreas.length === 0 && (
+                <Typography variant="body2" color="text.secondary">No entities in enabled areas.</Typography>
+              )}
+              {paletteAreas.map((area) => (
+                <Box key={area.id} mb={1.5}>
+                  <Typography variant="caption" color="text.secondary">{area.name}</Typography>
+                  <Box display="flex" gap={0.5} flexWrap="wrap">
+                    {area.entityIds.map((entityId) => (
+                      <Chip
+                        key={entityId}
+                        label={entityName(entityId)}
+                        size="small"
+                        draggable={!!view}
+                        onDragStart={(e: React.DragEvent) => e.dataTransfer.setData(DRAG_TYPE, entityId)}
+                        onClick={view ? () => handleAddCard(createEntityCard(entityId)) : undefined}
+                        title={`${entityId} - drag onto the preview or click to add a card`}
+                      />
+                    ))}
+                  </Box>
+                </Box>
+              ))}
+            </Paper>
+
+            {/* Preview */}
+            <Box>
+              <ToggleButtonGroup
+                size="small"
+                exclusive
+                value={device}
+                onChange={(_, value: PreviewDevice | null) => value && setDevice(value)}
+                sx={{ mb: 1 }}
+              >
+                <ToggleButton value="tablet">
+                  <TabletIcon fontSize="small" sx={{ mr: 0.5 }} /> {PREVIEW_DEVICES.tablet.label}
+                </ToggleButton>
+                <ToggleButton value="phone">
+                  <PhoneAndroidIcon fontSize="small" sx={{ mr: 0.5 }} /> {PREVIEW_DEVICES.phone.label}
+                </ToggleButton>
+              </ToggleButtonGroup>
+              <Box
+                sx={{
+                  width: preview.width * scale,
+                  height: preview.height * scale,
+                  overflow: 'hidden',
+                  border: 8,
+                  borderColor: 'grey.800',
+                  borderRadius: 3,
+                  boxSizing: 'content-box',
+                }}
+              >
+                <Box
+                  onDragOver={(e: React.DragEvent) => view && e.preventDefault()}
+                  onDrop={handleDrop}
+                  sx={{
+                    width: preview.width,
+                    height: preview.height,
+                    transform: `scale(${scale})`,
+                    transformOrigin: 'top left',
+                    overflow: 'auto',
+                    bgcolor: 'grey.100',
+                    p: 2,
+                    boxSizing: 'border-box',
+                    ...(viewType === 'masonry' && { columnCount: preview.columns, columnGap: 16 }),
+                    ...(viewType === 'grid' && {
+                      display: 'grid',
+                      gridTemplateColumns: `repeat(${preview.columns + 1}, 1fr)`,
+                      gap: 2,
+                      alignContent: 'start',
+                    }),
+                  }}
+                >
+                  {previewCards.map((current, index) => (
+                    <CardPreview
+                      key={index}
+                      card={current}
+                      selected={index === cardIndex}
+                      entityName={entityName}
+                      entityState={entityState}
+                      onSelect={() => setCardIndex(index)}
+                    />
+                  ))}
+                  {view && cards.length === 0 && (
+                    <Typography color="text.secondary" align="center" sx={{ mt: 8 }}>
+                      Drop entities here
+                    </Typography>
+                  )}
+                </Box>
+              </Box>
+            </Box>
+
+            {/* Card settings */}
+            <Paper variant="outlined" sx={{ p: 2, width: 300 }}>
+              <Stack spacing={2}>
+                <Box display="flex" justifyContent="space-between" alignItems="center">
+                  <Typography variant="subtitle2">Card</Typography>
+                  <FormControl size="small" sx={{ minWidth: 140 }} disabled={!view}>
+                    <Select
+                      value=""
+                      displayEmpty
+                      onChange={(e) => handleAddCard(createCard(e.target.value))}
+                      renderValue={() => 'Add card'}
+                    >
+                      {CARD_TYPES.map((cardType) => (
+                        <MenuItem key={cardType.type} value={cardType.type}>{cardType.label}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Box>
+                <Divider />
+
+                {!card ? (
+                  <Typography variant="body2" color="text.secondary">
+                    Select a card in the preview to edit it.
+                  </Typography>
+                ) : (
+                  <>
+                    <FormControl size="small" fullWidth>
+                      <InputLabel>Type</InputLabel>
+                      <Select
+                        value={card.type}
+                        label="Type"
+                        onChange={(e) => updateCard(changeCardType(card, e.target.value))}
+                      >
+                        {CARD_TYPES.map((cardType) => (
+                          <MenuItem key={cardType.type} value={cardType.type}>{cardType.label}</MenuItem>
+                        ))}
+                        {!CARD_TYPES.some((cardType) => cardType.type === card.type) && (
+                          <MenuItem value={card.type}>{card.type}</MenuItem>
+                        )}
+                      </Select>
+                    </FormControl>
+
+                    {binding === 'entity' && (
+                      <Autocomplete
+                        size="small"
+                        options={entityOptions}
+                        value={getCardEntityIds(card)[0] || null}
+                        onChange={(_, entityId: string | null) => updateCard(setCardEntities(card, entityId ? [entityId] : []))}
+                        getOptionLabel={entityName}
+                        renderInput={(params) => <TextField {...params} label="Entity" />}
+                      />
+                    )}
+                    {binding === 'entities' && (
+                      <Autocomplete
+                        multiple
+                        size="small"
+                        options={entityOptions}
+                        value={getCardEntityIds(card)}
+                        onChange={(_, entityIds: string[]) => updateCard(setCardEntities(card, entityIds))}
+                        getOptionLabel={entityName}
+                        renderInput={(params) => <TextField {...params} label="Entities" />}
+                      />
+                    )}
+
+                    <TextField
+                      size="small"
+                      label={binding === 'entity' ? 'Name' : 'Title'}
+                      value={((binding === 'entity' ? card.name : card.title) as string) || ''}
+                      onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
+                        updateCard({ ...card, [binding === 'entity' ? 'name' : 'title']: e.target.value || undefined })
+                      }
+                    />
+                    {card.type === 'markdown' && (
+                      <TextField
+                        size="small"
+                        label="Content"
+                        multiline
+                        minRows={3}
+                        value={(card.content as string) || ''}
+                        onChange={(e: React.ChangeEvent<HTMLInputElement>) => updateCard({ ...card, content: e.target.value })}
+                      />
+                    )}
+                    <TextField
+                      size="small"
+                      label="More options (JSON)"
+                      multiline
+                      minRows={3}
+                      value={extraOptions}
+                      onChange={(e: React.ChangeEvent<HTMLInputElement>) => setExtraOptions(e.target.value)}
+                      onBlur={handleExtraOptionsBlur}
+                      error={!!extraOptionsError}
+                      helperText={extraOptionsError || 'Lovelace card options, e.g. {"show_state": false}'}
+                      InputProps={{ sx: { fontFamily: 'monospace', fontSize: 13 } }}
+                    />
+
+                    <Box display="flex" justifyContent="space-between">
+                      <Box>
+                        <Tooltip title="Move card up">
+                          <span>
+                            <IconButton size="small" onClick={() => handleMoveCard(-1)} disabled={cardIndex === 0}>
+                              <ArrowUpwardIcon fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                        <Tooltip title="Move card down">
+                          <span>
+                            <IconButton
+                              size="small"
+                              onClick={() => handleMoveCard(1)}
+                              disabled={cardIndex === cards.length - 1}
+                            >
+                              <ArrowDownwardIcon fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                      </Box>
+                      <Button size="small" color="error" startIcon={<DeleteIcon />} onClick={handleDeleteCard}>
+                        Remove
+                      </Button>
+                    </Box>
+                  </>
+                )}
+              </Stack>
+            </Paper>
+          </Box>
+        </Stack>
+      </CardContent>
+    </Card>
+  );
+};
@@ -0,0 +1,398 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  Stack,
+  Chip,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Block as BlockIcon,
+  ContentCopy as ContentCopyIcon,
+} from '@mui/icons-material';
+import { QRCodeSVG } from 'qrcode.react';
+import { apiClient } from '@/api/client';
+import { useAppStore } from '@/context/AppContext';
+import { useWebSocket } from '@/hooks/useWebSocket';
+import { formatDateTime } from '@/utils/helpers';
+import { buildEnrollmentUri } from '@/utils/pairingLink';
+import type { EnrollmentProfile, PairingDeviceType } from '@/types';
+
+const toDate = (seconds: number) => new Date(seconds * 1000);
+
+const DEVICE_TYPES: PairingDeviceType[] = ['tablet', 'mobile', 'desktop', 'other'];
+
+interface CreateEnrollmentProfileDialogProps {
+  open: boolean;
+  onClose: () => void;
+  onCreated: (profile: EnrollmentProfile & { code: string }) => void;
+}
+
+const CreateEnrollmentProfileDialog: React.FC<CreateEnrollmentProfileDialogProps> = ({
+  open,
+  onClose,
+  onCreated,
+}) => {
+  const { areas, dashboards } = useAppStore();
+  const [name, setName] = useState('');
+  const [nameTemplate, setNameTemplate] = useState('');
+  const [deviceType, setDeviceType] = useState<PairingDeviceType | ''>('');
+  const [assignedAreas, setAssignedAreas] = useState<string[]>([]);
+  const [dashboardId, setDashboardId] = useState('');
+  const [maxUses, setMaxUses] = useState('');
+  const [expiresOn, setExpiresOn] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open) {
+      setName('');
+      setNameTemplate('');
+      setDeviceType('');
+      setAssignedAreas([]);
+      setDashboardId('');
+      setMaxUses('');
+      setExpiresOn('');
+      setError(null);
+    }
+  }, [open]);
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const created = await apiClient.createEnrollmentProfile({
+        name: name.trim(),
+        nameTemplate: nameTemplate.trim(),
+        deviceType: deviceType || null,
+        assignedAreas,
+        dashboardId: dashboardId || null,
+        maxUses: maxUses ? Number(maxUses) : null,
+        expiresAt: expiresOn ? Math.floor(new Date(`${expiresOn}T23:59:59`).getTime() / 1000) : null,
+      });
+      onCreated(created);
+      onClose();
+    } catch (err: any) {
+      setError(err.message || 'Failed to create enrollment profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Create Enrollment Profile</DialogTitle>
+      <DialogContent>
+        <Stack spacing={3} sx={{ mt: 1 }}>
+          {error && <Alert severity="error">{error}</Alert>}
+
+          <TextField
+            label="Name"
+            value={name}
+            onChange={(e: React.ChangeEvent<HTMLInputElement>) => setName(e.target.value)}
+            placeholder="e.g. Kitchen tablets"
+            inputProps={{ maxLength: 100 }}
+            fullWidth
+            autoFocus
+          />
+
+          <TextField
+            label="Device name template"
+            value={nameTemplate}
+            onChange={(e: React.ChangeEvent<HTMLInputElement>) => setNameTemplate(e.target.value)}
+            placeholder="Kitchen Tablet {n}"
+            helperText="{n} is replaced by 1, 2, 3, ... for each device that enrolls"
+            inputProps={{ maxLength: 90 }}
+            fullWidth
+          />
+
+          <FormControl fullWidth>
+            <InputLabel>Device Type</InputLabel>
+            <Select
+              value={deviceType}
+              label="Device Type"
+              onChange={(e) => setDeviceType(e.target.value as PairingDeviceType | '')}
+            >
+              <MenuItem value="">Reported by the device</MenuItem>
+              {DEVICE_TYPES.map((type) => (
+                <MenuItem key={type} value={type}>
+                  {type}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <FormControl fullWidth>
+            <InputLabel>Assigned Areas</InputLabel>
+            <Select
+              multiple
+              value={assignedAreas}
+              label="Assigned Areas"
+              onChange={(e) => setAssignedAreas(e.target.value as string[])}
+              renderValue={(selected) => (
+                <Box display="flex" gap={0.5} flexWrap="wrap">
+                  {selected.map((id) => (
+                    <Chip key={id} label={areas.find((a) => a.id === id)?.name || id} size="small" />
+                  ))}
+                </Box>
+              )}
+            >
+              {areas.map((area) => (
+                <MenuItem key={area.id} value={area.id}>
+                  {area.name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <FormControl fullWidth>
+            <InputLabel>Dashboard</InputLabel>
+            <Select value={dashboardId} label="Dashboard" onChange={(e) => setDashboardId(e.target.value)}>
+              <MenuItem value="">None</MenuItem>
+              {dashboards.map((dashboard) => (
+                <MenuItem key={dashboard.id} value={dashboard.id}>
+                  {dashboard.name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <Stack direction="row" spacing={2}>
+            <TextField
+              label="Max uses (optional)"
+              type="number"
+              value={maxUses}
+              onChange={(e: React.ChangeEvent<HTMLInputElement>) => setMaxUses(e.target.value)}
+              helperText="Leave empty for unlimited"
+              inputProps={{ min: 1, max: 10000 }}
+              fullWidth
+            />
+            <TextField
+              label="Expires on (optional)"
+              type="date"
+              value={expiresOn}
+              onChange={(e: React.ChangeEvent<HTMLInputElement>) => setExpiresOn(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+              fullWidth
+            />
+          </Stack>
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleCreate}
+          variant="contained"
+          disabled={saving || !name.trim() || !nameTemplate.trim()}
+          startIcon={saving ? <CircularProgress size={20} /> : <AddIcon />}
+        >
+          Create
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+/**
+ * Reusable enrollment codes for provisioning many devices with the same preset
+ */
+export const EnrollmentProfilesPanel: React.FC = () => {
+  const { areas } = useAppStore();
+  const { on: onWsEvent } = useWebSocket();
+  const [profiles, setProfiles] = useState<EnrollmentProfile[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [created, setCreated] = useState<(EnrollmentProfile & { code: string }) | null>(null);
+
+  const loadProfiles = useCallback(async () => {
+    try {
+      const data = await apiClient.getEnrollmentProfiles();
+      setProfiles(data.profiles);
+      setError(null);
+    } catch (err: any) {
+      setError(err.message || 'Failed to load enrollment profiles');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  // Keep use counts current while a fleet is being enrolled
+  useEffect(() => onWsEvent('enrollment_completed', () => loadProfiles()), [onWsEvent, loadProfiles]);
+
+  const handleRevoke = async (profile: EnrollmentProfile) => {
+    try {
+      await apiClient.revokeEnrollmentProfile(profile.id);
+      await loadProfiles();
+    } catch (err: any) {
+      setError(err.message || 'Failed to revoke enrollment profile');
+    }
+  };
+
+  const getStatus = (profile: EnrollmentProfile): { label: string; color: 'success' | 'default' | 'warning' } => {
+    if (profile.revokedAt) return { label: 'Revoked', color: 'default' };
+    if (profile.expiresAt && profile.expiresAt * 1000 < Date.now()) return { label: 'Expired', color: 'warning' };
+    if (profile.maxUses !== null && profile.useCount >= profile.maxUses) return { label: 'Used up', color: 'warning' };
+    return { label: 'Active', color: 'success' };
+  };
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Stack spacing={2}>
+        <Box display="flex" justifyContent="space-between" alignItems="center">
+          <Box>
+            <Typography variant="h6">Enrollment Profiles</Typography>
+            <Typography variant="body2" color="text.secondary">
+              Reusable codes for setting up many devices at once. Every device that enrolls is paired
+              immediately with the profile's name, areas and dashboard.
+            </Typography>
+          </Box>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => setDialogOpen(true)} disabled={loading}>
+            New Profile
+          </Button>
+        </Box>
+
+        {error && <Alert severity="error">{error}</Alert>}
+
+        {created && (
+          <Alert
+            severity="warning"
+            onClose={() => setCreated(null)}
+            action={
+              <IconButton size="small" onClick={() => navigator.clipboard?.writeText(created.code)} title="Copy code">
+                <ContentCopyIcon fontSize="small" />
+              </IconButton>
+            }
+          >
+            Save or print this code now - it will not be shown again. Devices can scan the QR code or
+            enter the code in place of a PIN.
+            <Stack direction="row" spacing={3} alignItems="center" mt={2}>
+              <Paper elevation={1} sx={{ p: 1.5, bgcolor: 'white', lineHeight: 0 }}>
+                <QRCodeSVG value={buildEnrollmentUri(created.code)} size={140} level="M" />
+              </Paper>
+              <Box>
+                <Typography variant="h5" fontFamily="monospace" fontWeight="bold" letterSpacing={2}>
+                  {created.code}
+                </Typography>
+                <Typography variant="body2">{created.name}</Typography>
+              </Box>
+            </Stack>
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : profiles.length === 0 ? (
+          !error && (
+            <Typography variant="body2" color="text.secondary">
+              No enrollment profiles yet.
+            </Typography>
+          )
+        ) : (
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Code</TableCell>
+                  <TableCell>Preset</TableCell>
+                  <TableCell>Uses</TableCell>
+                  <TableCell>Expires</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {profiles.map((profile) => {
+                  const status = getStatus(profile);
+                  return (
+                    <TableRow key={profile.id}>
+                      <TableCell>{profile.name}</TableCell>
+                      <TableCell>
+                        <code>…{profile.codeHint}</code>
+                      </TableCell>
+                      <TableCell>
+                        <Typography variant="body2">
+                          {profile.nameTemplate}
+                          {profile.deviceType ? ` (${profile.deviceType})` : ''}
+                        </Typography>
+                        <Box display="flex" gap={0.5} flexWrap="wrap" mt={0.5}>
+                          {profile.assignedAreas.map((areaId) => (
+                            <Chip
+                              key={areaId}
+                              label={areas.find((a) => a.id === areaId)?.name || areaId}
+                              size="small"
+                              variant="outlined"
+                            />
+                          ))}
+                          {profile.dashboardId && (
+                            <Chip label={`Dashboard: ${profile.dashboardId}`} size="small" variant="outlined" />
+                          )}
+                        </Box>
+                      </TableCell>
+                      <TableCell>
+                        {profile.useCount} / {profile.maxUses ?? '∞'}
+                      </TableCell>
+                      <TableCell>{profile.expiresAt ? formatDateTime(toDate(profile.expiresAt)) : 'Never'}</TableCell>
+                      <TableCell>
+                        <Chip label={status.label} color={status.color} size="small" />
+                      </TableCell>
+                      <TableCell align="right">
+                        <IconButton
+                          size="small"
+                          onClick={() => handleRevoke(profile)}
+                          title="Revoke code"
+                          color="warning"
+                          disabled={!!profile.revokedAt}
+                        >
+                          <BlockIcon fontSize="small" />
+                        </IconButton>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Stack>
+
+      <CreateEnrollmentProfileDialog
+        open={dialogOpen}
+        onClose={() => setDialogOpen(false)}
+        onCreated={async (profile) => {
+          setCreated(profile);
+          await loadProfiles();
+        }}
+      />
+    </Paper>
+  );
+};
@@ -1,6 +1,7 @@
 import React, { Component, ErrorInfo, ReactNode } from 'react';
 import { Box, Button, Typography, Paper, Alert } from '@mui/material';
 import ErrorOutlineIcon from '@mui/icons-material/ErrorOutline';
+import { apiUrl, BASE_PATH } from '@/utils/basePath';
 
 interface Props {
   children: ReactNode;
@@ -54,7 +55,7 @@ export class ErrorBoundary extends Component<Props, State> {
 
   logError = async (error: Error, errorInfo: ErrorInfo) => {
     try {
-      await fetch('/api/errors', {
+      await fetch(apiUrl('/errors'), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -202,7 +203,7 @@ export class ErrorBoundary extends Component<Props, State> {
             </Button>
             <Button
               variant="outlined"
-              onClick={() => window.location.href = '/'}
+              onClick={() => window.location.href = `${BASE_PATH}/`}
             >
               Go Home
             </Button>
@@ -28,6 +28,7 @@ import {
   Warning as WarningIcon,
   Policy as PolicyIcon,
 } from '@mui/icons-material';
+import { apiUrl, BASE_PATH } from '@/utils/basePath';
 
 interface ConsentState {
   data_processing: boolean;
@@ -64,7 +65,7 @@ export const GdprCompliance: React.FC = () => {
     try {
       setLoading(true);
       const token = localStorage.getItem('authToken');
-      const response = await fetch('/api/user/consent', {
+      const response = await fetch(apiUrl('/user/consent'), {
         headers: {
           'Authorization': `Bearer ${token}`,
         },
@@ -84,7 +85,7 @@ export const GdprCompliance: React.FC = () => {
 
   const loadPrivacyPolicy = async () => {
     try {
-      const response = await fetch('/api/privacy-policy');
+      const response = await fetch(apiUrl('/privacy-policy'));
       if (response.ok) {
         const data = await response.json();
         setPrivacyPolicy(data);
@@ -109,7 +110,7 @@ export const GdprCompliance: React.FC = () => {
       setMessage(null);
 
       const token = localStorage.getItem('authToken');
-      const response = await fetch('/api/user/consent', {
+      const response = await fetch(apiUrl('/user/consent'), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -139,7 +140,7 @@ export const GdprCompliance: React.FC = () => {
       setMessage(null);
 
       const token = localStorage.getItem('authToken');
-      const response = await fetch('/api/user/data-export', {
+      const response = await fetch(apiUrl('/user/data-export'), {
         headers: {
           'Authorization': `Bearer ${token}`,
         },
@@ -179,7 +180,7 @@ export const GdprCompliance: React.FC = () => {
       setMessage(null);
 
       const token = localStorage.getItem('authToken');
-      const response = await fetch('/api/user/data-delete', {
+      const response = await fetch(apiUrl('/user/data-delete'), {
         method: 'DELETE',
         headers: {
           'Content-Type': 'application/json',
@@ -192,7 +193,7 @@ export const GdprCompliance: React.FC = () => {
         setMessage({ type: 'success', text: 'All data deleted. You will be logged out.' });
         setTimeout(() => {
           localStorage.clear();
-          window.location.href = '/';
+          window.location.href = `${BASE_PATH}/`;
         }, 2000);
       } else {
         const error = await response.json();
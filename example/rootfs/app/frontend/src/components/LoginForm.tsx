@@ -8,8 +8,10 @@ import {
   Paper,
   InputAdornment,
   IconButton,
+  Link,
 } from '@mui/material';
-import { Visibility, VisibilityOff, Login } from '@mui/icons-material';
+import { Visibility, VisibilityOff, Login, Security } from '@mui/icons-material';
+import { apiUrl, IS_INGRESS } from '@/utils/basePath';
 
 interface LoginFormProps {
   onLogin: (token: string, user: any) => void;
@@ -23,23 +25,52 @@ export const LoginForm: React.FC<LoginFormProps> = ({ onLogin }) => {
   const [loading, setLoading] = useState(false);
   const [version, setVersion] = useState('...');
 
+  // Second step (TOTP) state
+  const [mfaToken, setMfaToken] = useState<string | null>(null);
+  const [mfaCode, setMfaCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
   // Fetch version on mount
   React.useEffect(() => {
-    fetch('/api/health')
+    fetch(apiUrl('/health'))
       .then(res => res.json())
       .then(data => setVersion(data.version || '1.0.0'))
       .catch(() => setVersion('1.0.0'));
   }, []);
 
+  // Opened from the Home Assistant sidebar - HA already signed the user in
+  React.useEffect(() => {
+    if (!IS_INGRESS) return;
+
+    setLoading(true);
+    fetch(apiUrl('/admin/login/ingress'), { method: 'POST', credentials: 'include' })
+      .then(async response => {
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Sign-in through Home Assistant failed');
+        }
+        const data = await response.json();
+
+        // The HAsync account has two-factor authentication - Home Assistant's sign-in does not replace it
+        if (data.mfaRequired) {
+          setMfaToken(data.mfaToken);
+          return;
+        }
+        completeLogin(data);
+      })
+      .catch((err: Error) => setError(`${err.message}. Sign in with your HAsync account instead.`))
+      .finally(() => setLoading(false));
+  }, []);
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setError('');
     setLoading(true);
 
     try {
-      // ADMIN LOGIN: Uses username/password from addon config (ADMIN_USERNAME/ADMIN_PASSWORD)
+      // ADMIN LOGIN: Accounts from the users table (owner is seeded from ADMIN_USERNAME/ADMIN_PASSWORD)
       // Changed from /api/auth/login to /api/admin/login in v1.3.35
-      const response = await fetch('/api/admin/login', {
+      const response = await fetch(apiUrl('/admin/login'), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -54,14 +85,15 @@ export const LoginForm: React.FC<LoginFormProps> = ({ onLogin }) => {
 
       const data = await response.json();
 
-      // SECURITY: No longer store tokens in localStorage
-      // Authentication is now handled via secure httpOnly cookies
-      // Only store non-sensitive user data if needed
-      if (data.user) {
-        localStorage.setItem('user', JSON.stringify(data.user));
+      // Account has two-factor authentication enabled - ask for the code next
+      if (data.mfaRequired) {
+        setMfaToken(data.mfaToken);
+        setMfaCode('');
+        setUseRecoveryCode(false);
+        return;
       }
 
-      onLogin(data.token || '', data.user);
+      completeLogin(data);
     } catch (err: any) {
       setError(err.message || 'Login failed. Please try again.');
     } finally {
@@ -69,6 +101,58 @@ export const LoginForm: React.FC<LoginFormProps> = ({ onLogin }) => {
     }
   };
 
+  const handleMfaSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await fetch(apiUrl('/admin/login/mfa'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify(
+          useRecoveryCode
+            ? { mfaToken, recoveryCode: mfaCode.trim() }
+            : { mfaToken, code: mfaCode.replace(/\s/g, '') }
+        ),
+      });
+
+      if (response.status === 401) {
+        throw new Error('Invalid or expired code. Start over if this keeps failing.');
+      }
+      if (!response.ok) {
+        throw new Error('Verification failed. Please try again.');
+      }
+
+      completeLogin(await response.json());
+    } catch (err: any) {
+      setError(err.message || 'Verification failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMfaCancel = () => {
+    setMfaToken(null);
+    setMfaCode('');
+    setPassword('');
+    setError('');
+  };
+
+  const completeLogin = (data: any) => {
+    // SECURITY: No longer store tokens in localStorage
+    // Authentication is now handled via secure httpOnly cookies
+    // Only store non-sensitive user data if needed
+    if (data.user) {
+      localStorage.setItem('user', JSON.stringify(data.user));
+    }
+
+    onLogin(data.token || '', data.user);
+  };
+
   return (
     <Box
       sx={{
@@ -131,53 +215,107 @@ export const LoginForm: React.FC<LoginFormProps> = ({ onLogin }) => {
           </Alert>
         )}
 
-        <form onSubmit={handleSubmit}>
-          <TextField
-            fullWidth
-            label="Username"
-            value={username}
-            onChange={(e) => setUsername(e.target.value)}
-            margin="normal"
-            required
-            autoFocus
-            disabled={loading}
-          />
-
-          <TextField
-            fullWidth
-            label="Password"
-            type={showPassword ? 'text' : 'password'}
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-            margin="normal"
-            required
-            disabled={loading}
-            InputProps={{
-              endAdornment: (
-                <InputAdornment position="end">
-                  <IconButton
-                    onClick={() => setShowPassword(!showPassword)}
-                    edge="end"
-                  >
-                    {showPassword ? <VisibilityOff /> : <Visibility />}
-                  </IconButton>
-                </InputAdornment>
-              ),
-            }}
-          />
-
-          <Button
-            type="submit"
-            fullWidth
-            variant="contained"
-            size="large"
-            disabled={loading}
-            startIcon={<Login />}
-            sx={{ mt: 3 }}
-          >
-            {loading ? 'Signing in...' : 'Sign In'}
-          </Button>
-        </form>
+        {mfaToken ? (
+          <form onSubmit={handleMfaSubmit}>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes. Each code can only be used once.'
+                : 'Enter the 6-digit code from your authenticator app.'}
+            </Typography>
+
+            <TextField
+              fullWidth
+              label={useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+              value={mfaCode}
+              onChange={(e) => setMfaCode(e.target.value)}
+              margin="normal"
+              required
+              autoFocus
+              disabled={loading}
+              inputProps={useRecoveryCode
+                ? { autoComplete: 'off' }
+                : { inputMode: 'numeric', autoComplete: 'one-time-code', maxLength: 7 }}
+            />
+
+            <Button
+              type="submit"
+              fullWidth
+              variant="contained"
+              size="large"
+              disabled={loading || !mfaCode.trim()}
+              startIcon={<Security />}
+              sx={{ mt: 3 }}
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </Button>
+
+            <Box sx={{ mt: 2, display: 'flex', justifyContent: 'space-between' }}>
+              <Link
+                component="button"
+                type="button"
+                variant="body2"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setMfaCode('');
+                  setError('');
+                }}
+              >
+                {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+              </Link>
+              <Link component="button" type="button" variant="body2" onClick={handleMfaCancel}>
+                Back to sign in
+              </Link>
+            </Box>
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <TextField
+              fullWidth
+              label="Username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              margin="normal"
+              required
+              autoFocus
+              disabled={loading}
+            />
+
+            <TextField
+              fullWidth
+              label="Password"
+              type={showPassword ? 'text' : 'password'}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              margin="normal"
+              required
+              disabled={loading}
+              InputProps={{
+                endAdornment: (
+                  <InputAdornment position="end">
+                    <IconButton
+                      onClick={() => setShowPassword(!showPassword)}
+                      edge="end"
+                    >
+                      {showPassword ? <VisibilityOff /> : <Visibility />}
+                    </IconButton>
+                  </InputAdornment>
+                ),
+              }}
+            />
+
+            <Button
+              type="submit"
+              fullWidth
+              variant="contained"
+              size="large"
+              disabled={loading}
+              startIcon={<Login />}
+              sx={{ mt: 3 }}
+            >
+              {loading ? 'Signing in...' : 'Sign In'}
+            </Button>
+          </form>
+        )}
 
         <Box sx={{ mt: 4, textAlign: 'center' }}>
           <Typography variant="caption" color="text.secondary">
@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Alert,
+  Stack,
+  CircularProgress,
+} from '@mui/material';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import { apiClient } from '@/api/client';
+import { detectDeviceType } from '@/utils/pairingLink';
+import type { PairingLink } from '@/types';
+
+interface PairDeviceProps {
+  link?: PairingLink | null;
+  enrollmentCode?: string | null;
+}
+
+const DEVICE_LABELS: Record<string, string> = {
+  mobile: 'Phone',
+  tablet: 'Tablet',
+  desktop: 'Desktop',
+};
+
+/**
+ * Landing page for pairing and enrollment QR codes - pairs the device without typing a PIN
+ */
+export const PairDevice: React.FC<PairDeviceProps> = ({ link, enrollmentCode }) => {
+  const [status, setStatus] = useState<'verifying' | 'waiting' | 'paired' | 'error'>('verifying');
+  const [error, setError] = useState<string | null>(null);
+  const [deviceName, setDeviceName] = useState('');
+  const started = useRef(false);
+  const unmounted = useRef(false);
+
+  useEffect(() => {
+    unmounted.current = false;
+    return () => {
+      unmounted.current = true;
+    };
+  }, []);
+
+  // Approval mode: long-poll until an admin approves (or rejects) this device
+  const waitForApproval = useCallback(async (sessionId: string, claimToken: string) => {
+    setStatus('waiting');
+    while (!unmounted.current) {
+      const result = await apiClient.claimPairingTokens(sessionId, claimToken);
+      if (result.status === 'completed') {
+        return result;
+      }
+    }
+    return null;
+  }, []);
+
+  const pair = useCallback(async () => {
+    setStatus('verifying');
+    setError(null);
+
+    const deviceType = detectDeviceType();
+
+    try {
+      // Enrollment codes are pre-approved and name the device from the profile's template
+      if (enrollmentCode) {
+        const result = await apiClient.enrollDevice(enrollmentCode, DEVICE_LABELS[deviceType], deviceType);
+        setDeviceName(result.clientName);
+        setStatus('paired');
+        window.history.replaceState(null, '', '/');
+        return;
+      }
+
+      if (!link) return;
+
+      if (link.exp * 1000 < Date.now()) {
+        setError('This pairing code has expired. Ask an administrator for a new QR code.');
+        setStatus('error');
+        return;
+      }
+
+      const name = `${DEVICE_LABELS[deviceType]} ${link.session.slice(-4)}`;
+      const result = await apiClient.verifyPairingPin(link.session, link.pin, name, deviceType, link);
+      // Re-pair PINs keep the name of the client this device replaces
+      let pairedName = result.clientName || name;
+
+      if (result.status === 'verified') {
+        const claimed = await waitForApproval(result.sessionId, result.claimToken);
+        if (!claimed) return;
+        pairedName = claimed.clientName || name;
+      }
+
+      setDeviceName(pairedName);
+      setStatus('paired');
+      // Drop the PIN from the address bar and history
+      window.history.replaceState(null, '', '/');
+    } catch (err: any) {
+      setError(err.message || 'Pairing failed');
+      setStatus('error');
+    }
+  }, [link, enrollmentCode, waitForApproval]);
+
+  useEffect(() => {
+    // StrictMode mounts twice in development - a pairing session can only be used once
+    if (started.current) return;
+    started.current = true;
+    pair();
+  }, [pair]);
+
+  return (
+    <Box display="flex" justifyContent="center" alignItems="center" minHeight="100vh" p={2}>
+      <Card sx={{ maxWidth: 480, width: '100%' }}>
+        <CardContent>
+          <Stack spacing={3} alignItems="center" py={2}>
+            <Typography variant="h5">Pair Device</Typography>
+
+            {status === 'verifying' && (
+              <>
+                <CircularProgress />
+                <Typography color="text.secondary">Pairing with {link?.server || window.location.origin}...</Typography>
+              </>
+            )}
+
+            {status === 'waiting' && (
+              <>
+                <CircularProgress />
+                <Typography variant="h6">Waiting for approval</Typography>
+                <Typography color="text.secondary" align="center">
+                  An administrator needs to approve this device in the Pairing Wizard. Keep this page open.
+                </Typography>
+              </>
+            )}
+
+            {status === 'paired' && (
+              <>
+                <CheckCircleIcon sx={{ fontSize: 64, color: 'success.main' }} />
+                <Typography variant="h6">Paired as "{deviceName}"</Typography>
+                <Typography color="text.secondary" align="center">
+                  An administrator can rename this device and assign areas in the Clients tab.
+                </Typography>
+              </>
+            )}
+
+            {status === 'error' && (
+              <>
+                <Alert severity="error" sx={{ width: '100%' }}>
+                  {error}
+                </Alert>
+                <Button variant="contained" onClick={pair}>
+                  Try Again
+                </Button>
+              </>
+            )}
+          </Stack>
+        </CardContent>
+      </Card>
+    </Box>
+  );
+};
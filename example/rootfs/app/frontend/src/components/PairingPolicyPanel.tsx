@@ -0,0 +1,94 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Paper,
+  Typography,
+  Alert,
+  Stack,
+  RadioGroup,
+  FormControlLabel,
+  Radio,
+  CircularProgress,
+  Box,
+} from '@mui/material';
+import { apiClient } from '@/api/client';
+import type { PairingMode } from '@/types';
+
+export const PairingPolicyPanel: React.FC = () => {
+  const [mode, setMode] = useState<PairingMode | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    apiClient
+      .getPairingPolicy()
+      .then((policy) => setMode(policy.mode))
+      .catch((err: any) => setError(err.message || 'Failed to load pairing policy'));
+  }, []);
+
+  const handleChange = async (newMode: PairingMode) => {
+    const previous = mode;
+    setMode(newMode);
+    setSaving(true);
+    setError(null);
+    try {
+      const policy = await apiClient.updatePairingPolicy(newMode);
+      setMode(policy.mode);
+    } catch (err: any) {
+      setMode(previous);
+      setError(err.message || 'Failed to update pairing policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3, mt: 3 }}>
+      <Stack spacing={2}>
+        <Box>
+          <Typography variant="h6">Pairing Policy</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Decide whether a correct PIN is enough to pair a device.
+          </Typography>
+        </Box>
+
+        {error && <Alert severity="error">{error}</Alert>}
+
+        {mode === null ? (
+          !error && <CircularProgress size={24} />
+        ) : (
+          <RadioGroup value={mode} onChange={(e) => handleChange(e.target.value as PairingMode)}>
+            <FormControlLabel
+              value="approval"
+              disabled={saving}
+              control={<Radio />}
+              label={
+                <Box>
+                  <Typography variant="body1">Require admin approval (recommended)</Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    After entering the PIN, the device waits until an admin names it and assigns areas in the
+                    Pairing Wizard.
+                  </Typography>
+                </Box>
+              }
+              sx={{ alignItems: 'flex-start', mb: 1 }}
+            />
+            <FormControlLabel
+              value="auto"
+              disabled={saving}
+              control={<Radio />}
+              label={
+                <Box>
+                  <Typography variant="body1">Pair automatically</Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    Anyone who knows a valid PIN pairs a device immediately.
+                  </Typography>
+                </Box>
+              }
+              sx={{ alignItems: 'flex-start' }}
+            />
+          </RadioGroup>
+        )}
+      </Stack>
+    </Paper>
+  );
+};
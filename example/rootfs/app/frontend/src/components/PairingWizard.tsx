@@ -23,11 +23,13 @@ import {
 import QrCode2Icon from '@mui/icons-material/QrCode2';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import TimerIcon from '@mui/icons-material/Timer';
+import { QRCodeSVG } from 'qrcode.react';
 import { useAppStore } from '@/context/AppContext';
 import { useApi } from '@/hooks/useApi';
 import { useWebSocket } from '@/hooks/useWebSocket';
 import { apiClient } from '@/api/client';
 import { EntitySelector } from './EntitySelector';
+import { EnrollmentProfilesPanel } from './EnrollmentProfilesPanel';
 import type { PairingSession, Client } from '@/types';
 
 const steps = ['Generate PIN', 'Waiting for Client', 'Assign Areas', 'Success'];
@@ -47,6 +49,7 @@ export const PairingWizard: React.FC = () => {
   const [verifiedDeviceName, setVerifiedDeviceName] = useState('');
   const [verifiedDeviceType, setVerifiedDeviceType] = useState('');
   const [pinExpired, setPinExpired] = useState(false);
+  const [sessionLocked, setSessionLocked] = useState(false);
   const [timeRemaining, setTimeRemaining] = useState<number>(0); // seconds remaining
 
   useEffect(() => {
@@ -65,10 +68,40 @@ export const PairingWizard: React.FC = () => {
       }
     });
 
+    // "auto" pairing policy: the device is paired as soon as it enters the PIN
+    const unsubscribeCompleted = onWsEvent('pairing_completed', (data: {
+      sessionId: string;
+      clientId: string;
+      deviceName?: string;
+      deviceType?: string;
+    }) => {
+      if (data.sessionId === pairingSession?.id && activeStep === 1) {
+        setPairedClient({
+          id: data.clientId,
+          name: data.deviceName || data.clientId,
+          deviceType: data.deviceType,
+        } as Client);
+        setActiveStep(3);
+      }
+    });
+
+    // Too many wrong PINs - the backend invalidated this session
+    const unsubscribeAttack = onWsEvent('pairing_attack_suspected', (data: {
+      sessionId: string | null;
+      reason: string;
+      ipAddress: string;
+    }) => {
+      if (data.sessionId && data.sessionId === pairingSession?.id && data.reason === 'session_invalidated') {
+        setSessionLocked(true);
+      }
+    });
+
     return () => {
       unsubscribeVerified();
+      unsubscribeCompleted();
+      unsubscribeAttack();
     };
-  }, [pairingSession, onWsEvent]);
+  }, [pairingSession, activeStep, onWsEvent]);
 
   // PIN expiry countdown timer (updates every second)
   useEffect(() => {
@@ -136,6 +169,7 @@ export const PairingWizard: React.FC = () => {
     setVerifiedDeviceName('');
     setVerifiedDeviceType('');
     setPinExpired(false);
+    setSessionLocked(false);
     setTimeRemaining(0);
     clearEntitySelection();
   };
@@ -190,21 +224,42 @@ export const PairingWizard: React.FC = () => {
             {/* Step 1: Waiting for Client */}
             {activeStep === 1 && pairingSession && (
               <Stack spacing={3} alignItems="center" py={4}>
-                <Typography variant="h6">Enter this PIN on your client device:</Typography>
-                <Paper
-                  elevation={3}
-                  sx={{
-                    p: 4,
-                    bgcolor: pinExpired ? 'error.main' : 'primary.main',
-                    color: 'primary.contrastText',
-                  }}
-                >
-                  <Typography variant="h2" fontWeight="bold" letterSpacing={4}>
-                    {pairingSession.pin}
+                <Typography variant="h6">
+                  {pairingSession.pairingUri
+                    ? 'Scan this QR code with your client device, or enter the PIN:'
+                    : 'Enter this PIN on your client device:'}
+                </Typography>
+                <Stack direction={{ xs: 'column', md: 'row' }} spacing={3} alignItems="center">
+                  {pairingSession.pairingUri && !pinExpired && !sessionLocked && (
+                    <Paper elevation={3} sx={{ p: 2, bgcolor: 'white', lineHeight: 0 }}>
+                      <QRCodeSVG value={pairingSession.pairingUri} size={200} level="M" />
+                    </Paper>
+                  )}
+                  <Paper
+                    elevation={3}
+                    sx={{
+                      p: 4,
+                      bgcolor: pinExpired || sessionLocked ? 'error.main' : 'primary.main',
+                      color: 'primary.contrastText',
+                    }}
+                  >
+                    <Typography variant="h2" fontWeight="bold" letterSpacing={4}>
+                      {pairingSession.pin}
+                    </Typography>
+                  </Paper>
+                </Stack>
+                {pairingSession.certificateFingerprint && (
+                  <Typography variant="caption" color="text.secondary" sx={{ wordBreak: 'break-all' }}>
+                    Server certificate (SHA-256): <code>{pairingSession.certificateFingerprint}</code>
                   </Typography>
-                </Paper>
+                )}
 
-                {pinExpired ? (
+                {sessionLocked ? (
+                  <Alert severity="error" sx={{ width: '100%' }}>
+                    Too many wrong PINs were entered for this session, so it has been locked. Please generate a
+                    new PIN.
+                  </Alert>
+                ) : pinExpired ? (
                   <Alert severity="error" sx={{ width: '100%' }}>
                     PIN has expired. Please generate a new PIN.
                   </Alert>
@@ -287,7 +342,7 @@ export const PairingWizard: React.FC = () => {
                   variant="outlined"
                   onClick={handleCancel}
                 >
-                  {pinExpired ? 'Generate New PIN' : 'Cancel Pairing'}
+                  {pinExpired || sessionLocked ? 'Generate New PIN' : 'Cancel Pairing'}
                 </Button>
               </Stack>
             )}
@@ -295,8 +350,9 @@ export const PairingWizard: React.FC = () => {
             {/* Step 2: Admin Assigns Areas */}
             {activeStep === 2 && (
               <Stack spacing={3}>
-                <Alert severity="success">
-                  Client connected! Device: {verifiedDeviceName} ({verifiedDeviceType})
+                <Alert severity="info">
+                  A device entered the PIN and is waiting for your approval: {verifiedDeviceName} ({verifiedDeviceType}).
+                  Only approve devices you recognize.
                 </Alert>
 
                 <Paper sx={{ p: 2, bgcolor: 'background.default' }}>
@@ -350,13 +406,13 @@ export const PairingWizard: React.FC = () => {
                 </FormControl>
 
                 <Box display="flex" gap={2} justifyContent="flex-end">
-                  <Button onClick={handleCancel}>Cancel</Button>
+                  <Button color="error" onClick={handleCancel}>Reject Device</Button>
                   <Button
                     variant="contained"
                     onClick={handleCompletePairing}
                     disabled={!clientName.trim() || selectedAreas.length === 0}
                   >
-                    Complete Pairing
+                    Approve &amp; Pair
                   </Button>
                 </Box>
               </Stack>
@@ -421,6 +477,9 @@ export const PairingWizard: React.FC = () => {
             )}
           </CardContent>
         </Card>
+
+        {/* Multi-use codes for provisioning fleets of devices */}
+        {activeStep === 0 && <EnrollmentProfilesPanel />}
       </Stack>
     </Box>
   );
@@ -12,6 +12,8 @@ import {
   Chip,
   IconButton,
   InputAdornment,
+  FormControlLabel,
+  Switch,
 } from '@mui/material';
 import {
   Save as SaveIcon,
@@ -23,6 +25,10 @@ import {
 } from '@mui/icons-material';
 import { useAppStore } from '@/context/AppContext';
 import { apiClient } from '@/api/client';
+import { ApiKeysPanel } from '@/components/ApiKeysPanel';
+import { WebhooksPanel } from '@/components/WebhooksPanel';
+import { WebhookSubscriptionsPanel } from '@/components/WebhookSubscriptionsPanel';
+import { PairingPolicyPanel } from '@/components/PairingPolicyPanel';
 
 interface ConnectionStatus {
   status: 'idle' | 'testing' | 'success' | 'error';
@@ -36,6 +42,13 @@ export const Settings: React.FC = () => {
   const [url, setUrl] = useState(ingressUrl);
   const [token, setToken] = useState(accessToken);
   const [showToken, setShowToken] = useState(false);
+  // Masked hint of the token saved in the backend - the raw value is never sent back
+  const [savedTokenHint, setSavedTokenHint] = useState<string | null>(null);
+
+  // Per-client HA token provisioning
+  const [provisioningToken, setProvisioningToken] = useState('');
+  const [savedProvisioningTokenHint, setSavedProvisioningTokenHint] = useState<string | null>(null);
+  const [autoProvisionClientTokens, setAutoProvisionClientTokens] = useState(false);
 
   // UI state
   const [connectionStatus, setConnectionStatus] = useState<ConnectionStatus>({
@@ -56,7 +69,9 @@ export const Settings: React.FC = () => {
         // Use apiClient to automatically include Authorization header
         const config = await apiClient.getHAConfig();
         if (config.url) setUrl(config.url);
-        if (config.token) setToken(config.token);
+        if (config.hasToken) setSavedTokenHint(config.token ?? null);
+        setSavedProvisioningTokenHint(config.provisioningToken ?? null);
+        setAutoProvisionClientTokens(!!config.autoProvisionClientTokens);
         console.log('Loaded saved config from database');
       } catch (error) {
         console.error('Failed to load saved config:', error);
@@ -95,6 +110,11 @@ export const Settings: React.FC = () => {
 
   // Validate token format
   const validateToken = (value: string): boolean => {
+    if (!value.trim() && savedTokenHint) {
+      setTokenError('');
+      return true;
+    }
+
     if (!value.trim()) {
       setTokenError('Access token is required');
       return false;
@@ -167,7 +187,17 @@ export const Settings: React.FC = () => {
     try {
       // Save to backend database (persistent across sessions)
       // Use apiClient to automatically include Authorization header and CSRF token
-      await apiClient.saveHAConfig(url, token);
+      await apiClient.saveHAConfig(url, token, {
+        provisioningToken: provisioningToken.trim() || undefined,
+        autoProvisionClientTokens,
+      });
+      if (token.trim()) {
+        setSavedTokenHint(`••••••••${token.trim().slice(-4)}`);
+      }
+      if (provisioningToken.trim()) {
+        setSavedProvisioningTokenHint(`••••••••${provisioningToken.trim().slice(-4)}`);
+        setProvisioningToken('');
+      }
 
       // NOTE: Do NOT call setAuth(url, token) here!
       // setAuth is for admin JWT token, not HA config.
@@ -331,17 +361,23 @@ export const Settings: React.FC = () => {
           {/* Long-Lived Access Token */}
           <TextField
             label="Long-Lived Access Token"
-            placeholder="Enter your Home Assistant access token"
+            placeholder={
+              savedTokenHint
+                ? `Saved token ${savedTokenHint}`
+                : 'Enter your Home Assistant access token'
+            }
             value={token}
             onChange={handleTokenChange}
             onBlur={handleTokenBlur}
             error={!!tokenError}
             helperText={
               tokenError ||
-              'Create a long-lived access token in Home Assistant Profile settings'
+              (savedTokenHint && !token
+                ? `A token ending in ${savedTokenHint.slice(-4)} is saved - leave empty to keep it`
+                : 'Create a long-lived access token in Home Assistant Profile settings')
             }
             fullWidth
-            required
+            required={!savedTokenHint}
             type={showToken ? 'text' : 'password'}
             disabled={isSaving || connectionStatus.status === 'testing'}
             InputProps={{
@@ -359,6 +395,39 @@ export const Settings: React.FC = () => {
             }}
           />
 
+          {/* Client token provisioning */}
+          <TextField
+            label="Provisioning User Token (optional)"
+            placeholder={
+              savedProvisioningTokenHint
+                ? `Saved token ${savedProvisioningTokenHint}`
+                : 'Token of a dedicated Home Assistant user'
+            }
+            value={provisioningToken}
+            onChange={(e: React.ChangeEvent<HTMLInputElement>) => {
+              setProvisioningToken(e.target.value);
+              setSaveSuccess(false);
+            }}
+            helperText="Client tokens are created under this user. Leave empty to use the connection above (not possible with the Supervisor token)."
+            fullWidth
+            type="password"
+            disabled={isSaving}
+          />
+
+          <FormControlLabel
+            control={
+              <Switch
+                checked={autoProvisionClientTokens}
+                onChange={(e: React.ChangeEvent<HTMLInputElement>) => {
+                  setAutoProvisionClientTokens(e.target.checked);
+                  setSaveSuccess(false);
+                }}
+                disabled={isSaving}
+              />
+            }
+            label="Create a Home Assistant token for every newly paired client"
+          />
+
           <Divider />
 
           {/* Action Buttons */}
@@ -374,7 +443,7 @@ export const Settings: React.FC = () => {
                 isSaving ||
                 connectionStatus.status === 'testing' ||
                 !url.trim() ||
-                !token.trim() ||
+                (!token.trim() && !savedTokenHint) ||
                 !!urlError ||
                 !!tokenError
               }
@@ -424,6 +493,14 @@ export const Settings: React.FC = () => {
           </Box>
         </Stack>
       </Paper>
+
+      <PairingPolicyPanel />
+
+      <ApiKeysPanel />
+
+      <WebhooksPanel />
+
+      <WebhookSubscriptionsPanel />
     </Box>
   );
 };
@@ -24,32 +24,65 @@ import { useWebSocket } from '@/hooks/useWebSocket';
 import { useThemeMode } from '@/context/ThemeContext';
 import { apiClient } from '@/api/client';
 import { wsClient } from '@/api/websocket';
+import type { HAConnectionStatus } from '@/types';
+import { BASE_PATH, SERVED_BY_BACKEND } from '@/utils/basePath';
+
+const haChip = (status: HAConnectionStatus | null, target: string) => {
+  switch (status?.state) {
+    case 'connected':
+      return { label: 'HA Connected', color: 'success' as const, tooltip: `Connected to ${target}` };
+    case 'connecting':
+      return { label: 'HA Connecting', color: 'warning' as const, tooltip: `Connecting to ${target}...` };
+    case 'reconnecting':
+      return {
+        label: 'HA Reconnecting',
+        color: 'warning' as const,
+        tooltip: `Connection to ${target} lost - attempt ${status.attempt ?? 1}, retrying in ${Math.ceil((status.retryInMs ?? 0) / 1000)}s`,
+      };
+    case 'not_configured':
+      return { label: 'HA Not Configured', color: 'default' as const, tooltip: 'Configure Home Assistant in Settings' };
+    case 'disconnected':
+      return {
+        label: 'HA Disconnected',
+        color: 'error' as const,
+        tooltip: status.error ? `Not connected to Home Assistant: ${status.error}` : 'Not connected to Home Assistant',
+      };
+    default:
+      return { label: 'HA Checking', color: 'default' as const, tooltip: 'Checking connection...' };
+  }
+};
 
 export const StatusBar: React.FC = () => {
   const { ingressUrl } = useAppStore();
   const { isConnected } = useWebSocket();
   const { darkMode, toggleDarkMode } = useThemeMode();
-  const [haConnected, setHaConnected] = useState<boolean | null>(null);
+  const [haStatus, setHaStatus] = useState<HAConnectionStatus | null>(null);
   const [clientCount, setClientCount] = useState(0);
   const [wsError, setWsError] = useState<string | null>(null);
   const [showError, setShowError] = useState(false);
 
-  // Check HA connection status
+  // Check HA connection status - the backend pushes changes, polling catches up after socket reconnects
   useEffect(() => {
     const checkConnection = async () => {
       try {
-        await apiClient.healthCheck();
-        setHaConnected(true);
+        const health = await apiClient.healthCheck();
+        setHaStatus({ state: health.services?.homeAssistant ?? 'disconnected' });
       } catch {
-        setHaConnected(false);
+        setHaStatus({ state: 'disconnected', error: 'backend unreachable' });
       }
     };
 
     checkConnection();
     const interval = setInterval(checkConnection, 30000); // Check every 30 seconds
-    return () => clearInterval(interval);
+    const unsubState = wsClient.on('ha_connection_state', (status: HAConnectionStatus) => setHaStatus(status));
+    return () => {
+      clearInterval(interval);
+      unsubState();
+    };
   }, []);
 
+  const ha = haChip(haStatus, ingressUrl || 'Home Assistant');
+
   // Get client count
   useEffect(() => {
     const fetchClients = async () => {
@@ -111,25 +144,19 @@ export const StatusBar: React.FC = () => {
     >
       <Stack direction="row" spacing={1} sx={{ flexGrow: 1, alignItems: 'center' }}>
         {/* Home Assistant Status */}
-        <Tooltip
-          title={
-            haConnected === null
-              ? 'Checking connection...'
-              : haConnected
-              ? `Connected to ${ingressUrl || 'Home Assistant'}`
-              : 'Not connected to Home Assistant'
-          }
-        >
+        <Tooltip title={ha.tooltip}>
           <Chip
             icon={
-              haConnected ? (
+              ha.color === 'success' ? (
                 <ConnectedIcon sx={{ fontSize: 16 }} />
+              ) : ha.color === 'warning' ? (
+                <WarningIcon sx={{ fontSize: 16 }} />
               ) : (
                 <DisconnectedIcon sx={{ fontSize: 16 }} />
               )
             }
-            label={haConnected ? 'HA Connected' : 'HA Disconnected'}
-            color={haConnected ? 'success' : 'error'}
+            label={ha.label}
+            color={ha.color}
             size="small"
             variant="outlined"
           />
@@ -177,7 +204,9 @@ export const StatusBar: React.FC = () => {
       {/* API Link */}
       <Tooltip title="Open API Documentation">
         <Link
-          href={`${window.location.protocol}//${window.location.hostname}:8099/api-docs`}
+          href={SERVED_BY_BACKEND
+            ? `${BASE_PATH}/api-docs`
+            : `${window.location.protocol}//${window.location.hostname}:8099/api-docs`}
           target="_blank"
           rel="noopener noreferrer"
           sx={{
@@ -0,0 +1,238 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Stack,
+  Alert,
+  Button,
+  TextField,
+  Chip,
+  CircularProgress,
+  Paper,
+} from '@mui/material';
+import SecurityIcon from '@mui/icons-material/Security';
+import { QRCodeSVG } from 'qrcode.react';
+import { apiClient } from '@/api/client';
+import type { MfaStatus, MfaEnrollment } from '@/types';
+
+type Mode = 'idle' | 'enroll-password' | 'enroll-scan' | 'disable' | 'regenerate';
+
+const RecoveryCodeList: React.FC<{ codes: string[]; onDone: () => void }> = ({ codes, onDone }) => (
+  <Stack spacing={2}>
+    <Alert severity="warning">
+      Save these recovery codes somewhere safe. Each code can be used once if you lose access to
+      your authenticator app. They will not be shown again.
+    </Alert>
+    <Paper variant="outlined" sx={{ p: 2 }}>
+      <Box
+        component="pre"
+        sx={{ m: 0, fontFamily: 'monospace', display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: 1 }}
+      >
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </Box>
+    </Paper>
+    <Box display="flex" gap={1}>
+      <Button variant="outlined" onClick={() => navigator.clipboard?.writeText(codes.join('\n'))}>
+        Copy
+      </Button>
+      <Button variant="contained" onClick={onDone}>
+        I saved them
+      </Button>
+    </Box>
+  </Stack>
+);
+
+export const TwoFactorSetup: React.FC = () => {
+  const [status, setStatus] = useState<MfaStatus | null>(null);
+  const [mode, setMode] = useState<Mode>('idle');
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [enrollment, setEnrollment] = useState<MfaEnrollment | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setStatus(await apiClient.getMfaStatus());
+    } catch (err: any) {
+      setError(err.message || 'Failed to load two-factor status');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const reset = () => {
+    setMode('idle');
+    setPassword('');
+    setCode('');
+    setEnrollment(null);
+    setError(null);
+  };
+
+  const run = async (action: () => Promise<void>) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err: any) {
+      setError(err.message || 'Request failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStartEnrollment = () => run(async () => {
+    setEnrollment(await apiClient.startMfaEnrollment(password));
+    setPassword('');
+    setMode('enroll-scan');
+  });
+
+  const handleConfirmEnrollment = () => run(async () => {
+    setRecoveryCodes(await apiClient.confirmMfaEnrollment(code));
+    reset();
+    await loadStatus();
+  });
+
+  const handleRegenerate = () => run(async () => {
+    setRecoveryCodes(await apiClient.regenerateRecoveryCodes(code));
+    reset();
+    await loadStatus();
+  });
+
+  const handleDisable = () => run(async () => {
+    await apiClient.disableMfa(password, code);
+    reset();
+    await loadStatus();
+  });
+
+  const codeField = (
+    <TextField
+      label="Authentication code"
+      value={code}
+      onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+      inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code' }}
+      size="small"
+    />
+  );
+
+  const passwordField = (
+    <TextField
+      label="Current password"
+      type="password"
+      value={password}
+      onChange={(e) => setPassword(e.target.value)}
+      size="small"
+    />
+  );
+
+  return (
+    <Card>
+      <CardContent>
+        <Stack spacing={2}>
+          <Box display="flex" alignItems="center" gap={1}>
+            <SecurityIcon color="primary" />
+            <Typography variant="h6">Two-Factor Authentication</Typography>
+            {status && (
+              <Chip
+                label={status.enabled ? 'Enabled' : 'Disabled'}
+                color={status.enabled ? 'success' : 'default'}
+                size="small"
+              />
+            )}
+          </Box>
+
+          {error && <Alert severity="error">{error}</Alert>}
+
+          {recoveryCodes ? (
+            <RecoveryCodeList codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+          ) : !status ? (
+            <CircularProgress size={24} />
+          ) : mode === 'enroll-password' ? (
+            <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} alignItems="flex-start">
+              {passwordField}
+              <Button variant="contained" onClick={handleStartEnrollment} disabled={busy || !password}>
+                Continue
+              </Button>
+              <Button onClick={reset} disabled={busy}>Cancel</Button>
+            </Stack>
+          ) : mode === 'enroll-scan' && enrollment ? (
+            <Stack spacing={2}>
+              <Typography variant="body2" color="text.secondary">
+                Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+              </Typography>
+              <Box sx={{ p: 2, bgcolor: 'white', alignSelf: 'flex-start', borderRadius: 1 }}>
+                <QRCodeSVG value={enrollment.otpauthUri} size={180} />
+              </Box>
+              <Typography variant="caption" color="text.secondary" sx={{ wordBreak: 'break-all' }}>
+                Manual entry key: <code>{enrollment.secret}</code>
+              </Typography>
+              <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} alignItems="flex-start">
+                {codeField}
+                <Button variant="contained" onClick={handleConfirmEnrollment} disabled={busy || code.length !== 6}>
+                  Enable
+                </Button>
+                <Button onClick={reset} disabled={busy}>Cancel</Button>
+              </Stack>
+            </Stack>
+          ) : mode === 'disable' ? (
+            <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} alignItems="flex-start">
+              {passwordField}
+              {codeField}
+              <Button
+                variant="contained"
+                color="error"
+                onClick={handleDisable}
+                disabled={busy || !password || code.length !== 6}
+              >
+                Disable
+              </Button>
+              <Button onClick={reset} disabled={busy}>Cancel</Button>
+            </Stack>
+          ) : mode === 'regenerate' ? (
+            <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} alignItems="flex-start">
+              {codeField}
+              <Button variant="contained" onClick={handleRegenerate} disabled={busy || code.length !== 6}>
+                Generate new codes
+              </Button>
+              <Button onClick={reset} disabled={busy}>Cancel</Button>
+            </Stack>
+          ) : status.enabled ? (
+            <Stack spacing={1}>
+              <Typography variant="body2" color="text.secondary">
+                Sign-in requires a code from your authenticator app. {status.recoveryCodesRemaining} recovery
+                code{status.recoveryCodesRemaining !== 1 ? 's' : ''} left.
+              </Typography>
+              <Box display="flex" gap={1}>
+                <Button variant="outlined" onClick={() => setMode('regenerate')}>
+                  New recovery codes
+                </Button>
+                <Button variant="outlined" color="error" onClick={() => setMode('disable')}>
+                  Disable
+                </Button>
+              </Box>
+            </Stack>
+          ) : (
+            <Stack spacing={1}>
+              <Typography variant="body2" color="text.secondary">
+                Protect your account with a time-based code from an authenticator app. A leaked password
+                alone will no longer be enough to sign in.
+              </Typography>
+              <Box>
+                <Button variant="contained" onClick={() => setMode('enroll-password')}>
+                  Set up
+                </Button>
+              </Box>
+            </Stack>
+          )}
+        </Stack>
+      </CardContent>
+    </Card>
+  );
+};
@@ -0,0 +1,471 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Chip,
+  Stack,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  Snackbar,
+  Paper,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import EditIcon from '@mui/icons-material/Edit';
+import PhonelinkEraseIcon from '@mui/icons-material/PhonelinkErase';
+import { apiClient } from '@/api/client';
+import { formatDateTime } from '@/utils/helpers';
+import { TwoFactorSetup } from '@/components/TwoFactorSetup';
+import type { AdminUser, AdminRole } from '@/types';
+
+const ROLE_OPTIONS: { value: AdminRole; label: string; description: string }[] = [
+  { value: 'owner', label: 'Owner', description: 'Full access, including managing other owners' },
+  { value: 'admin', label: 'Admin', description: 'Full access, manages accounts except owners' },
+  { value: 'operator', label: 'Operator', description: 'Pairs devices and manages clients and areas' },
+  { value: 'viewer', label: 'Viewer', description: 'Read-only access' },
+];
+
+const getRoleColor = (role: AdminRole) => {
+  switch (role) {
+    case 'owner':
+      return 'error';
+    case 'admin':
+      return 'warning';
+    case 'operator':
+      return 'primary';
+    default:
+      return 'default';
+  }
+};
+
+interface UserDialogProps {
+  open: boolean;
+  user: AdminUser | null;
+  onClose: () => void;
+  onSave: (
+    values: { username: string; password: string; email: string; role: AdminRole; isActive: boolean },
+    user: AdminUser | null
+  ) => Promise<void>;
+}
+
+const UserDialog: React.FC<UserDialogProps> = ({ open, user, onClose, onSave }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState<AdminRole>('viewer');
+  const [isActive, setIsActive] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (open) {
+      setUsername(user?.username || '');
+      setPassword('');
+      setEmail(user?.email || '');
+      setRole(user?.role || 'viewer');
+      setIsActive(user?.isActive ?? true);
+      setError(null);
+    }
+  }, [open, user]);
+
+  const isNew = !user;
+  const passwordTooShort = password.length > 0 && password.length < 8;
+  const canSave = username.trim().length >= 3 && (isNew ? password.length >= 8 : !passwordTooShort);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave({ username: username.trim(), password, email: email.trim(), role, isActive }, user);
+      onClose();
+    } catch (err: any) {
+      setError(err.message || 'Failed to save user');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{isNew ? 'Add User' : `Edit ${user?.username}`}</DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ mt: 1 }}>
+          {error && <Alert severity="error">{error}</Alert>}
+          <TextField
+            label="Username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            disabled={!isNew}
+            fullWidth
+            required
+          />
+          <TextField
+            label={isNew ? 'Password' : 'New Password'}
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            error={passwordTooShort}
+            helperText={isNew ? 'At least 8 characters' : 'Leave empty to keep the current password'}
+            fullWidth
+            required={isNew}
+          />
+          <TextField
+            label="Email"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            fullWidth
+          />
+          <TextField
+            select
+            label="Role"
+            value={role}
+            onChange={(e) => setRole(e.target.value as AdminRole)}
+            helperText={ROLE_OPTIONS.find((option) => option.value === role)?.description}
+            fullWidth
+          >
+            {ROLE_OPTIONS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          {!isNew && (
+            <FormControlLabel
+              control={<Switch checked={isActive} onChange={(e) => setIsActive(e.target.checked)} />}
+              label="Account active"
+            />
+          )}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          Cancel
+        </Button>
+        <Button onClick={handleSave} variant="contained" disabled={!canSave || saving}>
+          {saving ? <CircularProgress size={24} /> : 'Save'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export const UserManagement: React.FC = () => {
+  const [users, setUsers] = useState<AdminUser[]>([]);
+  const [currentUser, setCurrentUser] = useState<AdminUser | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
+  const [selectedUser, setSelectedUser] = useState<AdminUser | null>(null);
+  const [actionLoading, setActionLoading] = useState(false);
+
+  // Snackbar for feedback
+  const [snackbar, setSnackbar] = useState<{
+    open: boolean;
+    message: string;
+    severity: 'success' | 'error';
+  }>({
+    open: false,
+    message: '',
+    severity: 'success',
+  });
+
+  const showSnackbar = (message: string, severity: 'success' | 'error') => {
+    setSnackbar({ open: true, message, severity });
+  };
+
+  const loadUsers = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const me = await apiClient.getCurrentUser();
+      setCurrentUser(me);
+
+      if (me.role === 'owner' || me.role === 'admin') {
+        setUsers(await apiClient.getUsers());
+      } else {
+        setUsers([me]);
+      }
+    } catch (err: any) {
+      setError(err.message || 'Failed to load users');
+      console.error('Failed to load users:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const canManage = currentUser?.role === 'owner' || currentUser?.role === 'admin';
+
+  const handleSave = async (
+    values: { username: string; password: string; email: string; role: AdminRole; isActive: boolean },
+    user: AdminUser | null
+  ) => {
+    if (user) {
+      await apiClient.updateUser(user.id, {
+        ...(values.password ? { password: values.password } : {}),
+        email: values.email || null,
+        role: values.role,
+        isActive: values.isActive,
+      });
+      showSnackbar('User updated successfully', 'success');
+    } else {
+      await apiClient.createUser({
+        username: values.username,
+        password: values.password,
+        ...(values.email ? { email: values.email } : {}),
+        role: values.role,
+      });
+      showSnackbar('User created successfully', 'success');
+    }
+    await loadUsers();
+  };
+
+  const handleResetMfa = async (user: AdminUser) => {
+    if (!window.confirm(`Reset two-factor authentication for "${user.username}"? They can sign in with their password only until they set it up again.`)) {
+      return;
+    }
+
+    try {
+      await apiClient.resetUserMfa(user.id);
+      setUsers((prev) => prev.map((u) => (u.id === user.id ? { ...u, mfaEnabled: false } : u)));
+      showSnackbar('Two-factor authentication reset', 'success');
+    } catch (err: any) {
+      showSnackbar(err.message || 'Failed to reset two-factor authentication', 'error');
+    }
+  };
+
+  const handleDeleteConfirm = async () => {
+    if (!selectedUser) return;
+
+    setActionLoading(true);
+    try {
+      await apiClient.deleteUser(selectedUser.id);
+      setUsers((prev) => prev.filter((u) => u.id !== selectedUser.id));
+      setDeleteDialogOpen(false);
+      setSelectedUser(null);
+      showSnackbar('User deleted successfully', 'success');
+    } catch (err: any) {
+      showSnackbar(err.message || 'Failed to delete user', 'error');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Stack spacing={3}>
+        {/* Header */}
+        <Box display="flex" justifyContent="space-between" alignItems="center">
+          <Typography variant="h5">User Management</Typography>
+          {canManage && (
+            <Button
+              variant="contained"
+              startIcon={<AddIcon />}
+              onClick={() => {
+                setSelectedUser(null);
+                setDialogOpen(true);
+              }}
+            >
+              Add User
+            </Button>
+          )}
+        </Box>
+
+        {error && <Alert severity="error">{error}</Alert>}
+        {!loading && currentUser && !canManage && (
+          <Alert severity="info">
+            Your role ({currentUser.role}) cannot manage accounts. Ask an owner or admin for changes.
+          </Alert>
+        )}
+
+        {/* Own account security */}
+        <TwoFactorSetup />
+
+        {/* User Table */}
+        <Card>
+          <CardContent>
+            {loading ? (
+              <Box display="flex" justifyContent="center" py={4}>
+                <CircularProgress />
+              </Box>
+            ) : (
+              <TableContainer component={Paper} variant="outlined">
+                <Table>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Username</TableCell>
+                      <TableCell>Email</TableCell>
+                      <TableCell>Role</TableCell>
+                      <TableCell>2FA</TableCell>
+                      <TableCell>Last Login</TableCell>
+                      <TableCell>Status</TableCell>
+                      <TableCell align="right">Actions</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {users.map((user) => (
+                      <TableRow key={user.id} hover>
+                        <TableCell>
+                          <Typography variant="body2">
+                            {user.username}
+                            {user.id === currentUser?.id && ' (you)'}
+                          </Typography>
+                        </TableCell>
+                        <TableCell>
+                          <Typography variant="body2" color={user.email ? 'text.primary' : 'text.secondary'}>
+                            {user.email || '—'}
+                          </Typography>
+                        </TableCell>
+                        <TableCell>
+                          <Chip
+                            label={user.role}
+                            color={getRoleColor(user.role)}
+                            size="small"
+                            sx={{ textTransform: 'capitalize' }}
+                          />
+                        </TableCell>
+                        <TableCell>
+                          <Chip
+                            label={user.mfaEnabled ? 'On' : 'Off'}
+                            color={user.mfaEnabled ? 'success' : 'default'}
+                            size="small"
+                            variant="outlined"
+                          />
+                        </TableCell>
+                        <TableCell>
+                          <Typography variant="body2">
+                            {user.lastLoginAt ? formatDateTime(new Date(user.lastLoginAt * 1000)) : 'Never'}
+                          </Typography>
+                        </TableCell>
+                        <TableCell>
+                          <Chip
+                            label={user.isActive ? 'active' : 'disabled'}
+                            color={user.isActive ? 'success' : 'default'}
+                            size="small"
+                          />
+                        </TableCell>
+                        <TableCell align="right">
+                          {canManage && (
+                            <Stack direction="row" spacing={1} justifyContent="flex-end">
+                              <IconButton
+                                size="small"
+                                onClick={() => {
+                                  setSelectedUser(user);
+                                  setDialogOpen(true);
+                                }}
+                                title="Edit user"
+                              >
+                                <EditIcon fontSize="small" />
+                              </IconButton>
+                              {user.mfaEnabled && user.id !== currentUser?.id && (
+                                <IconButton
+                                  size="small"
+                                  onClick={() => handleResetMfa(user)}
+                                  title="Reset two-factor authentication"
+                                  color="warning"
+                                >
+                                  <PhonelinkEraseIcon fontSize="small" />
+                                </IconButton>
+                              )}
+                              <IconButton
+                                size="small"
+                                onClick={() => {
+                                  setSelectedUser(user);
+                                  setDeleteDialogOpen(true);
+                                }}
+                                disabled={user.id === currentUser?.id}
+                                title="Delete user"
+                                color="error"
+                              >
+                                <DeleteIcon fontSize="small" />
+                              </IconButton>
+                            </Stack>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+          </CardContent>
+        </Card>
+      </Stack>
+
+      {/* Create/Edit Dialog */}
+      <UserDialog
+        open={dialogOpen}
+        user={selectedUser}
+        onClose={() => {
+          setDialogOpen(false);
+          setSelectedUser(null);
+        }}
+        onSave={handleSave}
+      />
+
+      {/* Delete Confirmation */}
+      <Dialog open={deleteDialogOpen} onClose={() => setDeleteDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Delete User</DialogTitle>
+        <DialogContent>
+          <Alert severity="warning" sx={{ mt: 1 }}>
+            {`This will permanently delete the account "${selectedUser?.username}". This action cannot be undone.`}
+          </Alert>
+        </DialogContent>
+        <DialogActions>
+          <Button
+            onClick={() => {
+              setDeleteDialogOpen(false);
+              setSelectedUser(null);
+            }}
+            disabled={actionLoading}
+          >
+            Cancel
+          </Button>
+          <Button onClick={handleDeleteConfirm} variant="contained" color="error" disabled={actionLoading}>
+            {actionLoading ? <CircularProgress size={24} /> : 'Delete User'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Feedback Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        <Alert
+          onClose={() => setSnackbar({ ...snackbar, open: false })}
+          severity={snackbar.severity}
+          variant="filled"
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
@@ -0,0 +1,479 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  Stack,
+  Chip,
+  IconButton,
+  Switch,
+  Checkbox,
+  FormControlLabel,
+  FormGroup,
+  FormLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  ContentCopy as ContentCopyIcon,
+  History as HistoryIcon,
+  Replay as ReplayIcon,
+} from '@mui/icons-material';
+import { apiClient } from '@/api/client';
+import { formatDateTime } from '@/utils/helpers';
+import type { WebhookDeadLetter, WebhookDelivery, WebhookEventType, WebhookSubscription } from '@/types';
+
+const toDate = (seconds: number) => new Date(seconds * 1000);
+
+const EVENT_LABELS: Record<WebhookEventType, string> = {
+  pairing_completed: 'Device paired',
+  client_deleted: 'Device deleted',
+  token_revoked: 'Device token revoked',
+  area_updated: 'Area changed',
+  login_failed: 'Failed admin login',
+};
+
+const STATUS_COLORS: Record<WebhookDelivery['status'], 'default' | 'success' | 'error'> = {
+  pending: 'default',
+  delivered: 'success',
+  failed: 'error',
+};
+
+const describeAttempt = (item: { lastStatusCode: number | null; lastError: string | null }) =>
+  item.lastError || (item.lastStatusCode ? `HTTP ${item.lastStatusCode}` : '-');
+
+interface CreateSubscriptionDialogProps {
+  open: boolean;
+  availableEvents: WebhookEventType[];
+  onClose: () => void;
+  onCreated: (subscription: WebhookSubscription & { secret: string }) => void;
+}
+
+const CreateSubscriptionDialog: React.FC<CreateSubscriptionDialogProps> = ({
+  open,
+  availableEvents,
+  onClose,
+  onCreated,
+}) => {
+  const [name, setName] = useState('');
+  const [url, setUrl] = useState('');
+  const [events, setEvents] = useState<WebhookEventType[]>([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open) {
+      setName('');
+      setUrl('');
+      setEvents([]);
+      setError(null);
+    }
+  }, [open]);
+
+  const toggleEvent = (event: WebhookEventType) => {
+    setEvents((current) =>
+      current.includes(event) ? current.filter((e) => e !== event) : [...current, event]
+    );
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const created = await apiClient.createWebhookSubscription({ name: name.trim(), url: url.trim(), events });
+      onCreated(created);
+      onClose();
+    } catch (err: any) {
+      setError(err.message || 'Failed to create subscription');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>New Outbound Webhook</DialogTitle>
+      <DialogContent>
+        <Stack spacing={3} sx={{ mt: 1 }}>
+          {error && <Alert severity="error">{error}</Alert>}
+
+          <TextField
+            label="Name"
+            value={name}
+            onChange={(e: React.ChangeEvent<HTMLInputElement>) => setName(e.target.value)}
+            placeholder="e.g. Ticketing"
+            inputProps={{ maxLength: 100 }}
+            fullWidth
+            autoFocus
+          />
+
+          <TextField
+            label="URL"
+            value={url}
+            onChange={(e: React.ChangeEvent<HTMLInputElement>) => setUrl(e.target.value)}
+            placeholder="https://tickets.example.com/hooks/hasync"
+            inputProps={{ maxLength: 2000 }}
+            fullWidth
+          />
+
+          <Box>
+            <FormLabel component="legend">Events</FormLabel>
+            <FormGroup>
+              {availableEvents.map((event) => (
+                <FormControlLabel
+                  key={event}
+                  control={<Checkbox checked={events.includes(event)} onChange={() => toggleEvent(event)} />}
+                  label={
+                    <>
+                      {EVENT_LABELS[event]} <code>{event}</code>
+                    </>
+                  }
+                />
+              ))}
+            </FormGroup>
+          </Box>
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleCreate}
+          variant="contained"
+          disabled={saving || !name.trim() || !url.trim() || events.length === 0}
+          startIcon={saving ? <CircularProgress size={20} /> : <AddIcon />}
+        >
+          Create
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+interface DeliveryHistoryDialogProps {
+  subscription: WebhookSubscription | null;
+  onClose: () => void;
+}
+
+const DeliveryHistoryDialog: React.FC<DeliveryHistoryDialogProps> = ({ subscription, onClose }) => {
+  const [deliveries, setDeliveries] = useState<WebhookDelivery[]>([]);
+  const [deadLetters, setDeadLetters] = useState<WebhookDeadLetter[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadHistory = useCallback(async () => {
+    if (!subscription) return;
+    setLoading(true);
+    try {
+      const data = await apiClient.getWebhookDeliveries(subscription.id);
+      setDeliveries(data.deliveries);
+      setDeadLetters(data.deadLetters);
+      setError(null);
+    } catch (err: any) {
+      setError(err.message || 'Failed to load delivery history');
+    } finally {
+      setLoading(false);
+    }
+  }, [subscription]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const handleRedeliver = async (deadLetter: WebhookDeadLetter) => {
+    try {
+      await apiClient.redeliverWebhookDeadLetter(deadLetter.id);
+      await loadHistory();
+    } catch (err: any) {
+      setError(err.message || 'Failed to redeliver event');
+    }
+  };
+
+  return (
+    <Dialog open={!!subscription} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Delivery History - {subscription?.name}</DialogTitle>
+      <DialogContent>
+        <Stack spacing={3} sx={{ mt: 1 }}>
+          {error && <Alert severity="error">{error}</Alert>}
+
+          {loading ? (
+            <Box display="flex" justifyContent="center" py={2}>
+              <CircularProgress size={24} />
+            </Box>
+          ) : (
+            <>
+              <Box>
+                <Typography variant="subtitle2" gutterBottom>
+                  Recent deliveries
+                </Typography>
+                {deliveries.length === 0 ? (
+                  <Typography variant="body2" color="text.secondary">
+                    No events sent yet.
+                  </Typography>
+                ) : (
+                  <TableContainer component={Paper} variant="outlined">
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Event</TableCell>
+                          <TableCell>Status</TableCell>
+                          <TableCell>Attempts</TableCell>
+                          <TableCell>Last Response</TableCell>
+                          <TableCell>Created</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {deliveries.map((delivery) => (
+                          <TableRow key={delivery.id}>
+                            <TableCell><code>{delivery.eventType}</code></TableCell>
+                            <TableCell>
+                              <Chip label={delivery.status} size="small" color={STATUS_COLORS[delivery.status]} />
+                            </TableCell>
+                            <TableCell>
+                              {delivery.attempts}
+                              {delivery.status === 'pending' && delivery.nextAttemptAt && (
+                                <Typography variant="caption" color="text.secondary" display="block">
+                                  Next: {formatDateTime(toDate(delivery.nextAttemptAt))}
+                                </Typography>
+                              )}
+                            </TableCell>
+                            <TableCell>{describeAttempt(delivery)}</TableCell>
+                            <TableCell>{formatDateTime(toDate(delivery.createdAt))}</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                )}
+              </Box>
+
+              <Box>
+                <Typography variant="subtitle2" gutterBottom>
+                  Dead letters
+                </Typography>
+                {deadLetters.length === 0 ? (
+                  <Typography variant="body2" color="text.secondary">
+                    No failed deliveries.
+                  </Typography>
+                ) : (
+                  <TableContainer component={Paper} variant="outlined">
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Event</TableCell>
+                          <TableCell>Attempts</TableCell>
+                          <TableCell>Last Response</TableCell>
+                          <TableCell>Failed</TableCell>
+                          <TableCell align="right">Actions</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {deadLetters.map((deadLetter) => (
+                          <TableRow key={deadLetter.id}>
+                            <TableCell><code>{deadLetter.eventType}</code></TableCell>
+                            <TableCell>{deadLetter.attempts}</TableCell>
+                            <TableCell>{describeAttempt(deadLetter)}</TableCell>
+                            <TableCell>
+                              {formatDateTime(toDate(deadLetter.failedAt))}
+                              {deadLetter.redeliveredAt && (
+                                <Typography variant="caption" color="text.secondary" display="block">
+                                  Redelivered {formatDateTime(toDate(deadLetter.redeliveredAt))}
+                                </Typography>
+                              )}
+                            </TableCell>
+                            <TableCell align="right">
+                              <IconButton size="small" onClick={() => handleRedeliver(deadLetter)} title="Redeliver">
+                                <ReplayIcon fontSize="small" />
+                              </IconButton>
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                )}
+              </Box>
+            </>
+          )}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={loadHistory} disabled={loading}>
+          Refresh
+        </Button>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export const WebhookSubscriptionsPanel: React.FC = () => {
+  const [subscriptions, setSubscriptions] = useState<WebhookSubscription[]>([]);
+  const [availableEvents, setAvailableEvents] = useState<WebhookEventType[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [created, setCreated] = useState<(WebhookSubscription & { secret: string }) | null>(null);
+  const [historyFor, setHistoryFor] = useState<WebhookSubscription | null>(null);
+
+  const loadSubscriptions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await apiClient.getWebhookSubscriptions();
+      setSubscriptions(data.subscriptions);
+      setAvailableEvents(data.availableEvents);
+      setError(null);
+    } catch (err: any) {
+      setError(err.message || 'Failed to load webhook subscriptions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSubscriptions();
+  }, [loadSubscriptions]);
+
+  const handleToggle = async (subscription: WebhookSubscription) => {
+    try {
+      await apiClient.updateWebhookSubscription(subscription.id, { isEnabled: !subscription.isEnabled });
+      await loadSubscriptions();
+    } catch (err: any) {
+      setError(err.message || 'Failed to update subscription');
+    }
+  };
+
+  const handleDelete = async (subscription: WebhookSubscription) => {
+    try {
+      await apiClient.deleteWebhookSubscription(subscription.id);
+      if (created?.id === subscription.id) setCreated(null);
+      await loadSubscriptions();
+    } catch (err: any) {
+      setError(err.message || 'Failed to delete subscription');
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3, mt: 3 }}>
+      <Stack spacing={2}>
+        <Box display="flex" justifyContent="space-between" alignItems="center">
+          <Box>
+            <Typography variant="h6">Outbound Webhooks</Typography>
+            <Typography variant="body2" color="text.secondary">
+              POST HAsync events to other systems, signed with HMAC-SHA256 in the{' '}
+              <code>X-HAsync-Signature</code> header. Failed deliveries are retried for about 3 hours.
+            </Typography>
+          </Box>
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={() => setDialogOpen(true)}
+            disabled={loading}
+          >
+            New Subscription
+          </Button>
+        </Box>
+
+        {error && <Alert severity="error">{error}</Alert>}
+
+        {created && (
+          <Alert
+            severity="warning"
+            onClose={() => setCreated(null)}
+            action={
+              <IconButton size="small" onClick={() => navigator.clipboard?.writeText(created.secret)} title="Copy secret">
+                <ContentCopyIcon fontSize="small" />
+              </IconButton>
+            }
+          >
+            Copy this signing secret now - it will not be shown again.
+            <Box component="code" sx={{ display: 'block', mt: 1, wordBreak: 'break-all' }}>
+              {created.secret}
+            </Box>
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : subscriptions.length === 0 ? (
+          !error && (
+            <Typography variant="body2" color="text.secondary">
+              No outbound webhooks yet.
+            </Typography>
+          )
+        ) : (
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>URL</TableCell>
+                  <TableCell>Events</TableCell>
+                  <TableCell>Enabled</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {subscriptions.map((subscription) => (
+                  <TableRow key={subscription.id}>
+                    <TableCell>{subscription.name}</TableCell>
+                    <TableCell sx={{ wordBreak: 'break-all' }}>
+                      <code>{subscription.url}</code>
+                    </TableCell>
+                    <TableCell>
+                      <Box display="flex" gap={0.5} flexWrap="wrap">
+                        {subscription.events.map((event) => (
+                          <Chip key={event} label={EVENT_LABELS[event] || event} size="small" variant="outlined" />
+                        ))}
+                      </Box>
+                    </TableCell>
+                    <TableCell>
+                      <Switch checked={subscription.isEnabled} onChange={() => handleToggle(subscription)} size="small" />
+                    </TableCell>
+                    <TableCell align="right">
+                      <IconButton size="small" onClick={() => setHistoryFor(subscription)} title="Delivery history">
+                        <HistoryIcon fontSize="small" />
+                      </IconButton>
+                      <IconButton size="small" onClick={() => handleDelete(subscription)} title="Delete subscription" color="error">
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Stack>
+
+      <CreateSubscriptionDialog
+        open={dialogOpen}
+        availableEvents={availableEvents}
+        onClose={() => setDialogOpen(false)}
+        onCreated={async (subscription) => {
+          setCreated(subscription);
+          await loadSubscriptions();
+        }}
+      />
+
+      <DeliveryHistoryDialog subscription={historyFor} onClose={() => setHistoryFor(null)} />
+    </Paper>
+  );
+};
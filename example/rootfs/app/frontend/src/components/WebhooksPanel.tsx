@@ -0,0 +1,354 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  Stack,
+  Chip,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  ContentCopy as ContentCopyIcon,
+} from '@mui/icons-material';
+import { apiClient } from '@/api/client';
+import { formatDateTime } from '@/utils/helpers';
+import type { Area, Client, Webhook, WebhookTarget } from '@/types';
+
+const toDate = (seconds: number) => new Date(seconds * 1000);
+
+// Paired devices and Home Assistant reach the backend directly on port 8099, not through ingress
+const webhookUrl = (id: string) => `http://${window.location.hostname}:8099/api/webhooks/${id}`;
+
+const restCommandExample = (webhook: Webhook, secret: string) => `rest_command:
+  hasync_${webhook.name.toLowerCase().replace(/[^a-z0-9]+/g, '_')}:
+    url: "${webhookUrl(webhook.id)}"
+    method: post
+    headers:
+      authorization: "Bearer ${secret}"
+    content_type: "application/json"
+    payload: '{"title": "{{ title }}", "message": "{{ message }}"}'`;
+
+interface CreateWebhookDialogProps {
+  open: boolean;
+  clients: Client[];
+  areas: Area[];
+  onClose: () => void;
+  onCreated: (webhook: Webhook & { secret: string }) => void;
+}
+
+const CreateWebhookDialog: React.FC<CreateWebhookDialogProps> = ({
+  open,
+  clients,
+  areas,
+  onClose,
+  onCreated,
+}) => {
+  const [name, setName] = useState('');
+  const [targetType, setTargetType] = useState<'clients' | 'area'>('area');
+  const [clientIds, setClientIds] = useState<string[]>([]);
+  const [areaId, setAreaId] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open) {
+      setName('');
+      setTargetType('area');
+      setClientIds([]);
+      setAreaId('');
+      setError(null);
+    }
+  }, [open]);
+
+  const target: WebhookTarget | null = targetType === 'area'
+    ? (areaId ? { type: 'area', areaId } : null)
+    : clientIds.length === 1
+      ? { type: 'client', clientId: clientIds[0] }
+      : clientIds.length > 1
+        ? { type: 'clients', clientIds }
+        : null;
+
+  const handleCreate = async () => {
+    if (!target) return;
+    setSaving(true);
+    setError(null);
+    try {
+      const created = await apiClient.createWebhook({ name: name.trim(), target });
+      onCreated(created);
+      onClose();
+    } catch (err: any) {
+      setError(err.message || 'Failed to create webhook');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Create Webhook</DialogTitle>
+      <DialogContent>
+        <Stack spacing={3} sx={{ mt: 1 }}>
+          {error && <Alert severity="error">{error}</Alert>}
+
+          <TextField
+            label="Name"
+            value={name}
+            onChange={(e: React.ChangeEvent<HTMLInputElement>) => setName(e.target.value)}
+            placeholder="e.g. Doorbell"
+            inputProps={{ maxLength: 100 }}
+            fullWidth
+            autoFocus
+          />
+
+          <FormControl fullWidth>
+            <InputLabel>Send to</InputLabel>
+            <Select
+              value={targetType}
+              label="Send to"
+              onChange={(e) => setTargetType(e.target.value as 'clients' | 'area')}
+            >
+              <MenuItem value="area">All clients with an area</MenuItem>
+              <MenuItem value="clients">Selected clients</MenuItem>
+            </Select>
+          </FormControl>
+
+          {targetType === 'area' ? (
+            <FormControl fullWidth>
+              <InputLabel>Area</InputLabel>
+              <Select value={areaId} label="Area" onChange={(e) => setAreaId(e.target.value)}>
+                {areas.map((area) => (
+                  <MenuItem key={area.id} value={area.id}>
+                    {area.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          ) : (
+            <FormControl fullWidth>
+              <InputLabel>Clients</InputLabel>
+              <Select
+                multiple
+                value={clientIds}
+                label="Clients"
+                onChange={(e) => setClientIds(e.target.value as string[])}
+                renderValue={(selected) => (
+                  <Box display="flex" gap={0.5} flexWrap="wrap">
+                    {selected.map((id) => (
+                      <Chip key={id} label={clients.find((c) => c.id === id)?.name || id} size="small" />
+                    ))}
+                  </Box>
+                )}
+              >
+                {clients.map((client) => (
+                  <MenuItem key={client.id} value={client.id}>
+                    {client.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleCreate}
+          variant="contained"
+          disabled={saving || !name.trim() || !target}
+          startIcon={saving ? <CircularProgress size={20} /> : <AddIcon />}
+        >
+          Create
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export const WebhooksPanel: React.FC = () => {
+  const [webhooks, setWebhooks] = useState<Webhook[]>([]);
+  const [clients, setClients] = useState<Client[]>([]);
+  const [areas, setAreas] = useState<Area[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [created, setCreated] = useState<(Webhook & { secret: string }) | null>(null);
+
+  const loadWebhooks = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [data, clientList, areaList] = await Promise.all([
+        apiClient.getWebhooks(),
+        apiClient.getClients(),
+        apiClient.getAreas(),
+      ]);
+      setWebhooks(data.webhooks);
+      setClients(clientList);
+      setAreas(areaList);
+      setError(null);
+    } catch (err: any) {
+      setError(err.message || 'Failed to load webhooks');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadWebhooks();
+  }, [loadWebhooks]);
+
+  const handleDelete = async (webhook: Webhook) => {
+    try {
+      await apiClient.deleteWebhook(webhook.id);
+      if (created?.id === webhook.id) setCreated(null);
+      await loadWebhooks();
+    } catch (err: any) {
+      setError(err.message || 'Failed to delete webhook');
+    }
+  };
+
+  const describeTarget = (target: WebhookTarget): string[] => {
+    const clientName = (id: string) => clients.find((c) => c.id === id)?.name || id;
+    switch (target.type) {
+      case 'client':
+        return [clientName(target.clientId)];
+      case 'clients':
+        return target.clientIds.map(clientName);
+      case 'area':
+        return [`Area: ${areas.find((a) => a.id === target.areaId)?.name || target.areaId}`];
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3, mt: 3 }}>
+      <Stack spacing={2}>
+        <Box display="flex" justifyContent="space-between" alignItems="center">
+          <Box>
+            <Typography variant="h6">Webhooks</Typography>
+            <Typography variant="body2" color="text.secondary">
+              Show notifications on devices from Home Assistant or other systems. POST{' '}
+              <code>{'{ "title", "message" }'}</code> with <code>Authorization: Bearer &lt;secret&gt;</code>.
+            </Typography>
+          </Box>
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={() => setDialogOpen(true)}
+            disabled={loading}
+          >
+            New Webhook
+          </Button>
+        </Box>
+
+        {error && <Alert severity="error">{error}</Alert>}
+
+        {created && (
+          <Alert
+            severity="warning"
+            onClose={() => setCreated(null)}
+            action={
+              <IconButton size="small" onClick={() => navigator.clipboard?.writeText(created.secret)} title="Copy secret">
+                <ContentCopyIcon fontSize="small" />
+              </IconButton>
+            }
+          >
+            Copy this secret now - it will not be shown again.
+            <Box component="code" sx={{ display: 'block', mt: 1, wordBreak: 'break-all' }}>
+              {created.secret}
+            </Box>
+            <Typography variant="body2" sx={{ mt: 2 }}>
+              Home Assistant <code>configuration.yaml</code>:
+            </Typography>
+            <Box component="pre" sx={{ mt: 1, mb: 0, fontSize: '0.75rem', whiteSpace: 'pre-wrap', wordBreak: 'break-all' }}>
+              {restCommandExample(created, created.secret)}
+            </Box>
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : webhooks.length === 0 ? (
+          !error && (
+            <Typography variant="body2" color="text.secondary">
+              No webhooks yet.
+            </Typography>
+          )
+        ) : (
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>URL</TableCell>
+                  <TableCell>Sends to</TableCell>
+                  <TableCell>Last Used</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {webhooks.map((webhook) => (
+                  <TableRow key={webhook.id}>
+                    <TableCell>{webhook.name}</TableCell>
+                    <TableCell>
+                      <code>/api/webhooks/{webhook.id}</code>
+                      <IconButton size="small" onClick={() => navigator.clipboard?.writeText(webhookUrl(webhook.id))} title="Copy URL">
+                        <ContentCopyIcon fontSize="small" />
+                      </IconButton>
+                    </TableCell>
+                    <TableCell>
+                      <Box display="flex" gap={0.5} flexWrap="wrap">
+                        {describeTarget(webhook.target).map((label) => (
+                          <Chip key={label} label={label} size="small" variant="outlined" />
+                        ))}
+                      </Box>
+                    </TableCell>
+                    <TableCell>{webhook.lastUsedAt ? formatDateTime(toDate(webhook.lastUsedAt)) : 'Never'}</TableCell>
+                    <TableCell align="right">
+                      <IconButton size="small" onClick={() => handleDelete(webhook)} title="Delete webhook" color="error">
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Stack>
+
+      <CreateWebhookDialog
+        open={dialogOpen}
+        clients={clients}
+        areas={areas}
+        onClose={() => setDialogOpen(false)}
+        onCreated={async (webhook) => {
+          setCreated(webhook);
+          await loadWebhooks();
+        }}
+      />
+    </Paper>
+  );
+};
@@ -13,29 +13,74 @@ export interface Area {
   name: string;
   entityIds: string[];
   isEnabled?: boolean;
+  // Set for areas imported from Home Assistant
+  haAreaId?: string | null;
+  syncedAt?: string | null;
   createdAt?: string | Date;
   updatedAt?: string | Date;
 }
 
+export interface ImportedArea {
+  id: string;
+  name: string;
+  haAreaId: string;
+  entityIds: string[];
+  status: 'created' | 'updated' | 'unchanged';
+}
+
+// Changes in Home Assistant since areas were imported, pushed to admins as area_drift
+export interface AreaDriftReport {
+  checkedAt: string;
+  inSync: boolean;
+  added: { entityId: string; areaId: string; haAreaId: string }[];
+  removed: { entityId: string; areaId: string; haAreaId: string }[];
+  moved: { entityId: string; fromAreaId: string; fromHaAreaId: string; toHaAreaId: string; toAreaId: string | null }[];
+  missingAreas: { areaId: string; haAreaId: string }[];
+  unlinkedAreas: { haAreaId: string; name: string }[];
+}
+
 export interface Dashboard {
   id: string;
   name: string;
-  views: DashboardView[];
+  // Lovelace format - views with their cards, other keys are kept as-is
+  config: { views: DashboardView[]; [key: string]: unknown };
+  isDefault: boolean;
+  // url_path of the Lovelace dashboard it was imported from
+  haUrlPath: string | null;
+  syncedAt: number | null;
+  createdAt: number;
+  updatedAt: number;
 }
 
+export type DashboardViewType = 'masonry' | 'grid' | 'panel';
+
 export interface DashboardView {
-  id: string;
-  title: string;
-  type: 'grid' | 'panel' | 'masonry';
-  cards: DashboardCard[];
+  id?: string;
+  title?: string;
+  path?: string;
+  icon?: string;
+  // Lovelace defaults to masonry - other Lovelace view types (sections, sidebar) are edited as masonry
+  type?: DashboardViewType;
+  cards?: DashboardCard[];
+  [key: string]: unknown;
 }
 
 export interface DashboardCard {
-  id: string;
   type: string;
   entity?: string;
-  entities?: string[];
-  config?: Record<string, any>;
+  entities?: Array<string | { entity: string; [key: string]: unknown }>;
+  [key: string]: unknown;
+}
+
+export interface CreateDashboardRequest {
+  name: string;
+  config?: Dashboard['config'];
+  isDefault?: boolean;
+}
+
+export interface LovelaceImportResult {
+  imported: Array<Dashboard & { status: 'created' | 'updated' }>;
+  skipped: Array<{ haUrlPath: string; title: string; reason: string }>;
 }
 
 export interface Client {
@@ -44,13 +89,183 @@ export interface Client {
   deviceType: 'phone' | 'tablet' | 'desktop';
   status: 'online' | 'offline' | 'pairing';
   assignedAreas: string[];
-  assignedDashboard?: string;
+  assignedDashboard?: string | null;
   lastSeen: Date;
   lastSeenAt?: Date;
   ipAddress?: string;
   tokenHash?: string;
   hasHaToken?: boolean;
   haTokenSetAt?: number;
+  // Token was created in Home Assistant by the backend (deleted in HA on revoke)
+  haTokenProvisioned?: boolean;
+}
+
+export interface HAConfigSettings {
+  url?: string;
+  token?: string | null;
+  hasToken?: boolean;
+  provisioningToken?: string | null;
+  autoProvisionClientTokens?: boolean;
+}
+
+// Backend connection to Home Assistant, pushed to admins as ha_connection_state
+export type HAConnectionState = 'disconnected' | 'connecting' | 'connected' | 'reconnecting' | 'not_configured';
+
+export interface HAConnectionStatus {
+  state: HAConnectionState;
+  attempt?: number;
+  retryInMs?: number;
+  error?: string;
+}
+
+export interface ClientToken {
+  id: string;
+  clientId: string;
+  name: string | null;
+  assignedAreas: string[];
+  isRevoked: boolean;
+  createdAt: string;
+  expiresAt: string;
+  lastUsed: string | null;
+  revokedAt: string | null;
+  revokedReason: string | null;
+}
+
+export interface CreatedClientToken {
+  tokenId: string;
+  token: string;
+  clientId: string;
+  name: string;
+  assignedAreas: string[];
+  expiresAt: string;
+}
+
+export type ApiKeyScope =
+  | 'areas:read'
+  | 'areas:write'
+  | 'clients:read'
+  | 'clients:write'
+  | 'entities:read'
+  | 'dashboards:read'
+  | 'pairing:read'
+  | 'pairing:create'
+  | 'pairing:write';
+
+export interface ApiKey {
+  id: string;
+  name: string;
+  prefix: string;
+  scopes: ApiKeyScope[];
+  ipAllowlist: string[];
+  expiresAt: number | null;
+  createdBy: string | null;
+  createdAt: number;
+  lastUsedAt: number | null;
+  lastUsedIp: string | null;
+  revokedAt: number | null;
+}
+
+export interface CreateApiKeyRequest {
+  name: string;
+  scopes: ApiKeyScope[];
+  ipAllowlist?: string[];
+  expiresAt?: number | null;
+}
+
+// Who an inbound webhook's notifications go to
+export type WebhookTarget =
+  | { type: 'client'; clientId: string }
+  | { type: 'clients'; clientIds: string[] }
+  | { type: 'area'; areaId: string };
+
+// Inbound webhook that shows notifications on devices (POST /api/webhooks/<id>)
+export interface Webhook {
+  id: string;
+  name: string;
+  secretHint: string;
+  target: WebhookTarget;
+  createdBy: string | null;
+  createdAt: number;
+  lastUsedAt: number | null;
+}
+
+export interface CreateWebhookRequest {
+  name: string;
+  target: WebhookTarget;
+}
+
+// HAsync events an outbound webhook subscription can receive
+export type WebhookEventType = 'pairing_completed' | 'client_deleted' | 'token_revoked' | 'area_updated' | 'login_failed';
+
+// Outbound webhook - a URL that receives signed HAsync events
+export interface WebhookSubscription {
+  id: string;
+  name: string;
+  url: string;
+  events: WebhookEventType[];
+  isEnabled: boolean;
+  createdBy: string | null;
+  createdAt: number;
+  updatedAt: number;
+}
+
+export interface CreateWebhookSubscriptionRequest {
+  name: string;
+  url: string;
+  events: WebhookEventType[];
+  isEnabled?: boolean;
+}
+
+export interface WebhookDelivery {
+  id: string;
+  subscriptionId: string;
+  eventType: WebhookEventType;
+  status: 'pending' | 'delivered' | 'failed';
+  attempts: number;
+  nextAttemptAt: number | null;
+  lastStatusCode: number | null;
+  lastError: string | null;
+  createdAt: number;
+  completedAt: number | null;
+}
+
+// Delivery that ran out of attempts - can be sent again
+export interface WebhookDeadLetter {
+  id: string;
+  deliveryId: string;
+  subscriptionId: string;
+  eventType: WebhookEventType;
+  payload: { id: string; event: WebhookEventType; createdAt: string; data: Record<string, unknown> };
+  attempts: number;
+  lastStatusCode: number | null;
+  lastError: string | null;
+  failedAt: number;
+  redeliveredAt: number | null;
+}
+
+export type AdminRole = 'owner' | 'admin' | 'operator' | 'viewer';
+
+export interface AdminUser {
+  id: string;
+  username: string;
+  email: string | null;
+  role: AdminRole;
+  isActive: boolean;
+  mfaEnabled: boolean;
+  createdAt: number;
+  updatedAt: number;
+  lastLoginAt: number | null;
+  createdBy: string | null;
+}
+
+export interface MfaStatus {
+  enabled: boolean;
+  recoveryCodesRemaining: number;
+}
+
+export interface MfaEnrollment {
+  secret: string;
+  otpauthUri: string;
 }
 
 export interface PairingSession {
@@ -60,6 +275,59 @@ export interface PairingSession {
   status: 'pending' | 'active' | 'completed' | 'expired';
   createdAt: Date;
   expiresAt: Date;
+  pairingUri?: string;
+  certificateFingerprint?: string | null;
+  // Set for re-pair PINs: the device that verifies the PIN replaces this client's device
+  replaceClientId?: string | null;
+  replaceClientName?: string | null;
+}
+
+// auto: a correct PIN pairs immediately; approval: an admin must approve the device
+export type PairingMode = 'auto' | 'approval';
+
+export interface PairingPolicy {
+  mode: PairingMode;
+}
+
+// Device types as reported during pairing
+export type PairingDeviceType = 'mobile' | 'tablet' | 'desktop' | 'other';
+
+// Reusable enrollment code with a preset applied to every device that uses it
+export interface EnrollmentProfile {
+  id: string;
+  name: string;
+  codeHint: string;
+  nameTemplate: string;
+  deviceType: PairingDeviceType | null;
+  assignedAreas: string[];
+  dashboardId: string | null;
+  maxUses: number | null;
+  useCount: number;
+  expiresAt: number | null;
+  createdBy: string | null;
+  createdAt: number;
+  lastUsedAt: number | null;
+  revokedAt: number | null;
+}
+
+export interface CreateEnrollmentProfileRequest {
+  name: string;
+  nameTemplate: string;
+  deviceType?: PairingDeviceType | null;
+  assignedAreas?: string[];
+  dashboardId?: string | null;
+  maxUses?: number | null;
+  expiresAt?: number | null;
+}
+
+// Signed pairing link carried by a pairing QR code (/pair?...)
+export interface PairingLink {
+  server: string;
+  session: string;
+  pin: string;
+  exp: number;
+  fp?: string;
+  sig: string;
 }
 
 export interface AppConfig {
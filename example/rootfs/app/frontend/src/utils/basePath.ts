@@ -0,0 +1,36 @@
+/**
+ * Base Path Utilities
+ * The backend serves the built UI with the prefix it is served under (the Home Assistant
+ * ingress path, or '' on its own port) in a <meta name="hasync-base-path"> tag.
+ * Without the tag the UI runs on the Vite dev/preview server.
+ */
+
+const baseMeta = document.querySelector<HTMLMetaElement>('meta[name="hasync-base-path"]');
+
+/**
+ * Prefix the UI is served under, without a trailing slash ('' at the root)
+ */
+export const BASE_PATH = (baseMeta?.content ?? '').replace(/\/+$/, '');
+
+/**
+ * Whether the UI is served by the backend (same origin as the API and Socket.IO)
+ */
+export const SERVED_BY_BACKEND = baseMeta !== null;
+
+/**
+ * Whether the UI is opened from the Home Assistant sidebar
+ */
+export const IS_INGRESS = BASE_PATH.startsWith('/api/hassio_ingress/');
+
+/**
+ * Base URL of the REST API
+ */
+export const API_BASE_URL = `${BASE_PATH}/api`;
+
+/**
+ * URL of an API endpoint
+ * @param path - Path below /api, e.g. '/health'
+ */
+export function apiUrl(path: string): string {
+  return `${API_BASE_URL}${path}`;
+}
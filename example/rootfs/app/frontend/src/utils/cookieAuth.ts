@@ -3,6 +3,8 @@
  * Provides secure authentication using httpOnly cookies instead of localStorage
  */
 
+import { apiUrl } from './basePath';
+
 /**
  * Check if user is authenticated by checking for auth cookie
  * This is a client-side check only - server validates the actual token
@@ -19,7 +21,7 @@ export function isAuthenticated(): boolean {
  */
 export async function clearAuthCookies(): Promise<void> {
   try {
-    await fetch('/api/auth/logout', {
+    await fetch(apiUrl('/auth/logout'), {
       method: 'POST',
       credentials: 'include', // Include cookies in request
       headers: {
@@ -37,7 +39,7 @@ export async function clearAuthCookies(): Promise<void> {
  */
 export async function refreshAuthToken(): Promise<boolean> {
   try {
-    const response = await fetch('/api/auth/refresh', {
+    const response = await fetch(apiUrl('/auth/refresh'), {
       method: 'POST',
       credentials: 'include', // Include cookies in request
       headers: {
@@ -58,7 +60,7 @@ export async function refreshAuthToken(): Promise<boolean> {
  */
 export async function checkAuthStatus(): Promise<boolean> {
   try {
-    const response = await fetch('/api/auth/status', {
+    const response = await fetch(apiUrl('/auth/status'), {
       method: 'GET',
       credentials: 'include', // Include cookies in request
       headers: {
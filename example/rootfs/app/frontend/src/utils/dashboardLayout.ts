@@ -0,0 +1,95 @@
+import type { DashboardCard, DashboardView, DashboardViewType } from '@/types';
+
+export const VIEW_TYPES: { type: DashboardViewType; label: string }[] = [
+  { type: 'masonry', label: 'Masonry' },
+  { type: 'grid', label: 'Grid' },
+  { type: 'panel', label: 'Panel (first card only)' },
+];
+
+// 'entities' = list of entities, 'entity' = single entity, 'none' = no entity binding
+export const CARD_TYPES: { type: string; label: string; binding: 'entities' | 'entity' | 'none' }[] = [
+  { type: 'tile', label: 'Tile', binding: 'entity' },
+  { type: 'button', label: 'Button', binding: 'entity' },
+  { type: 'entities', label: 'Entities', binding: 'entities' },
+  { type: 'glance', label: 'Glance', binding: 'entities' },
+  { type: 'sensor', label: 'Sensor', binding: 'entity' },
+  { type: 'thermostat', label: 'Thermostat', binding: 'entity' },
+  { type: 'media-control', label: 'Media Control', binding: 'entity' },
+  { type: 'markdown', label: 'Markdown', binding: 'none' },
+];
+
+export const PREVIEW_DEVICES = {
+  tablet: { label: 'Tablet', width: 1024, height: 768, columns: 3 },
+  phone: { label: 'Phone', width: 390, height: 844, columns: 1 },
+} as const;
+
+export type PreviewDevice = keyof typeof PREVIEW_DEVICES;
+
+// Card options edited by their own fields - everything else is edited as JSON
+export const CARD_FIELD_KEYS = ['type', 'entity', 'entities', 'title', 'name', 'content'];
+
+export const getCardBinding = (type: string) =>
+  CARD_TYPES.find((cardType) => cardType.type === type)?.binding ?? 'entities';
+
+export const getViewType = (view: DashboardView): DashboardViewType =>
+  VIEW_TYPES.some((viewType) => viewType.type === view.type) ? view.type! : 'masonry';
+
+/**
+ * Entity ids a card is bound to (entities rows may be objects with an entity key)
+ */
+export const getCardEntityIds = (card: DashboardCard): string[] => {
+  if (card.entity) return [card.entity];
+  return (card.entities || [])
+    .map((row) => (typeof row === 'string' ? row : row?.entity))
+    .filter((entityId): entityId is string => typeof entityId === 'string');
+};
+
+/**
+ * Bind a card to entities, keeping its other options
+ */
+export const setCardEntities = (card: DashboardCard, entityIds: string[]): DashboardCard => {
+  const { entity: _entity, entities: _entities, ...options } = card;
+  switch (getCardBinding(card.type)) {
+    case 'entity':
+      return entityIds[0] ? { ...options, entity: entityIds[0] } : options;
+    case 'entities':
+      return { ...options, entities: entityIds };
+    default:
+      return options;
+  }
+};
+
+export const changeCardType = (card: DashboardCard, type: string): DashboardCard =>
+  setCardEntities({ ...card, type }, getCardEntityIds(card));
+
+/**
+ * A new card for an entity dropped on a view - tiles for most entities, sensor cards for sensors
+ */
+export const createEntityCard = (entityId: string): DashboardCard => {
+  const domain = entityId.split('.')[0];
+  if (domain === 'sensor') return { type: 'sensor', entity: entityId };
+  if (domain === 'climate') return { type: 'thermostat', entity: entityId };
+  if (domain === 'media_player') return { type: 'media-control', entity: entityId };
+  return { type: 'tile', entity: entityId };
+};
+
+export const createCard = (type: string): DashboardCard =>
+  type === 'markdown' ? { type, content: '' } : setCardEntities({ type }, []);
+
+/**
+ * Move an item by offset (-1 up, 1 down) - returns the list unchanged at the ends
+ */
+export const moveItem = <T>(items: T[], index: number, offset: number): T[] => {
+  const target = index + offset;
+  if (target < 0 || target >= items.length) return items;
+
+  const moved = [...items];
+  [moved[index], moved[target]] = [moved[target], moved[index]];
+  return moved;
+};
+
+/**
+ * Card options without the ones edited by their own fields
+ */
+export const getExtraCardOptions = (card: DashboardCard): Record<string, unknown> =>
+  Object.fromEntries(Object.entries(card).filter(([key]) => !CARD_FIELD_KEYS.includes(key)));
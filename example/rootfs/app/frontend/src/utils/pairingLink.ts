@@ -0,0 +1,81 @@
+/**
+ * Pairing Link Utilities
+ * Parses the /pair?... links encoded in pairing and enrollment QR codes
+ */
+
+import type { PairingLink } from '@/types';
+
+/**
+ * Query parameters of a /pair or #/pair URL, or null if the page is not a pair page
+ */
+function getPairParams(location: Location): URLSearchParams | null {
+  if (location.pathname.replace(/\/+$/, '').endsWith('/pair')) {
+    return new URLSearchParams(location.search);
+  }
+  if (location.hash.startsWith('#/pair')) {
+    const queryIndex = location.hash.indexOf('?');
+    return new URLSearchParams(queryIndex >= 0 ? location.hash.slice(queryIndex) : '');
+  }
+  return null;
+}
+
+/**
+ * Read a pairing link from the current location
+ * Accepts both /pair?... (dev server) and /#/pair?... (the backend redirects
+ * there when the production static server has no SPA fallback).
+ * @returns The link, or null if the page was not opened from a pairing QR code
+ */
+export function getPairingLinkFromLocation(location: Location = window.location): PairingLink | null {
+  const params = getPairParams(location);
+  if (!params) {
+    return null;
+  }
+
+  const server = params.get('server');
+  const session = params.get('session');
+  const pin = params.get('pin');
+  const exp = Number(params.get('exp'));
+  const sig = params.get('sig');
+
+  if (!server || !session || !pin || !sig || !Number.isInteger(exp)) {
+    return null;
+  }
+
+  return {
+    server,
+    session,
+    pin,
+    exp,
+    fp: params.get('fp') || undefined,
+    sig,
+  };
+}
+
+/**
+ * Read an enrollment code from the current location (/pair?enroll=XXXX-XXXX-XXXX)
+ * Enrollment QR codes are printed once per profile and scanned by every device of a fleet.
+ */
+export function getEnrollmentCodeFromLocation(location: Location = window.location): string | null {
+  const code = getPairParams(location)?.get('enroll');
+  return code && /^[A-Z0-9-]{12,16}$/i.test(code) ? code.toUpperCase() : null;
+}
+
+/**
+ * Build the enrollment link encoded in an enrollment profile's QR code
+ */
+export function buildEnrollmentUri(code: string, origin: string = window.location.origin): string {
+  return `${origin}/pair?enroll=${encodeURIComponent(code)}`;
+}
+
+/**
+ * Guess the device type reported during pairing from the user agent
+ */
+export function detectDeviceType(userAgent: string = navigator.userAgent): 'mobile' | 'tablet' | 'desktop' {
+  if (/iPad|Tablet|Android(?!.*Mobile)/i.test(userAgent)) {
+    return 'tablet';
+  }
+  if (/Mobi|iPhone|Android/i.test(userAgent)) {
+    return 'mobile';
+  }
+  return 'desktop';
+}
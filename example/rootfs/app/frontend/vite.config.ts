@@ -5,6 +5,8 @@ import { visualizer } from 'rollup-plugin-visualizer';
 import viteCompression from 'vite-plugin-compression';
 
 export default defineConfig({
+  // Relative asset URLs - the backend also serves the build below the Home Assistant ingress path
+  base: './',
   plugins: [
     react(),
     // Bundle analyzer - generates stats.html
@@ -13,6 +13,8 @@ DATABASE_PATH=$(bashio::config 'database_path')
 LOG_LEVEL=$(bashio::config 'log_level')
 MAX_CLIENTS=$(bashio::config 'max_clients')
 RATE_LIMIT=$(bashio::config 'rate_limit')
+SECRETS_KEY=$(bashio::config 'secrets_key')
+HA_REQUEST_TIMEOUT=$(bashio::config 'ha_request_timeout')
 
 # Export configuration as environment variables
 export ADMIN_USERNAME
@@ -22,6 +24,12 @@ export DATABASE_PATH
 export LOG_LEVEL
 export MAX_CLIENTS
 export RATE_LIMIT
+export HA_REQUEST_TIMEOUT
+
+# Master key for secrets at rest - without the option a key file is created in /data
+if bashio::config.has_value 'secrets_key'; then
+  export SECRETS_KEY
+fi
 
 # Configure CORS to allow Home Assistant addon frontend
 # Use MULTIPLE methods to detect all network IPs
@@ -65,13 +73,16 @@ mkdir -p /app/backups
 chmod 755 /app/backups
 bashio::log.info "✓ Backup directory ready: /app/backups"
 
+# The backend also serves the admin UI on 8099 - the Home Assistant ingress port
+export FRONTEND_DIST_PATH="/app/frontend/dist"
+
 # Start backend server in background
 cd /app/backend
 bashio::log.info "Starting backend server on port 8099..."
 npx tsx src/index-simple.ts &
 BACKEND_PID=$!
 
-# Start frontend server
+# Start standalone frontend server (port 5173 is only reachable if mapped in the add-on's Network settings)
 cd /app/frontend
 bashio::log.info "Starting frontend server on port 5173..."
 http-server dist -p 5173 --proxy http://localhost:8099 --silent &